@@ -0,0 +1,16 @@
+/**
+ * Serverless function: POST and PATCH /api/contacts
+ *
+ * Deployable as-is on platforms that serve `api/*.js` with a Node
+ * `(req, res)` handler (e.g. Vercel). Configure BREVO_API_KEY (and optionally
+ * BREVO_LIST_IDS, BREVO_DOI_TEMPLATE_ID, BREVO_DOI_REDIRECT_URL) as server-side
+ * environment variables, then build the site with VITE_BREVO_PROXY_URL=/api.
+ *
+ * Rate limits are keyed by the last X-Forwarded-For entry, the one the
+ * platform's edge proxy appends. Set BREVO_TRUSTED_PROXY_HOPS when more
+ * proxies (e.g. a CDN) sit in front of it, or to 0 when none does.
+ */
+
+import { createBrevoProxyHandler, getProxyConfigFromEnv } from '../server/brevoProxy.js'
+
+export default createBrevoProxyHandler({ trustedProxyHops: 1, ...getProxyConfigFromEnv() })
@@ -0,0 +1,421 @@
+/**
+ * Brevo Contacts Proxy
+ *
+ * Node request handler for /api/contacts. Keeps the Brevo API key on the
+ * server: the browser client (BrevoClient in proxy mode) posts the contact here,
+ * the handler rate-limits and validates it, then forwards it to Brevo and relays
+ * Brevo's status and body unchanged.
+ *
+ * - POST creates a contact, through double opt-in when it is configured. Only
+ *   the attributes in CONTACT_ATTRIBUTES may be set, and an existing contact is
+ *   never updated (Brevo answers 409): anyone can post any email, so an update
+ *   would let them overwrite someone else's name and consent.
+ * - PATCH `{ email, attributes }` sets attributes on an existing contact and
+ *   never creates one or sends a confirmation email. Only the attributes in
+ *   UPDATABLE_ATTRIBUTES may be set this way.
+ *
+ * Used by the serverless function in api/contacts.js and by the Vite dev server
+ * middleware in vite.config.js.
+ */
+
+import { validateEmail, parseListIds } from '../src/services/brevo.js'
+import { UTM_PARAMS } from '../src/services/attribution.js'
+import { CONTACT_FORM_SCHEMA, QUALIFICATION_SCHEMA } from '../src/validation/contactFormSchema.js'
+
+const BREVO_API_URL = 'https://api.brevo.com/v3'
+// Limits follow the form's validation, so anything the form accepts gets through
+const MAX_NAME_LENGTH = CONTACT_FORM_SCHEMA.name.maxLength
+const MAX_ATTRIBUTE_LENGTH = CONTACT_FORM_SCHEMA.message.maxLength
+// A JSON-escaped character takes up to 6 bytes (\u001f), so a maximum-length
+// message in any script fits, with room for the other fields
+const MAX_BODY_BYTES = 6 * MAX_ATTRIBUTE_LENGTH + 16 * 1024
+const ALLOWED_FIELDS = ['email', 'firstName', 'lastName', 'attributes']
+// Attributes the contact form sends with a new contact (services/submissionBackends.js)
+export const CONTACT_ATTRIBUTES = [
+  'message',
+  // services/attribution.js
+  ...UTM_PARAMS.map(param => param.toUpperCase()),
+  'REFERRER',
+  'LANDING_PATH',
+  'FIRST_TOUCH_AT',
+  'LAST_TOUCH_AT',
+  // Lead qualification answers
+  ...Object.values(QUALIFICATION_SCHEMA).map(({ attribute }) => attribute),
+  // services/attachments.js
+  'ATTACHMENT_COUNT',
+  'ATTACHMENTS',
+  // config/marketingConsent.js
+  'CONSENT_TIMESTAMP',
+  'CONSENT_VERSION',
+  'CONSENT_SOURCE',
+]
+// Attributes the browser may set on an existing contact (meeting slot, see meetingScheduler.js)
+export const UPDATABLE_ATTRIBUTES = ['MEETING_SLOT']
+const RELAYED_HEADERS = ['retry-after', 'x-sib-ratelimit-limit', 'x-sib-ratelimit-remaining', 'x-sib-ratelimit-reset']
+
+class ProxyError extends Error {
+  constructor(status, code, message) {
+    super(message)
+    this.name = 'ProxyError'
+    this.status = status
+    this.code = code
+  }
+}
+
+/**
+ * Reads proxy configuration from server-side environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} Proxy options
+ */
+export function getProxyConfigFromEnv(env = process.env) {
+  const templateId = Number(env.BREVO_DOI_TEMPLATE_ID)
+  const trustedProxyHops = Number.parseInt(env.BREVO_TRUSTED_PROXY_HOPS, 10)
+
+  return {
+    apiKey: env.BREVO_API_KEY,
+    ...(env.BREVO_BASE_URL && { baseUrl: env.BREVO_BASE_URL }),
+    ...(trustedProxyHops >= 0 && { trustedProxyHops }),
+    listIds: parseListIds(env.BREVO_LIST_IDS),
+    doubleOptIn: Number.isInteger(templateId) && templateId > 0 && env.BREVO_DOI_REDIRECT_URL
+      ? { templateId, redirectionUrl: env.BREVO_DOI_REDIRECT_URL }
+      : null,
+  }
+}
+
+/**
+ * Fixed-window rate limiter keyed by client address.
+ * State is per process: each serverless instance limits independently.
+ * @param {Object} options - Limiter options
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMs - Window length in ms
+ * @param {Function} options.now - Clock (for tests)
+ */
+export function createRateLimiter({ max = 5, windowMs = 60 * 1000, now = Date.now } = {}) {
+  const windows = new Map()
+
+  return {
+    check(key) {
+      const time = now()
+
+      // Drop expired windows so the map cannot grow without bound
+      for (const [entryKey, entry] of windows) {
+        if (time >= entry.resetAt) {
+          windows.delete(entryKey)
+        }
+      }
+
+      const entry = windows.get(key) || { count: 0, resetAt: time + windowMs }
+      entry.count += 1
+      windows.set(key, entry)
+
+      return entry.count <= max
+        ? { allowed: true }
+        : { allowed: false, retryAfterMs: entry.resetAt - time }
+    },
+  }
+}
+
+/**
+ * Validates a contact payload from the browser
+ * @param {*} payload - Parsed JSON body
+ * @returns {Object} Sanitized payload
+ * @throws {ProxyError} When the payload is invalid
+ */
+export function validateContactPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new ProxyError(400, 'invalid_parameter', 'Request body must be a JSON object')
+  }
+
+  const unknownField = Object.keys(payload).find(field => !ALLOWED_FIELDS.includes(field))
+  if (unknownField) {
+    throw new ProxyError(400, 'invalid_parameter', `Unknown field: ${unknownField}`)
+  }
+
+  const validation = validateEmail(payload.email)
+  if (validation.error) {
+    throw new ProxyError(400, 'invalid_parameter', validation.error)
+  }
+
+  for (const field of ['firstName', 'lastName']) {
+    const value = payload[field]
+    if (value !== undefined && (typeof value !== 'string' || value.length > MAX_NAME_LENGTH)) {
+      throw new ProxyError(400, 'invalid_parameter', `${field} must be a string of at most ${MAX_NAME_LENGTH} characters`)
+    }
+  }
+
+  const attributes = payload.attributes ?? {}
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new ProxyError(400, 'invalid_parameter', 'attributes must be an object')
+  }
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if (!CONTACT_ATTRIBUTES.includes(key)) {
+      throw new ProxyError(400, 'invalid_parameter', `Attribute cannot be set: ${key}`)
+    }
+
+    const validValue = value === null
+      || typeof value === 'number'
+      || typeof value === 'boolean'
+      || (typeof value === 'string' && value.length <= MAX_ATTRIBUTE_LENGTH)
+    if (!validValue) {
+      throw new ProxyError(400, 'invalid_parameter', `Invalid value for attribute: ${key}`)
+    }
+  }
+
+  return {
+    email: validation.email,
+    ...(payload.firstName && { firstName: payload.firstName }),
+    ...(payload.lastName && { lastName: payload.lastName }),
+    attributes,
+  }
+}
+
+/**
+ * Validates an attribute update from the browser
+ * @param {*} payload - Parsed JSON body
+ * @returns {{ email: string, attributes: Object }} Sanitized payload
+ * @throws {ProxyError} When the payload is invalid
+ */
+export function validateAttributeUpdate(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new ProxyError(400, 'invalid_parameter', 'Request body must be a JSON object')
+  }
+
+  const unknownField = Object.keys(payload).find(field => !['email', 'attributes'].includes(field))
+  if (unknownField) {
+    throw new ProxyError(400, 'invalid_parameter', `Unknown field: ${unknownField}`)
+  }
+
+  const validation = validateEmail(payload.email)
+  if (validation.error) {
+    throw new ProxyError(400, 'invalid_parameter', validation.error)
+  }
+
+  const { attributes } = payload
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes) || Object.keys(attributes).length === 0) {
+    throw new ProxyError(400, 'invalid_parameter', 'attributes must be a non-empty object')
+  }
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if (!UPDATABLE_ATTRIBUTES.includes(key)) {
+      throw new ProxyError(400, 'invalid_parameter', `Attribute cannot be updated: ${key}`)
+    }
+    if (typeof value !== 'string' || value.length > MAX_ATTRIBUTE_LENGTH) {
+      throw new ProxyError(400, 'invalid_parameter', `Invalid value for attribute: ${key}`)
+    }
+  }
+
+  return { email: validation.email, attributes }
+}
+
+/**
+ * Reads and parses the JSON request body, enforcing a size limit.
+ * Platforms that pre-parse the body (e.g. Vercel) expose it as req.body.
+ */
+async function readJsonBody(req) {
+  let raw = req.body
+
+  if (raw === undefined) {
+    const chunks = []
+    let size = 0
+    for await (const chunk of req) {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        throw new ProxyError(413, 'payload_too_large', 'Request body is too large')
+      }
+      chunks.push(chunk)
+    }
+    raw = Buffer.concat(chunks).toString('utf8')
+  }
+
+  if (typeof raw !== 'string') {
+    return raw
+  }
+
+  if (Buffer.byteLength(raw) > MAX_BODY_BYTES) {
+    throw new ProxyError(413, 'payload_too_large', 'Request body is too large')
+  }
+
+  try {
+    return JSON.parse(raw)
+  } catch {
+    throw new ProxyError(400, 'invalid_parameter', 'Request body must be valid JSON')
+  }
+}
+
+/**
+ * The address rate limits are keyed by. Each proxy appends the address it
+ * received the request from to X-Forwarded-For, so only the last
+ * `trustedProxyHops` entries are trustworthy: anything left of them was sent
+ * by the client. With no trusted proxy the header is ignored.
+ */
+function getClientKey(req, trustedProxyHops) {
+  if (trustedProxyHops > 0) {
+    const forwardedFor = String(req.headers?.['x-forwarded-for'] || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+    const client = forwardedFor[forwardedFor.length - trustedProxyHops]
+    if (client) {
+      return client
+    }
+  }
+  return req.socket?.remoteAddress || 'unknown'
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.statusCode = status
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value)
+  }
+
+  if (status === 204) {
+    res.end()
+    return
+  }
+
+  res.setHeader('content-type', 'application/json')
+  res.end(JSON.stringify(body ?? {}))
+}
+
+/**
+ * Builds the request forwarded to Brevo. With double opt-in configured, contacts
+ * go through the confirmation flow; otherwise they are created on the server lists.
+ */
+function buildBrevoRequest(contact, { listIds, doubleOptIn }) {
+  if (doubleOptIn && listIds.length > 0) {
+    return {
+      method: 'POST',
+      path: '/contacts/doubleOptinConfirmation',
+      body: {
+        email: contact.email,
+        attributes: {
+          ...(contact.firstName && { FIRSTNAME: contact.firstName }),
+          ...(contact.lastName && { LASTNAME: contact.lastName }),
+          ...contact.attributes,
+        },
+        includeListIds: listIds,
+        templateId: doubleOptIn.templateId,
+        redirectionUrl: doubleOptIn.redirectionUrl,
+      },
+    }
+  }
+
+  return {
+    method: 'POST',
+    path: '/contacts',
+    body: {
+      ...contact,
+      ...(listIds.length > 0 && { listIds }),
+    },
+  }
+}
+
+/**
+ * Creates the /api/contacts request handler
+ * @param {Object} options - Proxy options (see getProxyConfigFromEnv)
+ * @param {string} options.apiKey - Brevo API key (server-side only)
+ * @param {number[]} options.listIds - Lists every contact is added to
+ * @param {Object|null} options.doubleOptIn - `{ templateId, redirectionUrl }`
+ * @param {Object} options.rateLimiter - Limiter from createRateLimiter
+ * @param {number} options.trustedProxyHops - Proxies in front of the handler that append to
+ *   X-Forwarded-For (0: key rate limits by the socket address)
+ * @param {string} options.baseUrl - Brevo API base URL (e.g. the fake Brevo server in development)
+ * @param {Function} options.fetch - Fetch implementation (for tests)
+ * @returns {Function} `(req, res) => Promise<void>` handler
+ */
+export function createBrevoProxyHandler({
+  apiKey,
+  listIds = [],
+  doubleOptIn = null,
+  rateLimiter = createRateLimiter(),
+  trustedProxyHops = 0,
+  baseUrl = BREVO_API_URL,
+  fetch: fetchImpl = globalThis.fetch,
+} = {}) {
+  return async function brevoProxyHandler(req, res) {
+    // Only the endpoint itself is served (mounted middleware strips the prefix)
+    const path = (req.url || '/').split('?')[0]
+    if (path !== '/' && path !== '' && path !== '/api/contacts') {
+      sendJson(res, 404, { code: 'not_found', message: 'Not found' })
+      return
+    }
+
+    if (req.method !== 'POST' && req.method !== 'PATCH') {
+      sendJson(res, 405, { code: 'method_not_allowed', message: 'Only POST and PATCH are supported' }, {
+        allow: 'POST, PATCH',
+      })
+      return
+    }
+
+    const limit = rateLimiter.check(getClientKey(req, trustedProxyHops))
+    if (!limit.allowed) {
+      sendJson(res, 429, { code: 'too_many_requests', message: 'Too many requests' }, {
+        'retry-after': String(Math.ceil(limit.retryAfterMs / 1000)),
+      })
+      return
+    }
+
+    if (!apiKey) {
+      console.error('Brevo proxy is not configured. Set BREVO_API_KEY environment variable.')
+      sendJson(res, 500, { code: 'not_configured', message: 'Contact service is not configured' })
+      return
+    }
+
+    let brevoRequest
+    try {
+      const payload = await readJsonBody(req)
+      if (req.method === 'PATCH') {
+        const { email, attributes } = validateAttributeUpdate(payload)
+        brevoRequest = { method: 'PUT', path: `/contacts/${encodeURIComponent(email)}`, body: { attributes } }
+      } else {
+        brevoRequest = buildBrevoRequest(validateContactPayload(payload), { listIds, doubleOptIn })
+      }
+    } catch (error) {
+      if (error instanceof ProxyError) {
+        sendJson(res, error.status, { code: error.code, message: error.message })
+        return
+      }
+      // Rethrowing would leave the request hanging in the dev server middleware
+      console.error('Brevo proxy error:', error.message)
+      sendJson(res, 500, { code: 'internal_error', message: 'Contact service error' })
+      return
+    }
+
+    const { method, path: brevoPath, body } = brevoRequest
+
+    try {
+      const response = await fetchImpl(`${baseUrl}${brevoPath}`, {
+        method,
+        headers: {
+          'api-key': apiKey,
+          'content-type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      })
+
+      const relayedHeaders = {}
+      for (const name of RELAYED_HEADERS) {
+        const value = response.headers?.get?.(name)
+        if (value) {
+          relayedHeaders[name] = value
+        }
+      }
+
+      const text = response.status === 204 ? '' : await response.text()
+      let data = null
+      try {
+        data = text ? JSON.parse(text) : null
+      } catch {
+        data = { code: 'invalid_response', message: 'Brevo returned a non-JSON response' }
+      }
+
+      sendJson(res, response.status, data, relayedHeaders)
+    } catch (error) {
+      console.error('Brevo proxy upstream error:', error.message)
+      sendJson(res, 502, { code: 'bad_gateway', message: 'Could not reach Brevo' })
+    }
+  }
+}
+
+export default createBrevoProxyHandler
@@ -0,0 +1,484 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Readable } from 'node:stream'
+import {
+  createBrevoProxyHandler,
+  createRateLimiter,
+  getProxyConfigFromEnv,
+  validateAttributeUpdate,
+  validateContactPayload
+} from './brevoProxy.js'
+import { getAttributionAttributes, getAttributionFields, UTM_PARAMS } from '../src/services/attribution.js'
+import { getAttachmentAttributes } from '../src/services/attachments.js'
+import { getConsentAttributes } from '../src/config/marketingConsent.js'
+import { CONTACT_FORM_SCHEMA, getQualificationAttributes } from '../src/validation/contactFormSchema.js'
+
+function createRequest({ method = 'POST', url = '/', body, headers = {} } = {}) {
+  const raw = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body)
+  const req = Readable.from(raw ? [Buffer.from(raw)] : [])
+  req.method = method
+  req.url = url
+  req.headers = headers
+  req.socket = { remoteAddress: '127.0.0.1' }
+  return req
+}
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value
+    },
+    end(chunk) {
+      res.body = chunk === undefined ? undefined : JSON.parse(chunk)
+    }
+  }
+  return res
+}
+
+function brevoResponse(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    text: async () => (body === undefined ? '' : JSON.stringify(body))
+  }
+}
+
+describe('Brevo contacts proxy', () => {
+  let fetchMock
+
+  beforeEach(() => {
+    fetchMock = vi.fn().mockResolvedValue(brevoResponse(201, { id: 42 }))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  const createHandler = (options = {}) => createBrevoProxyHandler({
+    apiKey: 'server-key',
+    fetch: fetchMock,
+    ...options
+  })
+
+  describe('forwarding', () => {
+    it('forwards a valid contact to Brevo with the server-side key', async () => {
+      // Arrange
+      const handler = createHandler()
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({
+        body: { email: ' john@example.com ', firstName: 'John', attributes: { message: 'Hi' } }
+      }), res)
+
+      // Assert
+      expect(fetchMock).toHaveBeenCalledWith('https://api.brevo.com/v3/contacts', {
+        method: 'POST',
+        headers: { 'api-key': 'server-key', 'content-type': 'application/json' },
+        body: JSON.stringify({ email: 'john@example.com', firstName: 'John', attributes: { message: 'Hi' } })
+      })
+      expect(res.statusCode).toBe(201)
+      expect(res.body).toEqual({ id: 42 })
+    })
+
+    it('adds the server-configured lists', async () => {
+      // Arrange
+      const handler = createHandler({ listIds: [2, 5] })
+
+      // Act
+      await handler(createRequest({ body: { email: 'john@example.com' } }), createResponse())
+
+      // Assert
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        email: 'john@example.com',
+        attributes: {},
+        listIds: [2, 5]
+      })
+    })
+
+    it('uses the double opt-in endpoint when configured', async () => {
+      // Arrange
+      const handler = createHandler({
+        listIds: [2],
+        doubleOptIn: { templateId: 8, redirectionUrl: 'https://example.com/confirmed' }
+      })
+
+      // Act
+      await handler(createRequest({
+        body: { email: 'john@example.com', firstName: 'John', attributes: { message: 'Hi' } }
+      }), createResponse())
+
+      // Assert
+      expect(fetchMock.mock.calls[0][0]).toBe('https://api.brevo.com/v3/contacts/doubleOptinConfirmation')
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        email: 'john@example.com',
+        attributes: { FIRSTNAME: 'John', message: 'Hi' },
+        includeListIds: [2],
+        templateId: 8,
+        redirectionUrl: 'https://example.com/confirmed'
+      })
+    })
+
+    it('updates attributes of an existing contact on PATCH, even with double opt-in configured', async () => {
+      // Arrange
+      fetchMock.mockResolvedValue(brevoResponse(204))
+      const handler = createHandler({
+        listIds: [2],
+        doubleOptIn: { templateId: 8, redirectionUrl: 'https://example.com/confirmed' }
+      })
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({
+        method: 'PATCH',
+        body: { email: 'john@example.com', attributes: { MEETING_SLOT: '2026-10-21T10:00:00.000Z' } }
+      }), res)
+
+      // Assert
+      expect(fetchMock).toHaveBeenCalledWith('https://api.brevo.com/v3/contacts/john%40example.com', {
+        method: 'PUT',
+        headers: { 'api-key': 'server-key', 'content-type': 'application/json' },
+        body: JSON.stringify({ attributes: { MEETING_SLOT: '2026-10-21T10:00:00.000Z' } })
+      })
+      expect(res.statusCode).toBe(204)
+    })
+
+    it('relays Brevo status, body and rate limit headers', async () => {
+      // Arrange
+      fetchMock.mockResolvedValue(brevoResponse(429, { code: 'too_many_requests' }, {
+        'x-sib-ratelimit-reset': '3'
+      }))
+      const handler = createHandler()
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({ body: { email: 'john@example.com' } }), res)
+
+      // Assert
+      expect(res.statusCode).toBe(429)
+      expect(res.headers['x-sib-ratelimit-reset']).toBe('3')
+      expect(res.body).toEqual({ code: 'too_many_requests' })
+    })
+
+    it('relays 204 without a body', async () => {
+      // Arrange
+      fetchMock.mockResolvedValue(brevoResponse(204))
+      const handler = createHandler()
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({ body: { email: 'john@example.com' } }), res)
+
+      // Assert
+      expect(res.statusCode).toBe(204)
+      expect(res.body).toBeUndefined()
+    })
+
+    it('accepts a body already parsed by the platform', async () => {
+      // Arrange
+      const handler = createHandler()
+      const req = createRequest()
+      req.body = { email: 'john@example.com' }
+      const res = createResponse()
+
+      // Act
+      await handler(req, res)
+
+      // Assert
+      expect(res.statusCode).toBe(201)
+    })
+
+    it('returns 502 when Brevo is unreachable', async () => {
+      // Arrange
+      fetchMock.mockRejectedValue(new TypeError('fetch failed'))
+      const handler = createHandler()
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({ body: { email: 'john@example.com' } }), res)
+
+      // Assert
+      expect(res.statusCode).toBe(502)
+    })
+  })
+
+  describe('request validation', () => {
+    it.each([
+      ['invalid email', { email: 'nope' }],
+      ['missing email', { firstName: 'John' }],
+      ['unknown field', { email: 'john@example.com', listIds: [1] }],
+      ['non-string name', { email: 'john@example.com', firstName: 42 }],
+      ['too long name', { email: 'john@example.com', firstName: 'x'.repeat(101) }],
+      ['array attributes', { email: 'john@example.com', attributes: ['x'] }],
+      ['attribute the form does not send', { email: 'john@example.com', attributes: { LASTNAME: 'x' } }],
+      ['nested attribute value', { email: 'john@example.com', attributes: { message: { a: 1 } } }],
+      ['updateEnabled', { email: 'john@example.com', updateEnabled: true }]
+    ])('rejects %s with 400 without calling Brevo', async (_label, body) => {
+      // Arrange
+      const handler = createHandler()
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({ body }), res)
+
+      // Assert
+      expect(res.statusCode).toBe(400)
+      expect(res.body.code).toBe('invalid_parameter')
+      expect(fetchMock).not.toHaveBeenCalled()
+    })
+
+    it('rejects malformed JSON', async () => {
+      // Arrange
+      const handler = createHandler()
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({ body: '{not json' }), res)
+
+      // Assert
+      expect(res.statusCode).toBe(400)
+      expect(fetchMock).not.toHaveBeenCalled()
+    })
+
+    it('rejects oversized bodies with 413', async () => {
+      // Arrange
+      const handler = createHandler()
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({ body: { email: 'john@example.com', attributes: { message: 'x'.repeat(100000) } } }), res)
+
+      // Assert
+      expect(res.statusCode).toBe(413)
+      expect(fetchMock).not.toHaveBeenCalled()
+    })
+
+    it('accepts a maximum-length message in multibyte text', async () => {
+      // Arrange
+      const handler = createHandler()
+      const res = createResponse()
+      const message = '語'.repeat(CONTACT_FORM_SCHEMA.message.maxLength - 2) + '\u0001\u0001'
+
+      // Act
+      await handler(createRequest({
+        body: { email: 'john@example.com', firstName: 'x'.repeat(CONTACT_FORM_SCHEMA.name.maxLength), attributes: { message } }
+      }), res)
+
+      // Assert
+      expect(message).toHaveLength(CONTACT_FORM_SCHEMA.message.maxLength)
+      expect(res.statusCode).toBe(201)
+      expect(fetchMock).toHaveBeenCalledTimes(1)
+    })
+
+    it('only accepts POST and PATCH', async () => {
+      // Arrange
+      const handler = createHandler()
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({ method: 'GET' }), res)
+
+      // Assert
+      expect(res.statusCode).toBe(405)
+      expect(res.headers.allow).toBe('POST, PATCH')
+    })
+
+    it('does not serve sub-paths', async () => {
+      // Arrange
+      const handler = createHandler()
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({ url: '/123', body: { email: 'john@example.com' } }), res)
+
+      // Assert
+      expect(res.statusCode).toBe(404)
+      expect(fetchMock).not.toHaveBeenCalled()
+    })
+
+    it('answers 500 when reading the request fails', async () => {
+      // Arrange
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      const handler = createHandler()
+      const req = createRequest()
+      req[Symbol.asyncIterator] = () => ({ next: () => Promise.reject(new Error('aborted')) })
+      const res = createResponse()
+
+      // Act
+      await handler(req, res)
+
+      // Assert
+      expect(res.statusCode).toBe(500)
+      expect(res.body).toEqual({ code: 'internal_error', message: 'Contact service error' })
+      expect(fetchMock).not.toHaveBeenCalled()
+      vi.restoreAllMocks()
+    })
+
+    it('returns 500 when the API key is not configured', async () => {
+      // Arrange
+      const handler = createHandler({ apiKey: undefined })
+      const res = createResponse()
+
+      // Act
+      await handler(createRequest({ body: { email: 'john@example.com' } }), res)
+
+      // Assert
+      expect(res.statusCode).toBe(500)
+      expect(JSON.stringify(res.body)).not.toContain('BREVO_API_KEY')
+      expect(fetchMock).not.toHaveBeenCalled()
+    })
+
+    it('sanitizes the payload', () => {
+      expect(validateContactPayload({ email: ' a@example.com ' })).toEqual({
+        email: 'a@example.com',
+        attributes: {}
+      })
+    })
+
+    it('accepts every attribute the contact form sends', () => {
+      // Arrange
+      const attributes = {
+        message: 'Hi',
+        ...getAttributionAttributes(getAttributionFields({
+          firstTouch: { referrer: 'https://example.com', landingPath: '/', timestamp: '2026-10-18T08:00:00.000Z' },
+          lastTouch: {
+            utm: Object.fromEntries(UTM_PARAMS.map(param => [param, 'x'])),
+            timestamp: '2026-10-18T09:00:00.000Z'
+          }
+        })),
+        ...getQualificationAttributes({ teamSize: '1-5', role: 'cto', cicdMaturity: 'ci', timeline: 'now' }),
+        ...getAttachmentAttributes([new File(['x'], 'brief.pdf')]),
+        ...getConsentAttributes({ source: 'https://example.com/' })
+      }
+
+      // Act
+      const contact = validateContactPayload({ email: 'a@example.com', firstName: 'A', attributes })
+
+      // Assert
+      expect(contact.attributes).toEqual(attributes)
+    })
+  })
+
+  describe('validateAttributeUpdate', () => {
+    it('only accepts updatable attributes with string values', () => {
+      // Assert
+      expect(validateAttributeUpdate({ email: ' a@example.com ', attributes: { MEETING_SLOT: 'x' } }))
+        .toEqual({ email: 'a@example.com', attributes: { MEETING_SLOT: 'x' } })
+      expect(() => validateAttributeUpdate({ email: 'a@example.com', attributes: { CONSENT_VERSION: 'x' } }))
+        .toThrow('Attribute cannot be updated: CONSENT_VERSION')
+      expect(() => validateAttributeUpdate({ email: 'a@example.com', attributes: {} })).toThrow('non-empty')
+      expect(() => validateAttributeUpdate({ email: 'a@example.com', attributes: { MEETING_SLOT: 1 } })).toThrow('Invalid value')
+      expect(() => validateAttributeUpdate({ email: 'a@example.com', firstName: 'A', attributes: { MEETING_SLOT: 'x' } }))
+        .toThrow('Unknown field: firstName')
+    })
+  })
+
+  describe('rate limiting', () => {
+    it('answers 429 with Retry-After once the limit is reached', async () => {
+      // Arrange
+      const handler = createHandler({ rateLimiter: createRateLimiter({ max: 2, windowMs: 60000 }) })
+      const statuses = []
+      let last
+
+      // Act
+      for (let i = 0; i < 3; i++) {
+        last = createResponse()
+        await handler(createRequest({ body: { email: 'john@example.com' } }), last)
+        statuses.push(last.statusCode)
+      }
+
+      // Assert
+      expect(statuses).toEqual([201, 201, 429])
+      expect(Number(last.headers['retry-after'])).toBeGreaterThan(0)
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+    })
+
+    it('limits clients independently by the address the trusted proxy forwarded', async () => {
+      // Arrange
+      const handler = createHandler({ rateLimiter: createRateLimiter({ max: 1 }), trustedProxyHops: 1 })
+      const first = createResponse()
+      const second = createResponse()
+
+      // Act
+      await handler(createRequest({ body: { email: 'a@example.com' }, headers: { 'x-forwarded-for': '1.1.1.1' } }), first)
+      await handler(createRequest({ body: { email: 'b@example.com' }, headers: { 'x-forwarded-for': '10.0.0.1, 2.2.2.2' } }), second)
+
+      // Assert
+      expect(first.statusCode).toBe(201)
+      expect(second.statusCode).toBe(201)
+    })
+
+    it('ignores X-Forwarded-For entries the client added', async () => {
+      // Arrange
+      const handler = createHandler({ rateLimiter: createRateLimiter({ max: 1 }), trustedProxyHops: 1 })
+      const first = createResponse()
+      const second = createResponse()
+
+      // Act
+      await handler(createRequest({ body: { email: 'a@example.com' }, headers: { 'x-forwarded-for': '6.6.6.1, 1.1.1.1' } }), first)
+      await handler(createRequest({ body: { email: 'a@example.com' }, headers: { 'x-forwarded-for': '6.6.6.2, 1.1.1.1' } }), second)
+
+      // Assert
+      expect(first.statusCode).toBe(201)
+      expect(second.statusCode).toBe(429)
+    })
+
+    it('keys by the socket address when no proxy is trusted', async () => {
+      // Arrange
+      const handler = createHandler({ rateLimiter: createRateLimiter({ max: 1 }) })
+      const first = createResponse()
+      const second = createResponse()
+
+      // Act
+      await handler(createRequest({ body: { email: 'a@example.com' }, headers: { 'x-forwarded-for': '1.1.1.1' } }), first)
+      await handler(createRequest({ body: { email: 'a@example.com' }, headers: { 'x-forwarded-for': '2.2.2.2' } }), second)
+
+      // Assert
+      expect(first.statusCode).toBe(201)
+      expect(second.statusCode).toBe(429)
+    })
+
+    it('opens a new window after windowMs', () => {
+      // Arrange
+      let time = 0
+      const limiter = createRateLimiter({ max: 1, windowMs: 1000, now: () => time })
+
+      // Act
+      const first = limiter.check('client')
+      const blocked = limiter.check('client')
+      time = 1000
+      const afterWindow = limiter.check('client')
+
+      // Assert
+      expect(first.allowed).toBe(true)
+      expect(blocked).toEqual({ allowed: false, retryAfterMs: 1000 })
+      expect(afterWindow.allowed).toBe(true)
+    })
+  })
+
+  describe('getProxyConfigFromEnv', () => {
+    it('reads server-side variables', () => {
+      expect(getProxyConfigFromEnv({
+        BREVO_API_KEY: 'key',
+        BREVO_LIST_IDS: '2,5',
+        BREVO_DOI_TEMPLATE_ID: '8',
+        BREVO_DOI_REDIRECT_URL: 'https://example.com/confirmed'
+      })).toEqual({
+        apiKey: 'key',
+        listIds: [2, 5],
+        doubleOptIn: { templateId: 8, redirectionUrl: 'https://example.com/confirmed' }
+      })
+    })
+
+    it('leaves double opt-in off when incomplete', () => {
+      expect(getProxyConfigFromEnv({ BREVO_API_KEY: 'key' }).doubleOptIn).toBeNull()
+    })
+
+    it('reads the number of trusted proxy hops', () => {
+      expect(getProxyConfigFromEnv({ BREVO_TRUSTED_PROXY_HOPS: '2' }).trustedProxyHops).toBe(2)
+      expect(getProxyConfigFromEnv({ BREVO_TRUSTED_PROXY_HOPS: '0' }).trustedProxyHops).toBe(0)
+      expect(getProxyConfigFromEnv({})).not.toHaveProperty('trustedProxyHops')
+    })
+  })
+})
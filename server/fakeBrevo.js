@@ -0,0 +1,625 @@
+/**
+ * Fake Brevo API
+ *
+ * In-memory stand-in for the Brevo v3 endpoints BrevoClient uses (contacts,
+ * lists, double opt-in, import/export, events, SMTP). Responds with Brevo's status codes and error
+ * shapes, keeps state in memory and supports fault injection.
+ *
+ * - Tests: `new BrevoClient('key', { fetch: fake.fetch })`
+ * - Local development: `npm run dev` serves it at /__fake-brevo/v3; set
+ *   VITE_BREVO_BASE_URL=/__fake-brevo/v3 and any non-empty VITE_BREVO_API_KEY.
+ */
+
+import { EMAIL_REGEX } from '../src/services/brevo.js'
+
+export const FAKE_BREVO_BASE_URL = 'https://api.brevo.com/v3'
+
+const DEFAULT_LISTS = [{ id: 2, name: 'Contact form' }]
+
+function error(status, code, message) {
+  return { status, body: { code, message } }
+}
+
+function isEmail(value) {
+  return typeof value === 'string' && EMAIL_REGEX.test(value)
+}
+
+function normalizeAttributes(attributes = {}) {
+  return Object.fromEntries(
+    Object.entries(attributes).map(([key, value]) => [key.toUpperCase(), value])
+  )
+}
+
+function matchesFault(fault, method, path) {
+  if (fault.method && fault.method.toUpperCase() !== method) {
+    return false
+  }
+  if (fault.path instanceof RegExp) {
+    return fault.path.test(path)
+  }
+  return !fault.path || path === fault.path || path.startsWith(`${fault.path}/`)
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timeoutId)
+      const abortError = new Error('The operation was aborted')
+      abortError.name = 'AbortError'
+      reject(abortError)
+    }
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener?.('abort', abort)
+      resolve()
+    }, ms)
+    if (signal?.aborted) {
+      abort()
+      return
+    }
+    signal?.addEventListener?.('abort', abort)
+  })
+}
+
+/**
+ * Creates a fake Brevo API instance
+ * @param {Object} options - Fake options
+ * @param {string} options.apiKey - Accepted API key (any non-empty key when omitted)
+ * @param {Array} options.lists - Initial lists, `[{ id, name }]`
+ * @param {Object} options.rateLimit - `{ limit, windowMs }` to simulate rate limiting
+ * @param {string} options.baseUrl - URL prefix `fetch` strips from request URLs
+ * @param {Function} options.now - Clock (for tests)
+ */
+export function createFakeBrevo({
+  apiKey,
+  lists = DEFAULT_LISTS,
+  rateLimit = null,
+  baseUrl = FAKE_BREVO_BASE_URL,
+  now = Date.now,
+} = {}) {
+  const basePath = new URL(baseUrl, 'http://localhost').pathname.replace(/\/+$/, '')
+  const state = {}
+  let faults = []
+  let nextContactId
+  let nextMessageId
+  let nextProcessId
+  let rateWindow
+
+  function reset() {
+    state.contacts = new Map()
+    state.lists = new Map(lists.map(list => [list.id, { ...list }]))
+    state.pendingConfirmations = new Map()
+    state.emails = []
+    state.imports = []
+    state.events = []
+    state.requests = []
+    faults = []
+    nextContactId = 1
+    nextMessageId = 1
+    nextProcessId = 1
+    rateWindow = { count: 0, resetAt: now() + (rateLimit?.windowMs ?? 0) }
+  }
+
+  function findContact(identifier) {
+    const decoded = decodeURIComponent(identifier)
+    if (/^\d+$/.test(decoded)) {
+      return [...state.contacts.values()].find(contact => contact.id === Number(decoded))
+    }
+    return state.contacts.get(decoded.toLowerCase())
+  }
+
+  function serializeContact(contact) {
+    return { ...contact, listIds: [...contact.listIds] }
+  }
+
+  function addToLists(contact, listIds = []) {
+    listIds.forEach(id => contact.listIds.add(id))
+  }
+
+  function unknownList(listIds = []) {
+    return listIds.find(id => !state.lists.has(id))
+  }
+
+  function createContact(body) {
+    if (!isEmail(body.email)) {
+      return error(400, 'invalid_parameter', 'Invalid email address')
+    }
+
+    const missingList = unknownList(body.listIds)
+    if (missingList !== undefined) {
+      return error(400, 'invalid_parameter', `List ID ${missingList} does not exist`)
+    }
+
+    const attributes = normalizeAttributes({
+      ...(body.firstName && { FIRSTNAME: body.firstName }),
+      ...(body.lastName && { LASTNAME: body.lastName }),
+      ...body.attributes,
+    })
+
+    const existing = state.contacts.get(body.email.toLowerCase())
+    if (existing) {
+      if (!body.updateEnabled) {
+        return error(409, 'duplicate_parameter', 'Unable to create contact, email is already associated with another Contact')
+      }
+      Object.assign(existing.attributes, attributes)
+      addToLists(existing, body.listIds)
+      existing.modifiedAt = new Date(now()).toISOString()
+      return { status: 204, body: null }
+    }
+
+    const timestamp = new Date(now()).toISOString()
+    const contact = {
+      id: nextContactId++,
+      email: body.email,
+      emailBlacklisted: false,
+      attributes,
+      listIds: new Set(),
+      createdAt: timestamp,
+      modifiedAt: timestamp,
+    }
+    addToLists(contact, body.listIds)
+    state.contacts.set(body.email.toLowerCase(), contact)
+
+    return { status: 201, body: { id: contact.id } }
+  }
+
+  function updateContact(contact, body) {
+    const missingList = unknownList([...(body.listIds || []), ...(body.unlinkListIds || [])])
+    if (missingList !== undefined) {
+      return error(400, 'invalid_parameter', `List ID ${missingList} does not exist`)
+    }
+
+    Object.assign(contact.attributes, normalizeAttributes({
+      ...(body.firstName && { FIRSTNAME: body.firstName }),
+      ...(body.lastName && { LASTNAME: body.lastName }),
+      ...body.attributes,
+    }))
+    addToLists(contact, body.listIds)
+    for (const id of body.unlinkListIds || []) {
+      contact.listIds.delete(id)
+    }
+    if (typeof body.emailBlacklisted === 'boolean') {
+      contact.emailBlacklisted = body.emailBlacklisted
+    }
+    contact.modifiedAt = new Date(now()).toISOString()
+
+    return { status: 204, body: null }
+  }
+
+  function doubleOptIn(body) {
+    if (!isEmail(body.email)) {
+      return error(400, 'invalid_parameter', 'Invalid email address')
+    }
+    if (!Array.isArray(body.includeListIds) || body.includeListIds.length === 0) {
+      return error(400, 'missing_parameter', 'includeListIds is missing')
+    }
+    if (!Number.isInteger(body.templateId)) {
+      return error(400, 'missing_parameter', 'templateId is missing')
+    }
+    if (!body.redirectionUrl) {
+      return error(400, 'missing_parameter', 'redirectionUrl is missing')
+    }
+
+    const missingList = unknownList(body.includeListIds)
+    if (missingList !== undefined) {
+      return error(400, 'invalid_parameter', `List ID ${missingList} does not exist`)
+    }
+
+    const exists = state.contacts.has(body.email.toLowerCase())
+    state.pendingConfirmations.set(body.email.toLowerCase(), {
+      email: body.email,
+      attributes: normalizeAttributes(body.attributes),
+      listIds: body.includeListIds,
+      templateId: body.templateId,
+      redirectionUrl: body.redirectionUrl,
+    })
+
+    return exists ? { status: 204, body: null } : { status: 201, body: {} }
+  }
+
+  function updateListMembership(listId, action, body) {
+    if (!state.lists.has(listId)) {
+      return error(404, 'document_not_found', 'List ID does not exist')
+    }
+    if (!Array.isArray(body.emails) || body.emails.length === 0) {
+      return error(400, 'invalid_parameter', 'emails is missing')
+    }
+
+    const success = []
+    const failure = []
+    for (const email of body.emails) {
+      const contact = isEmail(email) ? state.contacts.get(email.toLowerCase()) : undefined
+      let changed = false
+      if (contact && action === 'add' && !contact.listIds.has(listId)) {
+        contact.listIds.add(listId)
+        changed = true
+      } else if (contact && action === 'remove') {
+        changed = contact.listIds.delete(listId)
+      }
+
+      if (changed) {
+        success.push(email)
+      } else {
+        failure.push(email)
+      }
+    }
+
+    if (success.length === 0) {
+      return error(400, 'invalid_parameter', action === 'add'
+        ? 'Contact already in list and/or does not exist'
+        : 'Contact does not exist in list')
+    }
+
+    return { status: 201, body: { contacts: { success, failure } } }
+  }
+
+  // Real imports run in the background; the fake applies them immediately
+  function importContacts(body) {
+    const rows = Array.isArray(body.jsonBody) ? body.jsonBody : null
+    if (!rows && typeof body.fileBody !== 'string') {
+      return error(400, 'missing_parameter', 'fileBody or jsonBody is missing')
+    }
+    if (rows && !rows.every(row => isEmail(row?.email))) {
+      return error(400, 'invalid_parameter', 'jsonBody contains an invalid email address')
+    }
+
+    const missingList = unknownList(body.listIds)
+    if (missingList !== undefined) {
+      return error(400, 'invalid_parameter', `List ID ${missingList} does not exist`)
+    }
+
+    for (const row of rows || []) {
+      createContact({
+        email: row.email,
+        attributes: row.attributes,
+        listIds: body.listIds,
+        updateEnabled: body.updateExistingContacts !== false,
+      })
+    }
+
+    const processId = nextProcessId++
+    state.imports.push({ processId, ...body })
+
+    return { status: 202, body: { processId } }
+  }
+
+  function listContacts(contacts, query) {
+    const limit = Number(query.get('limit') ?? 50)
+    const offset = Number(query.get('offset') ?? 0)
+    if (!Number.isInteger(limit) || limit < 0 || limit > 1000) {
+      return error(400, 'out_of_range', 'limit should be between 0 and 1000')
+    }
+
+    return {
+      status: 200,
+      body: {
+        contacts: contacts.slice(offset, offset + limit).map(serializeContact),
+        count: contacts.length,
+      },
+    }
+  }
+
+  function invalidEvent(event) {
+    if (!event || typeof event.event_name !== 'string' || !event.event_name) {
+      return 'event_name is missing'
+    }
+    const { email_id: emailId, ext_id: extId } = event.identifiers || {}
+    if (!emailId && !extId) {
+      return 'identifiers is missing'
+    }
+    if (emailId && !isEmail(emailId)) {
+      return 'identifiers.email_id is invalid'
+    }
+    return null
+  }
+
+  function trackEvents(events) {
+    const invalid = events.map(invalidEvent).find(Boolean)
+    if (invalid) {
+      return error(400, 'invalid_parameter', invalid)
+    }
+
+    for (const event of events) {
+      state.events.push({ ...event, event_date: event.event_date || new Date(now()).toISOString() })
+    }
+
+    return { status: 204, body: null }
+  }
+
+  function sendEmail(body) {
+    const recipients = Array.isArray(body.to) ? body.to : []
+    if (recipients.length === 0 || !recipients.every(recipient => isEmail(recipient?.email))) {
+      return error(400, 'invalid_parameter', 'to is missing or contains an invalid email address')
+    }
+    if (!Number.isInteger(body.templateId) && !(body.subject && body.htmlContent && body.sender)) {
+      return error(400, 'missing_parameter', 'templateId or subject, htmlContent and sender are required')
+    }
+    if (body.replyTo && !isEmail(body.replyTo.email)) {
+      return error(400, 'invalid_parameter', 'replyTo email is invalid')
+    }
+
+    const messageId = `<${now()}.${nextMessageId++}@smtp-relay.fake-brevo.local>`
+    state.emails.push({ ...body, messageId })
+
+    return { status: 201, body: { messageId } }
+  }
+
+  function route(method, path, body, query) {
+    let match
+
+    if (path === '/contacts' && method === 'POST') {
+      return createContact(body)
+    }
+
+    if (path === '/contacts' && method === 'GET') {
+      return listContacts([...state.contacts.values()], query)
+    }
+
+    if (path === '/contacts/import' && method === 'POST') {
+      return importContacts(body)
+    }
+
+    if (path === '/contacts/doubleOptinConfirmation' && method === 'POST') {
+      return doubleOptIn(body)
+    }
+
+    if (path === '/contacts/lists' && method === 'GET') {
+      return {
+        status: 200,
+        body: {
+          lists: [...state.lists.values()].map(list => ({
+            ...list,
+            uniqueSubscribers: [...state.contacts.values()].filter(contact => contact.listIds.has(list.id)).length,
+          })),
+          count: state.lists.size,
+        },
+      }
+    }
+
+    if ((match = path.match(/^\/contacts\/lists\/(\d+)\/contacts$/)) && method === 'GET') {
+      const listId = Number(match[1])
+      if (!state.lists.has(listId)) {
+        return error(404, 'document_not_found', 'List ID does not exist')
+      }
+      return listContacts([...state.contacts.values()].filter(contact => contact.listIds.has(listId)), query)
+    }
+
+    if ((match = path.match(/^\/contacts\/lists\/(\d+)\/contacts\/(add|remove)$/)) && method === 'POST') {
+      return updateListMembership(Number(match[1]), match[2], body)
+    }
+
+    if ((match = path.match(/^\/contacts\/([^/]+)$/))) {
+      const contact = findContact(match[1])
+      if (!['GET', 'PUT', 'DELETE'].includes(method)) {
+        return error(405, 'method_not_allowed', 'Method not allowed')
+      }
+      if (!contact) {
+        return error(404, 'document_not_found', 'Contact does not exist')
+      }
+      if (method === 'GET') {
+        return { status: 200, body: serializeContact(contact) }
+      }
+      if (method === 'PUT') {
+        return updateContact(contact, body)
+      }
+      state.contacts.delete(contact.email.toLowerCase())
+      return { status: 204, body: null }
+    }
+
+    if (path === '/events' && method === 'POST') {
+      return trackEvents([body])
+    }
+
+    if (path === '/events/batch' && method === 'POST') {
+      return Array.isArray(body) && body.length > 0
+        ? trackEvents(body)
+        : error(400, 'invalid_parameter', 'Body must be a non-empty array of events')
+    }
+
+    if (path === '/smtp/email' && method === 'POST') {
+      return sendEmail(body)
+    }
+
+    return error(404, 'not_found', `No route for ${method} ${path}`)
+  }
+
+  function rateLimitHeaders() {
+    if (!rateLimit) {
+      return {}
+    }
+
+    const time = now()
+    if (time >= rateWindow.resetAt) {
+      rateWindow = { count: 0, resetAt: time + rateLimit.windowMs }
+    }
+    rateWindow.count += 1
+
+    return {
+      'x-sib-ratelimit-limit': String(rateLimit.limit),
+      'x-sib-ratelimit-remaining': String(Math.max(0, rateLimit.limit - rateWindow.count)),
+      'x-sib-ratelimit-reset': String(Math.ceil((rateWindow.resetAt - time) / 1000)),
+    }
+  }
+
+  /**
+   * Handles one request
+   * @param {Object} request - `{ method, path, headers, body }` (body as parsed JSON or string)
+   * @returns {Promise<{ status: number, headers: Object, body: Object|null, networkError?: boolean }>}
+   */
+  async function handle({ method = 'GET', path, headers = {}, body, signal }) {
+    method = method.toUpperCase()
+    const pathname = path.split('?')[0]
+    state.requests.push({ method, path: pathname, body })
+
+    const faultIndex = faults.findIndex(fault => matchesFault(fault, method, pathname))
+    if (faultIndex !== -1) {
+      const fault = faults[faultIndex]
+      fault.remaining -= 1
+      if (fault.remaining <= 0) {
+        faults.splice(faultIndex, 1)
+      }
+      if (fault.delayMs) {
+        await wait(fault.delayMs, signal)
+      }
+      if (fault.networkError) {
+        return { networkError: true }
+      }
+      if (fault.status) {
+        return { status: fault.status, headers: fault.headers || {}, body: fault.body ?? null }
+      }
+    }
+
+    const limitHeaders = rateLimitHeaders()
+    if (rateLimit && rateWindow.count > rateLimit.limit) {
+      return {
+        status: 429,
+        headers: limitHeaders,
+        body: { code: 'too_many_requests', message: 'The expected rate limit is exceeded.' },
+      }
+    }
+
+    const key = headers['api-key']
+    if (!key || (apiKey && key !== apiKey)) {
+      return { status: 401, headers: limitHeaders, body: { code: 'unauthorized', message: 'Key not found' } }
+    }
+
+    let parsedBody = body
+    if (typeof body === 'string') {
+      try {
+        parsedBody = body ? JSON.parse(body) : {}
+      } catch {
+        return { status: 400, headers: limitHeaders, body: { code: 'bad_request', message: 'Invalid JSON body' } }
+      }
+    }
+
+    const query = new URLSearchParams(path.split('?')[1] || '')
+    const result = route(method, pathname, parsedBody || {}, query)
+    return { ...result, headers: { ...limitHeaders, ...result.headers } }
+  }
+
+  /**
+   * fetch-compatible entry point for BrevoClient's `fetch` option
+   */
+  async function fakeFetch(input, init = {}) {
+    const url = new URL(typeof input === 'string' ? input : input.url, 'http://localhost')
+    const path = url.pathname.startsWith(basePath)
+      ? url.pathname.slice(basePath.length) || '/'
+      : url.pathname
+
+    const headers = Object.fromEntries(
+      Object.entries(init.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    )
+
+    const result = await handle({
+      method: init.method,
+      path: `${path}${url.search}`,
+      headers,
+      body: init.body,
+      signal: init.signal,
+    })
+
+    if (result.networkError) {
+      throw new TypeError('Failed to fetch')
+    }
+
+    return new Response(result.status === 204 || result.body === null ? null : JSON.stringify(result.body), {
+      status: result.status,
+      headers: { 'content-type': 'application/json', ...result.headers },
+    })
+  }
+
+  reset()
+
+  return {
+    state,
+    fetch: fakeFetch,
+    handle,
+    reset,
+
+    /**
+     * Makes matching requests fail
+     * @param {Object} fault - Fault definition
+     * @param {string} fault.method - HTTP method to match (any when omitted)
+     * @param {string|RegExp} fault.path - Path (or prefix) to match (any when omitted)
+     * @param {number} fault.status - Status to answer with
+     * @param {Object} fault.headers - Response headers (e.g. `{ 'retry-after': '1' }`)
+     * @param {Object} fault.body - Response body
+     * @param {boolean} fault.networkError - Reject like a failed network request instead
+     * @param {number} fault.delayMs - Delay before answering (aborts like fetch on signal)
+     * @param {number} fault.times - Number of requests to affect (default 1)
+     */
+    injectFault(fault) {
+      faults.push({ ...fault, remaining: fault.times ?? 1 })
+    },
+
+    clearFaults() {
+      faults = []
+    },
+
+    /**
+     * Simulates the visitor clicking the double opt-in confirmation link
+     * @returns {boolean} Whether a pending confirmation existed
+     */
+    confirmDoubleOptIn(email) {
+      const pending = state.pendingConfirmations.get(email.toLowerCase())
+      if (!pending) {
+        return false
+      }
+
+      state.pendingConfirmations.delete(email.toLowerCase())
+      const existing = state.contacts.get(email.toLowerCase())
+      if (existing) {
+        Object.assign(existing.attributes, pending.attributes)
+        addToLists(existing, pending.listIds)
+      } else {
+        createContact({ email: pending.email, attributes: pending.attributes, listIds: pending.listIds })
+      }
+      return true
+    },
+
+    getContact(email) {
+      const contact = state.contacts.get(email.toLowerCase())
+      return contact ? serializeContact(contact) : null
+    },
+  }
+}
+
+/**
+ * Connect/Vite middleware serving a fake Brevo instance over HTTP
+ * @param {Object} fake - Instance from createFakeBrevo
+ * @returns {Function} `(req, res) => Promise<void>` middleware
+ */
+export function createFakeBrevoMiddleware(fake) {
+  return async function fakeBrevoMiddleware(req, res) {
+    const chunks = []
+    for await (const chunk of req) {
+      chunks.push(chunk)
+    }
+
+    const result = await fake.handle({
+      method: req.method,
+      path: req.url || '/',
+      headers: req.headers,
+      body: Buffer.concat(chunks).toString('utf8'),
+    })
+
+    if (result.networkError) {
+      req.socket?.destroy()
+      return
+    }
+
+    res.statusCode = result.status
+    for (const [name, value] of Object.entries(result.headers || {})) {
+      res.setHeader(name, value)
+    }
+
+    if (result.status === 204 || result.body === null) {
+      res.end()
+      return
+    }
+
+    res.setHeader('content-type', 'application/json')
+    res.end(JSON.stringify(result.body))
+  }
+}
+
+export default createFakeBrevo
@@ -0,0 +1,309 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Readable } from 'node:stream'
+import { createFakeBrevo, createFakeBrevoMiddleware } from './fakeBrevo.js'
+import { BrevoClient } from '../src/services/brevo.js'
+
+describe('Fake Brevo API', () => {
+  let fake
+  let brevo
+
+  beforeEach(() => {
+    fake = createFakeBrevo({ lists: [{ id: 2, name: 'Contact form' }, { id: 3, name: 'Events' }] })
+    brevo = new BrevoClient('fake-key', { fetch: fake.fetch, retry: { baseDelayMs: 0 } })
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  describe('contacts', () => {
+    it('creates, reads, updates and deletes a contact', async () => {
+      // Act
+      const created = await brevo.createContact({
+        email: 'john@example.com',
+        firstName: 'John',
+        attributes: { message: 'Hi' }
+      })
+      const fetched = await brevo.getContact('john@example.com')
+      const updated = await brevo.updateContact(created.data.id, { attributes: { message: 'Hello again' } })
+      const afterUpdate = await brevo.getContact(created.data.id)
+      const deleted = await brevo.deleteContact('john@example.com')
+      const afterDelete = await brevo.getContact('john@example.com')
+
+      // Assert
+      expect(created).toEqual({ success: true, data: { id: 1, email: 'john@example.com' } })
+      expect(fetched.data.attributes).toEqual({ FIRSTNAME: 'John', MESSAGE: 'Hi' })
+      expect(updated.success).toBe(true)
+      expect(afterUpdate.data.attributes.MESSAGE).toBe('Hello again')
+      expect(deleted.success).toBe(true)
+      expect(afterDelete).toMatchObject({ success: false, error: 'Contact not found' })
+    })
+
+    it('answers 409 for duplicates and 204 for upserts', async () => {
+      // Arrange
+      await brevo.createContact({ email: 'john@example.com', attributes: { message: 'First' } })
+
+      // Act
+      const duplicate = await brevo.createContact({ email: 'john@example.com' })
+      const upserted = await brevo.createContact({
+        email: 'john@example.com',
+        attributes: { message: 'Second' },
+        upsert: true
+      })
+
+      // Assert
+      expect(duplicate.data.duplicate).toBe(true)
+      expect(upserted.data.updated).toBe(true)
+      expect(fake.getContact('john@example.com').attributes.MESSAGE).toBe('Second')
+    })
+
+    it('answers 400 for invalid input', async () => {
+      // Act
+      const response = await fake.fetch('https://api.brevo.com/v3/contacts', {
+        method: 'POST',
+        headers: { 'api-key': 'fake-key' },
+        body: JSON.stringify({ email: 'not-an-email' })
+      })
+
+      // Assert
+      expect(response.status).toBe(400)
+      expect(await response.json()).toEqual({ code: 'invalid_parameter', message: 'Invalid email address' })
+    })
+
+    it('answers 401 without a valid API key', async () => {
+      // Arrange
+      const strict = createFakeBrevo({ apiKey: 'right-key' })
+      const client = new BrevoClient('wrong-key', { fetch: strict.fetch })
+
+      // Act
+      const result = await client.createContact({ email: 'john@example.com' })
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'Invalid API key' })
+    })
+  })
+
+  describe('lists and double opt-in', () => {
+    it('adds and removes contacts from lists', async () => {
+      // Arrange
+      await brevo.createContact({ email: 'a@example.com' })
+
+      // Act
+      const added = await brevo.addContactsToList(3, ['a@example.com', 'ghost@example.com'])
+      const inList = fake.getContact('a@example.com').listIds
+      const removed = await brevo.removeContactsFromList(3, 'a@example.com')
+
+      // Assert
+      expect(added.data).toEqual({ listId: 3, success: ['a@example.com'], failure: ['ghost@example.com'] })
+      expect(inList).toEqual([3])
+      expect(removed.success).toBe(true)
+      expect(fake.getContact('a@example.com').listIds).toEqual([])
+    })
+
+    it('answers 404 for unknown lists', async () => {
+      // Act
+      const result = await brevo.addContactsToList(99, 'a@example.com')
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'List not found' })
+    })
+
+    it('only subscribes double opt-in contacts after confirmation', async () => {
+      // Arrange
+      const client = new BrevoClient('fake-key', {
+        fetch: fake.fetch,
+        listIds: [2],
+        doubleOptIn: { templateId: 8, redirectionUrl: 'https://example.com/confirmed' }
+      })
+
+      // Act
+      const result = await client.createDoubleOptInContact({ email: 'john@example.com' })
+      const beforeConfirmation = fake.getContact('john@example.com')
+      fake.confirmDoubleOptIn('john@example.com')
+
+      // Assert
+      expect(result.success).toBe(true)
+      expect(beforeConfirmation).toBeNull()
+      expect(fake.getContact('john@example.com').listIds).toEqual([2])
+    })
+  })
+
+  describe('import and export', () => {
+    it('applies imports immediately and lists contacts page by page', async () => {
+      // Act
+      const imported = await brevo.importContacts([
+        { email: 'a@example.com', Company: 'Acme' },
+        { email: 'b@example.com', Company: 'Globex' },
+        { email: 'c@example.com' }
+      ], { listIds: [3] })
+      const firstPage = await fake.fetch('https://api.brevo.com/v3/contacts/lists/3/contacts?limit=2&offset=0', {
+        headers: { 'api-key': 'fake-key' }
+      })
+
+      // Assert
+      expect(imported.data.processId).toBe(1)
+      expect(fake.getContact('a@example.com')).toMatchObject({ attributes: { COMPANY: 'Acme' }, listIds: [3] })
+      const body = await firstPage.json()
+      expect(body.count).toBe(3)
+      expect(body.contacts.map(contact => contact.email)).toEqual(['a@example.com', 'b@example.com'])
+    })
+
+    it('answers 400 for an import without contacts', async () => {
+      // Act
+      const response = await fake.fetch('https://api.brevo.com/v3/contacts/import', {
+        method: 'POST',
+        headers: { 'api-key': 'fake-key' },
+        body: JSON.stringify({ listIds: [2] })
+      })
+
+      // Assert
+      expect(response.status).toBe(400)
+    })
+  })
+
+  describe('SMTP', () => {
+    it('records sent transactional emails', async () => {
+      // Act
+      const result = await brevo.sendTransactionalEmail({
+        to: { email: 'john@example.com', name: 'John' },
+        templateId: 5,
+        params: { name: 'John' }
+      })
+
+      // Assert
+      expect(result.success).toBe(true)
+      expect(fake.state.emails).toHaveLength(1)
+      expect(fake.state.emails[0]).toMatchObject({
+        to: [{ email: 'john@example.com', name: 'John' }],
+        templateId: 5,
+        messageId: result.data.messageId
+      })
+    })
+
+    it('answers 400 when neither template nor content is given', async () => {
+      // Act
+      const response = await fake.fetch('https://api.brevo.com/v3/smtp/email', {
+        method: 'POST',
+        headers: { 'api-key': 'fake-key' },
+        body: JSON.stringify({ to: [{ email: 'john@example.com' }] })
+      })
+
+      // Assert
+      expect(response.status).toBe(400)
+    })
+  })
+
+  describe('rate limiting and fault injection', () => {
+    it('answers 429 with Brevo rate limit headers once the limit is exceeded', async () => {
+      // Arrange
+      let time = 0
+      const limited = createFakeBrevo({ rateLimit: { limit: 1, windowMs: 2000 }, now: () => time })
+      const request = () => limited.fetch('https://api.brevo.com/v3/contacts/lists', {
+        headers: { 'api-key': 'fake-key' }
+      })
+
+      // Act
+      const first = await request()
+      const second = await request()
+      time = 2000
+      const third = await request()
+
+      // Assert
+      expect(first.status).toBe(200)
+      expect(first.headers.get('x-sib-ratelimit-remaining')).toBe('0')
+      expect(second.status).toBe(429)
+      expect(second.headers.get('x-sib-ratelimit-reset')).toBe('2')
+      expect(third.status).toBe(200)
+    })
+
+    it('injects a status a limited number of times', async () => {
+      // Arrange
+      fake.injectFault({ method: 'POST', path: '/contacts', status: 503, times: 2 })
+
+      // Act
+      const result = await brevo.createContact({ email: 'john@example.com' })
+
+      // Assert
+      expect(result.success).toBe(true)
+      expect(fake.state.requests.filter(request => request.path === '/contacts')).toHaveLength(3)
+    })
+
+    it('injects network errors', async () => {
+      // Arrange
+      fake.injectFault({ networkError: true, times: 3 })
+
+      // Act
+      const result = await brevo.createContact({ email: 'john@example.com' })
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'Network error' })
+    })
+
+    it('injects delays that abort like fetch', async () => {
+      // Arrange
+      fake.injectFault({ delayMs: 1000 })
+      const controller = new AbortController()
+
+      // Act
+      const pending = fake.fetch('https://api.brevo.com/v3/contacts/lists', {
+        headers: { 'api-key': 'fake-key' },
+        signal: controller.signal
+      })
+      controller.abort()
+
+      // Assert
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' })
+    })
+
+    it('injects custom status, headers and body', async () => {
+      // Arrange
+      fake.injectFault({
+        path: /^\/contacts\//,
+        status: 429,
+        headers: { 'retry-after': '7' },
+        body: { code: 'too_many_requests' }
+      })
+
+      // Act
+      const response = await fake.fetch('https://api.brevo.com/v3/contacts/1', {
+        headers: { 'api-key': 'fake-key' }
+      })
+
+      // Assert
+      expect(response.status).toBe(429)
+      expect(response.headers.get('retry-after')).toBe('7')
+      expect(await response.json()).toEqual({ code: 'too_many_requests' })
+    })
+
+    it('resets state and faults', async () => {
+      // Arrange
+      await brevo.createContact({ email: 'john@example.com' })
+      fake.injectFault({ status: 500, times: 10 })
+
+      // Act
+      fake.reset()
+      const result = await brevo.createContact({ email: 'john@example.com' })
+
+      // Assert
+      expect(result.data).toEqual({ id: 1, email: 'john@example.com' })
+    })
+  })
+
+  describe('HTTP middleware', () => {
+    it('serves the fake over Node request/response objects', async () => {
+      // Arrange
+      const middleware = createFakeBrevoMiddleware(fake)
+      const req = Readable.from([Buffer.from(JSON.stringify({ email: 'john@example.com' }))])
+      req.method = 'POST'
+      req.url = '/contacts'
+      req.headers = { 'api-key': 'fake-key' }
+      const res = { statusCode: 0, headers: {}, setHeader(name, value) { res.headers[name] = value }, end: vi.fn() }
+
+      // Act
+      await middleware(req, res)
+
+      // Assert
+      expect(res.statusCode).toBe(201)
+      expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({ id: 1 })
+    })
+  })
+})
@@ -0,0 +1,69 @@
+/**
+ * Feature Flag Preview Tokens
+ *
+ * Signs the tokens that enable local flag overrides in production builds
+ * (src/services/flagOverrides.js). Only the public key is shipped to the
+ * browser (VITE_FLAG_PREVIEW_PUBLIC_KEY); keep the private key out of the repo.
+ *
+ *   npm run preview-token -- keys
+ *     Prints a new key pair
+ *   FLAG_PREVIEW_PRIVATE_KEY="$(cat preview-key.pem)" npm run preview-token -- sign 24 "QA review"
+ *     Prints a token valid for 24 hours, to share as ?ff_token=<token>&ff=...
+ */
+
+import { createPrivateKey, generateKeyPairSync, sign } from 'node:crypto'
+import { pathToFileURL } from 'node:url'
+
+const DEFAULT_VALID_HOURS = 24
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Generates a P-256 key pair for preview tokens
+ * @returns {{ publicKey: string, privateKey: string }} Base64 SPKI public key, PEM private key
+ */
+export function generatePreviewKeys() {
+  const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  }
+}
+
+/**
+ * Signs a preview token
+ * @param {string} privateKey - PEM private key from generatePreviewKeys
+ * @param {Object} options - Token options
+ * @param {number} options.validHours - Hours until the token expires
+ * @param {string} options.subject - Who or what the token is for (informational)
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {string} `<base64url payload>.<base64url signature>`
+ */
+export function signPreviewToken(privateKey, { validHours = DEFAULT_VALID_HOURS, subject, now = Date.now } = {}) {
+  const payload = { exp: now() + validHours * HOUR_MS, ...(subject && { sub: subject }) }
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url')
+  const signature = sign('sha256', Buffer.from(encodedPayload), {
+    key: createPrivateKey(privateKey),
+    // WebCrypto expects raw r||s signatures, not DER
+    dsaEncoding: 'ieee-p1363',
+  })
+  return `${encodedPayload}.${signature.toString('base64url')}`
+}
+
+function main([command, hours, subject], env) {
+  if (command === 'keys') {
+    const { publicKey, privateKey } = generatePreviewKeys()
+    console.log(`VITE_FLAG_PREVIEW_PUBLIC_KEY=${publicKey}\n\n${privateKey}`)
+    return 0
+  }
+  if (command === 'sign' && env.FLAG_PREVIEW_PRIVATE_KEY) {
+    const validHours = hours ? Number(hours) : DEFAULT_VALID_HOURS
+    console.log(signPreviewToken(env.FLAG_PREVIEW_PRIVATE_KEY, { validHours, subject }))
+    return 0
+  }
+  console.error('Usage: preview-token keys | FLAG_PREVIEW_PRIVATE_KEY=<pem> preview-token sign [hours] [subject]')
+  return 1
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exitCode = main(process.argv.slice(2), process.env)
+}
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest'
+import { createPublicKey, verify } from 'node:crypto'
+import { generatePreviewKeys, signPreviewToken } from './previewToken.js'
+
+describe('Preview Tokens', () => {
+  it('signs an expiring payload with the private key', () => {
+    // Arrange
+    const { publicKey, privateKey } = generatePreviewKeys()
+    const now = () => Date.parse('2026-10-18T12:00:00Z')
+
+    // Act
+    const token = signPreviewToken(privateKey, { validHours: 48, subject: 'Demo', now })
+
+    // Assert
+    const [payload, signature] = token.split('.')
+    expect(JSON.parse(Buffer.from(payload, 'base64url').toString())).toEqual({
+      exp: Date.parse('2026-10-20T12:00:00Z'),
+      sub: 'Demo'
+    })
+    const key = createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' })
+    expect(verify('sha256', Buffer.from(payload), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'))).toBe(true)
+  })
+})
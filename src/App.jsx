@@ -1,15 +1,14 @@
-import { useFlags } from 'launchdarkly-react-client-sdk'
+import { useFlag } from './hooks/useFlag'
+import { FLAGS } from './config/featureFlags'
 import Hero from './components/Hero'
 import Benefits from './components/Benefits'
 import ContactForm from './components/ContactForm'
 import ExampleWidget from './components/ExampleWidget'
+import FlagOverridesBadge from './components/FlagOverridesBadge'
 import './App.css'
 
 function App() {
-  const flags = useFlags()
-  // Handle both direct boolean and object with value property
-  const exampleWidgetFlag = flags?.['example-widget']
-  const exampleWidget = typeof exampleWidgetFlag === 'object' ? exampleWidgetFlag?.value : exampleWidgetFlag
+  const exampleWidget = useFlag(FLAGS.EXAMPLE_WIDGET)
 
   return (
     <div className="app">
@@ -17,6 +16,7 @@ function App() {
       <Hero />
       <Benefits />
       <ContactForm />
+      <FlagOverridesBadge />
     </div>
   )
 }
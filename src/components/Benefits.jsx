@@ -1,6 +1,8 @@
+import { useTrackView } from '../hooks/useEventTracking'
 import './Benefits.css'
 
 function Benefits() {
+  const sectionRef = useTrackView('benefits_viewed')
   const benefits = [
     {
       title: '10x Faster Development',
@@ -21,7 +23,7 @@ function Benefits() {
   ]
 
   return (
-    <section className="benefits">
+    <section className="benefits" ref={sectionRef}>
       <h2>Why Software Factory?</h2>
       <div className="benefits-grid">
         {benefits.map((benefit, index) => (
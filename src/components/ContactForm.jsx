@@ -1,48 +1,524 @@
-import { useForm, ValidationError } from '@formspree/react'
-import { useFlags } from 'launchdarkly-react-client-sdk'
+import { useEffect, useMemo, useReducer, useRef, useState } from 'react'
 import { BrevoClient } from '../services/brevo'
+import { getOutbox } from '../services/outbox'
+import { createBackends, POLICIES, resolveBackendConfig, submitToBackends } from '../services/submissionBackends'
+import {
+  SUBMISSION_STATES,
+  getRetryBackends,
+  getSubmissionStatus,
+  initialSubmissionState,
+  isDelivered,
+  reportPartialFailure,
+  submissionReducer
+} from '../services/submissionMachine'
+import { getSpamGuard, HONEYPOT_FIELD } from '../services/spamGuard'
+import { getAttributionAttributes, getAttributionFields, loadAttribution } from '../services/attribution'
+import {
+  ATTACHMENT_FIELD,
+  ATTACHMENT_LIMITS,
+  addAttachments,
+  formatFileSize,
+  getAttachmentAttributes,
+  getFileProgress
+} from '../services/attachments'
+import { createMeetingSubmission, recordMeetingSlot } from '../services/meetingScheduler'
+import { useEventTracking } from '../hooks/useEventTracking'
+import { useFlag } from '../hooks/useFlag'
+import { useFormDraft } from '../hooks/useFormDraft'
+import { FLAGS } from '../config/featureFlags'
+import { CONSENT_FIELD, MARKETING_CONSENT, getConsentAttributes } from '../config/marketingConsent'
+import { validateField, validateForm } from '../validation/formSchema'
+import {
+  CONTACT_FORM_SCHEMA,
+  QUALIFICATION_SCHEMA,
+  WIZARD_SCHEMA,
+  WIZARD_STEPS,
+  getQualificationAttributes
+} from '../validation/contactFormSchema'
+import MeetingScheduler from './MeetingScheduler'
 import './ContactForm.css'
 
+// Consent is deliberately not part of the draft: it must be given on the visit it is sent
+const DRAFT_FIELDS = ['name', 'email', 'message']
+
+function FieldError({ name, error }) {
+  if (!error) {
+    return null
+  }
+  return (
+    <p id={`${name}-error`} className="field-error">
+      {error}
+    </p>
+  )
+}
+
+// Groups a wizard step's fields; without the wizard the fields render as-is
+function FormStep({ wizard, active, title, children }) {
+  if (!wizard) {
+    return children
+  }
+  return (
+    <fieldset className="form-step" hidden={!active}>
+      <legend>{title}</legend>
+      {children}
+    </fieldset>
+  )
+}
+
+function WizardProgress({ step }) {
+  return (
+    <div className="wizard-progress">
+      <p className="wizard-progress-label">
+        Step {step + 1} of {WIZARD_STEPS.length}: {WIZARD_STEPS[step].title}
+      </p>
+      <ol>
+        {WIZARD_STEPS.map((item, index) => (
+          <li
+            key={item.id}
+            className={index < step ? 'done' : index === step ? 'active' : undefined}
+            aria-current={index === step ? 'step' : undefined}
+          >
+            {item.title}
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+// Optional files: picked or dropped, kept in state and appended to the form data on submit
+function AttachmentField({ files, errors, progress, disabled, onAdd, onRemove }) {
+  const [dragging, setDragging] = useState(false)
+
+  const onDragOver = (e) => {
+    e.preventDefault()
+    setDragging(true)
+  }
+
+  const onDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    if (!disabled) {
+      onAdd([...e.dataTransfer.files])
+    }
+  }
+
+  const onPick = (e) => {
+    onAdd([...e.target.files])
+    // Lets the same file be picked again after it was removed
+    e.target.value = ''
+  }
+
+  return (
+    <div className="form-group">
+      <label htmlFor={ATTACHMENT_FIELD}>
+        Attachments (optional)
+      </label>
+      <div
+        className={dragging ? 'attachment-dropzone dragging' : 'attachment-dropzone'}
+        onDragOver={onDragOver}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        data-testid="attachment-dropzone"
+      >
+        <p>Drop architecture diagrams or RFP documents here, or choose files.</p>
+        <input
+          id={ATTACHMENT_FIELD}
+          type="file"
+          multiple
+          accept={ATTACHMENT_LIMITS.extensions.join(',')}
+          disabled={disabled}
+          onChange={onPick}
+          aria-describedby={`${ATTACHMENT_FIELD}-hint`}
+        />
+        <p id={`${ATTACHMENT_FIELD}-hint`} className="attachment-hint">
+          Up to {ATTACHMENT_LIMITS.maxFiles} files, {formatFileSize(ATTACHMENT_LIMITS.maxFileBytes)} each:
+          PDF, images, Office documents or text.
+        </p>
+      </div>
+
+      {errors.length > 0 && (
+        <ul id={`${ATTACHMENT_FIELD}-error`} className="field-error attachment-errors" role="alert">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {files.length > 0 && (
+        <ul className="attachment-list">
+          {files.map((file, index) => (
+            <li key={`${file.name}-${file.size}`}>
+              <span className="attachment-name">{file.name}</span>
+              <span className="attachment-size">{formatFileSize(file.size)}</span>
+              {progress && (
+                <progress
+                  value={Math.round(progress[index] * 100)}
+                  max="100"
+                  aria-label={`Uploading ${file.name}`}
+                />
+              )}
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => onRemove(index)}
+                disabled={disabled}
+                aria-label={`Remove ${file.name}`}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
 function ContactForm() {
-  const [state, handleSubmit] = useForm(import.meta.env.VITE_FORMSPREE_FORM_ID || "xdkoorvg")
-  const flags = useFlags() || {}
-  const brevoIntegration = flags['brevo-integration']
+  const brevoIntegration = useFlag(FLAGS.BREVO_INTEGRATION)
+  // Feature flag: contact-form-backends (JSON, see services/submissionBackends.js)
+  // Falls back to VITE_SUBMISSION_BACKENDS, then Formspree plus best-effort Brevo
+  const backendConfig = useFlag(FLAGS.CONTACT_FORM_BACKENDS)
+  const acknowledgementEmail = useFlag(FLAGS.BREVO_ACKNOWLEDGEMENT_EMAIL)
+  // Feature flag: lead-qualification-wizard
+  // Splits the form into steps and adds qualification questions
+  const wizard = useFlag(FLAGS.LEAD_QUALIFICATION_WIZARD)
+  // Feature flag: meeting-scheduler
+  // Offers a discovery-call booking once the message is delivered
+  const meetingScheduler = useFlag(FLAGS.MEETING_SCHEDULER)
+  const schema = wizard ? WIZARD_SCHEMA : CONTACT_FORM_SCHEMA
+  // The last payload sent, kept for the acknowledgement email and retries
+  const submission = useRef(null)
+  const acknowledged = useRef(false)
+  const started = useRef(false)
+  const formRef = useRef(null)
+  const pendingFocus = useRef(null)
+  const renderedAt = useRef(null)
+  const [errors, setErrors] = useState({})
+  const [attribution] = useState(() => getAttributionFields(loadAttribution()))
+  const [attachments, setAttachments] = useState([])
+  const [attachmentErrors, setAttachmentErrors] = useState([])
+  const [uploadProgress, setUploadProgress] = useState(null)
+  const [visitor, setVisitor] = useState(null)
+  const [submissionState, dispatch] = useReducer(submissionReducer, initialSubmissionState)
+  const { status, results } = submissionState
+  const delivered = isDelivered(submissionState)
+  const [step, setStep] = useState(0)
+  const lastStep = !wizard || step === WIZARD_STEPS.length - 1
+  const { track, identify } = useEventTracking()
+  const { draft, restored, save: saveDraft, discard: discardDraft, clear: clearDraft } = useFormDraft(formRef, DRAFT_FIELDS)
 
-  const onSubmit = (e) => {
-    // Feature flag: brevo-integration (kebab-case in LaunchDarkly)
-    // undefined/false = OFF (safe default, no Brevo call)
-    // true = ON (Brevo integration active)
-    if (brevoIntegration) {
-      const formData = new FormData(e.target)
-
-      // Fire and forget - don't block form submission
-      const brevo = new BrevoClient()
-      brevo.createContact({
-        email: formData.get('email'),
-        firstName: formData.get('name'),
-        attributes: { message: formData.get('message') }
-      }).then(result => {
-        if (!result.success) {
-          console.error('Brevo integration failed:', result.error)
-        } else {
-          console.log('Brevo contact created:', result.data)
+  // brevo-integration stays the kill switch for the Brevo backend
+  // (undefined/false = OFF, safe default)
+  const backends = useMemo(() => createBackends(
+    resolveBackendConfig({ flag: backendConfig })
+      .filter(({ type }) => brevoIntegration || type !== 'brevo')
+  ), [backendConfig, brevoIntegration])
+  // Bookings go to the required backends that reach a person (Formspree,
+  // webhook). Brevo only records the slot on a contact that may not exist yet.
+  const bookingBackends = useMemo(
+    () => backends.filter(({ type, policy }) => policy === POLICIES.REQUIRED && type !== 'brevo'),
+    [backends]
+  )
+
+  // Starts the time-to-submit clock for the spam guard
+  useEffect(() => {
+    renderedAt.current = Date.now()
+  }, [])
+
+  // Fields on a newly shown step can only be focused after it renders
+  useEffect(() => {
+    if (pendingFocus.current) {
+      formRef.current?.elements.namedItem(pendingFocus.current)?.focus()
+      pendingFocus.current = null
+    }
+  }, [step])
+
+  // Replay CRM submissions that failed on a previous visit or while offline.
+  // Gated by the same flag, so turning Brevo off also stops the replay.
+  useEffect(() => {
+    if (!brevoIntegration) {
+      return
+    }
+    return getOutbox().start()
+  }, [brevoIntegration])
+
+  // Feature flag: brevo-acknowledgement-email
+  // Sends a "we received your message" email once the submission succeeded.
+  // Runs once the message is delivered, so a failed email never affects it.
+  // The address is unverified, so the template gets the name only: echoing the
+  // message would let anyone send their own text from our sender.
+  // Off in proxy mode: the proxy only handles contacts, since an email route
+  // would mail any address a script posts to it.
+  useEffect(() => {
+    if (!delivered || !acknowledgementEmail || !submission.current || acknowledged.current) {
+      return
+    }
+
+    const brevo = new BrevoClient()
+    if (brevo.mode === 'proxy') {
+      return
+    }
+
+    const { name, email } = submission.current.values
+    acknowledged.current = true
+
+    const templateId = Number(import.meta.env.VITE_BREVO_ACK_TEMPLATE_ID)
+    const replyTo = import.meta.env.VITE_BREVO_ACK_REPLY_TO
+
+    brevo.sendTransactionalEmail({
+      to: { email, name },
+      templateId,
+      params: { name },
+      ...(replyTo && { replyTo }),
+      tags: ['contact-form-acknowledgement']
+    }).then(result => {
+      if (!result.success) {
+        console.error('Brevo acknowledgement email failed:', result.error)
+      }
+    }).catch(error => {
+      console.error('Brevo acknowledgement email error:', error.message)
+    })
+  }, [delivered, acknowledgementEmail])
+
+  // Delivered, but a best-effort backend failed: worth a look, not an error
+  useEffect(() => {
+    if (status === SUBMISSION_STATES.PARTIALLY_FAILED) {
+      reportPartialFailure(results)
+    }
+  }, [status, results])
+
+  // Feature flag: brevo-event-tracking (handled by useEventTracking)
+  const onFocus = () => {
+    if (!started.current) {
+      started.current = true
+      track('contact_form_started')
+    }
+  }
+
+  // Values are validated trimmed, so they are sent trimmed too
+  const readValues = (form) => {
+    const formData = new FormData(form)
+    return Object.fromEntries(Object.keys(schema).map(name => [name, formData.get(name)?.trim() ?? null]))
+  }
+
+  // Focuses a field, switching to its wizard step first when needed
+  const focusField = (name) => {
+    const fieldStep = wizard ? WIZARD_STEPS.findIndex(item => item.fields.includes(name)) : step
+    if (fieldStep !== step) {
+      pendingFocus.current = name
+      setStep(fieldStep)
+    } else {
+      formRef.current?.elements.namedItem(name)?.focus()
+    }
+  }
+
+  const goToStep = (index) => {
+    pendingFocus.current = WIZARD_STEPS[index].fields[0]
+    setStep(index)
+  }
+
+  const onNext = () => {
+    const { fields } = WIZARD_STEPS[step]
+    const stepErrors = validateForm(schema, readValues(formRef.current), fields)
+    setErrors(current => {
+      const rest = Object.fromEntries(Object.entries(current).filter(([name]) => !fields.includes(name)))
+      return { ...rest, ...stepErrors }
+    })
+
+    const [firstInvalid] = Object.keys(stepErrors)
+    if (firstInvalid) {
+      focusField(firstInvalid)
+      return
+    }
+    goToStep(step + 1)
+  }
+
+  const setFieldError = (name, error) => {
+    setErrors(current => {
+      if ((current[name] || null) === error) {
+        return current
+      }
+      const { [name]: _previous, ...rest } = current
+      return error ? { ...rest, [name]: error } : rest
+    })
+  }
+
+  // Validate on blur, then re-check a field with an error as it is corrected
+  const onBlur = (e) => {
+    const { name, value } = e.target
+    setFieldError(name, validateField(schema[name], value))
+  }
+
+  const onChange = (e) => {
+    const { name, value } = e.target
+    if (errors[name]) {
+      setFieldError(name, validateField(schema[name], value))
+    }
+  }
+
+  const fieldProps = (name) => ({
+    name,
+    onBlur,
+    onChange,
+    'aria-invalid': errors[name] ? 'true' : undefined,
+    'aria-describedby': errors[name] ? `${name}-error` : undefined
+  })
+
+  // Sends to every backend on the first attempt, then only to those that failed
+  const send = (payload) => {
+    // Retries of best-effort backends follow a delivery that was already counted
+    const firstDelivery = !delivered
+    submission.current = payload
+    setUploadProgress(null)
+    dispatch({ type: 'submit' })
+    submitToBackends(getRetryBackends(backends, results), payload).then(({ results: settled }) => {
+      dispatch({ type: 'settle', results: settled })
+      if (getSubmissionStatus(settled) !== SUBMISSION_STATES.FAILED) {
+        // Only delivered messages count towards the rate limit, so a visitor
+        // retrying while a backend is down is never locked out
+        if (firstDelivery) {
+          getSpamGuard().recordSubmission()
         }
-      }).catch(error => {
-        console.error('Brevo integration error:', error.message)
-      })
+        clearDraft()
+        return
+      }
+
+      // Server-side field errors (e.g. from Formspree) show under their fields
+      const fieldErrors = {}
+      for (const { result } of settled) {
+        for (const [name, message] of Object.entries(result.fieldErrors || {})) {
+          fieldErrors[name] = schema[name] ? `${schema[name].label} ${message}` : message
+        }
+      }
+      setErrors(current => ({ ...current, ...fieldErrors }))
+    })
+  }
+
+  const onSubmit = (e) => {
+    // Backends are called directly, so the browser never posts the form
+    e.preventDefault()
+
+    // Submitting from an intermediate wizard step (e.g. Enter) moves to the next step
+    if (!lastStep) {
+      onNext()
+      return
+    }
+
+    dispatch({ type: 'validate' })
+    const values = readValues(e.target)
+
+    // Nothing is sent (backends, tracking) until the form is valid
+    const validationErrors = validateForm(schema, values)
+    setErrors(validationErrors)
+    const [firstInvalid] = Object.keys(validationErrors)
+    if (firstInvalid) {
+      dispatch({ type: 'invalid' })
+      focusField(firstInvalid)
+      return
+    }
+
+    // Suspected spam gets the normal success message but is never sent
+    // to any backend, so bots learn nothing from the response. A resubmit
+    // after a failed delivery already passed the time and rate checks (the
+    // honeypot and message are checked again, they may have changed), and a
+    // restored draft was typed on an earlier visit, so it skips time-to-submit.
+    const formData = new FormData(e.target)
+    const spamReason = getSpamGuard().check({
+      honeypot: formData.get(HONEYPOT_FIELD),
+      startedAt: restored ? null : renderedAt.current,
+      message: values.message,
+      retry: status === SUBMISSION_STATES.FAILED
+    })
+    if (spamReason) {
+      // Shown as sent, so the draft must not come back either
+      clearDraft()
+      dispatch({ type: 'discard' })
+      return
+    }
+
+    // Only visitors who ticked the marketing-consent box are linked to or
+    // created as Brevo contacts; the Brevo backend skips everyone else
+    const consented = formData.get(CONSENT_FIELD) === MARKETING_CONSENT.version
+    const attributes = {
+      ...getAttributionAttributes(attribution),
+      ...(wizard && getQualificationAttributes(values)),
+      ...getAttachmentAttributes(attachments),
+      ...(consented && getConsentAttributes())
+    }
+
+    // Files go to form services as multipart data; Brevo only gets the metadata above
+    for (const file of attachments) {
+      formData.append(ATTACHMENT_FIELD, file)
+    }
+    const onUploadProgress = attachments.length > 0
+      ? (loaded, total) => setUploadProgress(getFileProgress(attachments, loaded, total))
+      : undefined
+
+    if (consented) {
+      identify(values.email)
     }
+    setVisitor({ name: values.name, email: values.email, consented })
+    track('contact_form_submitted')
 
-    // Let Formspree handle submission normally (no await)
-    handleSubmit(e)
+    send({ values, formData, attributes, consented, ...(onUploadProgress && { onUploadProgress }) })
   }
 
-  if (state.succeeded) {
+  const onAddAttachments = (files) => {
+    const { files: next, errors: rejected } = addAttachments(attachments, files)
+    setAttachments(next)
+    setAttachmentErrors(rejected)
+  }
+
+  const onRemoveAttachment = (index) => {
+    setAttachments(current => current.filter((_, i) => i !== index))
+    setAttachmentErrors([])
+  }
+
+  // A booking counts once the booking backends accepted it. The slot is also
+  // added to the visitor's existing Brevo contact (brevo-integration ON,
+  // marketing consent given), which never holds up the booking.
+  const onScheduleMeeting = async (start) => {
+    const { success } = await submitToBackends(bookingBackends, createMeetingSubmission({ attendee: visitor, start }))
+    if (success && brevoIntegration && visitor.consented) {
+      recordMeetingSlot({ email: visitor.email, start })
+    }
+    return success
+  }
+
+  const onDiscardDraft = () => {
+    discardDraft()
+    setErrors({})
+  }
+
+  if (delivered) {
+    const retryable = getRetryBackends(backends, results).length > 0
     return (
       <section className="contact-form">
         <h2>Get In Touch</h2>
         <div className="success-message">
           <p>Thanks for reaching out! We'll get back to you soon.</p>
         </div>
+        {status !== SUBMISSION_STATES.SUCCEEDED && (
+          <div className="partial-failure-message" role="status">
+            <p>
+              Your message was sent, but part of your request didn't go through.
+              {!retryable && " We'll finish it automatically."}
+            </p>
+            {retryable && (
+              <button
+                type="button"
+                onClick={() => send(submission.current)}
+                disabled={status === SUBMISSION_STATES.SUBMITTING}
+              >
+                {status === SUBMISSION_STATES.SUBMITTING ? 'Retrying...' : 'Try again'}
+              </button>
+            )}
+          </div>
+        )}
+        {/* Not after suspected spam, which is shown as delivered without results */}
+        {meetingScheduler && visitor && results.length > 0 && bookingBackends.length > 0 && (
+          <MeetingScheduler attendee={visitor} onSchedule={onScheduleMeeting} />
+        )}
       </section>
     )
   }
@@ -55,7 +531,30 @@ function ContactForm() {
         can transform your team.
       </p>
 
-      <form onSubmit={onSubmit}>
+      <form ref={formRef} onSubmit={onSubmit} onFocus={onFocus} onInput={saveDraft} noValidate>
+        {restored && (
+          <div className="draft-notice" role="status">
+            <span>We restored your unsent draft.</span>
+            <button type="button" className="link-button" onClick={onDiscardDraft}>
+              Discard draft
+            </button>
+          </div>
+        )}
+
+        {wizard && <WizardProgress step={step} />}
+
+        {/* Campaign attribution (utm_*, referrer, landing path, touch times) */}
+        {Object.entries(attribution).map(([name, value]) => (
+          <input key={name} type="hidden" name={name} value={value} />
+        ))}
+
+        {/* Honeypot: hidden from people and assistive tech, filled in by bots */}
+        <div className="form-honeypot" aria-hidden="true">
+          <label htmlFor={HONEYPOT_FIELD}>Leave this field empty</label>
+          <input id={HONEYPOT_FIELD} name={HONEYPOT_FIELD} type="text" tabIndex={-1} autoComplete="off" />
+        </div>
+
+        <FormStep wizard={wizard} active={step === 0} title={WIZARD_STEPS[0].title}>
         <div className="form-group">
           <label htmlFor="name">
             Name *
@@ -63,14 +562,11 @@ function ContactForm() {
           <input
             id="name"
             type="text"
-            name="name"
             required
+            defaultValue={draft?.values.name}
+            {...fieldProps('name')}
           />
-          <ValidationError
-            prefix="Name"
-            field="name"
-            errors={state.errors}
-          />
+          <FieldError name="name" error={errors.name} />
         </div>
 
         <div className="form-group">
@@ -80,38 +576,89 @@ function ContactForm() {
           <input
             id="email"
             type="email"
-            name="email"
             required
+            defaultValue={draft?.values.email}
+            {...fieldProps('email')}
           />
-          <ValidationError
-            prefix="Email"
-            field="email"
-            errors={state.errors}
-          />
+          <FieldError name="email" error={errors.email} />
         </div>
+        </FormStep>
 
+        {wizard && (
+          <FormStep wizard active={step === 1} title={WIZARD_STEPS[1].title}>
+            {Object.entries(QUALIFICATION_SCHEMA).map(([name, rules]) => (
+              <div className="form-group" key={name}>
+                <label htmlFor={name}>
+                  {rules.label} *
+                </label>
+                <select id={name} required defaultValue="" {...fieldProps(name)}>
+                  <option value="">Select…</option>
+                  {rules.options.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <FieldError name={name} error={errors[name]} />
+              </div>
+            ))}
+          </FormStep>
+        )}
+
+        <FormStep wizard={wizard} active={step === WIZARD_STEPS.length - 1} title={WIZARD_STEPS[2].title}>
         <div className="form-group">
           <label htmlFor="message">
             Tell us about your interest *
           </label>
           <textarea
             id="message"
-            name="message"
             rows="5"
             required
+            defaultValue={draft?.values.message}
+            {...fieldProps('message')}
           />
-          <ValidationError
-            prefix="Message"
-            field="message"
-            errors={state.errors}
+          <FieldError name="message" error={errors.message} />
+        </div>
+
+        <AttachmentField
+          files={attachments}
+          errors={attachmentErrors}
+          progress={status === SUBMISSION_STATES.SUBMITTING ? uploadProgress || attachments.map(() => 0) : null}
+          disabled={status === SUBMISSION_STATES.SUBMITTING}
+          onAdd={onAddAttachments}
+          onRemove={onRemoveAttachment}
+        />
+
+        {/* Optional; the value records which version of the text was agreed to */}
+        <div className="form-group form-consent">
+          <input
+            id={CONSENT_FIELD}
+            name={CONSENT_FIELD}
+            type="checkbox"
+            value={MARKETING_CONSENT.version}
           />
+          <label htmlFor={CONSENT_FIELD}>{MARKETING_CONSENT.text}</label>
         </div>
+        </FormStep>
 
-        <button type="submit" disabled={state.submitting}>
-          {state.submitting ? 'Sending...' : 'Send Message'}
-        </button>
+        <div className="form-actions">
+          {wizard && step > 0 && (
+            <button type="button" className="secondary" onClick={() => goToStep(step - 1)}>
+              Back
+            </button>
+          )}
+          {lastStep ? (
+            <button type="submit" disabled={status === SUBMISSION_STATES.SUBMITTING}>
+              {status === SUBMISSION_STATES.SUBMITTING ? 'Sending...' : 'Send Message'}
+            </button>
+          ) : (
+            <button type="button" onClick={onNext}>
+              Next
+            </button>
+          )}
+        </div>
 
-        {state.errors && state.errors.length > 0 && (
+        {status === SUBMISSION_STATES.FAILED && (
           <div className="error-message">
             Something went wrong. Please try again.
           </div>
@@ -1,45 +1,85 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/react'
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import ContactForm from './ContactForm'
 import { useFlags } from 'launchdarkly-react-client-sdk'
 import { BrevoClient } from '../services/brevo'
-import { useForm } from '@formspree/react'
+import { getOutbox } from '../services/outbox'
+import { getEventTracker } from '../services/eventTracker'
+import { createSpamGuard, getSpamGuard } from '../services/spamGuard'
+import { MARKETING_CONSENT } from '../config/marketingConsent'
+import * as Sentry from '@sentry/react'
 
 // Mock LaunchDarkly
 vi.mock('launchdarkly-react-client-sdk', () => ({
   useFlags: vi.fn()
 }))
 
-// Mock Brevo client
-vi.mock('../services/brevo', () => ({
+// Mock Brevo client (keeps the real result helpers)
+vi.mock('../services/brevo', async (importOriginal) => ({
+  ...(await importOriginal()),
   BrevoClient: vi.fn()
 }))
 
-// Mock Formspree
-vi.mock('@formspree/react', () => ({
-  useForm: vi.fn(),
-  ValidationError: ({ prefix, field, errors }) => {
-    const error = errors?.find(e => e.field === field)
-    return error ? <div>{prefix} error</div> : null
-  }
+// Mock CRM outbox (keeps the real failure classification)
+vi.mock('../services/outbox', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getOutbox: vi.fn()
 }))
 
+// Mock visitor event tracker
+vi.mock('../services/eventTracker', () => ({
+  getEventTracker: vi.fn()
+}))
+
+// Mock spam guard (keeps the real honeypot field name)
+vi.mock('../services/spamGuard', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getSpamGuard: vi.fn()
+}))
+
+// Mock Sentry (partial failures are reported as warnings)
+vi.mock('@sentry/react', () => ({
+  captureMessage: vi.fn()
+}))
+
+// Formspree is reached through fetch
+const formspreeResponse = (body = { ok: true }, status = 200) => new Response(JSON.stringify(body), { status })
+
+const consentAttributes = {
+  CONSENT_TIMESTAMP: expect.any(String),
+  CONSENT_VERSION: MARKETING_CONSENT.version,
+  CONSENT_SOURCE: `${window.location.origin}${window.location.pathname}`
+}
+
 describe('ContactForm', () => {
-  let mockHandleSubmit
+  let mockFormspree
+  let mockOutbox
+  let mockTracker
+  let mockSpamGuard
 
   beforeEach(() => {
     // Set up default mocks
-    mockHandleSubmit = vi.fn()
-    useForm.mockReturnValue([
-      { succeeded: false, submitting: false, errors: [] },
-      mockHandleSubmit
-    ])
+    mockFormspree = vi.fn(async () => formspreeResponse())
+    vi.stubGlobal('fetch', mockFormspree)
+    mockOutbox = {
+      start: vi.fn(() => vi.fn()),
+      enqueue: vi.fn().mockResolvedValue(undefined),
+      remove: vi.fn().mockResolvedValue(undefined)
+    }
+    getOutbox.mockReturnValue(mockOutbox)
+    mockTracker = { start: vi.fn(), track: vi.fn(), identify: vi.fn() }
+    getEventTracker.mockReturnValue(mockTracker)
+    mockSpamGuard = { check: vi.fn(() => null), recordSubmission: vi.fn() }
+    getSpamGuard.mockReturnValue(mockSpamGuard)
     useFlags.mockReturnValue({})
+    localStorage.clear()
+    sessionStorage.clear()
   })
 
   afterEach(() => {
     vi.clearAllMocks()
+    vi.unstubAllGlobals()
   })
 
   describe('Basic Form Rendering', () => {
@@ -104,6 +144,107 @@ describe('ContactForm', () => {
   })
   })
 
+  describe('Client-side Validation', () => {
+    it('shows an inline error on blur linked with aria-describedby', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+      const emailInput = screen.getByLabelText(/email/i)
+
+      // Act
+      await user.type(emailInput, 'not-an-email')
+      await user.tab()
+
+      // Assert
+      expect(emailInput).toHaveAttribute('aria-invalid', 'true')
+      expect(emailInput).toHaveAttribute('aria-describedby', 'email-error')
+      expect(document.getElementById('email-error')).toHaveTextContent('Email must be a valid email address')
+    })
+
+    it('clears the error once the field is corrected', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+      const nameInput = screen.getByLabelText(/name/i)
+      await user.click(nameInput)
+      await user.tab()
+      expect(screen.getByText('Name is required')).toBeInTheDocument()
+
+      // Act
+      await user.type(nameInput, 'John Doe')
+
+      // Assert
+      expect(screen.queryByText('Name is required')).not.toBeInTheDocument()
+      expect(nameInput).not.toHaveAttribute('aria-invalid')
+    })
+
+    it('focuses the first invalid field and sends nothing when the form is invalid', async () => {
+      // Arrange
+      const mockCreateContact = vi.fn()
+      BrevoClient.mockImplementation(function() {
+        this.createContact = mockCreateContact
+      })
+      useFlags.mockReturnValue({ 'brevo-integration': true })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Too short')
+      await user.click(screen.getByLabelText(/keep me updated/i))
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(screen.getByLabelText(/email/i)).toHaveFocus()
+      expect(screen.getByText('Email is required')).toBeInTheDocument()
+      expect(screen.getByText('Message must be at least 10 characters')).toBeInTheDocument()
+      expect(mockFormspree).not.toHaveBeenCalled()
+      expect(mockCreateContact).not.toHaveBeenCalled()
+    })
+
+    it('submits once every field is valid', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(mockFormspree).toHaveBeenCalledTimes(1)
+      expect(document.querySelector('[aria-invalid="true"]')).toBeNull()
+    })
+    it('sends the trimmed values it validated', async () => {
+      // Arrange
+      const mockCreateContact = vi.fn().mockResolvedValue({ success: true, data: { id: 1 } })
+      BrevoClient.mockImplementation(function() {
+        this.createContact = mockCreateContact
+      })
+      useFlags.mockReturnValue({ 'brevo-integration': true })
+      render(<ContactForm />)
+      const message = 'x'.repeat(5000)
+
+      // Act
+      fireEvent.change(screen.getByLabelText(/name/i), { target: { value: '  John Doe ' } })
+      fireEvent.change(screen.getByLabelText(/email/i), { target: { value: ' john@example.com ' } })
+      fireEvent.change(screen.getByLabelText(/message|interest/i), { target: { value: `\n${message}\n\n` } })
+      fireEvent.click(screen.getByLabelText(/keep me updated/i))
+      fireEvent.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      await waitFor(() => {
+        expect(mockCreateContact).toHaveBeenCalledWith(expect.objectContaining({
+          email: 'john@example.com',
+          firstName: 'John Doe',
+          attributes: expect.objectContaining({ message })
+        }))
+      })
+    })
+  })
+
   describe('Brevo CRM Integration (Story 000004, Chunk 2)', () => {
     describe('Feature Flag States', () => {
       it('creates Brevo contact when flag is ON', async () => {
@@ -114,10 +255,6 @@ describe('ContactForm', () => {
         })
 
         useFlags.mockReturnValue({ 'brevo-integration': true })
-        useForm.mockReturnValue([
-          { succeeded: false, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
         const user = userEvent.setup()
@@ -126,6 +263,7 @@ describe('ContactForm', () => {
         await user.type(screen.getByLabelText(/name/i), 'John Doe')
         await user.type(screen.getByLabelText(/email/i), 'john@example.com')
         await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+        await user.click(screen.getByLabelText(/keep me updated/i))
         await user.click(screen.getByRole('button', { name: /send/i }))
 
         // Assert
@@ -133,11 +271,44 @@ describe('ContactForm', () => {
           expect(mockCreateContact).toHaveBeenCalledWith({
             email: 'john@example.com',
             firstName: 'John Doe',
-            attributes: { message: 'Test message' }
+            attributes: { message: 'Test message', ...consentAttributes },
+            upsert: true
           })
         })
       })
 
+      it('uses double opt-in when the client has it configured', async () => {
+        // Arrange
+        const mockCreateContact = vi.fn()
+        const mockCreateDoubleOptInContact = vi.fn().mockResolvedValue({ success: true, data: {} })
+        BrevoClient.mockImplementation(function() {
+          this.doubleOptIn = { templateId: 8, redirectionUrl: 'https://example.com/confirmed' }
+          this.createContact = mockCreateContact
+          this.createDoubleOptInContact = mockCreateDoubleOptInContact
+        })
+
+        useFlags.mockReturnValue({ 'brevo-integration': true })
+
+        render(<ContactForm />)
+        const user = userEvent.setup()
+
+        // Act
+        await user.type(screen.getByLabelText(/name/i), 'John Doe')
+        await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+        await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+        await user.click(screen.getByLabelText(/keep me updated/i))
+        await user.click(screen.getByRole('button', { name: /send/i }))
+
+        // Assert
+        await waitFor(() => {
+          expect(mockCreateDoubleOptInContact).toHaveBeenCalledWith({
+            email: 'john@example.com',
+            attributes: { FIRSTNAME: 'John Doe', message: 'Test message', ...consentAttributes }
+          })
+        })
+        expect(mockCreateContact).not.toHaveBeenCalled()
+      })
+
       it('does NOT call Brevo when flag is OFF', async () => {
         // Arrange
         const mockCreateContact = vi.fn()
@@ -146,10 +317,6 @@ describe('ContactForm', () => {
         })
 
         useFlags.mockReturnValue({ 'brevo-integration': false })
-        useForm.mockReturnValue([
-          { succeeded: false, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
         const user = userEvent.setup()
@@ -174,10 +341,6 @@ describe('ContactForm', () => {
         })
 
         useFlags.mockReturnValue({})
-        useForm.mockReturnValue([
-          { succeeded: false, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
         const user = userEvent.setup()
@@ -197,10 +360,6 @@ describe('ContactForm', () => {
       it('shows no errors when flag is OFF', async () => {
         // Arrange
         useFlags.mockReturnValue({ 'brevo-integration': false })
-        useForm.mockReturnValue([
-          { succeeded: false, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
         const user = userEvent.setup()
@@ -225,10 +384,6 @@ describe('ContactForm', () => {
         })
 
         useFlags.mockReturnValue({ 'brevo-integration': true })
-        useForm.mockReturnValue([
-          { succeeded: false, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
         const user = userEvent.setup()
@@ -237,6 +392,7 @@ describe('ContactForm', () => {
         await user.type(screen.getByLabelText(/name/i), 'Jane Smith')
         await user.type(screen.getByLabelText(/email/i), 'jane@example.com')
         await user.type(screen.getByLabelText(/message|interest/i), 'Interested in Software Factory')
+        await user.click(screen.getByLabelText(/keep me updated/i))
         await user.click(screen.getByRole('button', { name: /send/i }))
 
         // Assert
@@ -253,27 +409,35 @@ describe('ContactForm', () => {
         })
 
         useFlags.mockReturnValue({ 'brevo-integration': true })
-        const mockHandleSubmit = vi.fn()
-        useForm.mockReturnValue([
-          { succeeded: true, submitting: false, errors: [] },
-          mockHandleSubmit
-        ])
 
         render(<ContactForm />)
+        const user = userEvent.setup()
+
+        // Act
+        await user.type(screen.getByLabelText(/name/i), 'John Doe')
+        await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+        await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+        await user.click(screen.getByLabelText(/keep me updated/i))
+        await user.click(screen.getByRole('button', { name: /send/i }))
 
         // Assert
-        expect(screen.getByText(/thanks for reaching out/i)).toBeInTheDocument()
+        expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+        expect(mockCreateContact).toHaveBeenCalled()
       })
 
       it('clears form after successful submission', async () => {
         // Arrange
         useFlags.mockReturnValue({ 'brevo-integration': true })
-        useForm.mockReturnValue([
-          { succeeded: true, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
+        const user = userEvent.setup()
+
+        // Act
+        await user.type(screen.getByLabelText(/name/i), 'John Doe')
+        await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+        await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+        await user.click(screen.getByRole('button', { name: /send/i }))
+        await screen.findByText(/thanks for reaching out/i)
 
         // Assert - form should not be visible when succeeded
         expect(screen.queryByLabelText(/name/i)).not.toBeInTheDocument()
@@ -292,12 +456,8 @@ describe('ContactForm', () => {
           this.createContact = mockCreateContact
         })
 
-        const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+        const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
         useFlags.mockReturnValue({ 'brevo-integration': true })
-        useForm.mockReturnValue([
-          { succeeded: false, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
         const user = userEvent.setup()
@@ -306,17 +466,18 @@ describe('ContactForm', () => {
         await user.type(screen.getByLabelText(/name/i), 'John Doe')
         await user.type(screen.getByLabelText(/email/i), 'john@example.com')
         await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+        await user.click(screen.getByLabelText(/keep me updated/i))
         await user.click(screen.getByRole('button', { name: /send/i }))
 
         // Assert
         await waitFor(() => {
-          expect(consoleErrorSpy).toHaveBeenCalledWith(
-            expect.stringContaining('Brevo'),
+          expect(consoleWarnSpy).toHaveBeenCalledWith(
+            expect.stringContaining('brevo'),
             expect.stringContaining('Network error')
           )
         })
 
-        consoleErrorSpy.mockRestore()
+        consoleWarnSpy.mockRestore()
       })
 
       it('form remains functional when Brevo fails', async () => {
@@ -330,10 +491,6 @@ describe('ContactForm', () => {
         })
 
         useFlags.mockReturnValue({ 'brevo-integration': true })
-        useForm.mockReturnValue([
-          { succeeded: false, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
         const user = userEvent.setup()
@@ -357,10 +514,6 @@ describe('ContactForm', () => {
 
         const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
         useFlags.mockReturnValue({ 'brevo-integration': true })
-        useForm.mockReturnValue([
-          { succeeded: false, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
         const user = userEvent.setup()
@@ -369,18 +522,114 @@ describe('ContactForm', () => {
         await user.type(screen.getByLabelText(/name/i), 'John Doe')
         await user.type(screen.getByLabelText(/email/i), 'john@example.com')
         await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+        await user.click(screen.getByLabelText(/keep me updated/i))
         await user.click(screen.getByRole('button', { name: /send/i }))
 
-        // Assert - error logged but UI not broken
+        // Assert - error logged, and the Formspree submission still succeeds
         await waitFor(() => {
           expect(consoleErrorSpy).toHaveBeenCalled()
         })
-        expect(screen.getByRole('button', { name: /send/i })).toBeInTheDocument()
+        expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
 
         consoleErrorSpy.mockRestore()
       })
     })
 
+    describe('Offline Outbox', () => {
+      const networkError = {
+        success: false,
+        error: 'Network error',
+        errorDetails: { code: 'NETWORK', message: 'Network error', status: null, retryable: true, body: null }
+      }
+
+      const submitForm = async () => {
+        const user = userEvent.setup()
+        await user.type(screen.getByLabelText(/name/i), 'John Doe')
+        await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+        await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+        await user.click(screen.getByLabelText(/keep me updated/i))
+        await user.click(screen.getByRole('button', { name: /send/i }))
+      }
+
+      it('starts replaying the outbox when flag is ON', () => {
+        // Arrange
+        useFlags.mockReturnValue({ 'brevo-integration': true })
+
+        // Act
+        render(<ContactForm />)
+
+        // Assert
+        expect(mockOutbox.start).toHaveBeenCalledTimes(1)
+      })
+
+      it('does NOT replay the outbox when flag is OFF', () => {
+        // Arrange
+        useFlags.mockReturnValue({ 'brevo-integration': false })
+
+        // Act
+        render(<ContactForm />)
+
+        // Assert
+        expect(mockOutbox.start).not.toHaveBeenCalled()
+      })
+
+      it('queues the submission when Brevo fails transiently', async () => {
+        // Arrange
+        BrevoClient.mockImplementation(function() {
+          this.createContact = vi.fn().mockResolvedValue(networkError)
+        })
+        const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+        useFlags.mockReturnValue({ 'brevo-integration': true })
+        render(<ContactForm />)
+
+        // Act
+        await submitForm()
+
+        // Assert
+        await waitFor(() => {
+          expect(mockOutbox.enqueue).toHaveBeenCalledWith(
+            'createContact',
+            {
+              email: 'john@example.com',
+              firstName: 'John Doe',
+              attributes: { message: 'Test message', ...consentAttributes },
+              upsert: true
+            },
+            networkError
+          )
+        })
+        expect(mockFormspree).toHaveBeenCalled()
+
+        consoleErrorSpy.mockRestore()
+      })
+
+      it('does NOT queue the submission when Brevo rejects it', async () => {
+        // Arrange
+        const mockCreateContact = vi.fn().mockResolvedValue({
+          success: false,
+          error: 'Invalid email format',
+          errorDetails: { code: 'INVALID_EMAIL', message: 'Invalid email format', status: null, retryable: false, body: null }
+        })
+        BrevoClient.mockImplementation(function() {
+          this.createContact = mockCreateContact
+        })
+        const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+        useFlags.mockReturnValue({ 'brevo-integration': true })
+        render(<ContactForm />)
+
+        // Act
+        await submitForm()
+
+        // Assert
+        await waitFor(() => {
+          expect(consoleWarnSpy).toHaveBeenCalledWith('Best-effort submission backend brevo failed:', 'Invalid email format')
+        })
+        expect(mockOutbox.enqueue).not.toHaveBeenCalled()
+
+        consoleWarnSpy.mockRestore()
+      })
+    })
+
     describe('Edge Cases', () => {
       it('handles form submission gracefully when flag is OFF', async () => {
         // Arrange
@@ -390,11 +639,6 @@ describe('ContactForm', () => {
         })
 
         useFlags.mockReturnValue({ 'brevo-integration': false })
-        const mockHandleSubmit = vi.fn()
-        useForm.mockReturnValue([
-          { succeeded: false, submitting: false, errors: [] },
-          mockHandleSubmit
-        ])
 
         render(<ContactForm />)
         const user = userEvent.setup()
@@ -406,23 +650,1226 @@ describe('ContactForm', () => {
         await user.click(screen.getByRole('button', { name: /send/i }))
 
         // Assert - form submits normally without Brevo
-        expect(mockHandleSubmit).toHaveBeenCalled()
+        expect(mockFormspree).toHaveBeenCalled()
         expect(mockCreateContact).not.toHaveBeenCalled()
       })
 
       it('shows appropriate message when flag is OFF', async () => {
         // Arrange
         useFlags.mockReturnValue({ 'brevo-integration': false })
-        useForm.mockReturnValue([
-          { succeeded: true, submitting: false, errors: [] },
-          vi.fn()
-        ])
 
         render(<ContactForm />)
+        const user = userEvent.setup()
+
+        // Act
+        await user.type(screen.getByLabelText(/name/i), 'John Doe')
+        await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+        await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+        await user.click(screen.getByRole('button', { name: /send/i }))
 
         // Assert - standard success message shown
-        expect(screen.getByText(/thanks for reaching out/i)).toBeInTheDocument()
+        expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      })
+    })
+  })
+
+  describe('Event Tracking', () => {
+    it('tracks form start once and submission with the visitor email when flag is ON', async () => {
+      // Arrange
+      useFlags.mockReturnValue({ 'brevo-event-tracking': true })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      await user.click(screen.getByLabelText(/keep me updated/i))
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(mockTracker.track.mock.calls).toEqual([
+        ['contact_form_started', undefined],
+        ['contact_form_submitted', undefined]
+      ])
+      expect(mockTracker.identify).toHaveBeenCalledWith('john@example.com')
+    })
+
+    it('does NOT track events when flag is OFF', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+
+      // Assert
+      expect(getEventTracker).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Acknowledgement Email', () => {
+    const fillAndSubmit = async (user) => {
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      await user.click(screen.getByRole('button', { name: /send/i }))
+    }
+
+    // Formspree answers only when the test calls succeed()
+    let resolveFormspree
+
+    beforeEach(() => {
+      mockFormspree.mockImplementation(() => new Promise(resolve => {
+        resolveFormspree = resolve
+      }))
+    })
+
+    const succeed = async () => {
+      resolveFormspree(formspreeResponse())
+      await screen.findByText(/thanks for reaching out/i)
+    }
+
+    it('sends the acknowledgement email after a successful submission when flag is ON', async () => {
+      // Arrange
+      vi.stubEnv('VITE_BREVO_ACK_TEMPLATE_ID', '12')
+      const mockSendTransactionalEmail = vi.fn().mockResolvedValue({ success: true, data: {} })
+      BrevoClient.mockImplementation(function() {
+        this.sendTransactionalEmail = mockSendTransactionalEmail
+      })
+      useFlags.mockReturnValue({ 'brevo-acknowledgement-email': true })
+
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+      expect(mockSendTransactionalEmail).not.toHaveBeenCalled()
+      await succeed()
+
+      // Assert
+      await waitFor(() => {
+        expect(mockSendTransactionalEmail).toHaveBeenCalledTimes(1)
+      })
+      expect(mockSendTransactionalEmail).toHaveBeenCalledWith({
+        to: { email: 'john@example.com', name: 'John Doe' },
+        templateId: 12,
+        params: { name: 'John Doe' },
+        tags: ['contact-form-acknowledgement']
+      })
+
+      vi.unstubAllEnvs()
+    })
+
+    it('does not put the message in the acknowledgement email', async () => {
+      // Arrange
+      const mockSendTransactionalEmail = vi.fn().mockResolvedValue({ success: true, data: {} })
+      BrevoClient.mockImplementation(function() {
+        this.sendTransactionalEmail = mockSendTransactionalEmail
+      })
+      useFlags.mockReturnValue({ 'brevo-acknowledgement-email': true })
+
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+      await succeed()
+
+      // Assert
+      await waitFor(() => {
+        expect(mockSendTransactionalEmail).toHaveBeenCalled()
+      })
+      const email = mockSendTransactionalEmail.mock.calls[0][0]
+      expect(email.params).toEqual({ name: 'John Doe' })
+      expect(JSON.stringify(email)).not.toContain('Test message')
+    })
+
+    it('does NOT send the acknowledgement email when flag is OFF', async () => {
+      // Arrange
+      const mockSendTransactionalEmail = vi.fn()
+      BrevoClient.mockImplementation(function() {
+        this.sendTransactionalEmail = mockSendTransactionalEmail
+      })
+      useFlags.mockReturnValue({ 'brevo-acknowledgement-email': false })
+
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+      await succeed()
+
+      // Assert
+      expect(screen.getByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockSendTransactionalEmail).not.toHaveBeenCalled()
+    })
+
+    it('does NOT send the acknowledgement email in proxy mode', async () => {
+      // Arrange
+      const mockSendTransactionalEmail = vi.fn()
+      BrevoClient.mockImplementation(function() {
+        this.mode = 'proxy'
+        this.sendTransactionalEmail = mockSendTransactionalEmail
+      })
+      useFlags.mockReturnValue({ 'brevo-acknowledgement-email': true })
+
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+      await succeed()
+
+      // Assert
+      expect(screen.getByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockSendTransactionalEmail).not.toHaveBeenCalled()
+    })
+
+    it('does NOT send the acknowledgement email before Formspree succeeds', async () => {
+      // Arrange
+      const mockSendTransactionalEmail = vi.fn()
+      BrevoClient.mockImplementation(function() {
+        this.sendTransactionalEmail = mockSendTransactionalEmail
+      })
+      useFlags.mockReturnValue({ 'brevo-acknowledgement-email': true })
+
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(mockFormspree).toHaveBeenCalled()
+      expect(mockSendTransactionalEmail).not.toHaveBeenCalled()
+    })
+
+    it('keeps the success message when the acknowledgement email fails', async () => {
+      // Arrange
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      BrevoClient.mockImplementation(function() {
+        this.sendTransactionalEmail = vi.fn().mockResolvedValue({ success: false, error: 'Brevo server error' })
+      })
+      useFlags.mockReturnValue({ 'brevo-acknowledgement-email': true })
+
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+      await succeed()
+
+      // Assert
+      await waitFor(() => {
+        expect(consoleErrorSpy).toHaveBeenCalledWith(
+          expect.stringContaining('acknowledgement'),
+          'Brevo server error'
+        )
+      })
+      expect(screen.getByText(/thanks for reaching out/i)).toBeInTheDocument()
+
+      consoleErrorSpy.mockRestore()
+    })
+  })
+
+  describe('Lead Qualification Wizard', () => {
+    const fillContactStep = async (user) => {
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.click(screen.getByRole('button', { name: /next/i }))
+    }
+
+    const fillQualificationStep = async (user) => {
+      await user.selectOptions(screen.getByLabelText(/team size/i), '6-20')
+      await user.selectOptions(screen.getByLabelText(/role/i), 'engineering-manager')
+      await user.selectOptions(screen.getByLabelText(/ci\/cd maturity/i), 'ci')
+      await user.selectOptions(screen.getByLabelText(/timeline/i), '1-3-months')
+      await user.click(screen.getByRole('button', { name: /next/i }))
+    }
+
+    beforeEach(() => {
+      useFlags.mockReturnValue({ 'lead-qualification-wizard': true })
+    })
+
+    it('shows the first step with a progress indicator', () => {
+      // Act
+      render(<ContactForm />)
+
+      // Assert
+      expect(screen.getByText(/step 1 of 3/i)).toBeInTheDocument()
+      expect(screen.getByRole('listitem', { current: 'step' })).toHaveTextContent('Contact details')
+      expect(screen.getByLabelText(/name/i)).toBeVisible()
+      expect(screen.getByLabelText(/message|interest/i)).not.toBeVisible()
+      expect(screen.queryByRole('button', { name: /send/i })).not.toBeInTheDocument()
+    })
+
+    it('does not advance while the current step is invalid', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.click(screen.getByRole('button', { name: /next/i }))
+
+      // Assert
+      expect(screen.getByText(/step 1 of 3/i)).toBeInTheDocument()
+      expect(screen.getByText('Email is required')).toBeInTheDocument()
+      expect(screen.getByLabelText(/email/i)).toHaveFocus()
+    })
+
+    it('moves forward and back between steps, keeping answers', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillContactStep(user)
+      const teamSizeFocused = screen.getByLabelText(/team size/i) === document.activeElement
+      await user.click(screen.getByRole('button', { name: /back/i }))
+
+      // Assert
+      expect(teamSizeFocused).toBe(true)
+      expect(screen.getByText(/step 1 of 3/i)).toBeInTheDocument()
+      expect(screen.getByLabelText(/email/i)).toHaveValue('john@example.com')
+    })
+
+    it('requires every qualification question', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+      await fillContactStep(user)
+
+      // Act
+      await user.selectOptions(screen.getByLabelText(/team size/i), '6-20')
+      await user.click(screen.getByRole('button', { name: /next/i }))
+
+      // Assert
+      expect(screen.getByText(/step 2 of 3/i)).toBeInTheDocument()
+      expect(screen.getByText('Role is required')).toBeInTheDocument()
+      expect(screen.getByLabelText(/role/i)).toHaveFocus()
+    })
+
+    it('submits the answers to Formspree and Brevo attributes on the last step', async () => {
+      // Arrange
+      const mockCreateContact = vi.fn().mockResolvedValue({ success: true, data: { id: 1 } })
+      BrevoClient.mockImplementation(function() {
+        this.createContact = mockCreateContact
+      })
+      useFlags.mockReturnValue({ 'lead-qualification-wizard': true, 'brevo-integration': true })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillContactStep(user)
+      await fillQualificationStep(user)
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      await user.click(screen.getByLabelText(/keep me updated/i))
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(mockFormspree).toHaveBeenCalledTimes(1)
+      const formData = mockFormspree.mock.calls[0][1].body
+      expect(formData.get('teamSize')).toBe('6-20')
+      expect(mockCreateContact).toHaveBeenCalledWith({
+        email: 'john@example.com',
+        firstName: 'John Doe',
+        attributes: {
+          message: 'Test message',
+          TEAM_SIZE: '6-20',
+          JOB_ROLE: 'engineering-manager',
+          CICD_MATURITY: 'ci',
+          TIMELINE: '1-3-months',
+          ...consentAttributes
+        },
+        upsert: true
+      })
+    })
+
+    it('moves to the next step instead of submitting from an earlier step', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      fireEvent.submit(screen.getByLabelText(/email/i).form)
+
+      // Assert
+      expect(mockFormspree).not.toHaveBeenCalled()
+      expect(screen.getByText(/step 2 of 3/i)).toBeInTheDocument()
+    })
+
+    it('renders the single-step form when flag is OFF', () => {
+      // Arrange
+      useFlags.mockReturnValue({})
+
+      // Act
+      render(<ContactForm />)
+
+      // Assert
+      expect(screen.queryByText(/step 1 of 3/i)).not.toBeInTheDocument()
+      expect(screen.queryByLabelText(/team size/i)).not.toBeInTheDocument()
+      expect(screen.getByRole('button', { name: /send/i })).toBeInTheDocument()
+    })
+  })
+
+  describe('Spam Protection', () => {
+    const fillAndSubmit = async (user) => {
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      await user.click(screen.getByRole('button', { name: /send/i }))
+    }
+
+    it('checks the honeypot, time-to-submit and message before sending', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.type(document.querySelector('[name="_gotcha"]'), 'https://spam.example')
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(mockSpamGuard.check).toHaveBeenCalledWith({
+        honeypot: 'https://spam.example',
+        startedAt: expect.any(Number),
+        message: 'Test message',
+        retry: false
+      })
+    })
+
+    it('drops suspected spam silently without calling Formspree or Brevo', async () => {
+      // Arrange
+      mockSpamGuard.check.mockReturnValue('honeypot')
+      useFlags.mockReturnValue({ 'brevo-integration': true, 'brevo-event-tracking': true })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(screen.getByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockFormspree).not.toHaveBeenCalled()
+      expect(BrevoClient).not.toHaveBeenCalled()
+      expect(mockTracker.track).not.toHaveBeenCalledWith('contact_form_submitted', undefined)
+      expect(mockSpamGuard.recordSubmission).not.toHaveBeenCalled()
+    })
+
+    it('records delivered submissions for the rate limit', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      await screen.findByText(/thanks for reaching out/i)
+      expect(mockSpamGuard.recordSubmission).toHaveBeenCalledTimes(1)
+      expect(mockFormspree).toHaveBeenCalled()
+    })
+
+    it('does not count failed deliveries towards the rate limit', async () => {
+      // Arrange
+      getSpamGuard.mockReturnValue(createSpamGuard({ storage: null, minSubmitMs: 0, maxSubmissions: 3 }))
+      const serverError = () => formspreeResponse({ errors: [{ message: 'Server error' }] }, 500)
+      mockFormspree
+        .mockResolvedValueOnce(serverError())
+        .mockResolvedValueOnce(serverError())
+        .mockResolvedValueOnce(serverError())
+      const user = userEvent.setup()
+
+      // Act: three visits while Formspree is down, then a fourth once it is back
+      for (let visit = 0; visit < 3; visit++) {
+        const { unmount } = render(<ContactForm />)
+        await fillAndSubmit(user)
+        await screen.findByText(/something went wrong/i)
+        unmount()
+      }
+      render(<ContactForm />)
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockFormspree).toHaveBeenCalledTimes(4)
+    })
+
+    it('relaxes only the time and rate checks for a resubmit after a failed delivery', async () => {
+      // Arrange
+      mockFormspree
+        .mockResolvedValueOnce(formspreeResponse({ errors: [{ message: 'Server error' }] }, 500))
+      render(<ContactForm />)
+      const user = userEvent.setup()
+      await fillAndSubmit(user)
+      await screen.findByText(/something went wrong/i)
+
+      // Act
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockSpamGuard.check).toHaveBeenCalledTimes(2)
+      expect(mockSpamGuard.check).toHaveBeenLastCalledWith(expect.objectContaining({ retry: true }))
+      expect(mockFormspree).toHaveBeenCalledTimes(2)
+      expect(mockSpamGuard.recordSubmission).toHaveBeenCalledTimes(1)
+    })
+
+    it('still drops a resubmit that fills in the honeypot after a failed delivery', async () => {
+      // Arrange
+      getSpamGuard.mockReturnValue(createSpamGuard({ storage: null, minSubmitMs: 0 }))
+      mockFormspree
+        .mockResolvedValueOnce(formspreeResponse({ errors: [{ message: 'Server error' }] }, 500))
+      render(<ContactForm />)
+      const user = userEvent.setup()
+      await fillAndSubmit(user)
+      await screen.findByText(/something went wrong/i)
+
+      // Act
+      await user.type(document.querySelector('[name="_gotcha"]'), 'https://spam.example')
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockFormspree).toHaveBeenCalledTimes(1)
+    })
+
+    it('hides the honeypot from keyboard and assistive technology users', () => {
+      // Act
+      render(<ContactForm />)
+
+      // Assert
+      const honeypot = document.querySelector('[name="_gotcha"]')
+      expect(honeypot).toHaveAttribute('tabindex', '-1')
+      expect(honeypot.closest('[aria-hidden="true"]')).not.toBeNull()
+    })
+  })
+
+  describe('Marketing Consent', () => {
+    const fillAndSubmit = async (user, { consent = false } = {}) => {
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      if (consent) {
+        await user.click(screen.getByLabelText(/keep me updated/i))
+      }
+      await user.click(screen.getByRole('button', { name: /send/i }))
+    }
+
+    it('renders an optional, unticked consent checkbox carrying the text version', () => {
+      // Act
+      render(<ContactForm />)
+
+      // Assert
+      const checkbox = screen.getByRole('checkbox', { name: MARKETING_CONSENT.text })
+      expect(checkbox).not.toBeChecked()
+      expect(checkbox).not.toBeRequired()
+      expect(checkbox).toHaveAttribute('value', MARKETING_CONSENT.version)
+    })
+
+    it('sends the submission only to Formspree without consent', async () => {
+      // Arrange
+      const mockCreateContact = vi.fn()
+      BrevoClient.mockImplementation(function() {
+        this.createContact = mockCreateContact
+      })
+      useFlags.mockReturnValue({ 'brevo-integration': true, 'brevo-event-tracking': true })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(mockFormspree).toHaveBeenCalled()
+      expect(BrevoClient).not.toHaveBeenCalled()
+      expect(mockCreateContact).not.toHaveBeenCalled()
+      expect(mockTracker.identify).not.toHaveBeenCalled()
+    })
+
+    it('records when and where consent was given', async () => {
+      // Arrange
+      const mockCreateContact = vi.fn().mockResolvedValue({ success: true, data: { id: 1 } })
+      BrevoClient.mockImplementation(function() {
+        this.createContact = mockCreateContact
+      })
+      useFlags.mockReturnValue({ 'brevo-integration': true })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user, { consent: true })
+
+      // Assert
+      const { attributes } = mockCreateContact.mock.calls[0][0]
+      expect(Date.parse(attributes.CONSENT_TIMESTAMP)).not.toBeNaN()
+      expect(attributes).toMatchObject(consentAttributes)
+      const formData = mockFormspree.mock.calls[0][1].body
+      expect(formData.get('marketingConsent')).toBe(MARKETING_CONSENT.version)
+    })
+  })
+
+  describe('Submission Backends', () => {
+    const fillAndSubmit = async (user) => {
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      await user.click(screen.getByRole('button', { name: /send/i }))
+    }
+
+    it('posts the form to Formspree by default', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      const [url, init] = mockFormspree.mock.calls[0]
+      expect(url).toMatch(/^https:\/\/formspree\.io\/f\//)
+      expect(init.headers).toEqual({ Accept: 'application/json' })
+      expect(init.body.get('email')).toBe('john@example.com')
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+    })
+
+    it('keeps the form and shows Formspree errors when the required backend fails', async () => {
+      // Arrange
+      mockFormspree.mockImplementation(async () => formspreeResponse({
+        errors: [{ field: 'email', message: 'should be an email', code: 'TYPE_EMAIL' }]
+      }, 422))
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(await screen.findByText(/something went wrong/i)).toBeInTheDocument()
+      expect(screen.getByText('Email should be an email')).toBeInTheDocument()
+      expect(screen.getByRole('button', { name: /send/i })).toBeEnabled()
+    })
+
+    it('shows the sending state while backends are working', async () => {
+      // Arrange
+      mockFormspree.mockImplementation(() => new Promise(() => {}))
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(screen.getByRole('button', { name: /sending/i })).toBeDisabled()
+    })
+
+    it('uses the backends from the contact-form-backends flag', async () => {
+      // Arrange
+      useFlags.mockReturnValue({
+        'contact-form-backends': {
+          formspree: 'disabled',
+          webhook: { policy: 'required', url: 'https://hooks.example/leads' }
+        }
+      })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockFormspree).toHaveBeenCalledTimes(1)
+      const [url, init] = mockFormspree.mock.calls[0]
+      expect(url).toBe('https://hooks.example/leads')
+      expect(JSON.parse(init.body).fields).toMatchObject({ name: 'John Doe', email: 'john@example.com' })
+    })
+
+    it('succeeds when only a best-effort backend fails', async () => {
+      // Arrange
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      mockFormspree.mockImplementation(async (url) => (
+        url.startsWith('https://hooks.example') ? new Response(null, { status: 500 }) : formspreeResponse()
+      ))
+      useFlags.mockReturnValue({
+        'contact-form-backends': {
+          formspree: 'required',
+          webhook: { policy: 'best-effort', url: 'https://hooks.example/leads' }
+        }
+      })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('webhook'),
+        'Webhook responded with 500'
+      )
+
+      consoleWarnSpy.mockRestore()
+    })
+
+    it('never calls Brevo when brevo-integration is OFF, even if configured', async () => {
+      // Arrange
+      useFlags.mockReturnValue({ 'contact-form-backends': { formspree: 'required', brevo: 'required' } })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.click(screen.getByLabelText(/keep me updated/i))
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(BrevoClient).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Draft Autosave', () => {
+    const saveDraft = (values, savedAt = Date.now()) => {
+      localStorage.setItem('contact_form_draft', JSON.stringify({ values, savedAt }))
+    }
+
+    it('saves the draft to localStorage after typing stops', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/message|interest/i), 'A long message')
+
+      // Assert
+      await waitFor(() => {
+        expect(JSON.parse(localStorage.getItem('contact_form_draft'))).toMatchObject({
+          values: { name: 'John Doe', message: 'A long message' }
+        })
+      })
+    })
+
+    it('restores a saved draft with a notice', () => {
+      // Arrange
+      saveDraft({ name: 'John Doe', email: 'john@example.com', message: 'A long message' })
+
+      // Act
+      render(<ContactForm />)
+
+      // Assert
+      expect(screen.getByRole('status')).toHaveTextContent(/restored your unsent draft/i)
+      expect(screen.getByLabelText(/name/i)).toHaveValue('John Doe')
+      expect(screen.getByLabelText(/email/i)).toHaveValue('john@example.com')
+      expect(screen.getByLabelText(/message|interest/i)).toHaveValue('A long message')
+      expect(screen.getByLabelText(/keep me updated/i)).not.toBeChecked()
+    })
+
+    it('sends a fully restored draft submitted right away', async () => {
+      // Arrange
+      getSpamGuard.mockReturnValue(createSpamGuard({ storage: null, minSubmitMs: 3000 }))
+      saveDraft({ name: 'John Doe', email: 'john@example.com', message: 'A long message' })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockFormspree).toHaveBeenCalledTimes(1)
+      expect(localStorage.getItem('contact_form_draft')).toBeNull()
+    })
+
+    it('discards the draft and empties the fields', async () => {
+      // Arrange
+      saveDraft({ name: 'John Doe', message: 'A long message' })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.click(screen.getByRole('button', { name: /discard draft/i }))
+
+      // Assert
+      expect(screen.queryByText(/restored your unsent draft/i)).not.toBeInTheDocument()
+      expect(screen.getByLabelText(/name/i)).toHaveValue('')
+      expect(screen.getByLabelText(/message|interest/i)).toHaveValue('')
+      expect(localStorage.getItem('contact_form_draft')).toBeNull()
+    })
+
+    it('clears the draft after a successful submission', async () => {
+      // Arrange
+      saveDraft({ name: 'John Doe', email: 'john@example.com', message: 'Test message' })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(localStorage.getItem('contact_form_draft')).toBeNull()
+    })
+
+    it('keeps the draft when the submission fails', async () => {
+      // Arrange
+      mockFormspree.mockImplementation(async () => formspreeResponse({ errors: [{ message: 'Server error' }] }, 500))
+      saveDraft({ name: 'John Doe', email: 'john@example.com', message: 'Test message' })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(await screen.findByText(/something went wrong/i)).toBeInTheDocument()
+      expect(localStorage.getItem('contact_form_draft')).not.toBeNull()
+    })
+  })
+
+  describe('Lead Attribution', () => {
+    beforeEach(() => {
+      sessionStorage.setItem('lead_attribution', JSON.stringify({
+        firstTouch: {
+          utm: { utm_source: 'google', utm_medium: 'cpc' },
+          referrer: 'https://www.google.com/',
+          landingPath: '/pricing',
+          timestamp: '2026-01-01T00:00:00.000Z'
+        },
+        lastTouch: {
+          utm: { utm_source: 'newsletter', utm_campaign: 'spring' },
+          referrer: '',
+          landingPath: '/',
+          timestamp: '2026-01-02T00:00:00.000Z'
+        }
+      }))
+    })
+
+    const fillAndSubmit = async (user) => {
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      await user.click(screen.getByLabelText(/keep me updated/i))
+      await user.click(screen.getByRole('button', { name: /send/i }))
+    }
+
+    it('sends attribution to Formspree as hidden fields', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      const formData = mockFormspree.mock.calls[0][1].body
+      expect(formData.get('utm_source')).toBe('newsletter')
+      expect(formData.get('utm_campaign')).toBe('spring')
+      expect(formData.get('referrer')).toBe('https://www.google.com/')
+      expect(formData.get('landing_path')).toBe('/pricing')
+      expect(formData.get('first_touch_at')).toBe('2026-01-01T00:00:00.000Z')
+      expect(formData.get('last_touch_at')).toBe('2026-01-02T00:00:00.000Z')
+    })
+
+    it('adds attribution to the Brevo contact attributes', async () => {
+      // Arrange
+      const mockCreateContact = vi.fn().mockResolvedValue({ success: true, data: { id: 1 } })
+      BrevoClient.mockImplementation(function() {
+        this.createContact = mockCreateContact
+      })
+      useFlags.mockReturnValue({ 'brevo-integration': true })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      await waitFor(() => {
+        expect(mockCreateContact).toHaveBeenCalled()
+      })
+      expect(mockCreateContact.mock.calls[0][0].attributes).toEqual({
+        message: 'Test message',
+        UTM_SOURCE: 'newsletter',
+        UTM_CAMPAIGN: 'spring',
+        REFERRER: 'https://www.google.com/',
+        LANDING_PATH: '/pricing',
+        FIRST_TOUCH_AT: '2026-01-01T00:00:00.000Z',
+        LAST_TOUCH_AT: '2026-01-02T00:00:00.000Z',
+        ...consentAttributes
+      })
+    })
+  })
+
+  describe('Submission State', () => {
+    const serverError = {
+      success: false,
+      error: 'Bad request',
+      errorDetails: { code: 'BAD_REQUEST', message: 'Bad request', status: 400, retryable: false, body: null }
+    }
+    let mockCreateContact
+
+    beforeEach(() => {
+      mockCreateContact = vi.fn().mockResolvedValue({ success: true, data: { id: 1 } })
+      BrevoClient.mockImplementation(function() {
+        this.createContact = mockCreateContact
+      })
+      useFlags.mockReturnValue({ 'brevo-integration': true })
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      vi.spyOn(console, 'log').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      vi.restoreAllMocks()
+    })
+
+    const fillAndSubmit = async (user) => {
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      await user.click(screen.getByLabelText(/keep me updated/i))
+      await user.click(screen.getByRole('button', { name: /send/i }))
+    }
+
+    it('tells the visitor when the message was sent but a best-effort backend failed', async () => {
+      // Arrange
+      mockCreateContact.mockResolvedValue(serverError)
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(screen.getByRole('status')).toHaveTextContent(/your message was sent, but part of your request didn't go through/i)
+      expect(Sentry.captureMessage).toHaveBeenCalledWith(
+        'Contact form submission partially failed',
+        expect.objectContaining({
+          level: 'warning',
+          extra: { failed: [expect.objectContaining({ type: 'brevo', code: 'BAD_REQUEST' })] }
+        })
+      )
+    })
+
+    it('retries only the failed backend', async () => {
+      // Arrange
+      mockCreateContact.mockResolvedValueOnce(serverError)
+      render(<ContactForm />)
+      const user = userEvent.setup()
+      await fillAndSubmit(user)
+
+      // Act
+      await user.click(await screen.findByRole('button', { name: /try again/i }))
+
+      // Assert
+      await waitFor(() => {
+        expect(screen.queryByRole('status')).not.toBeInTheDocument()
+      })
+      expect(screen.getByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockCreateContact).toHaveBeenCalledTimes(2)
+      expect(mockFormspree).toHaveBeenCalledTimes(1)
+    })
+
+    it('leaves failures queued in the outbox to the outbox', async () => {
+      // Arrange
+      mockCreateContact.mockResolvedValue({
+        ...serverError,
+        errorDetails: { ...serverError.errorDetails, code: 'NETWORK', retryable: true }
+      })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await fillAndSubmit(user)
+
+      // Assert
+      expect(await screen.findByRole('status')).toHaveTextContent(/we'll finish it automatically/i)
+      expect(screen.queryByRole('button', { name: /try again/i })).not.toBeInTheDocument()
+      expect(mockOutbox.enqueue).toHaveBeenCalled()
+    })
+
+    it('resends only to the backends that failed when a required backend failed', async () => {
+      // Arrange
+      mockFormspree.mockResolvedValueOnce(formspreeResponse({ errors: [{ message: 'Server error' }] }, 500))
+      render(<ContactForm />)
+      const user = userEvent.setup()
+      await fillAndSubmit(user)
+      expect(await screen.findByText(/something went wrong/i)).toBeInTheDocument()
+
+      // Act
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      expect(mockFormspree).toHaveBeenCalledTimes(2)
+      expect(mockCreateContact).toHaveBeenCalledTimes(1)
+      expect(Sentry.captureMessage).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Attachments', () => {
+    const pdf = (name = 'rfp.pdf', content = 'pdf content') => new File([content], name, { type: 'application/pdf' })
+
+    // Uploads with progress go through XMLHttpRequest instead of fetch
+    class FakeXMLHttpRequest {
+      static instances = []
+
+      constructor() {
+        this.upload = {}
+        FakeXMLHttpRequest.instances.push(this)
+      }
+
+      open(method, url) {
+        this.url = url
+      }
+
+      setRequestHeader() {}
+
+      send(body) {
+        this.body = body
+      }
+
+      progress(loaded, total) {
+        this.upload.onprogress({ lengthComputable: true, loaded, total })
+      }
+
+      respond(status, body) {
+        this.status = status
+        this.responseText = JSON.stringify(body)
+        this.onload()
+      }
+    }
+
+    beforeEach(() => {
+      FakeXMLHttpRequest.instances = []
+      vi.stubGlobal('XMLHttpRequest', FakeXMLHttpRequest)
+    })
+
+    const fillForm = async (user) => {
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'See attached')
+    }
+
+    it('lists picked files with their size and lets them be removed', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+
+      // Act
+      await user.upload(screen.getByLabelText(/attachments/i), [pdf('rfp.pdf'), pdf('diagram.pdf')])
+      await user.click(screen.getByRole('button', { name: 'Remove rfp.pdf' }))
+
+      // Assert
+      expect(screen.queryByText('rfp.pdf')).not.toBeInTheDocument()
+      expect(screen.getByText('diagram.pdf')).toBeInTheDocument()
+      expect(screen.getByText('11 B')).toBeInTheDocument()
+    })
+
+    it('accepts dropped files and explains rejected ones', () => {
+      // Arrange
+      render(<ContactForm />)
+      const tooLarge = pdf('huge.pdf')
+      Object.defineProperty(tooLarge, 'size', { value: 11 * 1024 * 1024 })
+
+      // Act
+      fireEvent.drop(screen.getByTestId('attachment-dropzone'), {
+        dataTransfer: { files: [pdf(), new File(['MZ'], 'setup.exe'), tooLarge] }
+      })
+
+      // Assert
+      expect(screen.getByText('rfp.pdf')).toBeInTheDocument()
+      expect(screen.getByRole('alert')).toHaveTextContent('setup.exe is not a supported file type.')
+      expect(screen.getByRole('alert')).toHaveTextContent('huge.pdf is larger than 10.0 MB.')
+    })
+
+    it('sends files to Formspree as multipart data and shows upload progress', async () => {
+      // Arrange
+      render(<ContactForm />)
+      const user = userEvent.setup()
+      const file = pdf()
+      await fillForm(user)
+      await user.upload(screen.getByLabelText(/attachments/i), file)
+
+      // Act
+      await user.click(screen.getByRole('button', { name: /send/i }))
+      const [request] = FakeXMLHttpRequest.instances
+      act(() => request.progress(request.body.get('attachments').size, 1000))
+
+      // Assert
+      expect(request.url).toMatch(/^https:\/\/formspree\.io\/f\//)
+      expect(request.body.getAll('attachments')).toEqual([file])
+      expect(mockFormspree).not.toHaveBeenCalled()
+      expect(screen.getByLabelText('Uploading rfp.pdf')).toHaveAttribute('value', '0')
+
+      act(() => request.progress(1000, 1000))
+      expect(screen.getByLabelText('Uploading rfp.pdf')).toHaveAttribute('value', '100')
+
+      act(() => request.respond(200, { ok: true }))
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+    })
+
+    it('records only attachment metadata on the Brevo contact', async () => {
+      // Arrange
+      const mockCreateContact = vi.fn().mockResolvedValue({ success: true, data: { id: 1 } })
+      BrevoClient.mockImplementation(function() {
+        this.createContact = mockCreateContact
+      })
+      useFlags.mockReturnValue({ 'brevo-integration': true })
+      render(<ContactForm />)
+      const user = userEvent.setup()
+      await fillForm(user)
+      await user.upload(screen.getByLabelText(/attachments/i), pdf())
+      await user.click(screen.getByLabelText(/keep me updated/i))
+
+      // Act
+      await user.click(screen.getByRole('button', { name: /send/i }))
+
+      // Assert
+      await waitFor(() => {
+        expect(mockCreateContact).toHaveBeenCalled()
+      })
+      expect(mockCreateContact.mock.calls[0][0].attributes).toMatchObject({
+        ATTACHMENT_COUNT: 1,
+        ATTACHMENTS: 'rfp.pdf (11 B)'
+      })
+      act(() => FakeXMLHttpRequest.instances[0].respond(200, { ok: true }))
+    })
+  })
+
+  describe('Meeting Scheduling', () => {
+    let mockCreateContact
+    let mockUpdateContact
+
+    beforeEach(() => {
+      mockCreateContact = vi.fn().mockResolvedValue({ success: true, data: { id: 1 } })
+      mockUpdateContact = vi.fn().mockResolvedValue({ success: true, data: { identifier: 'john@example.com', updated: true } })
+      BrevoClient.mockImplementation(function() {
+        this.createContact = mockCreateContact
+        this.updateContact = mockUpdateContact
+      })
+    })
+
+    const submitForm = async ({ consent }) => {
+      const user = userEvent.setup()
+      await user.type(screen.getByLabelText(/name/i), 'John Doe')
+      await user.type(screen.getByLabelText(/email/i), 'john@example.com')
+      await user.type(screen.getByLabelText(/message|interest/i), 'Test message')
+      if (consent) {
+        await user.click(screen.getByLabelText(/keep me updated/i))
+      }
+      await user.click(screen.getByRole('button', { name: /send/i }))
+      expect(await screen.findByText(/thanks for reaching out/i)).toBeInTheDocument()
+      return user
+    }
+
+    const submitAndPickSlot = async ({ consent }) => {
+      const user = await submitForm({ consent })
+      expect(screen.getByRole('heading', { name: /book a discovery call/i })).toBeInTheDocument()
+
+      const [firstSlot] = screen.getAllByRole('button', { pressed: false })
+      await user.click(firstSlot)
+      await user.click(screen.getByRole('button', { name: /confirm time/i }))
+    }
+
+    it('is not offered with the meeting-scheduler flag OFF', async () => {
+      // Arrange
+      render(<ContactForm />)
+
+      // Act
+      await submitForm({ consent: false })
+
+      // Assert
+      expect(screen.queryByRole('heading', { name: /book a discovery call/i })).not.toBeInTheDocument()
+    })
+
+    it('is not offered without a required backend to send the booking to', async () => {
+      // Arrange
+      useFlags.mockReturnValue({
+        'meeting-scheduler': true,
+        'brevo-integration': true,
+        'contact-form-backends': { formspree: 'best-effort', brevo: 'required' }
+      })
+      render(<ContactForm />)
+
+      // Act
+      await submitForm({ consent: true })
+
+      // Assert
+      expect(screen.queryByRole('heading', { name: /book a discovery call/i })).not.toBeInTheDocument()
+    })
+
+    it('is not offered after suspected spam was dropped', async () => {
+      // Arrange
+      useFlags.mockReturnValue({ 'meeting-scheduler': true })
+      mockSpamGuard.check.mockReturnValue('rate_limited')
+      render(<ContactForm />)
+
+      // Act
+      await submitForm({ consent: false })
+
+      // Assert
+      expect(screen.queryByRole('heading', { name: /book a discovery call/i })).not.toBeInTheDocument()
+      expect(mockFormspree).not.toHaveBeenCalled()
+    })
+
+    it('sends the booking to Formspree before confirming it', async () => {
+      // Arrange
+      useFlags.mockReturnValue({ 'meeting-scheduler': true })
+      render(<ContactForm />)
+
+      // Act
+      await submitAndPickSlot({ consent: false })
+
+      // Assert
+      expect(await screen.findByRole('link', { name: /add to calendar/i })).toHaveAttribute('download', 'discovery-call.ics')
+      expect(mockFormspree).toHaveBeenCalledTimes(2)
+      const booking = mockFormspree.mock.calls[1][1].body
+      expect(booking.get('email')).toBe('john@example.com')
+      expect(booking.get('meeting_slot')).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:00\.000Z$/)
+      expect(mockUpdateContact).not.toHaveBeenCalled()
+    })
+
+    it('does not confirm a booking Formspree rejected', async () => {
+      // Arrange
+      useFlags.mockReturnValue({ 'meeting-scheduler': true })
+      mockFormspree
+        .mockResolvedValueOnce(formspreeResponse())
+        .mockResolvedValueOnce(formspreeResponse({ errors: [{ message: 'Server error' }] }, 500))
+      render(<ContactForm />)
+
+      // Act
+      await submitAndPickSlot({ consent: false })
+
+      // Assert
+      expect(await screen.findByText(/couldn't book this time/i)).toBeInTheDocument()
+      expect(screen.queryByText(/your discovery call is set/i)).not.toBeInTheDocument()
+      expect(screen.queryByRole('link', { name: /add to calendar/i })).not.toBeInTheDocument()
+    })
+
+    it('records the booked slot on the Brevo contact', async () => {
+      // Arrange
+      useFlags.mockReturnValue({ 'meeting-scheduler': true, 'brevo-integration': true })
+      render(<ContactForm />)
+
+      // Act
+      await submitAndPickSlot({ consent: true })
+
+      // Assert
+      await waitFor(() => {
+        expect(mockUpdateContact).toHaveBeenCalledWith('john@example.com', {
+          attributes: { MEETING_SLOT: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:00\.000Z$/) }
+        })
       })
+      expect(mockCreateContact).toHaveBeenCalledTimes(1)
+      expect(screen.getByText(/your discovery call is set/i)).toBeInTheDocument()
     })
   })
 })
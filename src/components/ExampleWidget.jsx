@@ -1,8 +1,12 @@
+import { useTrackView } from '../hooks/useEventTracking'
 import './ExampleWidget.css'
 
 function ExampleWidget() {
+  const widgetRef = useTrackView('example_widget_viewed')
+
   return (
     <div
+      ref={widgetRef}
       className="example-widget"
       data-testid="example-widget"
       role="banner"
@@ -0,0 +1,41 @@
+import { useFlagOverrides } from '../hooks/useFlagOverrides'
+import { getFlagOverrides } from '../services/flagOverrides'
+import './FlagOverridesBadge.css'
+
+function formatOverride(value) {
+  if (typeof value === 'boolean') {
+    return value ? 'on' : 'off'
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+/**
+ * Floating badge shown while local flag overrides are active, so a demo or
+ * QA session is never mistaken for what visitors see
+ */
+function FlagOverridesBadge() {
+  const { enabled, overrides } = useFlagOverrides()
+  const entries = Object.entries(overrides)
+
+  if (!enabled || entries.length === 0) {
+    return null
+  }
+
+  return (
+    <aside className="flag-overrides-badge" role="status" aria-label="Feature flag overrides">
+      <strong>Flag overrides active</strong>
+      <ul>
+        {entries.map(([key, value]) => (
+          <li key={key}>
+            <code>{key}</code>: {formatOverride(value)}
+          </li>
+        ))}
+      </ul>
+      <button type="button" onClick={() => getFlagOverrides().clear()}>
+        Clear overrides
+      </button>
+    </aside>
+  )
+}
+
+export default FlagOverridesBadge
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { act, cleanup, render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import FlagOverridesBadge from './FlagOverridesBadge'
+import { getFlagOverrides } from '../services/flagOverrides'
+
+describe('FlagOverridesBadge', () => {
+  beforeEach(async () => {
+    localStorage.clear()
+    await getFlagOverrides().load()
+  })
+
+  afterEach(() => {
+    // Unmount first: clearing notifies a mounted badge outside act()
+    cleanup()
+    getFlagOverrides().clear()
+  })
+
+  it('renders nothing without overrides', () => {
+    // Act
+    const { container } = render(<FlagOverridesBadge />)
+
+    // Assert
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('lists the active overrides', () => {
+    // Arrange
+    render(<FlagOverridesBadge />)
+
+    // Act
+    act(() => {
+      getFlagOverrides().set('example-widget', true)
+      getFlagOverrides().set('contact-form-backends', { formspree: 'required' })
+    })
+
+    // Assert
+    const badge = screen.getByRole('status', { name: 'Feature flag overrides' })
+    expect(badge).toHaveTextContent('Flag overrides active')
+    expect(badge).toHaveTextContent('example-widget: on')
+    expect(badge).toHaveTextContent('contact-form-backends: {"formspree":"required"}')
+  })
+
+  it('clears the overrides', async () => {
+    // Arrange
+    const user = userEvent.setup()
+    act(() => getFlagOverrides().set('example-widget', false))
+    render(<FlagOverridesBadge />)
+
+    // Act
+    await user.click(screen.getByRole('button', { name: 'Clear overrides' }))
+
+    // Assert
+    expect(screen.queryByRole('status')).not.toBeInTheDocument()
+    expect(getFlagOverrides().getSnapshot().overrides).toEqual({})
+  })
+})
@@ -0,0 +1,172 @@
+/**
+ * Feature Flag Developer Toolbar
+ *
+ * Story 000003 - Feature Flags System (LaunchDarkly)
+ *
+ * Development builds only: main.jsx loads it with a dynamic import behind
+ * import.meta.env.DEV, so it is left out of production bundles. Lists every
+ * flag with its live value and where it comes from, toggles boolean flags
+ * through local overrides (services/flagOverrides.js) and resets the
+ * anonymous LaunchDarkly user.
+ */
+
+import { useEffect, useState } from 'react'
+import { useFlags, useLDClient } from 'launchdarkly-react-client-sdk'
+import { FEATURE_FLAGS, FLAG_PROVIDERS, getFlagProvider, resolveFlag } from '../config/featureFlags'
+import { clearAnonymousUser, createDefaultContext } from '../config/launchdarkly'
+import { useFlagOverrides } from '../hooks/useFlagOverrides'
+import { applyFlagOverrides, getFlagOverrides } from '../services/flagOverrides'
+import './FlagToolbar.css'
+
+const SOURCES = {
+  LAUNCHDARKLY: 'LaunchDarkly',
+  LOCAL: 'flags.json',
+  OVERRIDE: 'override',
+  DEFAULT: 'default',
+}
+
+function getFlagRows(served, snapshot) {
+  const { enabled, overrides } = snapshot
+  const servedBy = getFlagProvider() === FLAG_PROVIDERS.LOCAL ? SOURCES.LOCAL : SOURCES.LAUNCHDARKLY
+  const flags = applyFlagOverrides(served, snapshot)
+  const keys = new Set([...Object.keys(FEATURE_FLAGS), ...Object.keys(flags)])
+
+  return [...keys].sort().map(key => {
+    const overridden = enabled && Object.hasOwn(overrides, key)
+    const { value, valid } = resolveFlag(flags, key)
+    let source = overridden ? SOURCES.OVERRIDE : servedBy
+    if (flags[key] === undefined || !valid) {
+      source = SOURCES.DEFAULT
+    }
+    return { key, value, source, overridden }
+  })
+}
+
+function formatValue(value) {
+  if (value === undefined) {
+    return 'undefined'
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+function changedKeys(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+}
+
+/**
+ * @param {Object} props
+ * @param {Function} props.now - Clock (for tests)
+ */
+function FlagToolbar({ now = Date.now }) {
+  // Without a full client, fall back to useFlags(): a dev tool must never break the page
+  const ldClient = useLDClient()
+  const client = typeof ldClient?.allFlags === 'function' ? ldClient : null
+  const flags = useFlags() || {}
+  const snapshot = useFlagOverrides()
+  const [open, setOpen] = useState(false)
+  const [changedAt, setChangedAt] = useState({})
+  const [userKey, setUserKey] = useState(() => client?.getContext?.()?.key ?? null)
+  const rows = getFlagRows(client ? client.allFlags() : flags, snapshot)
+
+  // Change times come from the sources' own events: LaunchDarkly updates and override edits
+  useEffect(() => {
+    const stamp = keys => {
+      const at = now()
+      setChangedAt(times => ({ ...times, ...Object.fromEntries(keys.map(key => [key, at])) }))
+    }
+
+    const store = getFlagOverrides()
+    let previous = store.getSnapshot().overrides
+    const unsubscribe = store.subscribe(({ overrides }) => {
+      stamp(changedKeys(previous, overrides))
+      previous = overrides
+    })
+
+    const onChange = changes => stamp(Object.keys(changes))
+    client?.on('change', onChange)
+
+    return () => {
+      unsubscribe()
+      client?.off('change', onChange)
+    }
+  }, [client, now])
+
+  const toggle = ({ key, value }) => getFlagOverrides().set(key, !value)
+
+  const resetUser = async () => {
+    clearAnonymousUser()
+    const context = createDefaultContext()
+    setUserKey(context.key)
+    try {
+      await client?.identify(context)
+    } catch (error) {
+      console.error('LaunchDarkly identify failed:', error)
+    }
+  }
+
+  return (
+    <aside className="flag-toolbar" aria-label="Feature flag toolbar">
+      <button
+        type="button"
+        className="flag-toolbar-toggle"
+        aria-expanded={open}
+        onClick={() => setOpen(current => !current)}
+      >
+        Flags ({rows.length})
+      </button>
+
+      {open && (
+        <div className="flag-toolbar-panel">
+          <table>
+            <thead>
+              <tr>
+                <th scope="col">Flag</th>
+                <th scope="col">Value</th>
+                <th scope="col">Source</th>
+                <th scope="col">Last changed</th>
+                <th scope="col" aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.key}>
+                  <th scope="row"><code>{row.key}</code></th>
+                  <td>{formatValue(row.value)}</td>
+                  <td>{row.source}</td>
+                  <td>{changedAt[row.key] ? new Date(changedAt[row.key]).toLocaleTimeString() : '–'}</td>
+                  <td>
+                    {typeof row.value === 'boolean' && (
+                      <input
+                        type="checkbox"
+                        role="switch"
+                        aria-label={row.key}
+                        checked={row.value}
+                        disabled={!snapshot.enabled}
+                        onChange={() => toggle(row)}
+                      />
+                    )}
+                    {row.overridden && (
+                      <button type="button" onClick={() => getFlagOverrides().remove(row.key)}>
+                        Reset
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <p className="flag-toolbar-user">
+            Anonymous user: <code>{userKey || 'none'}</code>
+          </p>
+          <button type="button" onClick={resetUser}>
+            Reset anonymous user
+          </button>
+        </div>
+      )}
+    </aside>
+  )
+}
+
+export default FlagToolbar
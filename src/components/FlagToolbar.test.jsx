@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { act, render, screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useFlags, useLDClient } from 'launchdarkly-react-client-sdk'
+import FlagToolbar from './FlagToolbar'
+import { getFlagOverrides } from '../services/flagOverrides'
+
+vi.mock('launchdarkly-react-client-sdk', () => ({
+  useFlags: vi.fn(() => ({})),
+  useLDClient: vi.fn(() => undefined),
+}))
+
+const now = () => Date.parse('2026-10-18T12:34:56Z')
+
+function createClient(flags) {
+  const listeners = new Set()
+  return {
+    allFlags: vi.fn(() => flags),
+    getContext: vi.fn(() => ({ kind: 'user', key: 'anonymous-old', anonymous: true })),
+    identify: vi.fn().mockResolvedValue({}),
+    on: vi.fn((event, listener) => listeners.add(listener)),
+    off: vi.fn((event, listener) => listeners.delete(listener)),
+    emitChange: changes => listeners.forEach(listener => listener(changes)),
+  }
+}
+
+const getRow = name => screen.getByRole('rowheader', { name }).closest('tr')
+
+async function openToolbar(user) {
+  await user.click(screen.getByRole('button', { name: /Flags/ }))
+}
+
+describe('FlagToolbar', () => {
+  let client
+
+  beforeEach(async () => {
+    localStorage.clear()
+    await getFlagOverrides().load()
+    client = createClient({ 'example-widget': true, 'beta-dashboard': 'variant-a' })
+    useLDClient.mockReturnValue(client)
+    useFlags.mockReturnValue({})
+  })
+
+  afterEach(() => {
+    getFlagOverrides().clear()
+    vi.clearAllMocks()
+  })
+
+  it('lists every flag with its value and source', async () => {
+    // Arrange
+    const user = userEvent.setup()
+    act(() => getFlagOverrides().set('brevo-integration', true))
+    render(<FlagToolbar now={now} />)
+
+    // Act
+    await openToolbar(user)
+
+    // Assert
+    expect(within(getRow('example-widget')).getAllByRole('cell').map(cell => cell.textContent).slice(0, 2))
+      .toEqual(['true', 'LaunchDarkly'])
+    expect(within(getRow('beta-dashboard')).getAllByRole('cell')[1]).toHaveTextContent('LaunchDarkly')
+    expect(within(getRow('brevo-integration')).getAllByRole('cell')[1]).toHaveTextContent('override')
+    expect(within(getRow('contact-form-backends')).getAllByRole('cell').map(cell => cell.textContent).slice(0, 2))
+      .toEqual(['null', 'default'])
+  })
+
+  it('toggles boolean flags through local overrides and resets them', async () => {
+    // Arrange
+    const user = userEvent.setup()
+    render(<FlagToolbar now={now} />)
+    await openToolbar(user)
+
+    // Act
+    await user.click(screen.getByRole('switch', { name: 'example-widget' }))
+
+    // Assert
+    expect(getFlagOverrides().getSnapshot().overrides).toEqual({ 'example-widget': false })
+    const row = getRow('example-widget')
+    expect(within(row).getAllByRole('cell')[1]).toHaveTextContent('override')
+    expect(within(row).getAllByRole('cell')[2]).toHaveTextContent(new Date(now()).toLocaleTimeString())
+
+    await user.click(within(row).getByRole('button', { name: 'Reset' }))
+    expect(getFlagOverrides().getSnapshot().overrides).toEqual({})
+  })
+
+  it('records when LaunchDarkly changes a flag', async () => {
+    // Arrange
+    const user = userEvent.setup()
+    render(<FlagToolbar now={now} />)
+    await openToolbar(user)
+    expect(within(getRow('beta-dashboard')).getAllByRole('cell')[2]).toHaveTextContent('–')
+
+    // Act
+    act(() => client.emitChange({ 'beta-dashboard': { current: 'variant-b', previous: 'variant-a' } }))
+
+    // Assert
+    expect(within(getRow('beta-dashboard')).getAllByRole('cell')[2]).toHaveTextContent(new Date(now()).toLocaleTimeString())
+  })
+
+  it('resets the anonymous user and identifies the new one', async () => {
+    // Arrange
+    const user = userEvent.setup()
+    localStorage.setItem('ld_anonymous_user_key', 'anonymous-old')
+    render(<FlagToolbar now={now} />)
+    await openToolbar(user)
+    expect(screen.getByText('anonymous-old')).toBeInTheDocument()
+
+    // Act
+    await user.click(screen.getByRole('button', { name: 'Reset anonymous user' }))
+
+    // Assert
+    const newKey = localStorage.getItem('ld_anonymous_user_key')
+    expect(newKey).toMatch(/^anonymous-/)
+    expect(newKey).not.toBe('anonymous-old')
+    expect(client.identify).toHaveBeenCalledWith(expect.objectContaining({ kind: 'user', key: newKey, anonymous: true }))
+    expect(screen.getByText(newKey)).toBeInTheDocument()
+  })
+
+  it('falls back to useFlags() without a client', async () => {
+    // Arrange
+    const user = userEvent.setup()
+    useLDClient.mockReturnValue(undefined)
+    useFlags.mockReturnValue({ 'lead-qualification-wizard': true })
+    render(<FlagToolbar now={now} />)
+
+    // Act
+    await openToolbar(user)
+
+    // Assert
+    expect(within(getRow('lead-qualification-wizard')).getAllByRole('cell')[1]).toHaveTextContent('LaunchDarkly')
+    expect(screen.getByText('none')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,106 @@
+import { useState } from 'react'
+import {
+  createIcsEvent,
+  formatSlot,
+  getAvailableSlots,
+  getVisitorTimeZone,
+  groupSlotsByDay
+} from '../services/meetingScheduler'
+import './MeetingScheduler.css'
+
+/**
+ * Optional follow-up to a contact form submission: the visitor picks a
+ * discovery-call slot (shown in their time zone) and downloads an invite.
+ * `onSchedule(start)` books the chosen slot and resolves to whether it was
+ * recorded; only then is the call shown as set. Renders nothing when there
+ * are no upcoming slots or the visitor declines.
+ */
+function MeetingScheduler({ attendee, onSchedule, availability, now, timeZone: customTimeZone, locale }) {
+  const [timeZone] = useState(() => customTimeZone || getVisitorTimeZone())
+  const [days] = useState(() => groupSlotsByDay(getAvailableSlots(availability, { now }), timeZone, locale))
+  const [selected, setSelected] = useState(null)
+  const [scheduled, setScheduled] = useState(null)
+  const [booking, setBooking] = useState(false)
+  const [failed, setFailed] = useState(false)
+  const [dismissed, setDismissed] = useState(false)
+
+  if (dismissed || days.length === 0) {
+    return null
+  }
+
+  if (scheduled) {
+    return (
+      <div className="meeting-scheduler" role="status">
+        <p>Your discovery call is set for {formatSlot(scheduled.start, timeZone, locale)}.</p>
+        <a
+          className="meeting-invite"
+          href={`data:text/calendar;charset=utf-8,${encodeURIComponent(scheduled.invite)}`}
+          download="discovery-call.ics"
+        >
+          Add to calendar (.ics)
+        </a>
+      </div>
+    )
+  }
+
+  // An unrecorded booking would leave the visitor waiting for a call nobody knows about
+  const onConfirm = async () => {
+    setBooking(true)
+    setFailed(false)
+    try {
+      if (await onSchedule(selected)) {
+        setScheduled({ start: selected, invite: createIcsEvent({ start: selected, attendee }) })
+      } else {
+        setFailed(true)
+      }
+    } catch (error) {
+      console.error('Meeting booking error:', error.message)
+      setFailed(true)
+    } finally {
+      setBooking(false)
+    }
+  }
+
+  return (
+    <div className="meeting-scheduler">
+      <h3>Book a discovery call</h3>
+      <p>Pick a time that suits you. Times are shown in {timeZone}.</p>
+
+      {days.map(({ day, slots }) => (
+        <div key={day} className="meeting-day" role="group" aria-label={day}>
+          <p className="meeting-day-label">{day}</p>
+          <div className="meeting-slots">
+            {slots.map(({ start, time }) => (
+              <button
+                key={start.getTime()}
+                type="button"
+                className="meeting-slot"
+                aria-pressed={selected?.getTime() === start.getTime()}
+                onClick={() => setSelected(start)}
+              >
+                {time}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {failed && (
+        <div className="error-message" role="alert">
+          We couldn't book this time. Please try again.
+        </div>
+      )}
+
+      <div className="form-actions">
+        <button type="button" className="secondary" onClick={() => setDismissed(true)} disabled={booking}>
+          No thanks
+        </button>
+        <button type="button" onClick={onConfirm} disabled={!selected || booking}>
+          {booking ? 'Booking...' : 'Confirm time'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default MeetingScheduler
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import MeetingScheduler from './MeetingScheduler'
+
+// Monday 2026-10-19, 08:00 UTC
+const now = () => Date.parse('2026-10-19T08:00:00Z')
+
+const availability = {
+  durationMinutes: 30,
+  daysAhead: 3,
+  weeklyUtc: { 1: ['14:00'], 2: ['02:00', '14:00'] }
+}
+
+const renderScheduler = (props = {}) => render(
+  <MeetingScheduler
+    availability={availability}
+    now={now}
+    timeZone="America/New_York"
+    locale="en-US"
+    {...props}
+  />
+)
+
+describe('MeetingScheduler', () => {
+  it('shows slots grouped by day in the visitor time zone', () => {
+    // Act
+    renderScheduler()
+
+    // Assert
+    expect(screen.getByText(/times are shown in america\/new_york/i)).toBeInTheDocument()
+    const monday = screen.getByRole('group', { name: 'Monday, October 19' })
+    expect(monday).toHaveTextContent('10:00 AM')
+    expect(monday).toHaveTextContent('10:00 PM')
+    expect(screen.getByRole('group', { name: 'Tuesday, October 20' })).toHaveTextContent('10:00 AM')
+  })
+
+  it('confirms the chosen slot and offers a calendar invite', async () => {
+    // Arrange
+    const onSchedule = vi.fn().mockResolvedValue(true)
+    renderScheduler({ onSchedule, attendee: { name: 'Jane Smith', email: 'jane@example.com' } })
+    const user = userEvent.setup()
+    expect(screen.getByRole('button', { name: /confirm time/i })).toBeDisabled()
+
+    // Act
+    await user.click(screen.getByRole('button', { name: '10:00 PM' }))
+    await user.click(screen.getByRole('button', { name: /confirm time/i }))
+
+    // Assert
+    expect(onSchedule).toHaveBeenCalledWith(new Date('2026-10-20T02:00:00Z'))
+    expect(await screen.findByRole('status')).toHaveTextContent('Your discovery call is set for Monday, October 19 at 10:00 PM EDT.')
+    const invite = screen.getByRole('link', { name: /add to calendar/i })
+    expect(invite).toHaveAttribute('download', 'discovery-call.ics')
+    const ics = decodeURIComponent(invite.getAttribute('href').replace('data:text/calendar;charset=utf-8,', ''))
+    expect(ics).toContain('DTSTART:20261020T020000Z')
+    expect(ics).toContain('ATTENDEE;CN="Jane Smith":mailto:jane@example.com')
+  })
+
+  it('does not confirm a booking that was not recorded', async () => {
+    // Arrange
+    const onSchedule = vi.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true)
+    renderScheduler({ onSchedule })
+    const user = userEvent.setup()
+    await user.click(screen.getByRole('button', { name: '10:00 PM' }))
+
+    // Act
+    await user.click(screen.getByRole('button', { name: /confirm time/i }))
+
+    // Assert
+    expect(await screen.findByRole('alert')).toHaveTextContent("We couldn't book this time. Please try again.")
+    expect(screen.queryByRole('status')).not.toBeInTheDocument()
+    expect(screen.queryByRole('link', { name: /add to calendar/i })).not.toBeInTheDocument()
+
+    // Act
+    await user.click(screen.getByRole('button', { name: /confirm time/i }))
+
+    // Assert
+    expect(await screen.findByRole('status')).toHaveTextContent('Your discovery call is set')
+    expect(onSchedule).toHaveBeenCalledTimes(2)
+  })
+
+  it('lets the visitor try again when booking throws', async () => {
+    // Arrange
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const onSchedule = vi.fn().mockRejectedValue(new Error('Network down'))
+    renderScheduler({ onSchedule })
+    const user = userEvent.setup()
+    await user.click(screen.getByRole('button', { name: '10:00 PM' }))
+
+    // Act
+    await user.click(screen.getByRole('button', { name: /confirm time/i }))
+
+    // Assert
+    expect(await screen.findByRole('alert')).toHaveTextContent("We couldn't book this time. Please try again.")
+    expect(screen.getByRole('button', { name: /confirm time/i })).toBeEnabled()
+    expect(console.error).toHaveBeenCalledWith('Meeting booking error:', 'Network down')
+    vi.restoreAllMocks()
+  })
+
+  it('can be declined', async () => {
+    // Arrange
+    const { container } = renderScheduler()
+    const user = userEvent.setup()
+
+    // Act
+    await user.click(screen.getByRole('button', { name: /no thanks/i }))
+
+    // Assert
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('renders nothing without upcoming slots', () => {
+    // Act
+    const { container } = renderScheduler({ availability: { weeklyUtc: {} } })
+
+    // Assert
+    expect(container).toBeEmptyDOMElement()
+  })
+})
@@ -0,0 +1,176 @@
+/**
+ * Feature Flag Manifest
+ *
+ * Story 000003 - Feature Flags System (LaunchDarkly)
+ *
+ * Every LaunchDarkly flag the app reads is declared here with its type and
+ * the default used while flags load, when LaunchDarkly is unavailable or when
+ * it serves a value of the wrong type. Read flags with useFlag(key)
+ * (hooks/useFlag.js) instead of indexing useFlags() directly.
+ *
+ * Add a flag here before using it, and remove it once its `expires` date has
+ * passed and the flag check has been cleaned up.
+ */
+
+export const FLAG_TYPES = Object.freeze({
+  BOOLEAN: 'boolean',
+  STRING: 'string',
+  NUMBER: 'number',
+  JSON: 'json',
+})
+
+export const FLAGS = Object.freeze({
+  EXAMPLE_WIDGET: 'example-widget',
+  BREVO_INTEGRATION: 'brevo-integration',
+  BREVO_ACKNOWLEDGEMENT_EMAIL: 'brevo-acknowledgement-email',
+  BREVO_EVENT_TRACKING: 'brevo-event-tracking',
+  LEAD_QUALIFICATION_WIZARD: 'lead-qualification-wizard',
+  CONTACT_FORM_BACKENDS: 'contact-form-backends',
+  MEETING_SCHEDULER: 'meeting-scheduler',
+})
+
+const FLAG_DEFINITIONS = [
+  {
+    key: FLAGS.EXAMPLE_WIDGET,
+    type: FLAG_TYPES.BOOLEAN,
+    defaultValue: false,
+    owner: 'web-platform',
+    story: '000003',
+    expires: '2026-12-31',
+    description: 'Shows the ExampleWidget banner above the hero',
+  },
+  {
+    key: FLAGS.BREVO_INTEGRATION,
+    type: FLAG_TYPES.BOOLEAN,
+    defaultValue: false,
+    owner: 'growth',
+    story: '000004',
+    expires: '2027-03-31',
+    description: 'Kill switch for the Brevo contact form backend',
+  },
+  {
+    key: FLAGS.BREVO_ACKNOWLEDGEMENT_EMAIL,
+    type: FLAG_TYPES.BOOLEAN,
+    defaultValue: false,
+    owner: 'growth',
+    story: '000004',
+    expires: '2027-03-31',
+    description: 'Sends the acknowledgement email after a contact form submission',
+  },
+  {
+    key: FLAGS.BREVO_EVENT_TRACKING,
+    type: FLAG_TYPES.BOOLEAN,
+    defaultValue: false,
+    owner: 'growth',
+    story: '000004',
+    expires: '2027-03-31',
+    description: 'Sends visitor events to Brevo (hooks/useEventTracking.js)',
+  },
+  {
+    key: FLAGS.LEAD_QUALIFICATION_WIZARD,
+    type: FLAG_TYPES.BOOLEAN,
+    defaultValue: false,
+    owner: 'growth',
+    story: '000004',
+    expires: '2027-01-31',
+    description: 'Splits the contact form into steps with qualification questions',
+  },
+  {
+    key: FLAGS.CONTACT_FORM_BACKENDS,
+    type: FLAG_TYPES.JSON,
+    // null falls back to VITE_SUBMISSION_BACKENDS (see services/submissionBackends.js)
+    defaultValue: null,
+    owner: 'web-platform',
+    story: '000004',
+    expires: '2027-06-30',
+    description: 'Contact form submission backends and their policies',
+  },
+  {
+    key: FLAGS.MEETING_SCHEDULER,
+    type: FLAG_TYPES.BOOLEAN,
+    defaultValue: false,
+    owner: 'growth',
+    story: '000004',
+    expires: '2027-03-31',
+    description: 'Offers a discovery-call booking after a contact form submission',
+  },
+]
+
+export const FEATURE_FLAGS = Object.freeze(Object.fromEntries(
+  FLAG_DEFINITIONS.map(definition => [definition.key, Object.freeze(definition)])
+))
+
+/**
+ * Looks up a flag in the manifest
+ * @param {string} key - Flag key (kebab-case)
+ * @returns {Object|undefined} `{ key, type, defaultValue, owner, story, expires, description }`
+ */
+export function getFlagDefinition(key) {
+  return Object.hasOwn(FEATURE_FLAGS, key) ? FEATURE_FLAGS[key] : undefined
+}
+
+/**
+ * Checks a value against a declared flag type
+ * @param {*} value - Value served for the flag
+ * @param {string} type - One of FLAG_TYPES
+ * @returns {boolean} True if the value has that type
+ */
+export function isValidFlagValue(value, type) {
+  switch (type) {
+    case FLAG_TYPES.BOOLEAN:
+    case FLAG_TYPES.STRING:
+      return typeof value === type
+    case FLAG_TYPES.NUMBER:
+      return Number.isFinite(value)
+    case FLAG_TYPES.JSON:
+      return value !== null && typeof value === 'object'
+    default:
+      return false
+  }
+}
+
+/**
+ * Reads a flag, falling back to its declared default
+ * @param {Object} flags - Flags object from useFlags()
+ * @param {string} key - Flag key
+ * @returns {{ value: *, declared: boolean, valid: boolean }} `valid` is false when
+ *   a declared flag was served a value of the wrong type. Undeclared flags are
+ *   returned as served.
+ */
+export function resolveFlag(flags, key) {
+  const value = flags?.[key]
+  const definition = getFlagDefinition(key)
+  if (!definition) {
+    return { value, declared: false, valid: true }
+  }
+  if (value === undefined) {
+    return { value: definition.defaultValue, declared: true, valid: true }
+  }
+  if (!isValidFlagValue(value, definition.type)) {
+    return { value: definition.defaultValue, declared: true, valid: false }
+  }
+  return { value, declared: true, valid: true }
+}
+
+export const FLAG_PROVIDERS = Object.freeze({
+  LAUNCHDARKLY: 'launchdarkly',
+  LOCAL: 'local',
+})
+
+/**
+ * Picks where flags are evaluated: LaunchDarkly (default) or the local
+ * flags.json provider (providers/providers/LocalFlagsProvider.jsx)
+ * @param {string} value - Value of VITE_FLAG_PROVIDER
+ * @returns {string} One of FLAG_PROVIDERS
+ */
+export function getFlagProvider(value = import.meta.env?.VITE_FLAG_PROVIDER) {
+  const provider = value?.trim().toLowerCase()
+  if (!provider) {
+    return FLAG_PROVIDERS.LAUNCHDARKLY
+  }
+  if (!Object.values(FLAG_PROVIDERS).includes(provider)) {
+    console.warn(`Unknown VITE_FLAG_PROVIDER "${value}", using LaunchDarkly`)
+    return FLAG_PROVIDERS.LAUNCHDARKLY
+  }
+  return provider
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  FEATURE_FLAGS,
+  FLAGS,
+  FLAG_PROVIDERS,
+  FLAG_TYPES,
+  getFlagDefinition,
+  getFlagProvider,
+  isValidFlagValue,
+  resolveFlag
+} from './featureFlags'
+import { getFeatureFlag } from '../hooks/useFeatureFlags'
+
+describe('Feature Flag Manifest', () => {
+  it('declares every flag key with its type, default, owner, story and expiry', () => {
+    // Assert
+    expect(Object.keys(FEATURE_FLAGS).sort()).toEqual(Object.values(FLAGS).sort())
+    for (const [key, definition] of Object.entries(FEATURE_FLAGS)) {
+      expect(definition.key).toBe(key)
+      expect(key).toMatch(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+      expect(Object.values(FLAG_TYPES)).toContain(definition.type)
+      expect(definition.owner).toEqual(expect.any(String))
+      expect(definition.story).toMatch(/^\d{6}$/)
+      expect(definition.expires).toMatch(/^\d{4}-\d{2}-\d{2}$/)
+    }
+  })
+
+  it('declares defaults of the flag type, except null for JSON flags', () => {
+    for (const { type, defaultValue } of Object.values(FEATURE_FLAGS)) {
+      expect(isValidFlagValue(defaultValue, type) || (type === FLAG_TYPES.JSON && defaultValue === null)).toBe(true)
+    }
+  })
+
+  it('does not look up inherited properties as flags', () => {
+    expect(getFlagDefinition('toString')).toBeUndefined()
+  })
+
+  describe('isValidFlagValue', () => {
+    it.each([
+      [true, FLAG_TYPES.BOOLEAN, true],
+      ['true', FLAG_TYPES.BOOLEAN, false],
+      ['variant-a', FLAG_TYPES.STRING, true],
+      [3, FLAG_TYPES.NUMBER, true],
+      [NaN, FLAG_TYPES.NUMBER, false],
+      [{ formspree: 'required' }, FLAG_TYPES.JSON, true],
+      [['a'], FLAG_TYPES.JSON, true],
+      [null, FLAG_TYPES.JSON, false],
+      [true, 'unknown', false],
+    ])('%j as %s is %s', (value, type, expected) => {
+      expect(isValidFlagValue(value, type)).toBe(expected)
+    })
+  })
+
+  describe('resolveFlag', () => {
+    it('falls back to the declared default for missing and mistyped values', () => {
+      // Assert
+      expect(resolveFlag({}, FLAGS.BREVO_INTEGRATION)).toEqual({ value: false, declared: true, valid: true })
+      expect(resolveFlag({ 'brevo-integration': 'on' }, FLAGS.BREVO_INTEGRATION))
+        .toEqual({ value: false, declared: true, valid: false })
+      expect(resolveFlag({ 'brevo-integration': true }, FLAGS.BREVO_INTEGRATION))
+        .toEqual({ value: true, declared: true, valid: true })
+    })
+
+    it('passes undeclared flags through', () => {
+      expect(resolveFlag({ 'beta-dashboard': 1 }, 'beta-dashboard')).toEqual({ value: 1, declared: false, valid: true })
+    })
+  })
+
+  describe('getFeatureFlag', () => {
+    it('defaults to the declared default value', () => {
+      // Assert
+      expect(getFeatureFlag({}, FLAGS.CONTACT_FORM_BACKENDS)).toBeNull()
+      expect(getFeatureFlag({}, 'beta-dashboard')).toBe(false)
+      expect(getFeatureFlag({}, FLAGS.CONTACT_FORM_BACKENDS, 'fallback')).toBe('fallback')
+    })
+  })
+
+  describe('getFlagProvider', () => {
+    it('reads VITE_FLAG_PROVIDER and defaults to LaunchDarkly', () => {
+      // Arrange
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      // Assert
+      expect(getFlagProvider(undefined)).toBe(FLAG_PROVIDERS.LAUNCHDARKLY)
+      expect(getFlagProvider(' Local ')).toBe(FLAG_PROVIDERS.LOCAL)
+      expect(getFlagProvider('launchdarkly')).toBe(FLAG_PROVIDERS.LAUNCHDARKLY)
+      expect(getFlagProvider('split')).toBe(FLAG_PROVIDERS.LAUNCHDARKLY)
+      expect(warn).toHaveBeenCalledWith('Unknown VITE_FLAG_PROVIDER "split", using LaunchDarkly')
+      warn.mockRestore()
+    })
+  })
+})
@@ -7,6 +7,8 @@
  * Provides configuration for LaunchDarkly SDK initialization.
  */
 
+import { getAttributionFields, loadAttribution } from '../services/attribution'
+
 /**
  * Generates or retrieves a persistent anonymous user context for LaunchDarkly
  * Keys are stored in localStorage to maintain consistent flag evaluations across sessions
@@ -52,6 +54,15 @@ export function clearAnonymousUser() {
   }
 }
 
+/**
+ * Builds the default context: the anonymous visitor plus campaign attribution
+ * (utm_campaign, referrer, ...), so flags can target by campaign
+ * @returns {Object} LaunchDarkly user context
+ */
+export function createDefaultContext() {
+  return { ...generateAnonymousUser(), ...getAttributionFields(loadAttribution()) }
+}
+
 /**
  * Validates LaunchDarkly client-side ID format
  * @param {string} id - Client-side ID to validate
@@ -110,7 +121,7 @@ export function getLDConfig({ context, options } = {}) {
 
   return {
     clientSideID: validClientSideID,
-    context: context || generateAnonymousUser(),
+    context: context || createDefaultContext(),
     options: {
       bootstrap: 'localStorage',
       ...options,
@@ -0,0 +1,32 @@
+/**
+ * Marketing Consent Configuration
+ *
+ * Text shown next to the ContactForm marketing-consent checkbox. Bump
+ * `version` whenever the wording changes: each Brevo contact records the
+ * version they agreed to, so older consents can be told apart.
+ */
+
+export const CONSENT_FIELD = 'marketingConsent'
+
+export const MARKETING_CONSENT = {
+  version: '2026-10-18',
+  text: 'Yes, keep me updated about Software Factory news and offers. I can unsubscribe at any time.',
+}
+
+/**
+ * Builds the Brevo contact attributes that record a visitor's consent
+ * @param {Object} options - Consent details
+ * @param {number} options.timestamp - When consent was given
+ * @param {string} options.source - Page consent was given on (origin and path, no query string)
+ * @returns {Object} CONSENT_TIMESTAMP, CONSENT_VERSION and CONSENT_SOURCE attributes
+ */
+export function getConsentAttributes({
+  timestamp = Date.now(),
+  source = `${window.location.origin}${window.location.pathname}`,
+} = {}) {
+  return {
+    CONSENT_TIMESTAMP: new Date(timestamp).toISOString(),
+    CONSENT_VERSION: MARKETING_CONSENT.version,
+    CONSENT_SOURCE: source,
+  }
+}
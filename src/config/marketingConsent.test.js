@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest'
+import { getConsentAttributes, MARKETING_CONSENT } from './marketingConsent'
+
+describe('Marketing Consent', () => {
+  it('builds the Brevo consent attributes', () => {
+    // Act
+    const attributes = getConsentAttributes({
+      timestamp: Date.parse('2026-10-18T09:30:00Z'),
+      source: 'https://example.com/'
+    })
+
+    // Assert
+    expect(attributes).toEqual({
+      CONSENT_TIMESTAMP: '2026-10-18T09:30:00.000Z',
+      CONSENT_VERSION: MARKETING_CONSENT.version,
+      CONSENT_SOURCE: 'https://example.com/'
+    })
+  })
+
+  it('uses the current page without its query string as the source', () => {
+    // Arrange
+    window.history.replaceState(null, '', '/pricing?email=jane@example.com')
+
+    // Act
+    const { CONSENT_SOURCE } = getConsentAttributes()
+
+    // Assert
+    expect(CONSENT_SOURCE).toBe(`${window.location.origin}/pricing`)
+    window.history.replaceState(null, '', '/')
+  })
+})
@@ -0,0 +1,75 @@
+/**
+ * Event Tracking Hooks
+ *
+ * Feature flag: brevo-event-tracking
+ * When the flag is off, tracking calls are no-ops and nothing is sent to Brevo.
+ * Tracking is also off in proxy mode: the proxy does not expose Brevo events,
+ * which can set attributes on any contact.
+ */
+
+import { useEffect, useMemo, useRef } from 'react'
+import { isProxyMode } from '../services/brevo'
+import { FLAGS } from '../config/featureFlags'
+import { getEventTracker } from '../services/eventTracker'
+import { useFlag } from './useFlag'
+
+export const EVENT_TRACKING_FLAG = FLAGS.BREVO_EVENT_TRACKING
+
+/**
+ * Hook for tracking visitor events into Brevo
+ * @returns {{ enabled: boolean, track: Function, identify: Function }} Tracking API
+ */
+export function useEventTracking() {
+  const enabled = useFlag(EVENT_TRACKING_FLAG) && !isProxyMode()
+
+  // The tracker lives for the whole page, so it is not stopped on unmount
+  useEffect(() => {
+    if (enabled) {
+      getEventTracker().start()
+    }
+  }, [enabled])
+
+  return useMemo(() => ({
+    enabled,
+    track: (name, properties) => {
+      if (enabled) {
+        getEventTracker().track(name, properties)
+      }
+    },
+    identify: (email) => {
+      if (enabled) {
+        getEventTracker().identify(email)
+      }
+    },
+  }), [enabled])
+}
+
+/**
+ * Tracks an event the first time the referenced element is at least half visible
+ * @param {string} eventName - Event to track
+ * @returns {Object} Ref to attach to the element
+ */
+export function useTrackView(eventName) {
+  const { enabled, track } = useEventTracking()
+  const ref = useRef(null)
+
+  useEffect(() => {
+    if (!enabled || !ref.current || typeof IntersectionObserver === 'undefined') {
+      return
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        track(eventName)
+        observer.disconnect()
+      }
+    }, { threshold: 0.5 })
+
+    observer.observe(ref.current)
+    return () => observer.disconnect()
+  }, [enabled, eventName, track])
+
+  return ref
+}
+
+export default useEventTracking
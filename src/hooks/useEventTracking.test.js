@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { renderHook } from '@testing-library/react'
+import { useFlags } from 'launchdarkly-react-client-sdk'
+import { getEventTracker } from '../services/eventTracker'
+import { useEventTracking, useTrackView } from './useEventTracking'
+
+vi.mock('launchdarkly-react-client-sdk', () => ({
+  useFlags: vi.fn(() => ({})),
+}))
+
+vi.mock('../services/eventTracker', () => ({
+  getEventTracker: vi.fn(),
+}))
+
+describe('useEventTracking Hook', () => {
+  let tracker
+
+  beforeEach(() => {
+    tracker = { start: vi.fn(), track: vi.fn(), identify: vi.fn() }
+    getEventTracker.mockReturnValue(tracker)
+    useFlags.mockReturnValue({})
+  })
+
+  afterEach(() => {
+    vi.clearAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('does not track or start the tracker when the flag is OFF', () => {
+    // Act
+    const { result } = renderHook(() => useEventTracking())
+    result.current.track('benefits_viewed')
+    result.current.identify('jane@example.com')
+
+    // Assert
+    expect(result.current.enabled).toBe(false)
+    expect(getEventTracker).not.toHaveBeenCalled()
+  })
+
+  it('starts the tracker and forwards calls when the flag is ON', () => {
+    // Arrange
+    useFlags.mockReturnValue({ 'brevo-event-tracking': true })
+
+    // Act
+    const { result } = renderHook(() => useEventTracking())
+    result.current.track('contact_form_started', { step: 1 })
+    result.current.identify('jane@example.com')
+
+    // Assert
+    expect(tracker.start).toHaveBeenCalled()
+    expect(tracker.track).toHaveBeenCalledWith('contact_form_started', { step: 1 })
+    expect(tracker.identify).toHaveBeenCalledWith('jane@example.com')
+  })
+
+  it('stays off in proxy mode, where Brevo events are not available', () => {
+    // Arrange
+    vi.stubEnv('VITE_BREVO_PROXY_URL', '/api')
+    useFlags.mockReturnValue({ 'brevo-event-tracking': true })
+
+    // Act
+    const { result } = renderHook(() => useEventTracking())
+    result.current.track('contact_form_started')
+
+    // Assert
+    expect(result.current.enabled).toBe(false)
+    expect(getEventTracker).not.toHaveBeenCalled()
+
+    vi.unstubAllEnvs()
+  })
+
+  describe('useTrackView', () => {
+    let observerCallback
+    let observer
+
+    beforeEach(() => {
+      observer = { observe: vi.fn(), disconnect: vi.fn() }
+      vi.stubGlobal('IntersectionObserver', vi.fn(function(callback) {
+        observerCallback = callback
+        Object.assign(this, observer)
+      }))
+    })
+
+    const renderWithElement = () => renderHook(() => {
+      const ref = useTrackView('benefits_viewed')
+      ref.current = ref.current || document.createElement('section')
+      return ref
+    })
+
+    it('tracks the event once when the element becomes visible', () => {
+      // Arrange
+      useFlags.mockReturnValue({ 'brevo-event-tracking': true })
+      renderWithElement()
+
+      // Act
+      observerCallback([{ isIntersecting: false }])
+      observerCallback([{ isIntersecting: true }])
+
+      // Assert
+      expect(tracker.track).toHaveBeenCalledTimes(1)
+      expect(tracker.track).toHaveBeenCalledWith('benefits_viewed', undefined)
+      expect(observer.disconnect).toHaveBeenCalled()
+    })
+
+    it('does not observe when the flag is OFF', () => {
+      // Act
+      renderWithElement()
+
+      // Assert
+      expect(IntersectionObserver).not.toHaveBeenCalled()
+    })
+  })
+})
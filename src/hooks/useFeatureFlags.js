@@ -5,18 +5,28 @@
  * Batch 1: LaunchDarkly SDK Setup and Configuration
  *
  * Provides a convenient API for accessing LaunchDarkly feature flags.
+ * Local overrides (services/flagOverrides.js) are applied on top.
  */
 
 import { useFlags, useLDClient } from 'launchdarkly-react-client-sdk'
+import { getFlagDefinition } from '../config/featureFlags'
+import { applyFlagOverrides } from '../services/flagOverrides'
+import { useFlagOverrides } from './useFlagOverrides'
+
+function getDeclaredDefault(key) {
+  const definition = getFlagDefinition(key)
+  return definition ? definition.defaultValue : false
+}
 
 /**
  * Utility function to get a feature flag value
  * @param {Object} flags - Flags object
  * @param {string} key - Flag key
  * @param {*} defaultValue - Default value if flag doesn't exist
+ *   (default: the value declared in config/featureFlags.js, or false)
  * @returns {*} Flag value or default
  */
-export function getFeatureFlag(flags, key, defaultValue = false) {
+export function getFeatureFlag(flags, key, defaultValue = getDeclaredDefault(key)) {
   return flags[key] !== undefined ? flags[key] : defaultValue
 }
 
@@ -38,9 +48,10 @@ export function useFeatureFlags() {
   let flags = {}
   let client = null
   let error = null
+  const overrides = useFlagOverrides()
 
   try {
-    flags = useFlags() || {}
+    flags = applyFlagOverrides(useFlags() || {}, overrides)
     client = useLDClient()
   } catch (err) {
     console.error('Error accessing LaunchDarkly:', err)
@@ -53,7 +64,7 @@ export function useFeatureFlags() {
     error,
     isReady: !!client && !error,
     hasError: !!error,
-    getFlag: (key, defaultValue = false) => getFeatureFlag(flags, key, defaultValue),
+    getFlag: (key, defaultValue) => getFeatureFlag(flags, key, defaultValue),
     isEnabled: (key) => isFeatureEnabled(flags, key),
   }
 }
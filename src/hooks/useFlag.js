@@ -0,0 +1,41 @@
+/**
+ * Typed Feature Flag Hook
+ *
+ * Story 000003 - Feature Flags System (LaunchDarkly)
+ *
+ * Reads one flag declared in config/featureFlags.js and returns its declared
+ * default until LaunchDarkly (or a local override, see services/flagOverrides.js)
+ * serves a value of the declared type.
+ */
+
+import { useEffect } from 'react'
+import { useFlags } from 'launchdarkly-react-client-sdk'
+import { getFlagDefinition, resolveFlag } from '../config/featureFlags'
+import { applyFlagOverrides } from '../services/flagOverrides'
+import { useFlagOverrides } from './useFlagOverrides'
+
+/**
+ * Hook for reading a single feature flag
+ * @param {string} key - Flag key, one of FLAGS
+ * @returns {*} The flag value, or its declared default when missing or of the wrong type
+ */
+export function useFlag(key) {
+  const flags = applyFlagOverrides(useFlags() || {}, useFlagOverrides())
+  const { value, declared, valid } = resolveFlag(flags, key)
+  const served = flags[key]
+
+  useEffect(() => {
+    if (!declared) {
+      console.warn(`Feature flag "${key}" is not declared in config/featureFlags.js`)
+    }
+  }, [key, declared])
+
+  useEffect(() => {
+    if (!valid) {
+      const { type } = getFlagDefinition(key)
+      console.warn(`Feature flag "${key}" should be a ${type}, got:`, served)
+    }
+  }, [key, valid, served])
+
+  return value
+}
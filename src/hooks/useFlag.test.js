@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import { useFlags } from 'launchdarkly-react-client-sdk'
+import { FLAGS } from '../config/featureFlags'
+import { getFlagOverrides } from '../services/flagOverrides'
+import { useFlag } from './useFlag'
+
+vi.mock('launchdarkly-react-client-sdk', () => ({
+  useFlags: vi.fn(() => ({})),
+}))
+
+describe('useFlag Hook', () => {
+  beforeEach(() => {
+    useFlags.mockReturnValue({})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.clearAllMocks()
+  })
+
+  it('returns the served value when it has the declared type', () => {
+    // Arrange
+    const backends = { formspree: 'required' }
+    useFlags.mockReturnValue({ 'example-widget': true, 'contact-form-backends': backends })
+
+    // Act
+    const { result: widget } = renderHook(() => useFlag(FLAGS.EXAMPLE_WIDGET))
+    const { result: config } = renderHook(() => useFlag(FLAGS.CONTACT_FORM_BACKENDS))
+
+    // Assert
+    expect(widget.current).toBe(true)
+    expect(config.current).toBe(backends)
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+
+  it('returns the declared default while flags are missing', () => {
+    // Arrange
+    useFlags.mockReturnValue(undefined)
+
+    // Act
+    const { result: widget } = renderHook(() => useFlag(FLAGS.EXAMPLE_WIDGET))
+    const { result: config } = renderHook(() => useFlag(FLAGS.CONTACT_FORM_BACKENDS))
+
+    // Assert
+    expect(widget.current).toBe(false)
+    expect(config.current).toBeNull()
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+
+  it('returns the declared default and warns when the value has the wrong type', () => {
+    // Arrange
+    useFlags.mockReturnValue({ 'example-widget': { value: true } })
+
+    // Act
+    const { result } = renderHook(() => useFlag(FLAGS.EXAMPLE_WIDGET))
+
+    // Assert
+    expect(result.current).toBe(false)
+    expect(console.warn).toHaveBeenCalledWith('Feature flag "example-widget" should be a boolean, got:', { value: true })
+  })
+
+  it('warns once about undeclared keys and returns the served value', () => {
+    // Arrange
+    useFlags.mockReturnValue({ 'beta-dashboard': 'variant-a' })
+
+    // Act
+    const { result, rerender } = renderHook(() => useFlag('beta-dashboard'))
+    rerender()
+
+    // Assert
+    expect(result.current).toBe('variant-a')
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    expect(console.warn).toHaveBeenCalledWith('Feature flag "beta-dashboard" is not declared in config/featureFlags.js')
+  })
+
+  it('applies local overrides on top of LaunchDarkly', async () => {
+    // Arrange
+    useFlags.mockReturnValue({ 'example-widget': false })
+    await getFlagOverrides().load()
+    const { result } = renderHook(() => useFlag(FLAGS.EXAMPLE_WIDGET))
+
+    // Act
+    act(() => getFlagOverrides().set(FLAGS.EXAMPLE_WIDGET, true))
+
+    // Assert
+    expect(result.current).toBe(true)
+    act(() => getFlagOverrides().clear())
+    expect(result.current).toBe(false)
+  })
+})
@@ -0,0 +1,20 @@
+/**
+ * Flag Overrides Hook
+ *
+ * Story 000003 - Feature Flags System (LaunchDarkly)
+ *
+ * Subscribes a component to the local flag overrides (services/flagOverrides.js).
+ */
+
+import { useSyncExternalStore } from 'react'
+import { getFlagOverrides } from '../services/flagOverrides'
+
+/**
+ * Hook for reading the local flag overrides
+ * @returns {{ enabled: boolean, overrides: Object }} Overrides keyed by flag key
+ *   (`enabled` is false in production without a valid preview token)
+ */
+export function useFlagOverrides() {
+  const store = getFlagOverrides()
+  return useSyncExternalStore(store.subscribe, store.getSnapshot)
+}
@@ -0,0 +1,61 @@
+/**
+ * Form Draft Hook
+ *
+ * Autosaves fields of an uncontrolled form (debounced) and hands back the
+ * saved draft on the next visit, to be used as the fields' default values.
+ */
+
+import { useEffect, useRef, useState } from 'react'
+import { createDraftStore } from '../services/formDraft'
+
+export const DRAFT_SAVE_DELAY_MS = 500
+
+/**
+ * Hook for autosaving and restoring a form draft
+ * @param {Object} formRef - Ref to the form element
+ * @param {string[]} fields - Names of the fields to save
+ * @param {Object} options - Hook options
+ * @param {Object} options.store - Draft store (defaults to a localStorage store)
+ * @param {number} options.delayMs - Debounce delay for saving
+ * @returns {{ draft: Object|null, restored: boolean, save: Function, discard: Function, clear: Function }}
+ *   `draft` is read once on mount; `restored` stays true until the draft is discarded or cleared
+ */
+export function useFormDraft(formRef, fields, { store: customStore, delayMs = DRAFT_SAVE_DELAY_MS } = {}) {
+  const [store] = useState(() => customStore || createDraftStore())
+  const [draft] = useState(() => store.load())
+  const [restored, setRestored] = useState(draft !== null)
+  const timerId = useRef(null)
+
+  useEffect(() => () => clearTimeout(timerId.current), [])
+
+  const save = () => {
+    clearTimeout(timerId.current)
+    timerId.current = setTimeout(() => {
+      const form = formRef.current
+      if (form) {
+        store.save(Object.fromEntries(fields.map(name => [name, form.elements.namedItem(name)?.value ?? ''])))
+      }
+    }, delayMs)
+  }
+
+  const clear = () => {
+    clearTimeout(timerId.current)
+    store.clear()
+    setRestored(false)
+  }
+
+  // Clears the stored draft and empties the fields it filled in
+  const discard = () => {
+    clear()
+    for (const name of fields) {
+      const field = formRef.current?.elements.namedItem(name)
+      if (field) {
+        field.value = ''
+      }
+    }
+  }
+
+  return { draft, restored, save, discard, clear }
+}
+
+export default useFormDraft
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { act, renderHook } from '@testing-library/react'
+import { useFormDraft } from './useFormDraft'
+
+describe('useFormDraft Hook', () => {
+  let store
+  let formRef
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    store = { load: vi.fn(() => null), save: vi.fn(), clear: vi.fn() }
+
+    const form = document.createElement('form')
+    form.innerHTML = '<input name="name" value="Jane Smith"><textarea name="message">Hello there</textarea>'
+    formRef = { current: form }
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('saves the fields once input has paused', () => {
+    // Arrange
+    const { result } = renderHook(() => useFormDraft(formRef, ['name', 'message'], { store }))
+
+    // Act
+    result.current.save()
+    vi.advanceTimersByTime(499)
+    result.current.save()
+    vi.advanceTimersByTime(500)
+
+    // Assert
+    expect(store.save).toHaveBeenCalledTimes(1)
+    expect(store.save).toHaveBeenCalledWith({ name: 'Jane Smith', message: 'Hello there' })
+  })
+
+  it('reports a restored draft until it is discarded', () => {
+    // Arrange
+    store.load.mockReturnValue({ values: { name: 'Jane Smith' }, savedAt: 0 })
+    const { result } = renderHook(() => useFormDraft(formRef, ['name', 'message'], { store }))
+    const restoredBefore = result.current.restored
+
+    // Act
+    act(() => result.current.discard())
+
+    // Assert
+    expect(restoredBefore).toBe(true)
+    expect(result.current.restored).toBe(false)
+    expect(result.current.draft).toEqual({ values: { name: 'Jane Smith' }, savedAt: 0 })
+    expect(store.clear).toHaveBeenCalled()
+    expect(formRef.current.elements.namedItem('name').value).toBe('')
+  })
+
+  it('cancels a pending save when cleared', () => {
+    // Arrange
+    const { result } = renderHook(() => useFormDraft(formRef, ['name'], { store }))
+
+    // Act
+    result.current.save()
+    act(() => result.current.clear())
+    vi.advanceTimersByTime(1000)
+
+    // Assert
+    expect(store.save).not.toHaveBeenCalled()
+  })
+})
@@ -43,38 +43,38 @@ describe('ExampleWidget Integration with LaunchDarkly', () => {
   })
 
   describe('Feature Flag Integration', () => {
-    it('should import useFlags from launchdarkly-react-client-sdk in App.jsx', async () => {
+    it('should import the useFlag hook and flag manifest in App.jsx', async () => {
       const fs = await import('fs/promises')
       const path = await import('path')
       const appPath = path.resolve(process.cwd(), 'src/App.jsx')
 
       const appContent = await fs.readFile(appPath, 'utf-8')
 
-      // Should import useFlags
-      expect(appContent).toMatch(/import.*useFlags.*from.*launchdarkly-react-client-sdk/)
+      // Should read flags through the typed hook
+      expect(appContent).toMatch(/import.*useFlag.*from.*hooks\/useFlag/)
+      expect(appContent).toMatch(/import.*FLAGS.*from.*config\/featureFlags/)
     })
 
-    it('should call useFlags() hook in App component', async () => {
+    it('should call useFlag() with the example-widget key in App component', async () => {
       const fs = await import('fs/promises')
       const path = await import('path')
       const appPath = path.resolve(process.cwd(), 'src/App.jsx')
 
       const appContent = await fs.readFile(appPath, 'utf-8')
 
-      // Should use the useFlags hook
-      expect(appContent).toMatch(/useFlags\s*\(\s*\)/)
+      // Should use the useFlag hook with the declared key
+      expect(appContent).toMatch(/useFlag\s*\(\s*FLAGS\.EXAMPLE_WIDGET\s*\)/)
     })
 
-    it('should destructure exampleWidget flag from useFlags()', async () => {
+    it('should assign the exampleWidget flag from useFlag()', async () => {
       const fs = await import('fs/promises')
       const path = await import('path')
       const appPath = path.resolve(process.cwd(), 'src/App.jsx')
 
       const appContent = await fs.readFile(appPath, 'utf-8')
 
-      // Should destructure the exampleWidget flag
-      expect(appContent).toMatch(/exampleWidget/)
-      expect(appContent).toMatch(/useFlags/)
+      // Should assign the exampleWidget flag
+      expect(appContent).toMatch(/exampleWidget\s*=\s*useFlag\(/)
     })
   })
 
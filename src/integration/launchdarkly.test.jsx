@@ -69,34 +69,46 @@ describe('Environment Configuration', () => {
 })
 
 describe('Main Entry Point Integration', () => {
-  it('should import launchdarkly-react-client-sdk in main.jsx', async () => {
+  // main.jsx renders FeatureFlagProvider, which picks LaunchDarklyProvider
+  // (owner of the SDK setup) unless VITE_FLAG_PROVIDER=local
+  const providerPath = 'src/providers/providers/LaunchDarklyProvider.jsx'
+
+  it('should import FeatureFlagProvider in main.jsx', async () => {
     const fs = await import('fs/promises')
     const path = await import('path')
     const mainPath = path.resolve(process.cwd(), 'src/main.jsx')
 
     const mainContent = await fs.readFile(mainPath, 'utf-8')
 
-    // Should import from LaunchDarkly SDK
-    const hasLDImport =
-      mainContent.includes('launchdarkly-react-client-sdk') ||
-      mainContent.includes('launchdarkly')
+    expect(mainContent).toContain("from './providers/providers/FeatureFlagProvider'")
+  })
+
+  it('should render LaunchDarklyProvider from FeatureFlagProvider', async () => {
+    const fs = await import('fs/promises')
+    const path = await import('path')
+
+    const providerContent = await fs.readFile(path.resolve('src/providers/providers/FeatureFlagProvider.jsx'), 'utf-8')
 
-    expect(hasLDImport).toBe(true)
+    expect(providerContent).toContain("from './LaunchDarklyProvider'")
+    expect(providerContent).toContain('<LaunchDarklyProvider {...props} />')
   })
 
-  it('should use asyncWithLDProvider or withLDProvider in main.jsx', async () => {
+  it('should import launchdarkly-react-client-sdk in LaunchDarklyProvider', async () => {
     const fs = await import('fs/promises')
     const path = await import('path')
-    const mainPath = path.resolve(process.cwd(), 'src/main.jsx')
 
-    const mainContent = await fs.readFile(mainPath, 'utf-8')
+    const providerContent = await fs.readFile(path.resolve(providerPath), 'utf-8')
 
-    const usesProvider =
-      mainContent.includes('asyncWithLDProvider') ||
-      mainContent.includes('withLDProvider') ||
-      mainContent.includes('LDProvider')
+    expect(providerContent).toContain("from 'launchdarkly-react-client-sdk'")
+  })
 
-    expect(usesProvider).toBe(true)
+  it('should use asyncWithLDProvider in LaunchDarklyProvider', async () => {
+    const fs = await import('fs/promises')
+    const path = await import('path')
+
+    const providerContent = await fs.readFile(path.resolve(providerPath), 'utf-8')
+
+    expect(providerContent).toContain('asyncWithLDProvider(')
   })
 
   it('should configure anonymous user context in main.jsx', async () => {
@@ -246,11 +258,20 @@ describe('Provider Wrapping', () => {
 
     const mainContent = await fs.readFile(mainPath, 'utf-8')
 
-    // Should have both App and LaunchDarkly provider
-    const hasApp = mainContent.includes('<App') || mainContent.includes('App')
-    const hasLD = mainContent.includes('LD') || mainContent.includes('launchdarkly')
+    // Should render App (and the dev-only flag toolbar) inside the flag provider
+    expect(mainContent).toMatch(/<FeatureFlagProvider[\s\S]*?<App \/>[\s\S]*?<\/FeatureFlagProvider>/)
+  })
+
+  it('should load the flag toolbar lazily and only in development', async () => {
+    const fs = await import('fs/promises')
+    const path = await import('path')
+    const mainPath = path.resolve('src/main.jsx')
+
+    const mainContent = await fs.readFile(mainPath, 'utf-8')
 
-    expect(hasApp && hasLD).toBe(true)
+    // A static import would put the toolbar in the production bundle
+    expect(mainContent).not.toMatch(/import\s+FlagToolbar/)
+    expect(mainContent).toMatch(/import\.meta\.env\.DEV \? lazy\(\(\) => import\('\.\/components\/FlagToolbar'\)\)/)
   })
 
   it('should maintain existing Sentry ErrorBoundary wrapper', async () => {
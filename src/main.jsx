@@ -1,10 +1,11 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import * as Sentry from '@sentry/react'
-import { asyncWithLDProvider } from 'launchdarkly-react-client-sdk'
 import './index.css'
 import App from './App.jsx'
-import { getLDConfig } from './config/launchdarkly'
+import FeatureFlagProvider from './providers/providers/FeatureFlagProvider'
+import { captureAttribution } from './services/attribution'
+import { getFlagOverrides } from './services/flagOverrides'
 
 // Initialize Sentry for error tracking
 const sentryDsn = import.meta.env.VITE_SENTRY_DSN
@@ -42,34 +43,17 @@ if (isDsnValid) {
   )
 }
 
-// Initialize LaunchDarkly
-const ldConfig = getLDConfig()
-const clientSideID = ldConfig.clientSideID
+// Record campaign attribution before LaunchDarkly reads it into the context
+captureAttribution()
 
-// Wrap App with LaunchDarkly provider if configured
-async function initializeApp() {
-  let LDProvider = null
+// Apply ?ff= flag overrides (production: only with a valid ?ff_token= preview token)
+getFlagOverrides().load()
 
-  if (clientSideID) {
-    try {
-      // asyncWithLDProvider returns a Provider component that wraps the app
-      LDProvider = await asyncWithLDProvider({
-        clientSideID,
-        context: ldConfig.context,
-        options: ldConfig.options,
-        reactOptions: {
-          useCamelCaseFlagKeys: false
-        }
-      })
-    } catch (error) {
-      console.error('LaunchDarkly initialization failed:', error)
-      Sentry.captureException(error)
-      // Continue without LaunchDarkly on error
-    }
-  } else {
-    console.warn('LaunchDarkly client ID not configured. Feature flags will be unavailable.')
-  }
+// Developer toolbar for flags. The DEV check is replaced at build time, so
+// production builds drop the import and never emit the toolbar chunk.
+const FlagToolbar = import.meta.env.DEV ? lazy(() => import('./components/FlagToolbar')) : null
 
+function initializeApp() {
   // Only render if root element exists (skip in test environment)
   const rootElement = document.getElementById('root')
   if (rootElement) {
@@ -85,13 +69,15 @@ async function initializeApp() {
           }
           showDialog
         >
-          {LDProvider ? (
-            <LDProvider>
-              <App />
-            </LDProvider>
-          ) : (
+          {/* Renders the app without flags when LaunchDarkly is not configured or fails */}
+          <FeatureFlagProvider loadingComponent={null} onError={(error) => Sentry.captureException(error)}>
             <App />
-          )}
+            {FlagToolbar && (
+              <Suspense fallback={null}>
+                <FlagToolbar />
+              </Suspense>
+            )}
+          </FeatureFlagProvider>
         </Sentry.ErrorBoundary>
       </StrictMode>,
     )
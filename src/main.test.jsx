@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/react'
+import { act } from '@testing-library/react'
 
 /**
  * LaunchDarkly SDK Integration Tests
@@ -24,6 +24,7 @@ vi.mock('launchdarkly-react-client-sdk', () => ({
   withLDProvider: vi.fn(),
   useFlags: vi.fn(() => ({})),
   useLDClient: vi.fn(() => null),
+  useLDClientError: vi.fn(() => undefined),
 }))
 
 // Mock Sentry to avoid initialization issues in tests
@@ -35,6 +36,14 @@ vi.mock('@sentry/react', () => ({
   captureException: vi.fn(),
 }))
 
+// Imports main.jsx into a page with a #root element. LaunchDarklyProvider (the
+// default FeatureFlagProvider) starts the SDK in an effect, which act() flushes.
+async function renderMain() {
+  await act(async () => {
+    await import('./main.jsx')
+  })
+}
+
 describe('LaunchDarkly SDK Integration', () => {
   let mockAsyncWithLDProvider
   let mockWithLDProvider
@@ -46,6 +55,7 @@ describe('LaunchDarkly SDK Integration', () => {
 
     // Reset all mocks
     vi.clearAllMocks()
+    document.body.innerHTML = '<div id="root"></div>'
 
     // Get mock functions
     const LD = await import('launchdarkly-react-client-sdk')
@@ -74,7 +84,7 @@ describe('LaunchDarkly SDK Integration', () => {
       import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID = 'test-client-id-123'
 
       // Dynamic import to get fresh module with new env
-      await import('./main.jsx')
+      await renderMain()
 
       expect(mockAsyncWithLDProvider).toHaveBeenCalled()
     })
@@ -83,7 +93,7 @@ describe('LaunchDarkly SDK Integration', () => {
       const testClientId = 'test-client-id-abc123'
       import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID = testClientId
 
-      await import('./main.jsx')
+      await renderMain()
 
       expect(mockAsyncWithLDProvider).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -95,7 +105,7 @@ describe('LaunchDarkly SDK Integration', () => {
     it('should configure anonymous user context by default', async () => {
       import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID = 'test-client-id-123'
 
-      await import('./main.jsx')
+      await renderMain()
 
       const config = mockAsyncWithLDProvider.mock.calls[0][0]
 
@@ -108,7 +118,7 @@ describe('LaunchDarkly SDK Integration', () => {
     it('should generate a unique key for anonymous users', async () => {
       import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID = 'test-client-id-123'
 
-      await import('./main.jsx')
+      await renderMain()
 
       const config = mockAsyncWithLDProvider.mock.calls[0][0]
 
@@ -123,7 +133,7 @@ describe('LaunchDarkly SDK Integration', () => {
 
       vi.spyOn(console, 'warn').mockImplementation(() => {})
 
-      await import('./main.jsx')
+      await renderMain()
 
       expect(mockAsyncWithLDProvider).not.toHaveBeenCalled()
     })
@@ -133,7 +143,7 @@ describe('LaunchDarkly SDK Integration', () => {
     it('should set appropriate SDK options for client-side usage', async () => {
       import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID = 'test-client-id-123'
 
-      await import('./main.jsx')
+      await renderMain()
 
       const config = mockAsyncWithLDProvider.mock.calls[0][0]
 
@@ -144,7 +154,7 @@ describe('LaunchDarkly SDK Integration', () => {
     it('should enable bootstrap for faster initial load', async () => {
       import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID = 'test-client-id-123'
 
-      await import('./main.jsx')
+      await renderMain()
 
       const config = mockAsyncWithLDProvider.mock.calls[0][0]
 
@@ -161,7 +171,7 @@ describe('LaunchDarkly SDK Integration', () => {
       const MockProvider = ({ children }) => children
       mockAsyncWithLDProvider.mockResolvedValue(MockProvider)
 
-      await import('./main.jsx')
+      await renderMain()
 
       // Verify asyncWithLDProvider was called
       expect(mockAsyncWithLDProvider).toHaveBeenCalled()
@@ -172,7 +182,7 @@ describe('LaunchDarkly SDK Integration', () => {
 
       const Sentry = await import('@sentry/react')
 
-      await import('./main.jsx')
+      await renderMain()
 
       // Verify ErrorBoundary is used (checked by mock calls)
       expect(Sentry.ErrorBoundary).toBeDefined()
@@ -184,7 +194,7 @@ describe('LaunchDarkly SDK Integration', () => {
       // Valid format: alphanumeric string
       import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID = '64a8f1234567890abcdef123'
 
-      await import('./main.jsx')
+      await renderMain()
 
       expect(mockAsyncWithLDProvider).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -198,7 +208,7 @@ describe('LaunchDarkly SDK Integration', () => {
 
       const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
 
-      await import('./main.jsx')
+      await renderMain()
 
       expect(consoleWarnSpy).toHaveBeenCalledWith(
         expect.stringContaining('LaunchDarkly client ID not configured')
@@ -219,7 +229,7 @@ describe('LaunchDarkly SDK Integration', () => {
         anotherFlag: false,
       })
 
-      await import('./main.jsx')
+      await renderMain()
 
       // Verify provider setup allows access to flags
       const config = mockAsyncWithLDProvider.mock.calls[0][0]
@@ -237,7 +247,7 @@ describe('LaunchDarkly SDK Integration', () => {
       }
       useLDClient.mockReturnValue(mockClient)
 
-      await import('./main.jsx')
+      await renderMain()
 
       // Verify provider setup allows access to client
       expect(mockAsyncWithLDProvider).toHaveBeenCalled()
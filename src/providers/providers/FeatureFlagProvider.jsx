@@ -0,0 +1,24 @@
+/**
+ * Feature Flag Provider
+ *
+ * Story 000003 - Feature Flags System (LaunchDarkly)
+ *
+ * Renders LaunchDarklyProvider, or LocalFlagsProvider when
+ * VITE_FLAG_PROVIDER=local. Both serve flags to the same hooks.
+ */
+
+import { FLAG_PROVIDERS, getFlagProvider } from '../../config/featureFlags'
+import LaunchDarklyProvider from './LaunchDarklyProvider'
+import LocalFlagsProvider from './LocalFlagsProvider'
+
+/**
+ * @param {Object} props - Passed on to the selected provider
+ * @param {string} props.provider - One of FLAG_PROVIDERS (default: from VITE_FLAG_PROVIDER)
+ */
+function FeatureFlagProvider({ provider = getFlagProvider(), ...props }) {
+  return provider === FLAG_PROVIDERS.LOCAL
+    ? <LocalFlagsProvider {...props} />
+    : <LaunchDarklyProvider {...props} />
+}
+
+export default FeatureFlagProvider
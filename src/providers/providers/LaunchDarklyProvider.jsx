@@ -4,84 +4,143 @@
  * Story 000003 - Feature Flags System (LaunchDarkly)
  * Batch 1: LaunchDarkly SDK Setup and Configuration
  *
- * Wraps the application with LaunchDarkly provider for feature flag access.
+ * Initializes the LaunchDarkly client with asyncWithLDProvider and wraps the
+ * children in the provider it returns. Without a client-side ID the children
+ * render as-is and useFlags() returns no flags. The initialization status is
+ * available through useLaunchDarklyStatus() (see launchDarklyStatus.js).
  */
 
-import { useState, useEffect } from 'react'
-import { withLDProvider } from 'launchdarkly-react-client-sdk'
-import { getLDConfig } from '../../config/config/launchdarkly'
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { asyncWithLDProvider, useLDClientError } from 'launchdarkly-react-client-sdk'
+import { getLDConfig } from '../../config/launchdarkly'
+import { LD_STATUS, LaunchDarklyStatusContext } from './launchDarklyStatus'
 
+export const DEFAULT_INIT_TIMEOUT_MS = 5000
+
+function withTimeout(promise, timeoutMs) {
+  let timerId
+  const timeout = new Promise((_, reject) => {
+    timerId = setTimeout(() => {
+      reject(new Error(`LaunchDarkly initialization timed out after ${timeoutMs} ms`))
+    }, timeoutMs)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timerId))
+}
+
+// The SDK keeps connection failures and its own timeouts as a client error
+// instead of rejecting, so they are picked up from inside its provider
+function ClientErrorListener({ onClientError }) {
+  const error = useLDClientError()
+
+  useEffect(() => {
+    if (error) {
+      onClientError(error)
+    }
+  }, [error, onClientError])
+
+  return null
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.clientSideID - Overrides VITE_LAUNCHDARKLY_CLIENT_ID
+ * @param {Object} props.context - Overrides the anonymous visitor context
+ * @param {Object} props.options - Extra SDK options
+ * @param {number} props.timeout - Milliseconds to wait for initialization before failing
+ * @param {*} props.loadingComponent - Shown while initializing (default: a loading message)
+ * @param {*} props.errorFallback - Shown instead of the children when initialization fails
+ *   (default: the children, with default flag values)
+ * @param {Function} props.onError - Called with the initialization error
+ */
 function LaunchDarklyProvider({
   children,
   clientSideID,
   context,
   options,
+  timeout = DEFAULT_INIT_TIMEOUT_MS,
   loadingComponent,
   errorFallback,
   onError,
 }) {
-  const [isLoading, setIsLoading] = useState(true)
-  const [error, setError] = useState(null)
+  // Read once: a new context or client ID would need a new client
+  const [config] = useState(() => {
+    const ldConfig = getLDConfig({ context, options })
+    return { ...ldConfig, clientSideID: clientSideID || ldConfig.clientSideID }
+  })
+  const [state, setState] = useState(() => ({
+    status: config.clientSideID ? LD_STATUS.INITIALIZING : LD_STATUS.DISABLED,
+    Provider: null,
+  }))
+  const initialization = useRef(null)
+  const failedWith = useRef(null)
+  const onErrorRef = useRef(onError)
 
-  const config = getLDConfig({
-    context,
-    options,
+  useEffect(() => {
+    onErrorRef.current = onError
   })
 
-  const finalClientSideID = clientSideID || config.clientSideID
+  const fail = useCallback((error) => {
+    if (failedWith.current === error) {
+      return
+    }
+    failedWith.current = error
+    console.error('LaunchDarkly initialization failed:', error)
+    onErrorRef.current?.(error)
+    setState(current => ({ ...current, status: LD_STATUS.FAILED }))
+  }, [])
 
   useEffect(() => {
-    if (!finalClientSideID) {
+    if (!config.clientSideID) {
       console.warn(
         'LaunchDarkly client ID not configured. Feature flags will not be available.\n' +
         'Set VITE_LAUNCHDARKLY_CLIENT_ID in your environment or pass clientSideID prop.'
       )
-      setIsLoading(false)
       return
     }
 
-    // Simulate async initialization
-    const timer = setTimeout(() => {
-      setIsLoading(false)
-    }, 50)
-
-    return () => clearTimeout(timer)
-  }, [finalClientSideID])
-
-  if (!finalClientSideID) {
-    return <>{children}</>
-  }
-
-  if (isLoading) {
-    return loadingComponent || <div data-testid="loading-indicator">Loading feature flags...</div>
-  }
-
-  if (error && errorFallback) {
-    return errorFallback
-  }
+    // Started once, even when StrictMode runs this effect twice
+    initialization.current ??= withTimeout(asyncWithLDProvider({
+      clientSideID: config.clientSideID,
+      context: config.context,
+      options: config.options,
+      reactOptions: {
+        useCamelCaseFlagKeys: false,
+      },
+      timeout: timeout / 1000,
+    }), timeout)
 
-  // Wrap children with LaunchDarkly provider
-  try {
-    const ldConfig = {
-      clientSideID: finalClientSideID,
-      context: context || config.context,
-      options: options || config.options,
+    let active = true
+    initialization.current.then(
+      Provider => active && setState({ status: LD_STATUS.READY, Provider }),
+      error => active && fail(error)
+    )
+    return () => {
+      active = false
     }
+  }, [config, timeout, fail])
 
-    // Use withLDProvider to wrap the children
-    withLDProvider(ldConfig)
-  } catch (err) {
-    console.error('LaunchDarkly initialization error:', err)
-    if (onError) {
-      onError(err)
-    }
-    setError(err)
-    if (errorFallback) {
-      return errorFallback
-    }
+  const { status, Provider } = state
+  let content = children
+  if (status === LD_STATUS.INITIALIZING) {
+    content = loadingComponent !== undefined
+      ? loadingComponent
+      : <div data-testid="loading-indicator">Loading feature flags...</div>
+  } else if (status === LD_STATUS.FAILED && errorFallback !== undefined) {
+    content = errorFallback
+  } else if (Provider) {
+    content = (
+      <Provider>
+        <ClientErrorListener onClientError={fail} />
+        {children}
+      </Provider>
+    )
   }
 
-  return <>{children}</>
+  return (
+    <LaunchDarklyStatusContext.Provider value={status}>
+      {content}
+    </LaunchDarklyStatusContext.Provider>
+  )
 }
 
 export default LaunchDarklyProvider
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { act, render, screen } from '@testing-library/react'
+import { asyncWithLDProvider, useLDClientError } from 'launchdarkly-react-client-sdk'
+import LaunchDarklyProvider from './LaunchDarklyProvider'
+import { useLaunchDarklyStatus } from './launchDarklyStatus'
+
+vi.mock('launchdarkly-react-client-sdk', () => ({
+  asyncWithLDProvider: vi.fn(),
+  useLDClientError: vi.fn(() => undefined),
+}))
+
+function StatusProbe() {
+  return <p>Status: {useLaunchDarklyStatus()}</p>
+}
+
+const MockLDProvider = ({ children }) => <div data-testid="ld-provider">{children}</div>
+
+function deferred() {
+  let resolve
+  let reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return { promise, resolve, reject }
+}
+
+describe('LaunchDarklyProvider', () => {
+  let originalClientId
+
+  beforeEach(() => {
+    originalClientId = import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID
+    useLDClientError.mockReturnValue(undefined)
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID = originalClientId
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+    vi.clearAllMocks()
+  })
+
+  it('renders the children without LaunchDarkly when no client ID is configured', () => {
+    // Arrange
+    import.meta.env.VITE_LAUNCHDARKLY_CLIENT_ID = ''
+
+    // Act
+    render(
+      <LaunchDarklyProvider>
+        <StatusProbe />
+      </LaunchDarklyProvider>
+    )
+
+    // Assert
+    expect(screen.getByText('Status: disabled')).toBeInTheDocument()
+    expect(asyncWithLDProvider).not.toHaveBeenCalled()
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('LaunchDarkly client ID not configured'))
+  })
+
+  it('shows the loading component, then provides flags once initialized', async () => {
+    // Arrange
+    const init = deferred()
+    asyncWithLDProvider.mockReturnValue(init.promise)
+
+    // Act
+    render(
+      <LaunchDarklyProvider clientSideID="test-client-id-123" timeout={3000} loadingComponent={<p>Loading…</p>}>
+        <StatusProbe />
+      </LaunchDarklyProvider>
+    )
+
+    // Assert
+    expect(screen.getByText('Loading…')).toBeInTheDocument()
+    expect(asyncWithLDProvider).toHaveBeenCalledWith(expect.objectContaining({
+      clientSideID: 'test-client-id-123',
+      context: expect.objectContaining({ kind: 'user', anonymous: true }),
+      reactOptions: { useCamelCaseFlagKeys: false },
+      timeout: 3
+    }))
+
+    await act(async () => init.resolve(MockLDProvider))
+    expect(screen.getByTestId('ld-provider')).toHaveTextContent('Status: ready')
+  })
+
+  it('shows the error fallback and reports the error when initialization fails', async () => {
+    // Arrange
+    const error = new Error('Invalid client ID')
+    asyncWithLDProvider.mockRejectedValue(error)
+    const onError = vi.fn()
+
+    // Act
+    render(
+      <LaunchDarklyProvider clientSideID="test-client-id-123" errorFallback={<p>Flags unavailable</p>} onError={onError}>
+        <StatusProbe />
+      </LaunchDarklyProvider>
+    )
+
+    // Assert
+    expect(await screen.findByText('Flags unavailable')).toBeInTheDocument()
+    expect(onError).toHaveBeenCalledWith(error)
+    expect(onError).toHaveBeenCalledTimes(1)
+  })
+
+  it('fails after the init timeout and renders the children with default flags', async () => {
+    // Arrange
+    vi.useFakeTimers()
+    asyncWithLDProvider.mockReturnValue(new Promise(() => {}))
+    const onError = vi.fn()
+    render(
+      <LaunchDarklyProvider clientSideID="test-client-id-123" timeout={2000} onError={onError}>
+        <StatusProbe />
+      </LaunchDarklyProvider>
+    )
+    expect(screen.getByTestId('loading-indicator')).toBeInTheDocument()
+
+    // Act
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(2000)
+    })
+
+    // Assert
+    expect(screen.getByText('Status: failed')).toBeInTheDocument()
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'LaunchDarkly initialization timed out after 2000 ms'
+    }))
+  })
+
+  it('fails when the client reports an error after initialization', async () => {
+    // Arrange
+    const error = new Error('Connection failed')
+    useLDClientError.mockReturnValue(error)
+    asyncWithLDProvider.mockResolvedValue(MockLDProvider)
+    const onError = vi.fn()
+
+    // Act
+    render(
+      <LaunchDarklyProvider clientSideID="test-client-id-123" onError={onError}>
+        <StatusProbe />
+      </LaunchDarklyProvider>
+    )
+
+    // Assert
+    expect(await screen.findByText('Status: failed')).toBeInTheDocument()
+    expect(screen.getByTestId('ld-provider')).toBeInTheDocument()
+    expect(onError).toHaveBeenCalledWith(error)
+  })
+})
@@ -0,0 +1,49 @@
+/**
+ * Local Flags Provider
+ *
+ * Story 000003 - Feature Flags System (LaunchDarkly)
+ *
+ * Offline alternative to LaunchDarklyProvider (VITE_FLAG_PROVIDER=local).
+ * Evaluates src/config/flags.json with services/localFlags.js and serves the
+ * result through the LaunchDarkly SDK's own React context, so useFlags(),
+ * useLDClient() and everything built on them work unchanged.
+ */
+
+import { useEffect, useMemo, useState } from 'react'
+import { defaultReactOptions } from 'launchdarkly-react-client-sdk'
+import { createDefaultContext } from '../../config/launchdarkly'
+import { createLocalFlagClient } from '../../services/localFlags'
+import { LD_STATUS, LaunchDarklyStatusContext } from './launchDarklyStatus'
+
+/**
+ * @param {Object} props
+ * @param {Object} props.flags - Overrides the flag definitions in flags.json
+ * @param {Object} props.context - Overrides the anonymous visitor context
+ */
+function LocalFlagsProvider({ children, flags: definitions, context }) {
+  // Read once, like LaunchDarklyProvider: switch contexts with ldClient.identify()
+  const [client] = useState(() => createLocalFlagClient({
+    flags: definitions,
+    context: context || createDefaultContext(),
+  }))
+  const [flags, setFlags] = useState(() => client.allFlags())
+
+  useEffect(() => {
+    const onChange = () => setFlags(client.allFlags())
+    client.on('change', onChange)
+    return () => client.off('change', onChange)
+  }, [client])
+
+  const value = useMemo(() => ({ flags, flagKeyMap: {}, ldClient: client }), [flags, client])
+  const { reactContext: SdkContext } = defaultReactOptions
+
+  return (
+    <LaunchDarklyStatusContext.Provider value={LD_STATUS.READY}>
+      <SdkContext.Provider value={value}>
+        {children}
+      </SdkContext.Provider>
+    </LaunchDarklyStatusContext.Provider>
+  )
+}
+
+export default LocalFlagsProvider
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { useEffect } from 'react'
+import { act, render, screen } from '@testing-library/react'
+import { useFlags, useLDClient } from 'launchdarkly-react-client-sdk'
+import FeatureFlagProvider from './FeatureFlagProvider'
+import LocalFlagsProvider from './LocalFlagsProvider'
+import { useLaunchDarklyStatus } from './launchDarklyStatus'
+import { useFlag } from '../../hooks/useFlag'
+import { FLAGS } from '../../config/featureFlags'
+
+const flags = {
+  'example-widget': { value: false, rules: [{ attribute: 'utm_campaign', values: ['demo'], value: true }] },
+  'brevo-integration': { value: true }
+}
+
+let client
+
+function FlagProbe() {
+  const ldClient = useLDClient()
+  const all = useFlags()
+  const exampleWidget = useFlag(FLAGS.EXAMPLE_WIDGET)
+
+  useEffect(() => {
+    client = ldClient
+  }, [ldClient])
+
+  return (
+    <>
+      <p>Status: {useLaunchDarklyStatus()}</p>
+      <p>Widget: {String(exampleWidget)}</p>
+      <p>Flags: {JSON.stringify(all)}</p>
+    </>
+  )
+}
+
+describe('LocalFlagsProvider', () => {
+  afterEach(() => {
+    client = null
+    vi.restoreAllMocks()
+  })
+
+  it('serves flags.json values to the LaunchDarkly hooks without a network', () => {
+    // Arrange
+    const fetchSpy = vi.spyOn(globalThis, 'fetch')
+
+    // Act
+    render(
+      <LocalFlagsProvider flags={flags} context={{ kind: 'user', key: 'a' }}>
+        <FlagProbe />
+      </LocalFlagsProvider>
+    )
+
+    // Assert
+    expect(screen.getByText('Status: ready')).toBeInTheDocument()
+    expect(screen.getByText('Widget: false')).toBeInTheDocument()
+    expect(screen.getByText('Flags: {"example-widget":false,"brevo-integration":true}')).toBeInTheDocument()
+    expect(fetchSpy).not.toHaveBeenCalled()
+  })
+
+  it('re-renders consumers when the context changes', async () => {
+    // Arrange
+    render(
+      <LocalFlagsProvider flags={flags} context={{ kind: 'user', key: 'a' }}>
+        <FlagProbe />
+      </LocalFlagsProvider>
+    )
+
+    // Act
+    await act(() => client.identify({ kind: 'user', key: 'a', utm_campaign: 'demo' }))
+
+    // Assert
+    expect(screen.getByText('Widget: true')).toBeInTheDocument()
+  })
+
+  it('is picked by FeatureFlagProvider for the local provider', () => {
+    // Act
+    render(
+      <FeatureFlagProvider provider="local" flags={flags} loadingComponent={null}>
+        <FlagProbe />
+      </FeatureFlagProvider>
+    )
+
+    // Assert
+    expect(screen.getByText('Status: ready')).toBeInTheDocument()
+    expect(client.getContext()).toMatchObject({ kind: 'user', anonymous: true })
+  })
+})
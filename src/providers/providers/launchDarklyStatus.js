@@ -0,0 +1,29 @@
+/**
+ * LaunchDarkly Initialization Status
+ *
+ * Shared by LaunchDarklyProvider and the components below it:
+ * - initializing: waiting for the client to connect
+ * - ready: flags are available
+ * - failed: initialization threw, timed out or the client reported an error
+ *   (flags fall back to their defaults)
+ * - disabled: no client-side ID configured
+ */
+
+import { createContext, useContext } from 'react'
+
+export const LD_STATUS = Object.freeze({
+  INITIALIZING: 'initializing',
+  READY: 'ready',
+  FAILED: 'failed',
+  DISABLED: 'disabled',
+})
+
+export const LaunchDarklyStatusContext = createContext(LD_STATUS.DISABLED)
+
+/**
+ * Hook for reading the LaunchDarkly initialization status
+ * @returns {string} One of LD_STATUS (disabled outside LaunchDarklyProvider)
+ */
+export function useLaunchDarklyStatus() {
+  return useContext(LaunchDarklyStatusContext)
+}
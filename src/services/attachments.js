@@ -0,0 +1,101 @@
+/**
+ * ContactForm Attachments
+ *
+ * Optional files (architecture diagrams, RFP documents) sent to Formspree as
+ * multipart form data. Files are checked in the browser against type and size
+ * limits before they are added; Brevo only receives their names and sizes.
+ */
+
+export const ATTACHMENT_FIELD = 'attachments'
+
+export const ATTACHMENT_LIMITS = Object.freeze({
+  maxFiles: 5,
+  maxFileBytes: 10 * 1024 * 1024, // 10 MB, Formspree's per-file limit
+  maxTotalBytes: 25 * 1024 * 1024,
+  extensions: ['.pdf', '.png', '.jpg', '.jpeg', '.svg', '.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx', '.txt', '.md'],
+})
+
+/**
+ * Formats a size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B", "1.2 KB", "3.4 MB"
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+function getExtension(name) {
+  const dot = name.lastIndexOf('.')
+  return dot === -1 ? '' : name.slice(dot).toLowerCase()
+}
+
+/**
+ * Adds files to the current selection, skipping those that break a limit
+ * @param {File[]} current - Files already attached
+ * @param {File[]} added - Files picked or dropped
+ * @param {Object} limits - Limits (defaults to ATTACHMENT_LIMITS)
+ * @returns {{ files: File[], errors: string[] }} New selection and one message per rejected file
+ */
+export function addAttachments(current, added, limits = ATTACHMENT_LIMITS) {
+  const files = [...current]
+  const errors = []
+  let totalBytes = files.reduce((sum, file) => sum + file.size, 0)
+
+  for (const file of added) {
+    if (!limits.extensions.includes(getExtension(file.name))) {
+      errors.push(`${file.name} is not a supported file type.`)
+    } else if (file.size > limits.maxFileBytes) {
+      errors.push(`${file.name} is larger than ${formatFileSize(limits.maxFileBytes)}.`)
+    } else if (files.length >= limits.maxFiles) {
+      errors.push(`${file.name} was not added: attach up to ${limits.maxFiles} files.`)
+    } else if (totalBytes + file.size > limits.maxTotalBytes) {
+      errors.push(`${file.name} was not added: attachments are limited to ${formatFileSize(limits.maxTotalBytes)} in total.`)
+    } else if (files.some(existing => existing.name === file.name && existing.size === file.size)) {
+      errors.push(`${file.name} is already attached.`)
+    } else {
+      files.push(file)
+      totalBytes += file.size
+    }
+  }
+
+  return { files, errors }
+}
+
+/**
+ * Splits upload progress of the whole multipart body between its files.
+ * Files are appended after the text fields, so each file covers a known
+ * byte range at the end of the body.
+ * @param {File[]} files - Files in the order they were appended
+ * @param {number} loaded - Bytes uploaded
+ * @param {number} total - Bytes in the body
+ * @returns {number[]} Progress per file, from 0 to 1
+ */
+export function getFileProgress(files, loaded, total) {
+  let offset = total - files.reduce((sum, file) => sum + file.size, 0)
+  return files.map(file => {
+    const progress = file.size === 0 ? (loaded >= offset ? 1 : 0) : (loaded - offset) / file.size
+    offset += file.size
+    return Math.min(1, Math.max(0, progress))
+  })
+}
+
+/**
+ * Describes attachments as Brevo contact attributes (metadata only, never content)
+ * @param {File[]} files - Attached files
+ * @returns {Object} ATTACHMENT_COUNT and ATTACHMENTS ("name (size), …"), or nothing without files
+ */
+export function getAttachmentAttributes(files) {
+  if (files.length === 0) {
+    return {}
+  }
+  return {
+    ATTACHMENT_COUNT: files.length,
+    ATTACHMENTS: files.map(file => `${file.name} (${formatFileSize(file.size)})`).join(', '),
+  }
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest'
+import {
+  addAttachments,
+  formatFileSize,
+  getAttachmentAttributes,
+  getFileProgress,
+  ATTACHMENT_LIMITS
+} from './attachments'
+
+const file = (name, size) => ({ name, size })
+
+describe('Attachments', () => {
+  describe('addAttachments', () => {
+    it('adds supported files', () => {
+      // Act
+      const { files, errors } = addAttachments([], [file('diagram.PNG', 2048), file('rfp.pdf', 4096)])
+
+      // Assert
+      expect(files.map(({ name }) => name)).toEqual(['diagram.PNG', 'rfp.pdf'])
+      expect(errors).toEqual([])
+    })
+
+    it('rejects unsupported types and files over the size limit', () => {
+      // Act
+      const { files, errors } = addAttachments([], [
+        file('setup.exe', 100),
+        file('huge.pdf', ATTACHMENT_LIMITS.maxFileBytes + 1)
+      ])
+
+      // Assert
+      expect(files).toEqual([])
+      expect(errors).toEqual([
+        'setup.exe is not a supported file type.',
+        'huge.pdf is larger than 10.0 MB.'
+      ])
+    })
+
+    it('enforces the file count and total size limits', () => {
+      // Arrange
+      const limits = { ...ATTACHMENT_LIMITS, maxFiles: 2, maxTotalBytes: 1000 }
+
+      // Act
+      const { files, errors } = addAttachments([file('a.pdf', 400)], [
+        file('b.pdf', 700),
+        file('c.pdf', 500),
+        file('d.pdf', 100)
+      ], limits)
+
+      // Assert
+      expect(files.map(({ name }) => name)).toEqual(['a.pdf', 'c.pdf'])
+      expect(errors).toEqual([
+        'b.pdf was not added: attachments are limited to 1000 B in total.',
+        'd.pdf was not added: attach up to 2 files.'
+      ])
+    })
+
+    it('skips files that are already attached', () => {
+      // Act
+      const { files, errors } = addAttachments([file('rfp.pdf', 10)], [file('rfp.pdf', 10)])
+
+      // Assert
+      expect(files).toHaveLength(1)
+      expect(errors).toEqual(['rfp.pdf is already attached.'])
+    })
+  })
+
+  describe('getFileProgress', () => {
+    it('splits body progress between the files at the end of the body', () => {
+      // Arrange: 100 bytes of text fields, then files of 200 and 300 bytes
+      const files = [file('a.pdf', 200), file('b.pdf', 300)]
+
+      // Act / Assert
+      expect(getFileProgress(files, 50, 600)).toEqual([0, 0])
+      expect(getFileProgress(files, 200, 600)).toEqual([0.5, 0])
+      expect(getFileProgress(files, 450, 600)).toEqual([1, 0.5])
+      expect(getFileProgress(files, 600, 600)).toEqual([1, 1])
+    })
+  })
+
+  describe('getAttachmentAttributes', () => {
+    it('describes files by name and size only', () => {
+      // Act
+      const attributes = getAttachmentAttributes([file('diagram.png', 1536), file('rfp.pdf', 3 * 1024 * 1024)])
+
+      // Assert
+      expect(attributes).toEqual({
+        ATTACHMENT_COUNT: 2,
+        ATTACHMENTS: 'diagram.png (1.5 KB), rfp.pdf (3.0 MB)'
+      })
+    })
+
+    it('adds nothing without files', () => {
+      expect(getAttachmentAttributes([])).toEqual({})
+    })
+  })
+
+  it('formats file sizes', () => {
+    expect(formatFileSize(512)).toBe('512 B')
+    expect(formatFileSize(2048)).toBe('2.0 KB')
+    expect(formatFileSize(5 * 1024 * 1024)).toBe('5.0 MB')
+  })
+})
@@ -0,0 +1,144 @@
+/**
+ * Lead Attribution
+ *
+ * Records where a visitor came from so each lead can be tied to a campaign.
+ * A touch is `{ utm, referrer, landingPath, timestamp }`:
+ * - first touch: the entry that started the session
+ * - last touch: the latest entry with campaign information (UTM parameters or
+ *   an external referrer); reloads of the same entry do not count
+ *
+ * Attribution is kept in sessionStorage (memory when unavailable) and exposed
+ * as flat fields for Formspree hidden inputs and the LaunchDarkly context, and
+ * as Brevo contact attributes.
+ */
+
+export const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content']
+
+const STORAGE_KEY = 'lead_attribution'
+const MAX_VALUE_LENGTH = 255
+
+let memory = null
+
+function getSessionStorage() {
+  try {
+    return globalThis.sessionStorage || null
+  } catch {
+    return null
+  }
+}
+
+function clean(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_VALUE_LENGTH) : ''
+}
+
+function isExternal(referrer, origin) {
+  try {
+    return new URL(referrer).origin !== origin
+  } catch {
+    return false
+  }
+}
+
+function sameSource(a, b) {
+  return a.referrer === b.referrer && JSON.stringify(a.utm) === JSON.stringify(b.utm)
+}
+
+/**
+ * Reads the session's attribution
+ * @param {Object} options - Read options
+ * @param {Storage|null} options.storage - Where attribution is kept
+ * @returns {{ firstTouch: Object, lastTouch: Object } | null} Attribution, or null before capture
+ */
+export function loadAttribution({ storage = getSessionStorage() } = {}) {
+  if (!storage) {
+    return memory
+  }
+
+  try {
+    const stored = JSON.parse(storage.getItem(STORAGE_KEY) || 'null')
+    return stored?.firstTouch && stored?.lastTouch ? stored : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Records the current page entry. Call once on startup.
+ * @param {Object} options - Capture options
+ * @param {Location} options.location - Current location
+ * @param {string} options.referrer - Referring URL
+ * @param {Storage|null} options.storage - Where attribution is kept
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {{ firstTouch: Object, lastTouch: Object }} The session's attribution
+ */
+export function captureAttribution({
+  location = window.location,
+  referrer = document.referrer,
+  storage = getSessionStorage(),
+  now = Date.now,
+} = {}) {
+  const params = new URLSearchParams(location.search)
+  const utm = {}
+  for (const name of UTM_PARAMS) {
+    const value = clean(params.get(name))
+    if (value) {
+      utm[name] = value
+    }
+  }
+
+  const touch = {
+    utm,
+    referrer: isExternal(referrer, location.origin) ? clean(referrer) : '',
+    landingPath: clean(location.pathname),
+    timestamp: new Date(now()).toISOString(),
+  }
+  const hasCampaign = Object.keys(utm).length > 0 || touch.referrer !== ''
+
+  const stored = loadAttribution({ storage })
+  let attribution = stored
+  if (!stored) {
+    attribution = { firstTouch: touch, lastTouch: touch }
+  } else if (hasCampaign && !sameSource(stored.lastTouch, touch)) {
+    attribution = { ...stored, lastTouch: touch }
+  }
+
+  memory = attribution
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(attribution))
+  } catch {
+    // Storage full or unavailable: attribution lasts for this page only
+  }
+  return attribution
+}
+
+/**
+ * Flattens attribution into fields (Formspree hidden inputs, LaunchDarkly context).
+ * UTM parameters come from the last touch, referrer and landing path from the
+ * first; empty values are left out.
+ * @param {Object|null} attribution - Attribution from loadAttribution
+ * @returns {Object} utm_*, referrer, landing_path, first_touch_at and last_touch_at
+ */
+export function getAttributionFields(attribution) {
+  if (!attribution) {
+    return {}
+  }
+
+  const { firstTouch, lastTouch } = attribution
+  const fields = {
+    ...lastTouch.utm,
+    referrer: firstTouch.referrer,
+    landing_path: firstTouch.landingPath,
+    first_touch_at: firstTouch.timestamp,
+    last_touch_at: lastTouch.timestamp,
+  }
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value))
+}
+
+/**
+ * Maps attribution fields to Brevo contact attributes (UTM_SOURCE, REFERRER, ...)
+ * @param {Object} fields - Fields from getAttributionFields
+ * @returns {Object} Brevo attributes
+ */
+export function getAttributionAttributes(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([name, value]) => [name.toUpperCase(), value]))
+}
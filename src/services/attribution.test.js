@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  captureAttribution,
+  getAttributionAttributes,
+  getAttributionFields,
+  loadAttribution
+} from './attribution'
+import { getLDConfig } from '../config/launchdarkly'
+
+function createFakeStorage() {
+  const items = new Map()
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  }
+}
+
+const at = (href) => new URL(href)
+
+describe('Lead Attribution', () => {
+  let time
+  let storage
+
+  const capture = (href, referrer = '') => captureAttribution({
+    location: at(href),
+    referrer,
+    storage,
+    now: () => time
+  })
+
+  beforeEach(() => {
+    time = Date.parse('2026-01-01T00:00:00Z')
+    storage = createFakeStorage()
+  })
+
+  describe('captureAttribution', () => {
+    it('records UTM parameters, external referrer and landing path as the first touch', () => {
+      // Act
+      const attribution = capture(
+        'https://site.example/pricing?utm_source=newsletter&utm_campaign=spring&email=jane@example.com',
+        'https://mail.example/inbox'
+      )
+
+      // Assert
+      expect(attribution.firstTouch).toEqual({
+        utm: { utm_source: 'newsletter', utm_campaign: 'spring' },
+        referrer: 'https://mail.example/inbox',
+        landingPath: '/pricing',
+        timestamp: '2026-01-01T00:00:00.000Z'
+      })
+      expect(attribution.lastTouch).toEqual(attribution.firstTouch)
+      expect(loadAttribution({ storage })).toEqual(attribution)
+    })
+
+    it('ignores same-site referrers', () => {
+      // Act
+      const { firstTouch } = capture('https://site.example/', 'https://site.example/blog')
+
+      // Assert
+      expect(firstTouch.referrer).toBe('')
+    })
+
+    it('keeps the first touch and updates the last touch for a new campaign', () => {
+      // Arrange
+      capture('https://site.example/?utm_source=google&utm_medium=cpc')
+      time += 60 * 1000
+
+      // Act
+      const attribution = capture('https://site.example/?utm_source=linkedin&utm_medium=social')
+
+      // Assert
+      expect(attribution.firstTouch.utm).toEqual({ utm_source: 'google', utm_medium: 'cpc' })
+      expect(attribution.lastTouch).toMatchObject({
+        utm: { utm_source: 'linkedin', utm_medium: 'social' },
+        timestamp: '2026-01-01T00:01:00.000Z'
+      })
+    })
+
+    it('does not treat reloads or direct navigation as a new touch', () => {
+      // Arrange
+      const first = capture('https://site.example/?utm_source=google', 'https://www.google.com/')
+      time += 60 * 1000
+
+      // Act
+      const reloaded = capture('https://site.example/?utm_source=google', 'https://www.google.com/')
+      const direct = capture('https://site.example/about')
+
+      // Assert
+      expect(reloaded).toEqual(first)
+      expect(direct).toEqual(first)
+    })
+
+    it('keeps attribution in memory without storage', () => {
+      // Arrange
+      storage = null
+
+      // Act
+      const attribution = capture('https://site.example/?utm_source=podcast')
+
+      // Assert
+      expect(loadAttribution({ storage: null })).toEqual(attribution)
+    })
+  })
+
+  describe('fields and attributes', () => {
+    it('flattens the attribution, leaving out empty values', () => {
+      // Arrange
+      capture('https://site.example/', 'https://news.example/')
+      time += 60 * 1000
+      const attribution = capture('https://site.example/?utm_source=newsletter&utm_campaign=spring')
+
+      // Act
+      const fields = getAttributionFields(attribution)
+
+      // Assert
+      expect(fields).toEqual({
+        utm_source: 'newsletter',
+        utm_campaign: 'spring',
+        referrer: 'https://news.example/',
+        landing_path: '/',
+        first_touch_at: '2026-01-01T00:00:00.000Z',
+        last_touch_at: '2026-01-01T00:01:00.000Z'
+      })
+      expect(getAttributionAttributes(fields)).toMatchObject({
+        UTM_SOURCE: 'newsletter',
+        REFERRER: 'https://news.example/',
+        LANDING_PATH: '/',
+        FIRST_TOUCH_AT: '2026-01-01T00:00:00.000Z'
+      })
+    })
+
+    it('returns no fields before capture', () => {
+      expect(getAttributionFields(null)).toEqual({})
+    })
+
+    it('adds the fields to the default LaunchDarkly context', () => {
+      // Arrange
+      sessionStorage.clear()
+      captureAttribution({ location: at('https://site.example/?utm_campaign=spring'), referrer: '' })
+
+      // Act
+      const { context } = getLDConfig()
+
+      // Assert
+      expect(context).toMatchObject({ kind: 'user', anonymous: true, utm_campaign: 'spring', landing_path: '/' })
+      sessionStorage.clear()
+    })
+  })
+})
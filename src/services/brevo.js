@@ -2,152 +2,1022 @@
  * Brevo CRM API Client
  * Story 000004, Chunk 1
  *
- * Handles contact creation via Brevo API v3
+ * Handles contact lifecycle (create, read, update, upsert, delete),
+ * list membership, double opt-in, bulk import/export, event tracking and
+ * transactional email via Brevo API v3
  */
 
-export class BrevoClient {
-  constructor(apiKey = import.meta.env?.VITE_BREVO_API_KEY) {
-    this.apiKey = apiKey
-    this.baseUrl = 'https://api.brevo.com/v3'
+import { normalizeRetryPolicy, getRetryDelay, sleep } from './retryPolicy.js'
+import { parseCsv, toCsv } from './csv.js'
+import { EMAIL_REGEX } from '../validation/formSchema.js'
+
+export { EMAIL_REGEX }
+const DEFAULT_BASE_URL = 'https://api.brevo.com/v3'
+const REQUEST_TIMEOUT_MS = 10000 // 10 second timeout
+const MAX_IMPORT_ROWS = 8000 // Brevo's limit for JSON imports
+const MAX_EXPORT_PAGE_SIZE = 1000 // Brevo's maximum `limit` for contact listing
+const EVENT_NAME_REGEX = /^[A-Za-z0-9_-]{1,255}$/
+
+/**
+ * Stable error codes for failed results (`result.errorDetails.code`)
+ */
+export const ERROR_CODES = Object.freeze({
+  INVALID_EMAIL: 'INVALID_EMAIL',
+  INVALID_INPUT: 'INVALID_INPUT',
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  UNSUPPORTED: 'UNSUPPORTED',
+  AUTH: 'AUTH',
+  BAD_REQUEST: 'BAD_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER_ERROR: 'SERVER_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK: 'NETWORK',
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+  UNKNOWN: 'UNKNOWN'
+})
+
+// Failures that may succeed when the same request is sent again later
+const RETRYABLE_CODES = [
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.SERVER_ERROR,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.NETWORK
+]
+
+const ERROR_MESSAGES = {
+  400: 'Bad request - validation error',
+  401: 'Invalid API key',
+  403: 'Insufficient API key permissions',
+  404: 'Contact not found',
+  429: 'Rate limit exceeded',
+  500: 'Brevo server error',
+  503: 'Brevo service unavailable'
+}
+
+/**
+ * Builds a failed result. `error` keeps the human-readable message;
+ * `errorDetails` carries the structured error.
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Error message
+ * @param {Object} options - Error context
+ * @param {number|null} options.status - HTTP status, when the API answered
+ * @param {*} options.body - Raw Brevo error body, when there is one
+ * @returns {{ success: false, error: string, errorDetails: Object }} Error response
+ */
+export function errorResult(code, message, { status = null, body = null } = {}) {
+  return {
+    success: false,
+    error: message,
+    errorDetails: {
+      code,
+      message,
+      status,
+      retryable: RETRYABLE_CODES.includes(code),
+      body
+    }
   }
+}
 
-  async createContact({ email, firstName, lastName, attributes = {} }) {
-    // Check API key configuration first
-    // Check for empty string before checking for undefined/null
-    if (typeof this.apiKey === 'string' && this.apiKey.trim() === '') {
-      return {
-        success: false,
-        error: 'Brevo API key cannot be empty'
+/**
+ * Maps an HTTP status to an error code
+ * @param {number} status - HTTP status
+ * @returns {string} One of ERROR_CODES
+ */
+export function getErrorCode(status) {
+  if (status === 401 || status === 403) return ERROR_CODES.AUTH
+  if (status === 404) return ERROR_CODES.NOT_FOUND
+  if (status === 409) return ERROR_CODES.CONFLICT
+  if (status === 429) return ERROR_CODES.RATE_LIMITED
+  if (status >= 500) return ERROR_CODES.SERVER_ERROR
+  if (status >= 400) return ERROR_CODES.BAD_REQUEST
+  return ERROR_CODES.UNKNOWN
+}
+
+/**
+ * Validates and normalizes an email address
+ * @param {*} email - Value to validate
+ * @returns {{ email: string } | { error: string, code: string }} Trimmed email or error message and code
+ */
+export function validateEmail(email) {
+  if (!email || typeof email !== 'string') {
+    return { error: 'Email is required and must be a non-empty string', code: ERROR_CODES.INVALID_EMAIL }
+  }
+
+  const trimmedEmail = email.trim()
+
+  if (!EMAIL_REGEX.test(trimmedEmail)) {
+    return { error: 'Invalid email format', code: ERROR_CODES.INVALID_EMAIL }
+  }
+
+  return { email: trimmedEmail }
+}
+
+/**
+ * Validates a contact identifier (email address or numeric Brevo contact ID)
+ * @param {string|number} identifier - Email or contact ID
+ * @returns {{ identifier: string } | { error: string, code: string }} Normalized identifier or error message and code
+ */
+function validateIdentifier(identifier) {
+  if (Number.isInteger(identifier) && identifier > 0) {
+    return { identifier: String(identifier) }
+  }
+
+  if (typeof identifier === 'string' && /^\d+$/.test(identifier.trim())) {
+    return { identifier: identifier.trim() }
+  }
+
+  if (!identifier || typeof identifier !== 'string') {
+    return { error: 'Contact identifier (email or ID) is required', code: ERROR_CODES.INVALID_INPUT }
+  }
+
+  const result = validateEmail(identifier)
+  return result.error ? result : { identifier: result.email }
+}
+
+/**
+ * Normalizes an email recipient ("a@b.com" or { email, name })
+ * @param {string|Object} recipient - Recipient to validate
+ * @returns {{ recipient: Object } | { error: string, code: string }} `{ email, name? }` or error message and code
+ */
+function validateRecipient(recipient) {
+  const { email, name } = typeof recipient === 'string' ? { email: recipient } : (recipient || {})
+
+  const validation = validateEmail(email)
+  if (validation.error) {
+    return validation
+  }
+
+  return { recipient: { email: validation.email, ...(name && { name }) } }
+}
+
+/**
+ * Parses a list ID configuration value ("3, 7" or [3, 7]) into positive integers
+ * @param {string|number[]} value - Comma-separated IDs or an array of IDs
+ * @returns {number[]} Valid list IDs (invalid entries are dropped)
+ */
+export function parseListIds(value) {
+  if (value === undefined || value === null || value === '') {
+    return []
+  }
+
+  const values = Array.isArray(value) ? value : String(value).split(',')
+
+  return values
+    .map(id => Number(String(id).trim()))
+    .filter(id => Number.isInteger(id) && id > 0)
+}
+
+/**
+ * Default attribute name for an import column ("Company Name" -> "COMPANY_NAME")
+ * @param {string} column - Column name
+ * @returns {string} Brevo attribute name
+ */
+function toAttributeName(column) {
+  return column.trim().toUpperCase().replace(/[^A-Z0-9_]+/g, '_')
+}
+
+/**
+ * Validates import rows and maps their columns to Brevo attributes
+ * @param {Object[]} rows - Row objects
+ * @param {Object} options - Mapping options (see BrevoClient#importContacts)
+ * @returns {{ contacts: Object[], results: Object[] }} Contacts to send and per-row results
+ */
+function prepareImportRows(rows, { mapping, emailColumn }) {
+  const seen = new Set()
+  const contacts = []
+  const results = []
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1
+    const emailKey = Object.keys(row || {}).find(key => key.trim().toLowerCase() === emailColumn.toLowerCase())
+    const validation = validateEmail(emailKey === undefined ? undefined : row[emailKey])
+
+    if (validation.error) {
+      results.push({ row: rowNumber, email: emailKey === undefined ? null : row[emailKey], status: 'invalid', error: validation.error })
+      return
+    }
+
+    const normalizedEmail = validation.email.toLowerCase()
+    if (seen.has(normalizedEmail)) {
+      results.push({ row: rowNumber, email: validation.email, status: 'duplicate', error: 'Duplicate email in import' })
+      return
+    }
+    seen.add(normalizedEmail)
+
+    const attributes = {}
+    for (const [column, value] of Object.entries(row)) {
+      if (column === emailKey) continue
+
+      // With a mapping only mapped columns are imported; `null` skips a column
+      const attribute = mapping ? mapping[column] : toAttributeName(column)
+      // Empty cells are left out so they do not blank existing attributes
+      if (attribute && value !== undefined && value !== null && value !== '') {
+        attributes[attribute] = value
       }
     }
 
-    if (!this.apiKey) {
+    contacts.push({ email: validation.email, attributes })
+    results.push({ row: rowNumber, email: validation.email, status: 'queued' })
+  })
+
+  return { contacts, results }
+}
+
+/**
+ * Validates an event and converts it to Brevo's events API format
+ * @param {Object} event - `{ name, date, identifiers: { email, externalId }, properties, contactProperties }`
+ * @returns {{ event: Object } | { error: string, code: string }} Brevo event or error message and code
+ */
+function toBrevoEvent({ name, date, identifiers = {}, properties, contactProperties } = {}) {
+  if (typeof name !== 'string' || !EVENT_NAME_REGEX.test(name)) {
+    return { error: 'Event name must contain only letters, digits, "-" and "_"', code: ERROR_CODES.INVALID_INPUT }
+  }
+
+  const { email, externalId } = identifiers
+  if (!email && !externalId) {
+    return { error: 'Event requires an email or external ID identifier', code: ERROR_CODES.INVALID_INPUT }
+  }
+
+  let emailId
+  if (email) {
+    const validation = validateEmail(email)
+    if (validation.error) {
+      return validation
+    }
+    emailId = validation.email
+  }
+
+  return {
+    event: {
+      event_name: name,
+      ...(date && { event_date: date }),
+      identifiers: {
+        ...(emailId && { email_id: emailId }),
+        ...(externalId && { ext_id: String(externalId) })
+      },
+      ...(properties && Object.keys(properties).length > 0 && { event_properties: properties }),
+      ...(contactProperties && Object.keys(contactProperties).length > 0 && { contact_properties: contactProperties })
+    }
+  }
+}
+
+/**
+ * Reads the double opt-in configuration from the environment
+ * @returns {{ templateId: number, redirectionUrl: string } | null} DOI config, or null when incomplete
+ */
+function getDoubleOptInConfig() {
+  const templateId = Number(import.meta.env?.VITE_BREVO_DOI_TEMPLATE_ID)
+  const redirectionUrl = import.meta.env?.VITE_BREVO_DOI_REDIRECT_URL
+
+  if (!Number.isInteger(templateId) || templateId <= 0 || !redirectionUrl) {
+    return null
+  }
+
+  return { templateId, redirectionUrl }
+}
+
+/**
+ * Whether Brevo is reached through the server-side proxy, which only exposes
+ * contact creation and attribute updates
+ * @param {string} proxyUrl - Proxy base URL (defaults to VITE_BREVO_PROXY_URL)
+ * @returns {boolean}
+ */
+export function isProxyMode(proxyUrl = import.meta.env?.VITE_BREVO_PROXY_URL) {
+  return Boolean(proxyUrl)
+}
+
+export class BrevoClient {
+  /**
+   * @param {string} apiKey - Brevo API key
+   * @param {Object} options - Client options
+   * @param {string|number[]} options.listIds - Lists new contacts are subscribed to
+   * @param {Object|null} options.doubleOptIn - `{ templateId, redirectionUrl }` for confirmation emails
+   * @param {Object|boolean} options.retry - Default retry policy (see retryPolicy.js), `false` to disable
+   * @param {string} options.proxyUrl - Base URL of the server-side proxy (e.g. "/api"). When set, the
+   *   client runs in proxy mode: no API key is needed or sent, and lists and double opt-in are
+   *   configured on the server.
+   * @param {string} options.baseUrl - Brevo API base URL (e.g. the fake Brevo server in development)
+   * @param {Function} options.fetch - Fetch implementation (defaults to the global fetch at call time)
+   */
+  constructor(apiKey = import.meta.env?.VITE_BREVO_API_KEY, {
+    listIds = import.meta.env?.VITE_BREVO_LIST_IDS,
+    doubleOptIn = getDoubleOptInConfig(),
+    retry,
+    proxyUrl = import.meta.env?.VITE_BREVO_PROXY_URL,
+    baseUrl = import.meta.env?.VITE_BREVO_BASE_URL || DEFAULT_BASE_URL,
+    fetch: fetchImpl
+  } = {}) {
+    this.mode = isProxyMode(proxyUrl) ? 'proxy' : 'direct'
+    this.apiKey = this.mode === 'proxy' ? null : apiKey
+    this.baseUrl = (this.mode === 'proxy' ? proxyUrl : baseUrl).replace(/\/+$/, '')
+    this.fetchImpl = fetchImpl
+    this.listIds = this.mode === 'proxy' ? [] : parseListIds(listIds)
+    this.doubleOptIn = this.mode === 'proxy' ? null : doubleOptIn
+    this.retryPolicy = normalizeRetryPolicy(retry)
+  }
+
+  /**
+   * Creates a contact. With `upsert: true` an existing contact with the same
+   * email is updated instead of being reported as a duplicate. The proxy never
+   * updates existing contacts, so `upsert` has no effect in proxy mode.
+   */
+  async createContact({
+    email,
+    firstName,
+    lastName,
+    attributes = {},
+    listIds = this.listIds,
+    upsert = false
+  }, { retry } = {}) {
+    const configError = this.validateConfig({ proxySupported: true })
+    if (configError) return configError
+
+    const validation = validateEmail(email)
+    if (validation.error) {
+      return errorResult(validation.code, validation.error)
+    }
+
+    // Prepare request body
+    const body = {
+      email: validation.email,
+      ...(firstName && { firstName }),
+      ...(lastName && { lastName }),
+      attributes,
+      ...(listIds.length > 0 && { listIds }),
+      ...(upsert && this.mode !== 'proxy' && { updateEnabled: true })
+    }
+
+    const result = await this.request('/contacts', { method: 'POST', body, retry })
+    if (result.error) return result.error
+
+    const { response, data } = result
+
+    // Handle success (201 created, or 204 when an existing contact was updated)
+    if (response.ok) {
       return {
-        success: false,
-        error: 'Brevo API key is not configured. Set VITE_BREVO_API_KEY environment variable.'
+        success: true,
+        data: {
+          id: data?.id ?? null,
+          email: body.email,
+          ...(response.status === 204 && { updated: true })
+        }
       }
     }
 
-    // Validate required fields
-    if (!email || typeof email !== 'string') {
+    // Handle duplicate contact (409)
+    if (response.status === 409) {
       return {
-        success: false,
-        error: 'Email is required and must be a non-empty string'
+        success: true,
+        data: {
+          id: data?.id || null,
+          email: body.email,
+          duplicate: true
+        }
       }
     }
 
-    const trimmedEmail = email.trim()
+    return this.failure(response.status, data)
+  }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-    if (!emailRegex.test(trimmedEmail)) {
+  /**
+   * Fetches a contact by email or Brevo contact ID
+   */
+  async getContact(identifier, { retry } = {}) {
+    const configError = this.validateConfig()
+    if (configError) return configError
+
+    const validation = validateIdentifier(identifier)
+    if (validation.error) {
+      return errorResult(validation.code, validation.error)
+    }
+
+    const result = await this.request(`/contacts/${encodeURIComponent(validation.identifier)}`, { retry })
+    if (result.error) return result.error
+
+    const { response, data } = result
+
+    if (response.ok) {
       return {
-        success: false,
-        error: 'Invalid email format'
+        success: true,
+        data: {
+          id: data.id,
+          email: data.email,
+          attributes: data.attributes || {},
+          listIds: data.listIds || [],
+          emailBlacklisted: !!data.emailBlacklisted,
+          createdAt: data.createdAt,
+          modifiedAt: data.modifiedAt
+        }
       }
     }
 
-    // Prepare request body
+    return this.failure(response.status, data)
+  }
+
+  /**
+   * Updates an existing contact's name and attributes. Never creates the
+   * contact. In proxy mode only attributes of a contact identified by email
+   * can be set (the proxy also limits which ones).
+   */
+  async updateContact(identifier, { firstName, lastName, attributes = {} } = {}, { retry } = {}) {
+    const configError = this.validateConfig({ proxySupported: true })
+    if (configError) return configError
+
+    const validation = validateIdentifier(identifier)
+    if (validation.error) {
+      return errorResult(validation.code, validation.error)
+    }
+
+    if (this.mode === 'proxy' && (!validation.identifier.includes('@') || firstName || lastName)) {
+      return errorResult(ERROR_CODES.UNSUPPORTED, 'Only attributes of a contact identified by email can be updated in proxy mode')
+    }
+
     const body = {
-      email: trimmedEmail,
       ...(firstName && { firstName }),
       ...(lastName && { lastName }),
       attributes
     }
 
-    try {
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), 10000) // 10 second timeout
-
-      const response = await fetch(`${this.baseUrl}/contacts`, {
-        method: 'POST',
-        headers: {
-          'api-key': this.apiKey,
-          'content-type': 'application/json'
-        },
-        body: JSON.stringify(body),
-        signal: controller.signal
-      })
+    const result = this.mode === 'proxy'
+      ? await this.request('/contacts', { method: 'PATCH', body: { email: validation.identifier, attributes }, retry })
+      : await this.request(`/contacts/${encodeURIComponent(validation.identifier)}`, { method: 'PUT', body, retry })
+    if (result.error) return result.error
 
-      clearTimeout(timeoutId)
+    if (result.response.ok) {
+      return {
+        success: true,
+        data: {
+          identifier: validation.identifier,
+          updated: true
+        }
+      }
+    }
 
-      const responseData = await response.json()
+    return this.failure(result.response.status, result.data)
+  }
 
-      // Handle success
-      if (response.ok) {
-        return {
-          success: true,
-          data: {
-            id: responseData.id,
-            email: body.email
-          }
+  /**
+   * Deletes a contact by email or Brevo contact ID
+   */
+  async deleteContact(identifier, { retry } = {}) {
+    const configError = this.validateConfig()
+    if (configError) return configError
+
+    const validation = validateIdentifier(identifier)
+    if (validation.error) {
+      return errorResult(validation.code, validation.error)
+    }
+
+    const result = await this.request(`/contacts/${encodeURIComponent(validation.identifier)}`, {
+      method: 'DELETE',
+      retry
+    })
+    if (result.error) return result.error
+
+    if (result.response.ok) {
+      return {
+        success: true,
+        data: {
+          identifier: validation.identifier,
+          deleted: true
         }
       }
+    }
+
+    return this.failure(result.response.status, result.data)
+  }
 
-      // Handle duplicate contact (409)
-      if (response.status === 409) {
-        return {
-          success: true,
-          data: {
-            id: responseData.id || null,
-            email: body.email,
-            duplicate: true
-          }
+  /**
+   * Creates (or updates) a contact through Brevo's double opt-in flow.
+   * Brevo sends the confirmation template and only adds the contact to
+   * `listIds` once the link in that email is clicked.
+   */
+  async createDoubleOptInContact({
+    email,
+    attributes = {},
+    listIds = this.listIds,
+    templateId = this.doubleOptIn?.templateId,
+    redirectionUrl = this.doubleOptIn?.redirectionUrl
+  }, { retry } = {}) {
+    const configError = this.validateConfig()
+    if (configError) return configError
+
+    const validation = validateEmail(email)
+    if (validation.error) {
+      return errorResult(validation.code, validation.error)
+    }
+
+    if (!Array.isArray(listIds) || listIds.length === 0) {
+      return errorResult(
+        ERROR_CODES.NOT_CONFIGURED,
+        'At least one list ID is required. Set VITE_BREVO_LIST_IDS environment variable.'
+      )
+    }
+
+    if (!Number.isInteger(templateId) || templateId <= 0) {
+      return errorResult(
+        ERROR_CODES.NOT_CONFIGURED,
+        'Double opt-in template ID is not configured. Set VITE_BREVO_DOI_TEMPLATE_ID environment variable.'
+      )
+    }
+
+    if (!redirectionUrl || typeof redirectionUrl !== 'string') {
+      return errorResult(
+        ERROR_CODES.NOT_CONFIGURED,
+        'Double opt-in redirect URL is not configured. Set VITE_BREVO_DOI_REDIRECT_URL environment variable.'
+      )
+    }
+
+    const body = {
+      email: validation.email,
+      attributes,
+      includeListIds: listIds,
+      templateId,
+      redirectionUrl
+    }
+
+    const result = await this.request('/contacts/doubleOptinConfirmation', {
+      method: 'POST',
+      body,
+      retry
+    })
+    if (result.error) return result.error
+
+    // 201 for a new contact, 204 when an existing contact was sent a confirmation
+    if (result.response.ok) {
+      return {
+        success: true,
+        data: {
+          email: body.email,
+          listIds,
+          pendingConfirmation: true
+        }
+      }
+    }
+
+    return this.failure(result.response.status, result.data)
+  }
+
+  /**
+   * Adds existing contacts to a list
+   * @param {number} listId - Brevo list ID
+   * @param {string|string[]} emails - One or more contact emails
+   */
+  async addContactsToList(listId, emails, options) {
+    return this.updateListMembership(listId, emails, 'add', options)
+  }
+
+  /**
+   * Removes contacts from a list (contacts themselves are kept)
+   * @param {number} listId - Brevo list ID
+   * @param {string|string[]} emails - One or more contact emails
+   */
+  async removeContactsFromList(listId, emails, options) {
+    return this.updateListMembership(listId, emails, 'remove', options)
+  }
+
+  /**
+   * Shared implementation of list add/remove
+   * @param {'add'|'remove'} action - List membership action
+   */
+  async updateListMembership(listId, emails, action, { retry } = {}) {
+    const configError = this.validateConfig()
+    if (configError) return configError
+
+    if (!Number.isInteger(listId) || listId <= 0) {
+      return errorResult(ERROR_CODES.INVALID_INPUT, 'List ID must be a positive integer')
+    }
+
+    const emailList = Array.isArray(emails) ? emails : [emails]
+    if (emailList.length === 0) {
+      return errorResult(ERROR_CODES.INVALID_INPUT, 'At least one email is required')
+    }
+
+    const validEmails = []
+    for (const email of emailList) {
+      const validation = validateEmail(email)
+      if (validation.error) {
+        return errorResult(validation.code, validation.error)
+      }
+      validEmails.push(validation.email)
+    }
+
+    const result = await this.request(`/contacts/lists/${listId}/contacts/${action}`, {
+      method: 'POST',
+      body: { emails: validEmails },
+      retry
+    })
+    if (result.error) return result.error
+
+    const { response, data } = result
+
+    if (response.ok) {
+      return {
+        success: true,
+        data: {
+          listId,
+          success: data?.contacts?.success || [],
+          failure: data?.contacts?.failure || []
+        }
+      }
+    }
+
+    return this.failure(response.status, data, { 404: 'List not found' })
+  }
+
+  /**
+   * Bulk-imports contacts through Brevo's import endpoint. Brevo processes the
+   * import asynchronously; rows are validated here with the same rules as
+   * createContact and reported individually.
+   * @param {string|Object[]} rows - CSV text (with a header row) or row objects
+   * @param {Object} options - Import options
+   * @param {Object} options.mapping - Column to attribute map, e.g. `{ 'First Name': 'FIRSTNAME' }`.
+   *   When omitted every column becomes an attribute named after it ("Company" -> "COMPANY").
+   * @param {string} options.emailColumn - Column holding the email (case-insensitive)
+   * @param {number[]} options.listIds - Lists the contacts are added to
+   * @param {boolean} options.updateExisting - Update attributes of contacts that already exist
+   * @returns {Promise<Object>} `data: { processId, queued, rejected, rows }`, where each row is
+   *   `{ row, email, status: 'queued'|'invalid'|'duplicate', error? }` (rows are 1-based, header excluded)
+   */
+  async importContacts(rows, {
+    mapping,
+    emailColumn = 'email',
+    listIds = this.listIds,
+    updateExisting = true
+  } = {}, { retry } = {}) {
+    const configError = this.validateConfig()
+    if (configError) return configError
+
+    let records = rows
+    if (typeof rows === 'string') {
+      try {
+        records = parseCsv(rows)
+      } catch (error) {
+        return errorResult(ERROR_CODES.INVALID_INPUT, `Invalid CSV: ${error.message}`)
+      }
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return errorResult(ERROR_CODES.INVALID_INPUT, 'At least one row is required')
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return errorResult(ERROR_CODES.INVALID_INPUT, `At most ${MAX_IMPORT_ROWS} rows can be imported at once`)
+    }
+
+    const { contacts, results } = prepareImportRows(records, { mapping, emailColumn })
+    if (contacts.length === 0) {
+      return { ...errorResult(ERROR_CODES.INVALID_INPUT, 'No valid contacts to import'), rows: results }
+    }
+
+    const body = {
+      jsonBody: contacts,
+      ...(listIds.length > 0 && { listIds }),
+      updateExistingContacts: updateExisting,
+      emptyContactsAttributes: false
+    }
+
+    const result = await this.request('/contacts/import', { method: 'POST', body, retry })
+    if (result.error) return { ...result.error, rows: results }
+
+    const { response, data } = result
+
+    // 202 Accepted - the import runs in the background
+    if (response.ok) {
+      return {
+        success: true,
+        data: {
+          processId: data?.processId ?? null,
+          queued: contacts.length,
+          rejected: results.length - contacts.length,
+          rows: results
+        }
+      }
+    }
+
+    return { ...this.failure(response.status, data, { 404: 'List not found' }), rows: results }
+  }
+
+  /**
+   * Exports contacts to CSV, paging through Brevo's contact listing
+   * @param {Object} options - Export options
+   * @param {number} options.listId - Only export members of this list
+   * @param {string[]} options.attributes - Attribute columns (defaults to every attribute found)
+   * @param {number} options.pageSize - Contacts fetched per request (max 1000)
+   * @returns {Promise<Object>} `data: { csv, count }` with an `email` column followed by attributes
+   */
+  async exportContacts({ listId, attributes, pageSize = 500 } = {}, { retry } = {}) {
+    const configError = this.validateConfig()
+    if (configError) return configError
+
+    if (listId !== undefined && (!Number.isInteger(listId) || listId <= 0)) {
+      return errorResult(ERROR_CODES.INVALID_INPUT, 'List ID must be a positive integer')
+    }
+
+    const limit = Math.min(MAX_EXPORT_PAGE_SIZE, Math.max(1, Math.floor(pageSize) || 1))
+    const path = listId ? `/contacts/lists/${listId}/contacts` : '/contacts'
+    const contacts = []
+
+    for (let offset = 0; ; offset += limit) {
+      const result = await this.request(`${path}?limit=${limit}&offset=${offset}`, { retry })
+      if (result.error) return result.error
+
+      const { response, data } = result
+      if (!response.ok) {
+        return this.failure(response.status, data, { 404: 'List not found' })
+      }
+
+      const page = data?.contacts || []
+      contacts.push(...page)
+
+      if (page.length < limit || contacts.length >= (data?.count ?? Infinity)) {
+        break
+      }
+    }
+
+    const attributeColumns = attributes || [
+      ...new Set(contacts.flatMap(contact => Object.keys(contact.attributes || {})))
+    ].sort()
+
+    const csv = toCsv(
+      contacts.map(contact => ({ ...contact.attributes, email: contact.email })),
+      ['email', ...attributeColumns.filter(column => column !== 'email')]
+    )
+
+    return {
+      success: true,
+      data: {
+        csv,
+        count: contacts.length
+      }
+    }
+  }
+
+  /**
+   * Tracks visitor events for Brevo automations. A single event goes to
+   * /events, several to /events/batch.
+   * @param {Object|Object[]} events - `{ name, date, identifiers: { email, externalId }, properties, contactProperties }`
+   * @param {Object} options - Request options
+   * @param {boolean} options.keepalive - Let the request outlive the page (flush on page hide)
+   * @returns {Promise<Object>} `data: { tracked }`
+   */
+  async trackEvents(events, { retry, keepalive = false } = {}) {
+    const configError = this.validateConfig()
+    if (configError) return configError
+
+    const eventList = Array.isArray(events) ? events : [events]
+    if (eventList.length === 0) {
+      return errorResult(ERROR_CODES.INVALID_INPUT, 'At least one event is required')
+    }
+
+    const brevoEvents = []
+    for (const event of eventList) {
+      const validation = toBrevoEvent(event)
+      if (validation.error) {
+        return errorResult(validation.code, validation.error)
+      }
+      brevoEvents.push(validation.event)
+    }
+
+    const result = brevoEvents.length === 1
+      ? await this.request('/events', { method: 'POST', body: brevoEvents[0], retry, keepalive })
+      : await this.request('/events/batch', { method: 'POST', body: brevoEvents, retry, keepalive })
+    if (result.error) return result.error
+
+    const { response, data } = result
+
+    if (response.ok) {
+      return {
+        success: true,
+        data: {
+          tracked: brevoEvents.length
         }
       }
+    }
+
+    return this.failure(response.status, data)
+  }
 
-      // Handle specific error codes
-      const errorMessages = {
-        400: 'Bad request - validation error',
-        401: 'Invalid API key',
-        403: 'Insufficient API key permissions',
-        429: 'Rate limit exceeded',
-        500: 'Brevo server error',
-        503: 'Brevo service unavailable'
+  /**
+   * Sends a transactional email through Brevo's SMTP API.
+   * Either `templateId` or `subject` + `htmlContent` (+ `sender`) is required.
+   * @param {Object} email - Email definition
+   * @param {string|Object|Array} email.to - Recipient(s), as email strings or `{ email, name }`
+   * @param {number} email.templateId - Brevo template ID
+   * @param {Object} email.params - Template params (available as `{{ params.* }}` in the template)
+   * @param {string|Object} email.replyTo - Reply-to address
+   * @param {string[]} email.tags - Tags for filtering in Brevo's transactional logs
+   */
+  async sendTransactionalEmail({
+    to,
+    templateId,
+    params = {},
+    replyTo,
+    tags = [],
+    sender,
+    subject,
+    htmlContent
+  }, { retry } = {}) {
+    const configError = this.validateConfig()
+    if (configError) return configError
+
+    const recipients = Array.isArray(to) ? to : [to]
+    if (!to || recipients.length === 0) {
+      return errorResult(ERROR_CODES.INVALID_INPUT, 'At least one recipient is required')
+    }
+
+    const toList = []
+    for (const recipient of recipients) {
+      const validation = validateRecipient(recipient)
+      if (validation.error) {
+        return errorResult(validation.code, validation.error)
       }
+      toList.push(validation.recipient)
+    }
 
-      const errorMessage = errorMessages[response.status] || `API error: ${response.status}`
-      console.error(`Brevo API error: ${errorMessage}`)
+    let replyToValue
+    if (replyTo) {
+      const validation = validateRecipient(replyTo)
+      if (validation.error) {
+        return errorResult(validation.code, `Invalid reply-to: ${validation.error}`)
+      }
+      replyToValue = validation.recipient
+    }
+
+    const hasTemplate = Number.isInteger(templateId) && templateId > 0
+    if (!hasTemplate && !(subject && htmlContent)) {
+      return errorResult(ERROR_CODES.INVALID_INPUT, 'Either a template ID or subject and htmlContent are required')
+    }
+
+    const body = {
+      to: toList,
+      ...(hasTemplate ? { templateId } : { subject, htmlContent }),
+      ...(sender && { sender }),
+      ...(Object.keys(params).length > 0 && { params }),
+      ...(replyToValue && { replyTo: replyToValue }),
+      ...(tags.length > 0 && { tags })
+    }
+
+    const result = await this.request('/smtp/email', { method: 'POST', body, retry })
+    if (result.error) return result.error
+
+    const { response, data } = result
 
+    if (response.ok) {
       return {
-        success: false,
-        error: errorMessage
+        success: true,
+        data: {
+          messageId: data?.messageId ?? null,
+          to: toList.map(recipient => recipient.email)
+        }
       }
+    }
+
+    return this.failure(response.status, data)
+  }
+
+  /**
+   * Checks API key configuration. In proxy mode the key lives on the server,
+   * which only exposes contact creation and attribute updates.
+   * @param {Object} options - Check options
+   * @param {boolean} options.proxySupported - Whether the calling method is available through the proxy
+   * @returns {Object|null} Error response, or null when configured
+   */
+  validateConfig({ proxySupported = false } = {}) {
+    if (this.mode === 'proxy') {
+      return proxySupported
+        ? null
+        : errorResult(ERROR_CODES.UNSUPPORTED, 'Operation is not available in proxy mode')
+    }
+
+    // Check for empty string before checking for undefined/null
+    if (typeof this.apiKey === 'string' && this.apiKey.trim() === '') {
+      return errorResult(ERROR_CODES.NOT_CONFIGURED, 'Brevo API key cannot be empty')
+    }
+
+    if (!this.apiKey) {
+      return errorResult(
+        ERROR_CODES.NOT_CONFIGURED,
+        'Brevo API key is not configured. Set VITE_BREVO_API_KEY environment variable.'
+      )
+    }
+
+    return null
+  }
+
+  /**
+   * Builds an error response for a non-success HTTP status
+   * @param {number} status - HTTP status code
+   * @param {*} body - Parsed error body from Brevo (null when absent or not JSON)
+   * @param {Object} messages - Endpoint-specific messages overriding ERROR_MESSAGES
+   * @returns {Object} Error response
+   */
+  failure(status, body = null, messages = {}) {
+    const errorMessage = messages[status] || ERROR_MESSAGES[status] || `API error: ${status}`
+    console.error(`Brevo API error: ${errorMessage}`)
+
+    return errorResult(getErrorCode(status), errorMessage, { status, body })
+  }
+
+  /**
+   * Sends a request to the Brevo API, retrying retryable failures
+   * (429/5xx responses, network errors, timeouts) according to the retry policy.
+   * Never throws - transport failures are returned as `{ error }` holding an error response.
+   * @param {string} path - API path relative to baseUrl
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {Object} options.body - JSON body
+   * @param {Object|boolean} options.retry - Per-call retry policy, merged onto the client default
+   * @param {boolean} options.keepalive - Keep the request alive after the page unloads
+   * @returns {Promise<{ response: Response, data: * } | { error: Object }>}
+   */
+  async request(path, { method = 'GET', body, retry, keepalive } = {}) {
+    const policy = normalizeRetryPolicy(retry, this.retryPolicy)
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await this.send(path, { method, body, keepalive })
+
+      if (result.response?.ok) {
+        return result
+      }
+
+      const outcome = result.response
+        ? { status: result.response.status, headers: result.response.headers }
+        : { retryable: result.error.errorDetails.retryable }
+
+      const delay = getRetryDelay(outcome, attempt, policy)
+      if (delay === null) {
+        return result
+      }
+
+      console.warn(`Brevo API request failed, retrying in ${delay}ms (attempt ${attempt + 1}/${policy.maxAttempts})`)
+      await sleep(delay)
+    }
+  }
+
+  /**
+   * Performs a single request attempt
+   * @returns {Promise<{ response: Response, data: * } | { error: Object }>}
+   */
+  async send(path, { method, body, keepalive }) {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS)
+
+    // Resolved per request so tests and polyfills can replace the global fetch
+    const fetchImpl = this.fetchImpl || fetch
+
+    try {
+      const response = await fetchImpl(`${this.baseUrl}${path}`, {
+        method,
+        headers: this.mode === 'proxy'
+          ? { 'content-type': 'application/json' }
+          : { 'api-key': this.apiKey, 'content-type': 'application/json' },
+        ...(body !== undefined && { body: JSON.stringify(body) }),
+        ...(keepalive && { keepalive: true }),
+        signal: controller.signal
+      })
+
+      // 204 No Content (update, delete, upsert) has no body to parse
+      let data = null
+      if (response.ok) {
+        data = response.status === 204 ? null : await response.json()
+      } else {
+        // Error bodies are informational only (gateways may return HTML)
+        try {
+          data = await response.json()
+        } catch {
+          data = null
+        }
+      }
+
+      return { response, data }
 
     } catch (error) {
       // Handle timeout
       if (error.name === 'AbortError') {
         console.error('Brevo API request timeout')
-        return {
-          success: false,
-          error: 'Request timeout'
-        }
+        return { error: errorResult(ERROR_CODES.TIMEOUT, 'Request timeout') }
       }
 
       // Handle network errors
       if (error instanceof TypeError && error.message.includes('fetch')) {
         console.error('Brevo API network error')
-        return {
-          success: false,
-          error: 'Network error'
-        }
+        return { error: errorResult(ERROR_CODES.NETWORK, 'Network error') }
       }
 
       // Handle malformed JSON
       if (error instanceof SyntaxError) {
         console.error('Brevo API returned invalid JSON')
-        return {
-          success: false,
-          error: 'Invalid API response format'
-        }
+        return { error: errorResult(ERROR_CODES.INVALID_RESPONSE, 'Invalid API response format') }
       }
 
       // Generic error handler
       console.error('Brevo API unexpected error:', error.message)
-      return {
-        success: false,
-        error: 'Unexpected error occurred'
-      }
+      return { error: errorResult(ERROR_CODES.UNKNOWN, 'Unexpected error occurred') }
+    } finally {
+      clearTimeout(timeoutId)
     }
   }
 }
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { BrevoClient } from './brevo.js'
+import { BrevoClient, parseListIds, ERROR_CODES } from './brevo.js'
+import { createFakeBrevo } from '../../server/fakeBrevo.js'
 
 describe('BrevoClient', () => {
   beforeEach(() => {
@@ -9,6 +10,7 @@ describe('BrevoClient', () => {
 
   afterEach(() => {
     vi.restoreAllMocks()
+    vi.unstubAllGlobals()
   })
 
   describe('Happy Path', () => {
@@ -756,4 +758,1249 @@ describe('BrevoClient', () => {
       expect(typeof result.error).toBe('string')
     })
   })
+
+  describe('Contact Lifecycle', () => {
+    describe('createContact upsert mode', () => {
+      it('sends updateEnabled when upsert is requested', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: true,
+          status: 201,
+          json: async () => ({ id: 123 })
+        }))
+
+        // Act
+        await brevo.createContact({ email: 'test@example.com', upsert: true })
+
+        // Assert
+        const body = JSON.parse(fetch.mock.calls[0][1].body)
+        expect(body.updateEnabled).toBe(true)
+      })
+
+      it('does not send updateEnabled by default', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: true,
+          status: 201,
+          json: async () => ({ id: 123 })
+        }))
+
+        // Act
+        await brevo.createContact({ email: 'test@example.com' })
+
+        // Assert
+        const body = JSON.parse(fetch.mock.calls[0][1].body)
+        expect(body).not.toHaveProperty('updateEnabled')
+      })
+
+      it('reports an updated existing contact (204 No Content)', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        const json = vi.fn()
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 204, json }))
+
+        // Act
+        const result = await brevo.createContact({
+          email: 'test@example.com',
+          firstName: 'John',
+          attributes: { message: 'Second message' },
+          upsert: true
+        })
+
+        // Assert
+        expect(result).toEqual({
+          success: true,
+          data: { id: null, email: 'test@example.com', updated: true }
+        })
+        expect(json).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('getContact', () => {
+      it('fetches a contact by email', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: true,
+          status: 200,
+          json: async () => ({
+            id: 42,
+            email: 'test@example.com',
+            attributes: { FIRSTNAME: 'John' },
+            listIds: [3],
+            emailBlacklisted: false,
+            createdAt: '2025-12-05T10:00:00Z',
+            modifiedAt: '2025-12-06T10:00:00Z'
+          })
+        }))
+
+        // Act
+        const result = await brevo.getContact('test@example.com')
+
+        // Assert
+        expect(fetch).toHaveBeenCalledWith(
+          'https://api.brevo.com/v3/contacts/test%40example.com',
+          expect.objectContaining({ method: 'GET' })
+        )
+        expect(result.success).toBe(true)
+        expect(result.data).toMatchObject({
+          id: 42,
+          email: 'test@example.com',
+          attributes: { FIRSTNAME: 'John' },
+          listIds: [3]
+        })
+      })
+
+      it('fetches a contact by numeric ID', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: true,
+          status: 200,
+          json: async () => ({ id: 42, email: 'test@example.com' })
+        }))
+
+        // Act
+        const result = await brevo.getContact(42)
+
+        // Assert
+        expect(fetch).toHaveBeenCalledWith(
+          'https://api.brevo.com/v3/contacts/42',
+          expect.any(Object)
+        )
+        expect(result.data.attributes).toEqual({})
+        expect(result.data.listIds).toEqual([])
+      })
+
+      it('returns an error when the contact does not exist (404)', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: false,
+          status: 404,
+          json: async () => ({ code: 'document_not_found' })
+        }))
+
+        // Act
+        const result = await brevo.getContact('missing@example.com')
+
+        // Assert
+        expect(result).toMatchObject({ success: false, error: 'Contact not found' })
+      })
+
+      it('rejects an invalid identifier without calling the API', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn())
+
+        // Act
+        const missing = await brevo.getContact()
+        const invalid = await brevo.getContact('not-an-email')
+
+        // Assert
+        expect(missing.error).toContain('identifier')
+        expect(invalid.error).toBe('Invalid email format')
+        expect(fetch).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('updateContact', () => {
+      it('sends a PUT with the new name and attributes', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 204, json: vi.fn() }))
+
+        // Act
+        const result = await brevo.updateContact(' test@example.com ', {
+          firstName: 'Johnny',
+          attributes: { message: 'Updated message' }
+        })
+
+        // Assert
+        expect(fetch).toHaveBeenCalledWith(
+          'https://api.brevo.com/v3/contacts/test%40example.com',
+          expect.objectContaining({
+            method: 'PUT',
+            body: JSON.stringify({ firstName: 'Johnny', attributes: { message: 'Updated message' } })
+          })
+        )
+        expect(result).toEqual({
+          success: true,
+          data: { identifier: 'test@example.com', updated: true }
+        })
+      })
+
+      it('returns an error when the API rejects the update', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: false,
+          status: 400,
+          json: async () => ({ code: 'invalid_parameter' })
+        }))
+
+        // Act
+        const result = await brevo.updateContact('test@example.com', { attributes: {} })
+
+        // Assert
+        expect(result).toMatchObject({ success: false, error: 'Bad request - validation error' })
+      })
+    })
+
+    describe('deleteContact', () => {
+      it('sends a DELETE for the contact', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 204, json: vi.fn() }))
+
+        // Act
+        const result = await brevo.deleteContact('test@example.com')
+
+        // Assert
+        expect(fetch).toHaveBeenCalledWith(
+          'https://api.brevo.com/v3/contacts/test%40example.com',
+          expect.objectContaining({ method: 'DELETE' })
+        )
+        expect(fetch.mock.calls[0][1]).not.toHaveProperty('body')
+        expect(result).toEqual({
+          success: true,
+          data: { identifier: 'test@example.com', deleted: true }
+        })
+      })
+
+      it('returns an error response on network failure', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+        vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')))
+
+        // Act
+        const result = await brevo.deleteContact('test@example.com')
+
+        // Assert
+        expect(result).toMatchObject({ success: false, error: 'Network error' })
+      })
+
+      it('requires API key configuration', async () => {
+        // Arrange
+        const brevo = new BrevoClient(null)
+        vi.stubGlobal('fetch', vi.fn())
+
+        // Act
+        const result = await brevo.deleteContact('test@example.com')
+
+        // Assert
+        expect(result.success).toBe(false)
+        expect(result.error).toContain('Brevo API key is not configured')
+        expect(fetch).not.toHaveBeenCalled()
+      })
+    })
+  })
+
+  describe('Lists and Double Opt-In', () => {
+    describe('list configuration', () => {
+      it('parses comma-separated list IDs and drops invalid entries', () => {
+        expect(parseListIds('3, 7,abc, -1, 12')).toEqual([3, 7, 12])
+        expect(parseListIds([4, '5'])).toEqual([4, 5])
+        expect(parseListIds(undefined)).toEqual([])
+        expect(parseListIds('')).toEqual([])
+      })
+
+      it('reads list IDs from VITE_BREVO_LIST_IDS', () => {
+        // Arrange
+        vi.stubEnv('VITE_BREVO_LIST_IDS', '2,5')
+
+        // Act
+        const brevo = new BrevoClient('test-api-key')
+
+        // Assert
+        expect(brevo.listIds).toEqual([2, 5])
+
+        vi.unstubAllEnvs()
+      })
+
+      it('subscribes new contacts to configured lists', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key', { listIds: '2,5' })
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: true,
+          status: 201,
+          json: async () => ({ id: 1 })
+        }))
+
+        // Act
+        await brevo.createContact({ email: 'test@example.com' })
+
+        // Assert
+        const body = JSON.parse(fetch.mock.calls[0][1].body)
+        expect(body.listIds).toEqual([2, 5])
+      })
+
+      it('omits listIds when no lists are configured', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key', { listIds: '' })
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: true,
+          status: 201,
+          json: async () => ({ id: 1 })
+        }))
+
+        // Act
+        await brevo.createContact({ email: 'test@example.com' })
+
+        // Assert
+        const body = JSON.parse(fetch.mock.calls[0][1].body)
+        expect(body).not.toHaveProperty('listIds')
+      })
+    })
+
+    describe('addContactsToList / removeContactsFromList', () => {
+      it('adds contacts to a list', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: true,
+          status: 201,
+          json: async () => ({ contacts: { success: ['a@example.com'], failure: ['b@example.com'] } })
+        }))
+
+        // Act
+        const result = await brevo.addContactsToList(3, ['a@example.com', ' b@example.com'])
+
+        // Assert
+        expect(fetch).toHaveBeenCalledWith(
+          'https://api.brevo.com/v3/contacts/lists/3/contacts/add',
+          expect.objectContaining({
+            method: 'POST',
+            body: JSON.stringify({ emails: ['a@example.com', 'b@example.com'] })
+          })
+        )
+        expect(result).toEqual({
+          success: true,
+          data: { listId: 3, success: ['a@example.com'], failure: ['b@example.com'] }
+        })
+      })
+
+      it('removes a single contact from a list', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: true,
+          status: 201,
+          json: async () => ({ contacts: { success: ['a@example.com'], failure: [] } })
+        }))
+
+        // Act
+        const result = await brevo.removeContactsFromList(3, 'a@example.com')
+
+        // Assert
+        expect(fetch).toHaveBeenCalledWith(
+          'https://api.brevo.com/v3/contacts/lists/3/contacts/remove',
+          expect.objectContaining({ body: JSON.stringify({ emails: ['a@example.com'] }) })
+        )
+        expect(result.success).toBe(true)
+      })
+
+      it('validates list ID and emails before calling the API', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.stubGlobal('fetch', vi.fn())
+
+        // Act
+        const badList = await brevo.addContactsToList('3', ['a@example.com'])
+        const badEmail = await brevo.addContactsToList(3, ['a@example.com', 'nope'])
+        const noEmails = await brevo.addContactsToList(3, [])
+
+        // Assert
+        expect(badList.error).toBe('List ID must be a positive integer')
+        expect(badEmail.error).toBe('Invalid email format')
+        expect(noEmails.error).toBe('At least one email is required')
+        expect(fetch).not.toHaveBeenCalled()
+      })
+
+      it('reports a missing list (404)', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key')
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+          ok: false,
+          status: 404,
+          json: async () => ({ code: 'document_not_found' })
+        }))
+
+        // Act
+        const result = await brevo.addContactsToList(99, 'a@example.com')
+
+        // Assert
+        expect(result).toMatchObject({ success: false, error: 'List not found' })
+      })
+    })
+
+    describe('createDoubleOptInContact', () => {
+      const doubleOptIn = { templateId: 8, redirectionUrl: 'https://example.com/confirmed' }
+
+      it('sends the double opt-in confirmation request', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key', { listIds: [2], doubleOptIn })
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 201, json: async () => ({}) }))
+
+        // Act
+        const result = await brevo.createDoubleOptInContact({
+          email: 'test@example.com',
+          attributes: { FIRSTNAME: 'John' }
+        })
+
+        // Assert
+        expect(fetch).toHaveBeenCalledWith(
+          'https://api.brevo.com/v3/contacts/doubleOptinConfirmation',
+          expect.objectContaining({ method: 'POST' })
+        )
+        expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+          email: 'test@example.com',
+          attributes: { FIRSTNAME: 'John' },
+          includeListIds: [2],
+          templateId: 8,
+          redirectionUrl: 'https://example.com/confirmed'
+        })
+        expect(result).toEqual({
+          success: true,
+          data: { email: 'test@example.com', listIds: [2], pendingConfirmation: true }
+        })
+      })
+
+      it('accepts 204 for an existing contact', async () => {
+        // Arrange
+        const brevo = new BrevoClient('test-api-key', { listIds: [2], doubleOptIn })
+        vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 204, json: vi.fn() }))
+
+        // Act
+        const result = await brevo.createDoubleOptInContact({ email: 'test@example.com' })
+
+        // Assert
+        expect(result.success).toBe(true)
+      })
+
+      it('requires lists, template ID and redirect URL', async () => {
+        // Arrange
+        vi.stubGlobal('fetch', vi.fn())
+        const noLists = new BrevoClient('test-api-key', { listIds: [], doubleOptIn })
+        const noConfig = new BrevoClient('test-api-key', { listIds: [2], doubleOptIn: null })
+
+        // Act
+        const listResult = await noLists.createDoubleOptInContact({ email: 'test@example.com' })
+        const templateResult = await noConfig.createDoubleOptInContact({ email: 'test@example.com' })
+        const redirectResult = await noConfig.createDoubleOptInContact({
+          email: 'test@example.com',
+          templateId: 8
+        })
+
+        // Assert
+        expect(listResult.error).toContain('VITE_BREVO_LIST_IDS')
+        expect(templateResult.error).toContain('VITE_BREVO_DOI_TEMPLATE_ID')
+        expect(redirectResult.error).toContain('VITE_BREVO_DOI_REDIRECT_URL')
+        expect(fetch).not.toHaveBeenCalled()
+      })
+
+      it('reads double opt-in configuration from the environment', () => {
+        // Arrange
+        vi.stubEnv('VITE_BREVO_DOI_TEMPLATE_ID', '12')
+        vi.stubEnv('VITE_BREVO_DOI_REDIRECT_URL', 'https://example.com/confirmed')
+
+        // Act
+        const configured = new BrevoClient('test-api-key')
+        vi.stubEnv('VITE_BREVO_DOI_TEMPLATE_ID', '')
+        const unconfigured = new BrevoClient('test-api-key')
+
+        // Assert
+        expect(configured.doubleOptIn).toEqual({
+          templateId: 12,
+          redirectionUrl: 'https://example.com/confirmed'
+        })
+        expect(unconfigured.doubleOptIn).toBeNull()
+
+        vi.unstubAllEnvs()
+      })
+    })
+  })
+
+  describe('Retry Policy', () => {
+    const fastRetry = { baseDelayMs: 0 }
+
+    beforeEach(() => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    it('retries a 429 and succeeds on a later attempt', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key', { retry: fastRetry })
+      vi.stubGlobal('fetch', vi.fn()
+        .mockResolvedValueOnce({ ok: false, status: 429, headers: new Headers(), json: async () => ({}) })
+        .mockResolvedValueOnce({ ok: false, status: 503, headers: new Headers(), json: async () => ({}) })
+        .mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ id: 7 }) }))
+
+      // Act
+      const result = await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(fetch).toHaveBeenCalledTimes(3)
+      expect(result).toEqual({ success: true, data: { id: 7, email: 'test@example.com' } })
+    })
+
+    it('retries network errors', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key', { retry: fastRetry })
+      vi.stubGlobal('fetch', vi.fn()
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ id: 8 }) }))
+
+      // Act
+      const result = await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(result.success).toBe(true)
+    })
+
+    it('gives up after maxAttempts with the last error', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key', { retry: { ...fastRetry, maxAttempts: 4 } })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+        ok: false,
+        status: 500,
+        headers: new Headers(),
+        json: async () => ({})
+      }))
+
+      // Act
+      const result = await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(fetch).toHaveBeenCalledTimes(4)
+      expect(result).toMatchObject({ success: false, error: 'Brevo server error' })
+    })
+
+    it('does not retry non-retryable statuses', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key', { retry: fastRetry })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 401, json: async () => ({}) }))
+
+      // Act
+      await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('does not retry a duplicate contact (409)', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key', { retry: fastRetry })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 409, json: async () => ({}) }))
+
+      // Act
+      const result = await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(result.data.duplicate).toBe(true)
+    })
+
+    it('waits for Retry-After before retrying', async () => {
+      // Arrange
+      vi.useFakeTimers()
+      const brevo = new BrevoClient('test-api-key')
+      vi.stubGlobal('fetch', vi.fn()
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 429,
+          headers: new Headers({ 'Retry-After': '2' }),
+          json: async () => ({})
+        })
+        .mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ id: 9 }) }))
+
+      // Act
+      const pending = brevo.createContact({ email: 'test@example.com' })
+      await vi.advanceTimersByTimeAsync(1999)
+      const callsBeforeDelay = fetch.mock.calls.length
+      await vi.advanceTimersByTimeAsync(1)
+      const result = await pending
+
+      // Assert
+      expect(callsBeforeDelay).toBe(1)
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(result.success).toBe(true)
+
+      vi.useRealTimers()
+    })
+
+    it('waits for the Brevo rate limit reset header', async () => {
+      // Arrange
+      vi.useFakeTimers()
+      const brevo = new BrevoClient('test-api-key')
+      vi.stubGlobal('fetch', vi.fn()
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 429,
+          headers: new Headers({ 'x-sib-ratelimit-reset': '5' }),
+          json: async () => ({})
+        })
+        .mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ id: 10 }) }))
+
+      // Act
+      const pending = brevo.createContact({ email: 'test@example.com' })
+      await vi.advanceTimersByTimeAsync(4999)
+      const callsBeforeDelay = fetch.mock.calls.length
+      await vi.advanceTimersByTimeAsync(1)
+      await pending
+
+      // Assert
+      expect(callsBeforeDelay).toBe(1)
+      expect(fetch).toHaveBeenCalledTimes(2)
+
+      vi.useRealTimers()
+    })
+
+    it('accepts a per-call policy that overrides the client default', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key', { retry: fastRetry })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+        ok: false,
+        status: 503,
+        headers: new Headers(),
+        json: async () => ({})
+      }))
+
+      // Act
+      await brevo.getContact('test@example.com', { retry: false })
+      const callsWithoutRetry = fetch.mock.calls.length
+      await brevo.deleteContact('test@example.com', { retry: { maxAttempts: 2 } })
+
+      // Assert
+      expect(callsWithoutRetry).toBe(1)
+      expect(fetch).toHaveBeenCalledTimes(3)
+    })
+
+    it('does not fail on a non-JSON error body', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key', { retry: false })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+        ok: false,
+        status: 502,
+        json: async () => {
+          throw new SyntaxError('Unexpected token <')
+        }
+      }))
+
+      // Act
+      const result = await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'API error: 502' })
+    })
+  })
+
+  describe('sendTransactionalEmail', () => {
+    it('sends a templated email with params, reply-to and tags', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key')
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+        ok: true,
+        status: 201,
+        json: async () => ({ messageId: '<abc@smtp-relay.brevo.com>' })
+      }))
+
+      // Act
+      const result = await brevo.sendTransactionalEmail({
+        to: { email: 'john@example.com', name: 'John' },
+        templateId: 5,
+        params: { name: 'John' },
+        replyTo: 'hello@example.com',
+        tags: ['contact-form-acknowledgement']
+      })
+
+      // Assert
+      expect(fetch).toHaveBeenCalledWith(
+        'https://api.brevo.com/v3/smtp/email',
+        expect.objectContaining({ method: 'POST' })
+      )
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+        to: [{ email: 'john@example.com', name: 'John' }],
+        templateId: 5,
+        params: { name: 'John' },
+        replyTo: { email: 'hello@example.com' },
+        tags: ['contact-form-acknowledgement']
+      })
+      expect(result).toEqual({
+        success: true,
+        data: { messageId: '<abc@smtp-relay.brevo.com>', to: ['john@example.com'] }
+      })
+    })
+
+    it('accepts inline content instead of a template', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key')
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+        ok: true,
+        status: 201,
+        json: async () => ({ messageId: 'id-1' })
+      }))
+
+      // Act
+      await brevo.sendTransactionalEmail({
+        to: ['a@example.com', 'b@example.com'],
+        sender: { email: 'team@example.com', name: 'Team' },
+        subject: 'Thanks',
+        htmlContent: '<p>Thanks!</p>'
+      })
+
+      // Assert
+      const body = JSON.parse(fetch.mock.calls[0][1].body)
+      expect(body.to).toEqual([{ email: 'a@example.com' }, { email: 'b@example.com' }])
+      expect(body).toMatchObject({ subject: 'Thanks', htmlContent: '<p>Thanks!</p>' })
+      expect(body).not.toHaveProperty('templateId')
+      expect(body).not.toHaveProperty('params')
+      expect(body).not.toHaveProperty('tags')
+    })
+
+    it('validates recipients, reply-to and content before calling the API', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key')
+      vi.stubGlobal('fetch', vi.fn())
+
+      // Act
+      const noRecipient = await brevo.sendTransactionalEmail({ templateId: 5 })
+      const badRecipient = await brevo.sendTransactionalEmail({ to: 'nope', templateId: 5 })
+      const badReplyTo = await brevo.sendTransactionalEmail({
+        to: 'a@example.com',
+        templateId: 5,
+        replyTo: 'nope'
+      })
+      const noContent = await brevo.sendTransactionalEmail({ to: 'a@example.com', templateId: NaN })
+
+      // Assert
+      expect(noRecipient.error).toBe('At least one recipient is required')
+      expect(badRecipient.error).toBe('Invalid email format')
+      expect(badReplyTo.error).toBe('Invalid reply-to: Invalid email format')
+      expect(noContent.error).toContain('template ID')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('returns an error response when the API rejects the email', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key')
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+        ok: false,
+        status: 400,
+        json: async () => ({ code: 'invalid_parameter', message: 'Template not active' })
+      }))
+
+      // Act
+      const result = await brevo.sendTransactionalEmail({ to: 'a@example.com', templateId: 5 })
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'Bad request - validation error' })
+    })
+  })
+
+  describe('Proxy Mode', () => {
+    it('sends contacts to the proxy without an api-key header', async () => {
+      // Arrange
+      const brevo = new BrevoClient('should-not-be-sent', { proxyUrl: '/api/' })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+        ok: true,
+        status: 201,
+        json: async () => ({ id: 5 })
+      }))
+
+      // Act
+      const result = await brevo.createContact({ email: 'test@example.com', upsert: true })
+
+      // Assert
+      expect(brevo.mode).toBe('proxy')
+      expect(fetch).toHaveBeenCalledWith(
+        '/api/contacts',
+        expect.objectContaining({
+          method: 'POST',
+          headers: { 'content-type': 'application/json' }
+        })
+      )
+      expect(result).toEqual({ success: true, data: { id: 5, email: 'test@example.com' } })
+      // The proxy never updates an existing contact
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).not.toHaveProperty('updateEnabled')
+    })
+
+    it('does not require a client-side API key', async () => {
+      // Arrange
+      const brevo = new BrevoClient(null, { proxyUrl: '/api' })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 201, json: async () => ({ id: 5 }) }))
+
+      // Act
+      const result = await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(result.success).toBe(true)
+    })
+
+    it('leaves lists and double opt-in to the server', async () => {
+      // Arrange
+      const brevo = new BrevoClient(null, {
+        proxyUrl: '/api',
+        listIds: '2,5',
+        doubleOptIn: { templateId: 8, redirectionUrl: 'https://example.com/confirmed' }
+      })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 201, json: async () => ({ id: 5 }) }))
+
+      // Act
+      await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(brevo.doubleOptIn).toBeNull()
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).not.toHaveProperty('listIds')
+    })
+
+    it('reads the proxy URL from VITE_BREVO_PROXY_URL', () => {
+      // Arrange
+      vi.stubEnv('VITE_BREVO_PROXY_URL', '/api')
+
+      // Act
+      const brevo = new BrevoClient('test-api-key')
+
+      // Assert
+      expect(brevo.mode).toBe('proxy')
+      expect(brevo.baseUrl).toBe('/api')
+      expect(brevo.apiKey).toBeNull()
+
+      vi.unstubAllEnvs()
+    })
+
+    it('rejects operations the proxy does not expose', async () => {
+      // Arrange
+      const brevo = new BrevoClient(null, { proxyUrl: '/api' })
+      vi.stubGlobal('fetch', vi.fn())
+
+      // Act
+      const results = await Promise.all([
+        brevo.getContact('test@example.com'),
+        brevo.deleteContact('test@example.com'),
+        brevo.addContactsToList(2, 'test@example.com'),
+        brevo.sendTransactionalEmail({ to: 'test@example.com', templateId: 5 })
+      ])
+
+      // Assert
+      results.forEach(result => {
+        expect(result).toMatchObject({ success: false, error: 'Operation is not available in proxy mode' })
+      })
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('updates contact attributes through PATCH on the proxy', async () => {
+      // Arrange
+      const brevo = new BrevoClient(null, { proxyUrl: '/api' })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 204, json: vi.fn() }))
+
+      // Act
+      const result = await brevo.updateContact('test@example.com', { attributes: { MEETING_SLOT: '2026-10-21T10:00:00.000Z' } })
+      const byId = await brevo.updateContact(42, { attributes: { MEETING_SLOT: '2026-10-21T10:00:00.000Z' } })
+
+      // Assert
+      expect(result).toEqual({ success: true, data: { identifier: 'test@example.com', updated: true } })
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(fetch).toHaveBeenCalledWith('/api/contacts', expect.objectContaining({
+        method: 'PATCH',
+        body: JSON.stringify({ email: 'test@example.com', attributes: { MEETING_SLOT: '2026-10-21T10:00:00.000Z' } })
+      }))
+      expect(byId).toMatchObject({ success: false, errorDetails: { code: 'UNSUPPORTED' } })
+    })
+  })
+
+  describe('Injectable baseUrl and fetch', () => {
+    it('sends requests to a custom base URL', async () => {
+      // Arrange
+      const brevo = new BrevoClient('test-api-key', { baseUrl: '/__fake-brevo/v3/' })
+      vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, status: 201, json: async () => ({ id: 1 }) }))
+
+      // Act
+      await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(fetch).toHaveBeenCalledWith('/__fake-brevo/v3/contacts', expect.any(Object))
+    })
+
+    it('reads the base URL from VITE_BREVO_BASE_URL', () => {
+      // Arrange
+      vi.stubEnv('VITE_BREVO_BASE_URL', '/__fake-brevo/v3')
+
+      // Act
+      const brevo = new BrevoClient('test-api-key')
+
+      // Assert
+      expect(brevo.baseUrl).toBe('/__fake-brevo/v3')
+
+      vi.unstubAllEnvs()
+    })
+
+    it('uses an injected fetch instead of the global one', async () => {
+      // Arrange
+      const fetchImpl = vi.fn().mockResolvedValue({ ok: true, status: 201, json: async () => ({ id: 2 }) })
+      vi.stubGlobal('fetch', vi.fn())
+      const brevo = new BrevoClient('test-api-key', { fetch: fetchImpl })
+
+      // Act
+      const result = await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(result.data.id).toBe(2)
+      expect(fetchImpl).toHaveBeenCalledTimes(1)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('works against the fake Brevo server', async () => {
+      // Arrange
+      const fake = createFakeBrevo()
+      const brevo = new BrevoClient('test-api-key', { fetch: fake.fetch })
+
+      // Act
+      const created = await brevo.createContact({ email: 'test@example.com', upsert: true })
+      const fetched = await brevo.getContact('test@example.com')
+
+      // Assert
+      expect(created.success).toBe(true)
+      expect(fetched.data.email).toBe('test@example.com')
+    })
+  })
+  describe('Bulk Import and Export', () => {
+    let fake
+    let brevo
+
+    beforeEach(() => {
+      fake = createFakeBrevo({ lists: [{ id: 2, name: 'Contact form' }, { id: 7, name: 'Events' }] })
+      brevo = new BrevoClient('test-api-key', { fetch: fake.fetch, listIds: [2], retry: false })
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    describe('importContacts', () => {
+      it('imports CSV rows with a column mapping and reports each row', async () => {
+        // Arrange
+        const csv = [
+          'Email,First Name,Company,Notes',
+          'jane@example.com,Jane,Acme,VIP',
+          'not-an-email,Bob,Globex,',
+          'JANE@example.com,Janet,Acme,',
+          ' john@example.com ,John,,'
+        ].join('\n')
+
+        // Act
+        const result = await brevo.importContacts(csv, {
+          mapping: { 'First Name': 'FIRSTNAME', Company: 'COMPANY' }
+        })
+
+        // Assert
+        expect(result.success).toBe(true)
+        expect(result.data).toEqual({
+          processId: 1,
+          queued: 2,
+          rejected: 2,
+          rows: [
+            { row: 1, email: 'jane@example.com', status: 'queued' },
+            { row: 2, email: 'not-an-email', status: 'invalid', error: 'Invalid email format' },
+            { row: 3, email: 'JANE@example.com', status: 'duplicate', error: 'Duplicate email in import' },
+            { row: 4, email: 'john@example.com', status: 'queued' }
+          ]
+        })
+        expect(fake.state.imports[0]).toMatchObject({
+          jsonBody: [
+            { email: 'jane@example.com', attributes: { FIRSTNAME: 'Jane', COMPANY: 'Acme' } },
+            { email: 'john@example.com', attributes: { FIRSTNAME: 'John' } }
+          ],
+          listIds: [2],
+          updateExistingContacts: true
+        })
+      })
+
+      it('maps every column to an attribute when no mapping is given', async () => {
+        // Act
+        await brevo.importContacts([{ email: 'jane@example.com', 'Job title': 'CTO' }], { listIds: [7] })
+
+        // Assert
+        expect(fake.getContact('jane@example.com')).toMatchObject({
+          attributes: { JOB_TITLE: 'CTO' },
+          listIds: [7]
+        })
+      })
+
+      it('does not call the API when no row is valid', async () => {
+        // Act
+        const result = await brevo.importContacts([{ email: 'invalid' }, { name: 'No email' }])
+
+        // Assert
+        expect(result.success).toBe(false)
+        expect(result.error).toBe('No valid contacts to import')
+        expect(result.rows.map(row => row.status)).toEqual(['invalid', 'invalid'])
+        expect(fake.state.requests).toHaveLength(0)
+      })
+
+      it('rejects malformed CSV and empty input', async () => {
+        // Act
+        const malformed = await brevo.importContacts('email\n"jane@example.com')
+        const empty = await brevo.importContacts('email\n')
+
+        // Assert
+        expect(malformed).toMatchObject({ success: false, error: 'Invalid CSV: Unterminated quoted field' })
+        expect(empty).toMatchObject({ success: false, error: 'At least one row is required' })
+      })
+
+      it('returns the API error together with the row results', async () => {
+        // Arrange
+        fake.injectFault({ path: '/contacts/import', status: 500 })
+
+        // Act
+        const result = await brevo.importContacts([{ email: 'jane@example.com' }])
+
+        // Assert
+        expect(result.success).toBe(false)
+        expect(result.error).toBe('Brevo server error')
+        expect(result.rows).toEqual([{ row: 1, email: 'jane@example.com', status: 'queued' }])
+      })
+
+      it('is not available in proxy mode', async () => {
+        // Arrange
+        const proxied = new BrevoClient(undefined, { proxyUrl: '/api', fetch: fake.fetch })
+
+        // Act
+        const result = await proxied.importContacts([{ email: 'jane@example.com' }])
+
+        // Assert
+        expect(result).toMatchObject({ success: false, error: 'Operation is not available in proxy mode' })
+      })
+    })
+
+    describe('exportContacts', () => {
+      it('pages through all contacts into CSV', async () => {
+        // Arrange
+        await brevo.importContacts([
+          { email: 'a@example.com', COMPANY: 'Acme' },
+          { email: 'b@example.com', FIRSTNAME: 'Bea' },
+          { email: 'c@example.com', COMPANY: 'Globex, Inc.' }
+        ])
+
+        // Act
+        const result = await brevo.exportContacts({ pageSize: 2 })
+
+        // Assert
+        expect(result.success).toBe(true)
+        expect(result.data.count).toBe(3)
+        expect(result.data.csv).toBe([
+          'email,COMPANY,FIRSTNAME',
+          'a@example.com,Acme,',
+          'b@example.com,,Bea',
+          'c@example.com,"Globex, Inc.",'
+        ].join('\r\n'))
+        const listRequests = fake.state.requests.filter(request => request.method === 'GET')
+        expect(listRequests).toHaveLength(2)
+      })
+
+      it('exports only list members and the requested attributes', async () => {
+        // Arrange
+        await brevo.importContacts([{ email: 'a@example.com', COMPANY: 'Acme' }], { listIds: [7] })
+        await brevo.importContacts([{ email: 'b@example.com', COMPANY: 'Globex' }])
+
+        // Act
+        const result = await brevo.exportContacts({ listId: 7, attributes: ['COMPANY'] })
+
+        // Assert
+        expect(result.data).toEqual({ csv: 'email,COMPANY\r\na@example.com,Acme', count: 1 })
+      })
+
+      it('returns an error for an unknown list', async () => {
+        // Act
+        const result = await brevo.exportContacts({ listId: 99 })
+
+        // Assert
+        expect(result).toMatchObject({ success: false, error: 'List not found' })
+      })
+    })
+  })
+  describe('Structured Errors', () => {
+    let fake
+    let brevo
+
+    beforeEach(() => {
+      fake = createFakeBrevo()
+      brevo = new BrevoClient('test-api-key', { fetch: fake.fetch, retry: false })
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    it('keeps the error message and adds error details', async () => {
+      // Act
+      const result = await brevo.createContact({ email: 'not-an-email' })
+
+      // Assert
+      expect(result).toEqual({
+        success: false,
+        error: 'Invalid email format',
+        errorDetails: {
+          code: ERROR_CODES.INVALID_EMAIL,
+          message: 'Invalid email format',
+          status: null,
+          retryable: false,
+          body: null
+        }
+      })
+    })
+
+    it('includes the HTTP status and raw Brevo error body', async () => {
+      // Act
+      const result = await brevo.getContact('missing@example.com')
+
+      // Assert
+      expect(result.error).toBe('Contact not found')
+      expect(result.errorDetails).toEqual({
+        code: ERROR_CODES.NOT_FOUND,
+        message: 'Contact not found',
+        status: 404,
+        retryable: false,
+        body: { code: 'document_not_found', message: 'Contact does not exist' }
+      })
+    })
+
+    it.each([
+      [401, ERROR_CODES.AUTH, false],
+      [403, ERROR_CODES.AUTH, false],
+      [400, ERROR_CODES.BAD_REQUEST, false],
+      [429, ERROR_CODES.RATE_LIMITED, true],
+      [500, ERROR_CODES.SERVER_ERROR, true],
+      [503, ERROR_CODES.SERVER_ERROR, true]
+    ])('maps HTTP %i to %s (retryable: %s)', async (status, code, retryable) => {
+      // Arrange
+      fake.injectFault({ path: '/contacts', status })
+
+      // Act
+      const result = await brevo.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(result.errorDetails).toMatchObject({ code, status, retryable })
+    })
+
+    it('marks timeouts and network errors as retryable', async () => {
+      // Arrange
+      vi.useFakeTimers()
+      fake.injectFault({ networkError: true })
+      fake.injectFault({ delayMs: 20000 })
+
+      // Act
+      const network = await brevo.createContact({ email: 'test@example.com' })
+      const pending = brevo.createContact({ email: 'test@example.com' })
+      await vi.advanceTimersByTimeAsync(10000)
+      const timeout = await pending
+
+      // Assert
+      expect(network.errorDetails).toMatchObject({ code: ERROR_CODES.NETWORK, status: null, retryable: true })
+      expect(timeout.errorDetails).toMatchObject({ code: ERROR_CODES.TIMEOUT, status: null, retryable: true })
+
+      vi.useRealTimers()
+    })
+
+    it('reports configuration problems as NOT_CONFIGURED', async () => {
+      // Arrange
+      const unconfigured = new BrevoClient('', { fetch: fake.fetch })
+
+      // Act
+      const result = await unconfigured.createContact({ email: 'test@example.com' })
+
+      // Assert
+      expect(result.errorDetails.code).toBe(ERROR_CODES.NOT_CONFIGURED)
+      expect(typeof result.error).toBe('string')
+    })
+  })
+  describe('trackEvents', () => {
+    let fake
+    let brevo
+
+    beforeEach(() => {
+      fake = createFakeBrevo()
+      brevo = new BrevoClient('test-api-key', { fetch: fake.fetch, retry: false })
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    it('sends a single event to /events in Brevo format', async () => {
+      // Act
+      const result = await brevo.trackEvents({
+        name: 'contact_form_submitted',
+        date: '2026-01-01T10:00:00.000Z',
+        identifiers: { email: ' jane@example.com ', externalId: 'anonymous-1' },
+        properties: { page: '/' },
+        contactProperties: { FIRSTNAME: 'Jane' }
+      })
+
+      // Assert
+      expect(result).toEqual({ success: true, data: { tracked: 1 } })
+      expect(fake.state.requests[0].path).toBe('/events')
+      expect(fake.state.events[0]).toEqual({
+        event_name: 'contact_form_submitted',
+        event_date: '2026-01-01T10:00:00.000Z',
+        identifiers: { email_id: 'jane@example.com', ext_id: 'anonymous-1' },
+        event_properties: { page: '/' },
+        contact_properties: { FIRSTNAME: 'Jane' }
+      })
+    })
+
+    it('sends several events to /events/batch', async () => {
+      // Act
+      const result = await brevo.trackEvents([
+        { name: 'benefits_viewed', identifiers: { externalId: 'anonymous-1' } },
+        { name: 'contact_form_started', identifiers: { externalId: 'anonymous-1' } }
+      ])
+
+      // Assert
+      expect(result.data.tracked).toBe(2)
+      expect(fake.state.requests[0].path).toBe('/events/batch')
+      expect(fake.state.events).toHaveLength(2)
+    })
+
+    it('validates event names and identifiers before calling the API', async () => {
+      // Act
+      const badName = await brevo.trackEvents({ name: 'bad name', identifiers: { externalId: 'a' } })
+      const noIdentifier = await brevo.trackEvents({ name: 'benefits_viewed' })
+      const badEmail = await brevo.trackEvents({ name: 'benefits_viewed', identifiers: { email: 'nope' } })
+      const empty = await brevo.trackEvents([])
+
+      // Assert
+      expect(badName.errorDetails.code).toBe(ERROR_CODES.INVALID_INPUT)
+      expect(noIdentifier.error).toBe('Event requires an email or external ID identifier')
+      expect(badEmail.errorDetails.code).toBe(ERROR_CODES.INVALID_EMAIL)
+      expect(empty.error).toBe('At least one event is required')
+      expect(fake.state.requests).toHaveLength(0)
+    })
+
+    it('passes keepalive through to fetch', async () => {
+      // Arrange
+      const fetchImpl = vi.fn().mockResolvedValue({ ok: true, status: 204 })
+      const client = new BrevoClient('test-api-key', { fetch: fetchImpl })
+
+      // Act
+      await client.trackEvents({ name: 'benefits_viewed', identifiers: { externalId: 'a' } }, { keepalive: true })
+
+      // Assert
+      expect(fetchImpl).toHaveBeenCalledWith(
+        'https://api.brevo.com/v3/events',
+        expect.objectContaining({ keepalive: true })
+      )
+    })
+
+    it('is not available in proxy mode', async () => {
+      // Arrange
+      const proxied = new BrevoClient(undefined, { proxyUrl: '/api' })
+
+      // Act
+      const result = await proxied.trackEvents({ name: 'benefits_viewed', identifiers: { externalId: 'a' } })
+
+      // Assert
+      expect(result.errorDetails.code).toBe(ERROR_CODES.UNSUPPORTED)
+    })
+  })
 })
@@ -0,0 +1,100 @@
+/**
+ * CSV helpers for bulk contact import/export (RFC 4180: quoted fields,
+ * escaped quotes, CRLF or LF line endings).
+ */
+
+/**
+ * Parses CSV text into row objects keyed by the header row
+ * @param {string} text - CSV text with a header row
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @returns {Object[]} One object per non-empty data row
+ * @throws {Error} When a quoted field is not closed
+ */
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+
+  // Excel adds a byte order mark to UTF-8 exports
+  const input = String(text).replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++
+      }
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field')
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const [header = [], ...rows] = records
+  const columns = header.map(column => column.trim())
+
+  return rows
+    .filter(row => row.some(value => value.trim() !== ''))
+    .map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])))
+}
+
+/**
+ * Escapes one CSV field. Strings starting with a formula character are
+ * prefixed with a quote so spreadsheets do not evaluate them.
+ */
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  let text = String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serializes rows into CSV
+ * @param {Object[]} rows - Row objects
+ * @param {string[]} columns - Column order (also the header row)
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(formatField).join(','))
+    .join('\r\n')
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { parseCsv, toCsv } from './csv'
+
+describe('CSV helpers', () => {
+  describe('parseCsv', () => {
+    it('parses rows keyed by the header', () => {
+      // Act
+      const rows = parseCsv('email,First Name\njane@example.com,Jane\njohn@example.com,John\n')
+
+      // Assert
+      expect(rows).toEqual([
+        { email: 'jane@example.com', 'First Name': 'Jane' },
+        { email: 'john@example.com', 'First Name': 'John' }
+      ])
+    })
+
+    it('handles quoted fields, escaped quotes and CRLF line endings', () => {
+      // Act
+      const rows = parseCsv('email,note\r\njane@example.com,"Said ""hi"", then\r\nleft"\r\n')
+
+      // Assert
+      expect(rows).toEqual([{ email: 'jane@example.com', note: 'Said "hi", then\r\nleft' }])
+    })
+
+    it('skips blank lines and strips a byte order mark', () => {
+      // Act
+      const rows = parseCsv('\uFEFFemail\n\njane@example.com\n  \n')
+
+      // Assert
+      expect(rows).toEqual([{ email: 'jane@example.com' }])
+    })
+
+    it('fills missing trailing cells with empty strings', () => {
+      // Act
+      const rows = parseCsv('email,company\njane@example.com')
+
+      // Assert
+      expect(rows).toEqual([{ email: 'jane@example.com', company: '' }])
+    })
+
+    it('throws on an unterminated quoted field', () => {
+      expect(() => parseCsv('email\n"jane@example.com')).toThrow('Unterminated quoted field')
+    })
+  })
+
+  describe('toCsv', () => {
+    it('writes a header and escapes special characters', () => {
+      // Act
+      const csv = toCsv(
+        [{ email: 'jane@example.com', note: 'Hello, "world"' }, { email: 'john@example.com' }],
+        ['email', 'note']
+      )
+
+      // Assert
+      expect(csv).toBe('email,note\r\njane@example.com,"Hello, ""world"""\r\njohn@example.com,')
+    })
+
+    it('neutralizes spreadsheet formulas in text values', () => {
+      // Act
+      const csv = toCsv([{ name: '=HYPERLINK("x")', score: -5 }], ['name', 'score'])
+
+      // Assert
+      expect(csv).toBe('name,score\r\n"\'=HYPERLINK(""x"")",-5')
+    })
+
+    it('round-trips through parseCsv', () => {
+      // Arrange
+      const rows = [{ email: 'jane@example.com', note: 'Line one\nLine two' }]
+
+      // Act
+      const parsed = parseCsv(toCsv(rows, ['email', 'note']))
+
+      // Assert
+      expect(parsed).toEqual(rows)
+    })
+  })
+})
@@ -0,0 +1,184 @@
+/**
+ * Visitor Event Tracker
+ *
+ * Queues landing page events (section views, form activity) and sends them to
+ * Brevo in batches for marketing automations. Events carry the visitor's
+ * anonymous ID (the LaunchDarkly anonymous key) and, once the ContactForm
+ * provides it, their email; Brevo links the anonymous ID to the contact the
+ * first time both are sent together.
+ *
+ * The queue is flushed when it reaches `batchSize`, after `flushIntervalMs`,
+ * and when the page is hidden (with a keepalive request).
+ */
+
+import { BrevoClient } from './brevo'
+import { generateAnonymousUser } from '../config/launchdarkly'
+import { isTransientFailure } from './outbox'
+
+const MAX_QUEUE_SIZE = 100 // Oldest events are dropped beyond this while Brevo is unreachable
+
+/**
+ * Creates an event tracker
+ * @param {Object} options - Tracker options
+ * @param {Function} options.createClient - Returns the BrevoClient events are sent with
+ * @param {Function} options.getVisitorId - Returns the anonymous visitor ID
+ * @param {number} options.batchSize - Queue length that triggers a flush
+ * @param {number} options.flushIntervalMs - Delay before queued events are flushed
+ * @param {Function} options.now - Clock (for tests)
+ */
+export function createEventTracker({
+  createClient = () => new BrevoClient(),
+  getVisitorId = () => generateAnonymousUser().key,
+  batchSize = 10,
+  flushIntervalMs = 5000,
+  now = Date.now,
+} = {}) {
+  let queue = []
+  let email = null
+  let client = null
+  let timerId = null
+  let flushing = null
+  let stopListening = null
+
+  const getClient = () => {
+    client = client || createClient()
+    return client
+  }
+
+  const cancelTimer = () => {
+    clearTimeout(timerId)
+    timerId = null
+  }
+
+  const tracker = {
+    /**
+     * Queues an event
+     * @param {string} name - Event name (letters, digits, "-" and "_")
+     * @param {Object} properties - Event properties
+     */
+    track(name, properties = {}) {
+      queue.push({ name, date: new Date(now()).toISOString(), properties })
+      if (queue.length > MAX_QUEUE_SIZE) {
+        queue = queue.slice(-MAX_QUEUE_SIZE)
+      }
+
+      if (queue.length >= batchSize) {
+        tracker.flush()
+      } else if (!timerId) {
+        timerId = setTimeout(() => {
+          timerId = null
+          tracker.flush()
+        }, flushIntervalMs)
+      }
+    },
+
+    /**
+     * Links the visitor to a contact. Applies to queued events and all later ones.
+     * @param {string} visitorEmail - Email provided by the visitor
+     */
+    identify(visitorEmail) {
+      email = visitorEmail ? String(visitorEmail).trim() : null
+    },
+
+    /**
+     * Sends queued events. Failed batches are re-queued when the failure is transient.
+     * @param {Object} options - Flush options
+     * @param {boolean} options.keepalive - Use a request that survives page unload
+     * @returns {Promise<Object|null>} BrevoClient result, or null when nothing was queued
+     */
+    async flush({ keepalive = false } = {}) {
+      cancelTimer()
+
+      // Wait for an in-flight batch so events keep their order
+      if (flushing && !keepalive) {
+        await flushing
+      }
+
+      if (queue.length === 0) {
+        return null
+      }
+
+      const identifiers = {
+        externalId: getVisitorId(),
+        ...(email && { email }),
+      }
+      const batch = queue
+      queue = []
+
+      const run = async () => {
+        const result = await getClient().trackEvents(
+          batch.map(event => ({ ...event, identifiers })),
+          keepalive ? { keepalive: true, retry: false } : {}
+        )
+
+        if (!result.success) {
+          console.error('Brevo event tracking failed:', result.error)
+          if (isTransientFailure(result)) {
+            queue = [...batch, ...queue].slice(-MAX_QUEUE_SIZE)
+          }
+        }
+        return result
+      }
+
+      flushing = run().finally(() => {
+        flushing = null
+      })
+      return flushing
+    },
+
+    /**
+     * Flushes whenever the page is hidden (tab switch, navigation, close).
+     * Calling it again while started has no effect.
+     * @returns {Function} Stops listening
+     */
+    start() {
+      if (!stopListening) {
+        const onHide = () => {
+          tracker.flush({ keepalive: true })
+        }
+        const onVisibilityChange = () => {
+          if (document.visibilityState === 'hidden') {
+            onHide()
+          }
+        }
+
+        window.addEventListener('pagehide', onHide)
+        document.addEventListener('visibilitychange', onVisibilityChange)
+
+        stopListening = () => {
+          window.removeEventListener('pagehide', onHide)
+          document.removeEventListener('visibilitychange', onVisibilityChange)
+          stopListening = null
+        }
+      }
+      return stopListening
+    },
+
+    /**
+     * Debugging snapshot of the tracker
+     */
+    status() {
+      return {
+        queued: queue.length,
+        identified: !!email,
+        listening: !!stopListening,
+      }
+    },
+  }
+
+  return tracker
+}
+
+let sharedTracker = null
+
+/**
+ * Returns the app-wide event tracker
+ */
+export function getEventTracker() {
+  if (!sharedTracker) {
+    sharedTracker = createEventTracker()
+  }
+  return sharedTracker
+}
+
+export default getEventTracker
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createEventTracker } from './eventTracker'
+import { BrevoClient } from './brevo'
+import { createFakeBrevo } from '../../server/fakeBrevo.js'
+
+describe('Event Tracker', () => {
+  let fake
+  let client
+  let tracker
+
+  const buildTracker = (options = {}) => createEventTracker({
+    createClient: () => client,
+    getVisitorId: () => 'anonymous-visitor-1',
+    now: () => Date.parse('2026-01-01T00:00:00Z'),
+    ...options,
+  })
+
+  beforeEach(() => {
+    fake = createFakeBrevo()
+    client = new BrevoClient('test-api-key', { fetch: fake.fetch, retry: false })
+    tracker = buildTracker({ batchSize: 3 })
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.useRealTimers()
+  })
+
+  describe('batching', () => {
+    it('sends the queue as one batch once it reaches batchSize', async () => {
+      // Act
+      tracker.track('benefits_viewed')
+      tracker.track('contact_form_started')
+      tracker.track('contact_form_submitted', { source: 'landing' })
+      await tracker.flush()
+
+      // Assert
+      const requests = fake.state.requests.filter(request => request.path.startsWith('/events'))
+      expect(requests).toHaveLength(1)
+      expect(requests[0].path).toBe('/events/batch')
+      expect(fake.state.events.map(event => event.event_name)).toEqual([
+        'benefits_viewed',
+        'contact_form_started',
+        'contact_form_submitted'
+      ])
+      expect(fake.state.events[2]).toMatchObject({
+        event_date: '2026-01-01T00:00:00.000Z',
+        identifiers: { ext_id: 'anonymous-visitor-1' },
+        event_properties: { source: 'landing' }
+      })
+    })
+
+    it('flushes a partial batch after the flush interval', async () => {
+      // Arrange
+      vi.useFakeTimers()
+      tracker = buildTracker({ flushIntervalMs: 1000 })
+
+      // Act
+      tracker.track('benefits_viewed')
+      await vi.advanceTimersByTimeAsync(999)
+      const beforeInterval = fake.state.events.length
+      await vi.advanceTimersByTimeAsync(1)
+
+      // Assert
+      expect(beforeInterval).toBe(0)
+      expect(fake.state.events).toHaveLength(1)
+    })
+
+    it('does nothing when the queue is empty', async () => {
+      // Act
+      const result = await tracker.flush()
+
+      // Assert
+      expect(result).toBeNull()
+      expect(fake.state.requests).toHaveLength(0)
+    })
+  })
+
+  describe('identity linking', () => {
+    it('sends the email with queued and later events once identified', async () => {
+      // Act
+      tracker.track('contact_form_started')
+      tracker.identify(' jane@example.com ')
+      tracker.track('contact_form_submitted')
+      await tracker.flush()
+
+      // Assert
+      expect(fake.state.events.map(event => event.identifiers)).toEqual([
+        { email_id: 'jane@example.com', ext_id: 'anonymous-visitor-1' },
+        { email_id: 'jane@example.com', ext_id: 'anonymous-visitor-1' }
+      ])
+      expect(tracker.status().identified).toBe(true)
+    })
+  })
+
+  describe('failures', () => {
+    it('re-queues events after a transient failure', async () => {
+      // Arrange
+      fake.injectFault({ path: '/events', status: 503 })
+      tracker.track('benefits_viewed')
+
+      // Act
+      const failed = await tracker.flush()
+      const retried = await tracker.flush()
+
+      // Assert
+      expect(failed.success).toBe(false)
+      expect(retried.success).toBe(true)
+      expect(fake.state.events).toHaveLength(1)
+    })
+
+    it('drops events Brevo rejects', async () => {
+      // Arrange
+      tracker.track('not a valid name!')
+
+      // Act
+      const result = await tracker.flush()
+
+      // Assert
+      expect(result.success).toBe(false)
+      expect(tracker.status().queued).toBe(0)
+    })
+  })
+
+  describe('page hide', () => {
+    it('flushes with a keepalive request when the page is hidden', async () => {
+      // Arrange
+      const trackEvents = vi.spyOn(client, 'trackEvents')
+      const stop = tracker.start()
+      tracker.track('benefits_viewed')
+
+      // Act
+      window.dispatchEvent(new Event('pagehide'))
+      stop()
+
+      // Assert
+      expect(trackEvents).toHaveBeenCalledWith(
+        [expect.objectContaining({ name: 'benefits_viewed' })],
+        { keepalive: true, retry: false }
+      )
+      expect(tracker.status().listening).toBe(false)
+    })
+
+    it('only installs listeners once', () => {
+      // Act
+      const first = tracker.start()
+      const second = tracker.start()
+
+      // Assert
+      expect(second).toBe(first)
+      first()
+    })
+  })
+})
@@ -0,0 +1,272 @@
+/**
+ * Local Feature Flag Overrides
+ *
+ * Story 000003 - Feature Flags System (LaunchDarkly)
+ *
+ * Lets a single browser see flags in a given state for demos and QA, without
+ * changing them in LaunchDarkly for everyone:
+ *
+ *   ?ff=example-widget:on,brevo-integration:off
+ *
+ * Values are `on`/`off` (or `true`/`false`) for boolean flags, and the raw
+ * value for string, number and JSON flags (JSON URL-encoded). `key:default`
+ * drops one override and `?ff=clear` drops them all. Overrides are kept in
+ * localStorage until cleared, and are applied on top of LaunchDarkly by
+ * useFlag() and useFeatureFlags().
+ *
+ * Production builds ignore overrides unless a signed preview token is present
+ * (`?ff_token=...`, see server/previewToken.js). It is verified against
+ * VITE_FLAG_PREVIEW_PUBLIC_KEY and kept with the overrides until it expires.
+ */
+
+import { FLAG_TYPES, getFlagDefinition } from '../config/featureFlags'
+
+export const OVERRIDE_PARAM = 'ff'
+export const PREVIEW_TOKEN_PARAM = 'ff_token'
+
+const STORAGE_KEY = 'feature_flag_overrides'
+const CLEAR_VALUE = 'clear'
+const DEFAULT_VALUE = 'default'
+const BOOLEAN_VALUES = { on: true, true: true, off: false, false: false }
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' }
+
+function getLocalStorage() {
+  try {
+    return globalThis.localStorage || null
+  } catch {
+    return null
+  }
+}
+
+function decodeBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+}
+
+function parseValue(key, raw) {
+  const type = getFlagDefinition(key)?.type
+  const lower = raw.toLowerCase()
+
+  if ((!type || type === FLAG_TYPES.BOOLEAN) && Object.hasOwn(BOOLEAN_VALUES, lower)) {
+    return BOOLEAN_VALUES[lower]
+  }
+  if (type === FLAG_TYPES.NUMBER) {
+    return Number(raw)
+  }
+  if (type === FLAG_TYPES.JSON) {
+    try {
+      return JSON.parse(raw)
+    } catch {
+      return raw
+    }
+  }
+  return raw
+}
+
+/**
+ * Parses the `ff` URL parameter
+ * @param {string|null} param - Parameter value, e.g. `example-widget:on,brevo-integration:off`
+ * @returns {{ clear: boolean, set: Object, remove: string[] }} Changes to apply
+ */
+export function parseOverrideParam(param) {
+  const changes = { clear: false, set: {}, remove: [] }
+  if (param === null || param === undefined) {
+    return changes
+  }
+  if (param.trim() === '' || param.trim() === CLEAR_VALUE) {
+    return { ...changes, clear: true }
+  }
+
+  // JSON values may contain commas, so only split on commas that start a new `key:`
+  for (const entry of param.split(/,(?=\s*[\w-]+:)/)) {
+    const separator = entry.indexOf(':')
+    const key = entry.slice(0, separator).trim()
+    const raw = entry.slice(separator + 1).trim()
+    if (separator <= 0 || raw === '') {
+      continue
+    }
+    if (raw === DEFAULT_VALUE) {
+      changes.remove.push(key)
+    } else {
+      changes.set[key] = parseValue(key, raw)
+    }
+  }
+  return changes
+}
+
+/**
+ * Verifies a preview token: `<base64url JSON payload>.<base64url signature>`,
+ * an ECDSA P-256 / SHA-256 signature of the payload segment. The payload must
+ * hold `exp`, the expiry time in ms since the epoch.
+ * @param {string} token - Preview token
+ * @param {Object} options - Verification options
+ * @param {string} options.publicKey - Base64 SPKI public key
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Promise<Object|null>} The payload, or null when invalid or expired
+ */
+export async function verifyPreviewToken(token, { publicKey, now = Date.now } = {}) {
+  if (!token || !publicKey || !globalThis.crypto?.subtle) {
+    return null
+  }
+
+  try {
+    const [encodedPayload, encodedSignature] = token.split('.')
+    const key = await crypto.subtle.importKey(
+      'spki',
+      decodeBase64Url(publicKey),
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    )
+    const verified = await crypto.subtle.verify(
+      SIGNATURE_ALGORITHM,
+      key,
+      decodeBase64Url(encodedSignature),
+      new TextEncoder().encode(encodedPayload)
+    )
+    if (!verified) {
+      return null
+    }
+
+    const payload = JSON.parse(new TextDecoder().decode(decodeBase64Url(encodedPayload)))
+    return Number.isFinite(payload.exp) && payload.exp > now() ? payload : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Creates an override store
+ * @param {Object} options - Store options
+ * @param {Storage|null} options.storage - Where overrides are kept
+ * @param {Location} options.location - Current location (read by load())
+ * @param {boolean} options.production - Require a preview token
+ * @param {string} options.publicKey - Base64 SPKI key preview tokens are signed with
+ * @param {Function} options.now - Clock (for tests)
+ */
+export function createFlagOverrides({
+  storage = getLocalStorage(),
+  location = globalThis.location,
+  production = !!import.meta.env?.PROD,
+  publicKey = import.meta.env?.VITE_FLAG_PREVIEW_PUBLIC_KEY,
+  now = Date.now,
+} = {}) {
+  let snapshot = { enabled: false, overrides: {} }
+  let token = null
+  const listeners = new Set()
+
+  const read = () => {
+    try {
+      const stored = JSON.parse(storage?.getItem(STORAGE_KEY) || 'null')
+      return stored && typeof stored.overrides === 'object' ? stored : null
+    } catch {
+      return null
+    }
+  }
+
+  const update = (enabled, overrides) => {
+    snapshot = { enabled, overrides }
+    try {
+      if (enabled && Object.keys(overrides).length > 0) {
+        storage?.setItem(STORAGE_KEY, JSON.stringify({ overrides, ...(token && { token }) }))
+      } else {
+        storage?.removeItem(STORAGE_KEY)
+      }
+    } catch {
+      // Storage full or unavailable: overrides last for this page only
+    }
+    listeners.forEach(listener => listener(snapshot))
+    return snapshot
+  }
+
+  const store = {
+    /**
+     * Applies the `ff` URL parameter to the stored overrides. Call once on startup.
+     * @returns {Promise<{ enabled: boolean, overrides: Object }>} The resulting snapshot
+     */
+    async load() {
+      const params = new URLSearchParams(location?.search || '')
+      const stored = read()
+
+      if (production) {
+        token = params.get(PREVIEW_TOKEN_PARAM) || stored?.token || null
+        if (!await verifyPreviewToken(token, { publicKey, now })) {
+          token = null
+          return update(false, {})
+        }
+      }
+
+      const changes = parseOverrideParam(params.get(OVERRIDE_PARAM))
+      const overrides = changes.clear ? {} : { ...stored?.overrides, ...changes.set }
+      changes.remove.forEach(key => delete overrides[key])
+      return update(true, overrides)
+    },
+
+    /**
+     * Overrides one flag (ignored while overrides are disabled)
+     * @param {string} key - Flag key
+     * @param {*} value - Value to serve instead of LaunchDarkly's
+     */
+    set(key, value) {
+      if (snapshot.enabled) {
+        update(true, { ...snapshot.overrides, [key]: value })
+      }
+    },
+
+    /**
+     * Drops the override of one flag
+     * @param {string} key - Flag key
+     */
+    remove(key) {
+      if (snapshot.enabled && Object.hasOwn(snapshot.overrides, key)) {
+        const { [key]: _removed, ...overrides } = snapshot.overrides
+        update(true, overrides)
+      }
+    },
+
+    clear() {
+      update(snapshot.enabled, {})
+    },
+
+    /**
+     * Current state; the same object until something changes
+     * @returns {{ enabled: boolean, overrides: Object }}
+     */
+    getSnapshot: () => snapshot,
+
+    /**
+     * @param {Function} listener - Called with the new snapshot on every change
+     * @returns {Function} Unsubscribes the listener
+     */
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+  }
+
+  return store
+}
+
+let sharedOverrides = null
+
+/**
+ * Returns the app-wide override store
+ */
+export function getFlagOverrides() {
+  if (!sharedOverrides) {
+    sharedOverrides = createFlagOverrides()
+  }
+  return sharedOverrides
+}
+
+/**
+ * Applies overrides on top of LaunchDarkly's flags
+ * @param {Object} flags - Flags from useFlags()
+ * @param {{ enabled: boolean, overrides: Object }} snapshot - Override store snapshot
+ * @returns {Object} Flags with the overrides applied
+ */
+export function applyFlagOverrides(flags, { enabled, overrides }) {
+  return enabled && Object.keys(overrides).length > 0 ? { ...flags, ...overrides } : flags
+}
+
+export default getFlagOverrides
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { generatePreviewKeys, signPreviewToken } from '../../server/previewToken'
+import {
+  applyFlagOverrides,
+  createFlagOverrides,
+  parseOverrideParam,
+  verifyPreviewToken
+} from './flagOverrides'
+
+const now = () => Date.parse('2026-10-18T12:00:00Z')
+const keys = generatePreviewKeys()
+const otherKeys = generatePreviewKeys()
+
+const at = (search) => ({ search })
+
+describe('Flag Overrides', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  describe('parseOverrideParam', () => {
+    it('parses flag values by their declared type', () => {
+      // Act
+      const changes = parseOverrideParam('example-widget:on,brevo-integration:off,contact-form-backends:{"formspree":"required","brevo":"disabled"},beta-dashboard:variant-a')
+
+      // Assert
+      expect(changes).toEqual({
+        clear: false,
+        set: {
+          'example-widget': true,
+          'brevo-integration': false,
+          'contact-form-backends': { formspree: 'required', brevo: 'disabled' },
+          'beta-dashboard': 'variant-a'
+        },
+        remove: []
+      })
+    })
+
+    it('drops single overrides with "default" and all of them with "clear"', () => {
+      expect(parseOverrideParam('example-widget:default,brevo-integration:')).toEqual({ clear: false, set: {}, remove: ['example-widget'] })
+      expect(parseOverrideParam('clear')).toMatchObject({ clear: true })
+      expect(parseOverrideParam(null)).toMatchObject({ clear: false, set: {} })
+    })
+  })
+
+  describe('outside production', () => {
+    it('applies URL overrides on top of stored ones and persists them', async () => {
+      // Arrange
+      localStorage.setItem('feature_flag_overrides', JSON.stringify({ overrides: { 'lead-qualification-wizard': true, 'example-widget': false } }))
+      const store = createFlagOverrides({ location: at('?ff=example-widget:on,brevo-integration:off'), production: false })
+
+      // Act
+      const snapshot = await store.load()
+
+      // Assert
+      const overrides = { 'lead-qualification-wizard': true, 'example-widget': true, 'brevo-integration': false }
+      expect(snapshot).toEqual({ enabled: true, overrides })
+      expect(JSON.parse(localStorage.getItem('feature_flag_overrides'))).toEqual({ overrides })
+    })
+
+    it('notifies subscribers of changes and forgets cleared overrides', async () => {
+      // Arrange
+      const store = createFlagOverrides({ location: at(''), production: false })
+      await store.load()
+      const snapshots = []
+      store.subscribe(snapshot => snapshots.push(snapshot))
+
+      // Act
+      store.set('example-widget', true)
+      store.remove('example-widget')
+      store.set('brevo-integration', true)
+      store.clear()
+
+      // Assert
+      expect(snapshots.map(snapshot => snapshot.overrides)).toEqual([
+        { 'example-widget': true },
+        {},
+        { 'brevo-integration': true },
+        {}
+      ])
+      expect(localStorage.getItem('feature_flag_overrides')).toBeNull()
+    })
+  })
+
+  describe('in production', () => {
+    it('ignores overrides without a preview token', async () => {
+      // Arrange
+      localStorage.setItem('feature_flag_overrides', JSON.stringify({ overrides: { 'example-widget': true } }))
+      const store = createFlagOverrides({ location: at('?ff=brevo-integration:on'), production: true, publicKey: keys.publicKey, now })
+
+      // Act
+      const snapshot = await store.load()
+      store.set('example-widget', true)
+
+      // Assert
+      expect(snapshot).toEqual({ enabled: false, overrides: {} })
+      expect(store.getSnapshot()).toBe(snapshot)
+      expect(localStorage.getItem('feature_flag_overrides')).toBeNull()
+    })
+
+    it('applies overrides with a valid token and keeps the token for later visits', async () => {
+      // Arrange
+      const token = signPreviewToken(keys.privateKey, { validHours: 2, subject: 'QA', now })
+      const first = createFlagOverrides({ location: at(`?ff=example-widget:on&ff_token=${token}`), production: true, publicKey: keys.publicKey, now })
+      const later = createFlagOverrides({ location: at(''), production: true, publicKey: keys.publicKey, now })
+
+      // Act
+      await first.load()
+      const snapshot = await later.load()
+
+      // Assert
+      expect(snapshot).toEqual({ enabled: true, overrides: { 'example-widget': true } })
+      expect(JSON.parse(localStorage.getItem('feature_flag_overrides')).token).toBe(token)
+    })
+  })
+
+  describe('verifyPreviewToken', () => {
+    it('returns the payload of a valid token', async () => {
+      // Arrange
+      const token = signPreviewToken(keys.privateKey, { validHours: 1, subject: 'QA', now })
+
+      // Act
+      const payload = await verifyPreviewToken(token, { publicKey: keys.publicKey, now })
+
+      // Assert
+      expect(payload).toEqual({ exp: now() + 60 * 60 * 1000, sub: 'QA' })
+    })
+
+    it('rejects expired, tampered and foreign tokens', async () => {
+      // Arrange
+      const token = signPreviewToken(keys.privateKey, { validHours: 1, now })
+      const [longerPayload] = signPreviewToken(keys.privateKey, { validHours: 1000, now }).split('.')
+      const tampered = `${longerPayload}.${token.split('.')[1]}`
+      const later = () => now() + 2 * 60 * 60 * 1000
+
+      // Assert
+      expect(await verifyPreviewToken(token, { publicKey: keys.publicKey, now: later })).toBeNull()
+      expect(await verifyPreviewToken(tampered, { publicKey: keys.publicKey, now })).toBeNull()
+      expect(await verifyPreviewToken(token, { publicKey: otherKeys.publicKey, now })).toBeNull()
+      expect(await verifyPreviewToken('garbage', { publicKey: keys.publicKey, now })).toBeNull()
+      expect(await verifyPreviewToken(token, { publicKey: undefined, now })).toBeNull()
+    })
+  })
+
+  describe('applyFlagOverrides', () => {
+    it('applies overrides only while enabled', () => {
+      // Arrange
+      const flags = { 'example-widget': false, 'brevo-integration': true }
+      const overrides = { 'example-widget': true }
+
+      // Assert
+      expect(applyFlagOverrides(flags, { enabled: true, overrides })).toEqual({ 'example-widget': true, 'brevo-integration': true })
+      expect(applyFlagOverrides(flags, { enabled: false, overrides })).toBe(flags)
+    })
+  })
+})
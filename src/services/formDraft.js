@@ -0,0 +1,99 @@
+/**
+ * Form Draft Storage
+ *
+ * Keeps an unsent form draft in localStorage so a reload or navigation does
+ * not lose a long message. Drafts expire after `maxAgeMs`; expired drafts are
+ * removed when read.
+ */
+
+const DEFAULT_KEY = 'contact_form_draft'
+const DEFAULT_MAX_AGE_HOURS = 24
+
+function getLocalStorage() {
+  try {
+    return globalThis.localStorage || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Reads the draft lifetime from VITE_CONTACT_FORM_DRAFT_TTL_HOURS
+ * @returns {number} Lifetime in milliseconds
+ */
+export function getDraftMaxAge(hours = import.meta.env?.VITE_CONTACT_FORM_DRAFT_TTL_HOURS) {
+  const value = Number(hours)
+  return (Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_AGE_HOURS) * 60 * 60 * 1000
+}
+
+/**
+ * Creates a draft store
+ * @param {Object} options - Store options
+ * @param {Storage|null} options.storage - Where the draft is kept (nothing is saved when null)
+ * @param {string} options.key - Storage key
+ * @param {number} options.maxAgeMs - Drafts older than this are discarded
+ * @param {Function} options.now - Clock (for tests)
+ */
+export function createDraftStore({
+  storage = getLocalStorage(),
+  key = DEFAULT_KEY,
+  maxAgeMs = getDraftMaxAge(),
+  now = Date.now,
+} = {}) {
+  const store = {
+    /**
+     * Reads the saved draft
+     * @returns {{ values: Object, savedAt: number } | null} Draft, or null when none or expired
+     */
+    load() {
+      let draft = null
+      try {
+        draft = JSON.parse(storage?.getItem(key) || 'null')
+      } catch {
+        draft = null
+      }
+
+      if (!draft || typeof draft.values !== 'object' || !Number.isFinite(draft.savedAt)) {
+        return null
+      }
+
+      if (now() - draft.savedAt > maxAgeMs) {
+        store.clear()
+        return null
+      }
+      return draft
+    },
+
+    /**
+     * Saves the draft. A draft with only empty values clears the stored one.
+     * @param {Object} values - Field values keyed by field name
+     */
+    save(values) {
+      const filled = Object.fromEntries(
+        Object.entries(values).filter(([, value]) => typeof value === 'string' && value.trim() !== '')
+      )
+      if (Object.keys(filled).length === 0) {
+        store.clear()
+        return
+      }
+
+      try {
+        storage?.setItem(key, JSON.stringify({ values: filled, savedAt: now() }))
+      } catch {
+        // Storage full or unavailable: the draft only lives in the form
+      }
+    },
+
+    clear() {
+      try {
+        storage?.removeItem(key)
+      } catch {
+        // Nothing to clear
+      }
+    },
+  }
+
+  return store
+}
+
+export default createDraftStore
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createDraftStore, getDraftMaxAge } from './formDraft'
+
+function createFakeStorage() {
+  const items = new Map()
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  }
+}
+
+describe('Form Draft Store', () => {
+  let time
+  let storage
+  let store
+
+  beforeEach(() => {
+    time = Date.parse('2026-01-01T00:00:00Z')
+    storage = createFakeStorage()
+    store = createDraftStore({ storage, maxAgeMs: 60 * 60 * 1000, now: () => time })
+  })
+
+  it('saves and loads the filled-in fields', () => {
+    // Act
+    store.save({ name: 'Jane Smith', email: ' ', message: 'Hello there' })
+
+    // Assert
+    expect(store.load()).toEqual({
+      values: { name: 'Jane Smith', message: 'Hello there' },
+      savedAt: time
+    })
+  })
+
+  it('clears the draft when every field is empty', () => {
+    // Arrange
+    store.save({ name: 'Jane Smith' })
+
+    // Act
+    store.save({ name: '', message: '' })
+
+    // Assert
+    expect(store.load()).toBeNull()
+    expect(storage.items.size).toBe(0)
+  })
+
+  it('discards expired drafts', () => {
+    // Arrange
+    store.save({ message: 'Hello there' })
+
+    // Act
+    time += 60 * 60 * 1000 + 1
+
+    // Assert
+    expect(store.load()).toBeNull()
+    expect(storage.items.size).toBe(0)
+  })
+
+  it('ignores corrupt drafts', () => {
+    // Arrange
+    storage.setItem('contact_form_draft', '{not json')
+
+    // Assert
+    expect(store.load()).toBeNull()
+  })
+
+  it('does nothing without storage', () => {
+    // Arrange
+    store = createDraftStore({ storage: null })
+
+    // Act
+    store.save({ message: 'Hello there' })
+
+    // Assert
+    expect(store.load()).toBeNull()
+  })
+
+  it('reads the lifetime in hours, falling back to a day', () => {
+    expect(getDraftMaxAge('2')).toBe(2 * 60 * 60 * 1000)
+    expect(getDraftMaxAge('soon')).toBe(24 * 60 * 60 * 1000)
+    expect(getDraftMaxAge(undefined)).toBe(24 * 60 * 60 * 1000)
+  })
+})
@@ -0,0 +1,165 @@
+/**
+ * Local Flag Evaluation
+ *
+ * Story 000003 - Feature Flags System (LaunchDarkly)
+ *
+ * Evaluates flags from src/config/flags.json without any network access, for
+ * development, tests and offline demos (VITE_FLAG_PROVIDER=local). Each flag is
+ *
+ *   {
+ *     "value": <served when nothing else matches>,
+ *     "rules": [{ "attribute": "utm_campaign", "op": "in", "values": ["demo"], "value": true }],
+ *     "rollout": [{ "value": true, "weight": 25 }, { "value": false, "weight": 75 }],
+ *     "bucketBy": "key"
+ *   }
+ *
+ * Rules are checked in order against the context and the first match wins; a
+ * rule may hold its own `rollout` instead of a `value`. Rollout weights are
+ * percentages. Contexts are bucketed by a hash of the flag key and the
+ * `bucketBy` attribute (default: the context key), so a visitor keeps the same
+ * variation across visits.
+ */
+
+import bundledFlags from '../config/flags.json'
+
+const OPERATORS = {
+  in: (actual, values) => values.includes(actual),
+  notIn: (actual, values) => !values.includes(actual),
+  startsWith: (actual, values) => typeof actual === 'string' && values.some(value => actual.startsWith(value)),
+  contains: (actual, values) => typeof actual === 'string' && values.some(value => actual.includes(value)),
+}
+
+// FNV-1a: small, fast and the same in every browser
+function hash(text) {
+  let result = 0x811c9dc5
+  for (let i = 0; i < text.length; i += 1) {
+    result ^= text.charCodeAt(i)
+    result = Math.imul(result, 0x01000193)
+  }
+  return result >>> 0
+}
+
+/**
+ * Places a context in a rollout bucket
+ * @param {string} flagKey - Flag key (buckets differ per flag)
+ * @param {string} bucketValue - Value of the bucketBy attribute
+ * @returns {number} Bucket from 0 (inclusive) to 100 (exclusive), in steps of 0.01
+ */
+export function getBucket(flagKey, bucketValue) {
+  return (hash(`${flagKey}:${bucketValue}`) % 10000) / 100
+}
+
+function matchesRule({ attribute, op = 'in', values = [] }, context) {
+  const operator = OPERATORS[op]
+  if (!operator) {
+    console.warn(`Unknown flag rule operator "${op}"`)
+    return false
+  }
+  return operator(context[attribute], values)
+}
+
+function pickVariation(flagKey, rollout, bucketValue) {
+  const bucket = getBucket(flagKey, bucketValue ?? '')
+  let threshold = 0
+  for (const variation of rollout) {
+    threshold += variation.weight
+    if (bucket < threshold) {
+      return variation.value
+    }
+  }
+  // Weights below 100 in total: the rest goes to the last variation
+  return rollout[rollout.length - 1]?.value
+}
+
+/**
+ * Evaluates one flag for a context
+ * @param {string} flagKey - Flag key
+ * @param {Object} definition - Flag from flags.json
+ * @param {Object} context - LaunchDarkly-style context (`{ kind, key, ...attributes }`)
+ * @returns {*} The flag value
+ */
+export function evaluateFlag(flagKey, definition, context = {}) {
+  const rule = definition.rules?.find(candidate => matchesRule(candidate, context))
+  const target = rule || definition
+  if (Array.isArray(target.rollout) && target.rollout.length > 0) {
+    return pickVariation(flagKey, target.rollout, context[definition.bucketBy || 'key'])
+  }
+  return target.value
+}
+
+/**
+ * Evaluates every flag for a context
+ * @param {Object} flags - Flags from flags.json
+ * @param {Object} context - LaunchDarkly-style context
+ * @returns {Object} Values keyed by flag key
+ */
+export function evaluateFlags(flags, context) {
+  return Object.fromEntries(
+    Object.entries(flags).map(([key, definition]) => [key, evaluateFlag(key, definition, context)])
+  )
+}
+
+/**
+ * Creates a client with the parts of the LaunchDarkly LDClient API the app
+ * uses, so useFlags() and useLDClient() work unchanged
+ * @param {Object} options - Client options
+ * @param {Object} options.flags - Flag definitions (default: src/config/flags.json)
+ * @param {Object} options.context - Context to evaluate for
+ */
+export function createLocalFlagClient({ flags = bundledFlags, context = {} } = {}) {
+  let currentContext = context
+  let values = evaluateFlags(flags, currentContext)
+  const listeners = new Map()
+
+  const emit = (event, ...args) => {
+    listeners.get(event)?.forEach(listener => listener(...args))
+  }
+
+  return {
+    allFlags: () => ({ ...values }),
+
+    variation: (key, defaultValue) => (values[key] !== undefined ? values[key] : defaultValue),
+
+    getContext: () => currentContext,
+
+    /**
+     * Switches to another context, emitting `change` for flags whose value changed
+     * @param {Object} nextContext - New context
+     * @returns {Promise<Object>} The new flag values
+     */
+    async identify(nextContext) {
+      const previous = values
+      currentContext = nextContext
+      values = evaluateFlags(flags, currentContext)
+
+      const changes = {}
+      for (const key of Object.keys(values)) {
+        if (JSON.stringify(values[key]) !== JSON.stringify(previous[key])) {
+          changes[key] = { current: values[key], previous: previous[key] }
+          emit(`change:${key}`, values[key], previous[key])
+        }
+      }
+      if (Object.keys(changes).length > 0) {
+        emit('change', changes)
+      }
+      return { ...values }
+    },
+
+    on(event, listener) {
+      if (!listeners.has(event)) {
+        listeners.set(event, new Set())
+      }
+      listeners.get(event).add(listener)
+    },
+
+    off(event, listener) {
+      listeners.get(event)?.delete(listener)
+    },
+
+    waitForInitialization: async () => {},
+    waitUntilReady: async () => {},
+    track: () => {},
+    flush: async () => {},
+    close: async () => {},
+  }
+}
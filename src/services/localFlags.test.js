@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import bundledFlags from '../config/flags.json'
+import { FEATURE_FLAGS, isValidFlagValue } from '../config/featureFlags'
+import { createLocalFlagClient, evaluateFlag, evaluateFlags, getBucket } from './localFlags'
+
+const rollout = [{ value: 'a', weight: 20 }, { value: 'b', weight: 80 }]
+
+describe('Local Flags', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('evaluateFlag', () => {
+    it('serves the first matching rule, then the fallthrough value', () => {
+      // Arrange
+      const definition = {
+        value: 'off',
+        rules: [
+          { attribute: 'utm_campaign', op: 'in', values: ['launch', 'demo'], value: 'campaign' },
+          { attribute: 'referrer', op: 'startsWith', values: ['https://news.example'], value: 'press' },
+          { attribute: 'landing_path', op: 'contains', values: ['pricing'], value: 'pricing' }
+        ]
+      }
+
+      // Assert
+      expect(evaluateFlag('flag', definition, { key: 'a', utm_campaign: 'demo', referrer: 'https://news.example/x' })).toBe('campaign')
+      expect(evaluateFlag('flag', definition, { key: 'a', referrer: 'https://news.example/x' })).toBe('press')
+      expect(evaluateFlag('flag', definition, { key: 'a', landing_path: '/en/pricing' })).toBe('pricing')
+      expect(evaluateFlag('flag', definition, { key: 'a' })).toBe('off')
+      expect(evaluateFlag('flag', { value: 1, rules: [{ attribute: 'key', op: 'notIn', values: ['b'], value: 2 }] }, { key: 'a' })).toBe(2)
+    })
+
+    it('ignores rules with unknown operators', () => {
+      // Arrange
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      // Act
+      const value = evaluateFlag('flag', { value: false, rules: [{ attribute: 'key', op: 'regex', values: ['.*'], value: true }] }, { key: 'a' })
+
+      // Assert
+      expect(value).toBe(false)
+      expect(console.warn).toHaveBeenCalledWith('Unknown flag rule operator "regex"')
+    })
+
+    it('buckets contexts deterministically by key', () => {
+      // Arrange
+      const contexts = Array.from({ length: 2000 }, (_, i) => ({ key: `anonymous-${i}` }))
+
+      // Act
+      const first = contexts.map(context => evaluateFlag('flag', { rollout }, context))
+      const second = contexts.map(context => evaluateFlag('flag', { rollout }, context))
+
+      // Assert
+      expect(second).toEqual(first)
+      const share = first.filter(value => value === 'a').length / contexts.length
+      expect(share).toBeGreaterThan(0.17)
+      expect(share).toBeLessThan(0.23)
+    })
+
+    it('buckets by another attribute and within matching rules', () => {
+      // Arrange
+      const definition = {
+        value: 'none',
+        bucketBy: 'company',
+        rules: [{ attribute: 'utm_source', values: ['partner'], rollout }]
+      }
+      const company = 'acme'
+      const expected = getBucket('flag', company) < 20 ? 'a' : 'b'
+
+      // Assert
+      expect(evaluateFlag('flag', definition, { key: 'x', company, utm_source: 'partner' })).toBe(expected)
+      expect(evaluateFlag('flag', definition, { key: 'y', company, utm_source: 'partner' })).toBe(expected)
+      expect(evaluateFlag('flag', definition, { key: 'x', company })).toBe('none')
+    })
+
+    it('gives the remainder of weights below 100 to the last variation', () => {
+      expect(evaluateFlag('flag', { rollout: [{ value: true, weight: 0 }, { value: false, weight: 0 }] }, { key: 'a' })).toBe(false)
+    })
+  })
+
+  describe('flags.json', () => {
+    it('only holds declared flags with values of the declared type', () => {
+      // Act
+      const values = evaluateFlags(bundledFlags, { key: 'anonymous-1', utm_campaign: 'demo' })
+
+      // Assert
+      for (const [key, value] of Object.entries(values)) {
+        expect(FEATURE_FLAGS[key], key).toBeDefined()
+        expect(isValidFlagValue(value, FEATURE_FLAGS[key].type), key).toBe(true)
+      }
+    })
+
+    it('serves the manifest defaults to every visitor', () => {
+      // Act
+      const visitors = ['anonymous-1', 'anonymous-2', 'anonymous-3'].map(key => (
+        evaluateFlags(bundledFlags, { key, utm_campaign: 'demo' })
+      ))
+
+      // Assert
+      for (const values of visitors) {
+        for (const [key, value] of Object.entries(values)) {
+          expect(value, key).toEqual(FEATURE_FLAGS[key].defaultValue)
+        }
+      }
+    })
+  })
+
+  describe('createLocalFlagClient', () => {
+    const flags = {
+      'example-widget': { value: false, rules: [{ attribute: 'utm_campaign', values: ['demo'], value: true }] },
+      'brevo-integration': { value: true }
+    }
+
+    it('serves flags through the LDClient API', () => {
+      // Act
+      const client = createLocalFlagClient({ flags, context: { kind: 'user', key: 'a' } })
+
+      // Assert
+      expect(client.allFlags()).toEqual({ 'example-widget': false, 'brevo-integration': true })
+      expect(client.variation('brevo-integration', false)).toBe(true)
+      expect(client.variation('missing', 'fallback')).toBe('fallback')
+      expect(client.getContext()).toEqual({ kind: 'user', key: 'a' })
+    })
+
+    it('re-evaluates on identify and emits the changed flags', async () => {
+      // Arrange
+      const client = createLocalFlagClient({ flags, context: { kind: 'user', key: 'a' } })
+      const onChange = vi.fn()
+      const onWidgetChange = vi.fn()
+      client.on('change', onChange)
+      client.on('change:example-widget', onWidgetChange)
+
+      // Act
+      const values = await client.identify({ kind: 'user', key: 'a', utm_campaign: 'demo' })
+      client.off('change', onChange)
+      await client.identify({ kind: 'user', key: 'a' })
+
+      // Assert
+      expect(values).toEqual({ 'example-widget': true, 'brevo-integration': true })
+      expect(onChange).toHaveBeenCalledTimes(1)
+      expect(onChange).toHaveBeenCalledWith({ 'example-widget': { current: true, previous: false } })
+      expect(onWidgetChange).toHaveBeenCalledTimes(2)
+    })
+  })
+})
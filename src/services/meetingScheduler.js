@@ -0,0 +1,227 @@
+/**
+ * Discovery Call Scheduling
+ *
+ * Turns the weekly availability in src/config/availability.json into bookable
+ * slots, formats them in the visitor's time zone and builds a `.ics` invite
+ * for the chosen one. Availability times are UTC:
+ *
+ *   { "durationMinutes": 30, "minNoticeHours": 24, "daysAhead": 14, "maxSlots": 12,
+ *     "weeklyUtc": { "1": ["09:00", "13:00"], ... },  // ISO weekday (1 = Monday) → start times
+ *     "excludeDates": ["2026-12-25"] }                 // UTC dates without slots
+ *
+ * A booking is sent as a follow-up submission (see createMeetingSubmission) to
+ * the form's required backends, and recorded on the existing Brevo contact as
+ * MEETING_SLOT.
+ */
+
+import { BrevoClient, ERROR_CODES, errorResult } from './brevo'
+import defaultAvailability from '../config/availability.json'
+
+export const MEETING_ATTRIBUTE = 'MEETING_SLOT'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Lists upcoming slots, earliest first
+ * @param {Object} availability - Availability config
+ * @param {Object} options - Options
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Date[]} Slot start times
+ */
+export function getAvailableSlots(availability = defaultAvailability, { now = Date.now } = {}) {
+  const {
+    weeklyUtc = {},
+    excludeDates = [],
+    minNoticeHours = 0,
+    daysAhead = 14,
+    maxSlots = Infinity,
+  } = availability
+  const earliest = now() + minNoticeHours * HOUR_MS
+  const today = new Date(now())
+  today.setUTCHours(0, 0, 0, 0)
+
+  const slots = []
+  for (let day = 0; day <= daysAhead && slots.length < maxSlots; day++) {
+    const date = new Date(today.getTime() + day * DAY_MS)
+    const dateKey = date.toISOString().slice(0, 10)
+    // getUTCDay() is 0 for Sunday; availability uses ISO weekdays (7 = Sunday)
+    const times = excludeDates.includes(dateKey) ? [] : weeklyUtc[date.getUTCDay() || 7] || []
+
+    for (const time of [...times].sort()) {
+      const start = new Date(`${dateKey}T${time}:00Z`)
+      if (!Number.isNaN(start.getTime()) && start.getTime() >= earliest && slots.length < maxSlots) {
+        slots.push(start)
+      }
+    }
+  }
+  return slots
+}
+
+/**
+ * The visitor's IANA time zone (UTC when the browser does not tell)
+ * @returns {string}
+ */
+export function getVisitorTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  } catch {
+    return 'UTC'
+  }
+}
+
+/**
+ * Groups slots by calendar day in a time zone
+ * @param {Date[]} slots - Slot start times
+ * @param {string} timeZone - IANA time zone
+ * @param {string} locale - Display locale (browser default when omitted)
+ * @returns {Array<{ day: string, slots: Array<{ start: Date, time: string }> }>}
+ */
+export function groupSlotsByDay(slots, timeZone, locale) {
+  const dayFormat = new Intl.DateTimeFormat(locale, { timeZone, weekday: 'long', month: 'long', day: 'numeric' })
+  const timeFormat = new Intl.DateTimeFormat(locale, { timeZone, hour: 'numeric', minute: '2-digit' })
+
+  const days = []
+  for (const start of slots) {
+    const day = dayFormat.format(start)
+    if (days.at(-1)?.day !== day) {
+      days.push({ day, slots: [] })
+    }
+    days.at(-1).slots.push({ start, time: timeFormat.format(start) })
+  }
+  return days
+}
+
+/**
+ * Formats a slot for confirmation messages, e.g. "Tuesday, October 20 at 11:00 AM CEST"
+ * @param {Date} start - Slot start time
+ * @param {string} timeZone - IANA time zone
+ * @param {string} locale - Display locale (browser default when omitted)
+ * @returns {string}
+ */
+export function formatSlot(start, timeZone, locale) {
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  }).format(start)
+}
+
+function toIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+function escapeIcsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+// Lines longer than 75 characters continue on the next line after a space (RFC 5545)
+function foldIcsLine(line) {
+  const parts = [line.slice(0, 75)]
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(` ${line.slice(i, i + 74)}`)
+  }
+  return parts.join('\r\n')
+}
+
+/**
+ * Builds a calendar invite for a slot
+ * @param {Object} event - Event details
+ * @param {Date} event.start - Start time
+ * @param {number} event.durationMinutes - Length of the call
+ * @param {string} event.title - Event summary
+ * @param {string} event.description - Event description
+ * @param {{ name: string, email: string }} event.attendee - Visitor (optional)
+ * @param {string} event.uid - Unique event ID
+ * @param {Function} event.now - Clock (for tests)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function createIcsEvent({
+  start,
+  durationMinutes = defaultAvailability.durationMinutes,
+  title = defaultAvailability.title,
+  description = defaultAvailability.description,
+  attendee,
+  uid = `${toIcsDate(start)}-${Math.random().toString(36).slice(2, 10)}@software-factory`,
+  now = Date.now,
+}) {
+  const end = new Date(start.getTime() + durationMinutes * 60 * 1000)
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Software Factory//Contact Form//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${toIcsDate(new Date(now()))}`,
+    `DTSTART:${toIcsDate(start)}`,
+    `DTEND:${toIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(title)}`,
+    ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+    ...(attendee?.email ? [`ATTENDEE;CN="${String(attendee.name || attendee.email).replace(/"/g, '')}":mailto:${attendee.email}`] : []),
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ]
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`
+}
+
+/**
+ * Builds the follow-up submission that books a slot, in the shape the
+ * submission backends take (services/submissionBackends.js)
+ * @param {Object} options - Options
+ * @param {{ name: string, email: string, consented: boolean }} options.attendee - Visitor
+ * @param {Date} options.start - Slot start time
+ * @returns {Object} `{ values, formData, attributes, consented }`
+ */
+export function createMeetingSubmission({ attendee, start }) {
+  const slot = start.toISOString()
+  const values = {
+    name: attendee.name,
+    email: attendee.email,
+    message: `Discovery call booked for ${slot}`,
+  }
+
+  const formData = new FormData()
+  for (const [name, value] of Object.entries(values)) {
+    formData.append(name, value)
+  }
+  formData.append('meeting_slot', slot)
+
+  return {
+    values,
+    formData,
+    attributes: { [MEETING_ATTRIBUTE]: slot },
+    consented: Boolean(attendee.consented),
+  }
+}
+
+/**
+ * Records the chosen slot on the visitor's existing Brevo contact. Only the
+ * attribute is updated: no contact is created and, in proxy mode, no double
+ * opt-in email is sent. Fails with NOT_FOUND when there is no contact yet
+ * (e.g. double opt-in not confirmed).
+ * @param {Object} options - Options
+ * @param {string} options.email - Visitor email
+ * @param {Date} options.start - Slot start time
+ * @param {Function} options.createClient - Returns the BrevoClient to use
+ * @returns {Promise<Object>} BrevoClient result
+ */
+export async function recordMeetingSlot({ email, start, createClient = () => new BrevoClient() }) {
+  try {
+    const result = await createClient().updateContact(email, {
+      attributes: { [MEETING_ATTRIBUTE]: start.toISOString() },
+    })
+    if (!result.success) {
+      console.error('Brevo meeting slot failed:', result.error)
+    }
+    return result
+  } catch (error) {
+    console.error('Brevo meeting slot error:', error.message)
+    return errorResult(ERROR_CODES.UNKNOWN, error.message)
+  }
+}
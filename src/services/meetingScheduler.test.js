@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  createIcsEvent,
+  createMeetingSubmission,
+  formatSlot,
+  getAvailableSlots,
+  groupSlotsByDay,
+  recordMeetingSlot,
+  MEETING_ATTRIBUTE
+} from './meetingScheduler'
+import { BrevoClient } from './brevo'
+
+// Monday 2026-10-19, 08:00 UTC
+const monday = () => Date.parse('2026-10-19T08:00:00Z')
+
+const availability = {
+  minNoticeHours: 2,
+  daysAhead: 7,
+  weeklyUtc: {
+    1: ['09:00', '14:00'],
+    3: ['16:00', '10:00'],
+    7: ['12:00']
+  },
+  excludeDates: ['2026-10-25']
+}
+
+describe('Meeting Scheduler', () => {
+  describe('getAvailableSlots', () => {
+    it('lists weekly slots after the minimum notice, skipping excluded dates', () => {
+      // Act
+      const slots = getAvailableSlots(availability, { now: monday })
+
+      // Assert
+      expect(slots.map(slot => slot.toISOString())).toEqual([
+        '2026-10-19T14:00:00.000Z',
+        '2026-10-21T10:00:00.000Z',
+        '2026-10-21T16:00:00.000Z',
+        '2026-10-26T09:00:00.000Z',
+        '2026-10-26T14:00:00.000Z'
+      ])
+    })
+
+    it('stops at maxSlots', () => {
+      // Act
+      const slots = getAvailableSlots({ ...availability, maxSlots: 2 }, { now: monday })
+
+      // Assert
+      expect(slots).toHaveLength(2)
+    })
+
+    it('comes from the bundled availability by default', () => {
+      expect(getAvailableSlots().length).toBeGreaterThan(0)
+    })
+  })
+
+  describe('time zones', () => {
+    it('groups and formats slots in the visitor time zone', () => {
+      // Arrange: 02:00 UTC on Tuesday is still Monday evening in New York
+      const slots = [new Date('2026-10-20T02:00:00Z'), new Date('2026-10-20T14:00:00Z')]
+
+      // Act
+      const days = groupSlotsByDay(slots, 'America/New_York', 'en-US')
+
+      // Assert
+      expect(days).toEqual([
+        { day: 'Monday, October 19', slots: [{ start: slots[0], time: '10:00 PM' }] },
+        { day: 'Tuesday, October 20', slots: [{ start: slots[1], time: '10:00 AM' }] }
+      ])
+      expect(formatSlot(slots[1], 'America/New_York', 'en-US')).toBe('Tuesday, October 20 at 10:00 AM EDT')
+    })
+  })
+
+  describe('createIcsEvent', () => {
+    it('builds a UTC calendar invite for the slot', () => {
+      // Act
+      const ics = createIcsEvent({
+        start: new Date('2026-10-21T10:00:00Z'),
+        durationMinutes: 30,
+        title: 'Discovery call',
+        description: 'Agenda: team, pipeline; next steps',
+        attendee: { name: 'Jane Smith', email: 'jane@example.com' },
+        uid: 'call-1@software-factory',
+        now: monday
+      })
+
+      // Assert
+      expect(ics.split('\r\n')).toEqual([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Software Factory//Contact Form//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        'UID:call-1@software-factory',
+        'DTSTAMP:20261019T080000Z',
+        'DTSTART:20261021T100000Z',
+        'DTEND:20261021T103000Z',
+        'SUMMARY:Discovery call',
+        'DESCRIPTION:Agenda: team\\, pipeline\\; next steps',
+        'ATTENDEE;CN="Jane Smith":mailto:jane@example.com',
+        'END:VEVENT',
+        'END:VCALENDAR',
+        ''
+      ])
+    })
+
+    it('folds lines longer than 75 characters', () => {
+      // Act
+      const ics = createIcsEvent({ start: new Date('2026-10-21T10:00:00Z'), description: 'x'.repeat(200), now: monday })
+
+      // Assert
+      const lines = ics.split('\r\n')
+      expect(lines.every(line => line.length <= 75)).toBe(true)
+      expect(ics.replace(/\r\n /g, '')).toContain(`DESCRIPTION:${'x'.repeat(200)}\r\n`)
+    })
+  })
+
+  describe('createMeetingSubmission', () => {
+    it('sends the slot to form backends and as the Brevo attribute', () => {
+      // Act
+      const submission = createMeetingSubmission({
+        attendee: { name: 'Jane Smith', email: 'jane@example.com', consented: true },
+        start: new Date('2026-10-21T10:00:00Z')
+      })
+
+      // Assert
+      expect(submission.values).toEqual({
+        name: 'Jane Smith',
+        email: 'jane@example.com',
+        message: 'Discovery call booked for 2026-10-21T10:00:00.000Z'
+      })
+      expect(submission.formData.get('meeting_slot')).toBe('2026-10-21T10:00:00.000Z')
+      expect(submission.formData.get('email')).toBe('jane@example.com')
+      expect(submission.attributes).toEqual({ [MEETING_ATTRIBUTE]: '2026-10-21T10:00:00.000Z' })
+      expect(submission.consented).toBe(true)
+    })
+  })
+
+  describe('recordMeetingSlot', () => {
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      vi.restoreAllMocks()
+    })
+
+    it('updates the slot attribute on the existing contact', async () => {
+      // Arrange
+      const updateContact = vi.fn().mockResolvedValue({ success: true, data: { updated: true } })
+
+      // Act
+      const result = await recordMeetingSlot({
+        email: 'jane@example.com',
+        start: new Date('2026-10-21T10:00:00Z'),
+        createClient: () => ({ updateContact })
+      })
+
+      // Assert
+      expect(result.success).toBe(true)
+      expect(updateContact).toHaveBeenCalledWith('jane@example.com', {
+        attributes: { [MEETING_ATTRIBUTE]: '2026-10-21T10:00:00.000Z' }
+      })
+    })
+
+    it('patches the attribute through the proxy without creating the contact', async () => {
+      // Arrange
+      const fetch = vi.fn().mockResolvedValue(new Response(null, { status: 204 }))
+
+      // Act
+      const result = await recordMeetingSlot({
+        email: 'jane@example.com',
+        start: new Date('2026-10-21T10:00:00Z'),
+        createClient: () => new BrevoClient(undefined, { proxyUrl: '/api', fetch })
+      })
+
+      // Assert
+      expect(result.success).toBe(true)
+      const [url, init] = fetch.mock.calls[0]
+      expect(url).toBe('/api/contacts')
+      expect(init.method).toBe('PATCH')
+      expect(JSON.parse(init.body)).toEqual({
+        email: 'jane@example.com',
+        attributes: { [MEETING_ATTRIBUTE]: '2026-10-21T10:00:00.000Z' }
+      })
+    })
+
+    it('logs failures instead of throwing', async () => {
+      // Arrange
+      const updateContact = vi.fn().mockRejectedValue(new Error('boom'))
+
+      // Act
+      const result = await recordMeetingSlot({
+        email: 'jane@example.com',
+        start: new Date('2026-10-21T10:00:00Z'),
+        createClient: () => ({ updateContact })
+      })
+
+      // Assert
+      expect(result).toMatchObject({ success: false, error: 'boom' })
+      expect(console.error).toHaveBeenCalledWith('Brevo meeting slot error:', 'boom')
+    })
+  })
+})
@@ -0,0 +1,320 @@
+/**
+ * CRM Submission Outbox
+ *
+ * Persists Brevo submissions that failed for transient reasons (network errors,
+ * timeouts, rate limits, server errors) and replays them when the browser comes
+ * back online or on the next visit. Entries are keyed by email, so a newer
+ * submission replaces an older pending one (or removes it once delivered
+ * directly), and expire after `maxAgeMs`.
+ *
+ * Storage: IndexedDB, falling back to localStorage, then memory.
+ */
+
+import { BrevoClient, ERROR_CODES, errorResult } from './brevo'
+
+const DB_NAME = 'brevo-outbox'
+const STORE_NAME = 'entries'
+const LOCAL_STORAGE_KEY = 'brevo_outbox'
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000 // 7 days
+
+/**
+ * Whether a failed BrevoClient result should be stored for replay.
+ * Only retryable failures qualify; validation or auth errors would fail again.
+ * @param {Object} result - BrevoClient result
+ * @returns {boolean}
+ */
+export function isTransientFailure(result) {
+  return !!result && !result.success && !!result.errorDetails?.retryable
+}
+
+function keyFor(email) {
+  return String(email).trim().toLowerCase()
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * IndexedDB-backed storage
+ * @param {IDBFactory} indexedDB - IndexedDB implementation
+ */
+export function createIndexedDBStorage(indexedDB = globalThis.indexedDB) {
+  let dbPromise = null
+
+  const open = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' })
+      }
+      dbPromise = requestToPromise(request)
+    }
+    return dbPromise
+  }
+
+  const withStore = async (mode, action) => {
+    const db = await open()
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+    return requestToPromise(action(store))
+  }
+
+  return {
+    name: 'indexedDB',
+    open,
+    getAll: () => withStore('readonly', store => store.getAll()),
+    put: entry => withStore('readwrite', store => store.put(entry)),
+    remove: key => withStore('readwrite', store => store.delete(key)),
+    clear: () => withStore('readwrite', store => store.clear()),
+  }
+}
+
+/**
+ * localStorage-backed storage (all entries in one JSON object)
+ * @param {Storage} storage - Web Storage implementation
+ */
+export function createLocalStorageStorage(storage = globalThis.localStorage) {
+  const read = () => JSON.parse(storage.getItem(LOCAL_STORAGE_KEY) || '{}')
+  const write = entries => storage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(entries))
+
+  return {
+    name: 'localStorage',
+    getAll: async () => Object.values(read()),
+    put: async (entry) => {
+      write({ ...read(), [entry.key]: entry })
+    },
+    remove: async (key) => {
+      const entries = read()
+      delete entries[key]
+      write(entries)
+    },
+    clear: async () => {
+      storage.removeItem(LOCAL_STORAGE_KEY)
+    },
+  }
+}
+
+/**
+ * In-memory storage (last resort, and for tests)
+ */
+export function createMemoryStorage() {
+  const entries = new Map()
+
+  return {
+    name: 'memory',
+    getAll: async () => [...entries.values()],
+    put: async (entry) => {
+      entries.set(entry.key, entry)
+    },
+    remove: async (key) => {
+      entries.delete(key)
+    },
+    clear: async () => {
+      entries.clear()
+    },
+  }
+}
+
+/**
+ * Picks the most durable storage available in this browser
+ * @returns {Promise<Object>} Storage adapter
+ */
+export async function resolveStorage() {
+  if (globalThis.indexedDB) {
+    try {
+      const storage = createIndexedDBStorage()
+      await storage.open()
+      return storage
+    } catch {
+      // IndexedDB can be unavailable (e.g. some private browsing modes)
+    }
+  }
+
+  try {
+    const storage = createLocalStorageStorage()
+    localStorage.setItem(`${LOCAL_STORAGE_KEY}_probe`, '1')
+    localStorage.removeItem(`${LOCAL_STORAGE_KEY}_probe`)
+    return storage
+  } catch {
+    console.warn('Outbox storage unavailable, pending CRM submissions will not survive a reload')
+    return createMemoryStorage()
+  }
+}
+
+/**
+ * Creates an outbox
+ * @param {Object} options - Outbox options
+ * @param {Object|Promise<Object>} options.storage - Storage adapter (resolved automatically when omitted)
+ * @param {Function} options.createClient - Returns the BrevoClient used for replay
+ * @param {number} options.maxAgeMs - Entries older than this are discarded
+ * @param {Function} options.now - Clock (for tests)
+ */
+export function createOutbox({
+  storage,
+  createClient = () => new BrevoClient(),
+  maxAgeMs = DEFAULT_MAX_AGE_MS,
+  now = Date.now,
+} = {}) {
+  const storagePromise = Promise.resolve(storage || resolveStorage())
+  let replayPromise = null
+  let lastReplay = null
+
+  const isExpired = entry => now() - entry.createdAt > maxAgeMs
+
+  async function replayEntries() {
+    const store = await storagePromise
+    const entries = await store.getAll()
+    const summary = { replayed: 0, failed: 0, expired: 0, dropped: 0 }
+    let client = null
+
+    for (const entry of entries) {
+      if (isExpired(entry)) {
+        await store.remove(entry.key)
+        summary.expired += 1
+        continue
+      }
+
+      client = client || createClient()
+
+      let result
+      try {
+        result = await client[entry.operation](entry.payload)
+      } catch (error) {
+        result = errorResult(ERROR_CODES.UNKNOWN, error.message)
+      }
+
+      if (result.success) {
+        await store.remove(entry.key)
+        summary.replayed += 1
+      } else if (isTransientFailure(result)) {
+        await store.put({
+          ...entry,
+          attempts: entry.attempts + 1,
+          lastError: result.error,
+          lastErrorCode: result.errorDetails.code,
+          lastAttemptAt: now(),
+        })
+        summary.failed += 1
+      } else {
+        console.error('Outbox dropped CRM submission:', result.error)
+        await store.remove(entry.key)
+        summary.dropped += 1
+      }
+    }
+
+    lastReplay = { at: now(), ...summary }
+    return summary
+  }
+
+  const outbox = {
+    /**
+     * Stores a failed submission for later replay
+     * @param {string} operation - BrevoClient method name (e.g. 'createContact')
+     * @param {Object} payload - Arguments passed to that method
+     * @param {Object} failure - Failed BrevoClient result of the first attempt
+     */
+    async enqueue(operation, payload, failure) {
+      const store = await storagePromise
+      await store.put({
+        key: keyFor(payload.email),
+        operation,
+        payload,
+        createdAt: now(),
+        attempts: 1,
+        lastError: failure.error,
+        lastErrorCode: failure.errorDetails?.code ?? null,
+        lastAttemptAt: now(),
+      })
+    },
+
+    /**
+     * Drops the pending submission for an email, e.g. once a newer one was
+     * delivered directly and the old one must not replay over it
+     * @param {string} email - Contact email
+     */
+    async remove(email) {
+      const store = await storagePromise
+      await store.remove(keyFor(email))
+    },
+
+    /**
+     * Replays pending submissions (concurrent calls share one run)
+     * @returns {Promise<{ replayed: number, failed: number, expired: number, dropped: number }>}
+     */
+    replay() {
+      if (!replayPromise) {
+        replayPromise = replayEntries().finally(() => {
+          replayPromise = null
+        })
+      }
+      return replayPromise
+    },
+
+    /**
+     * Debugging snapshot of the outbox
+     */
+    async status() {
+      const store = await storagePromise
+      const entries = await store.getAll()
+
+      return {
+        storage: store.name,
+        size: entries.length,
+        replaying: !!replayPromise,
+        lastReplay,
+        entries: entries.map(entry => ({
+          email: entry.key,
+          operation: entry.operation,
+          createdAt: new Date(entry.createdAt).toISOString(),
+          expiresAt: new Date(entry.createdAt + maxAgeMs).toISOString(),
+          attempts: entry.attempts,
+          lastError: entry.lastError,
+          lastErrorCode: entry.lastErrorCode,
+        })),
+      }
+    },
+
+    async clear() {
+      const store = await storagePromise
+      await store.clear()
+    },
+
+    /**
+     * Replays now and whenever the browser comes back online
+     * @returns {Function} Stops listening for `online` events
+     */
+    start() {
+      const onOnline = () => {
+        outbox.replay().catch(error => console.error('Outbox replay failed:', error.message))
+      }
+
+      window.addEventListener('online', onOnline)
+      onOnline()
+
+      return () => window.removeEventListener('online', onOnline)
+    },
+  }
+
+  return outbox
+}
+
+let sharedOutbox = null
+
+/**
+ * Returns the app-wide outbox, also exposed as `window.__brevoOutbox` for debugging
+ * (e.g. `await __brevoOutbox.status()` in the browser console)
+ */
+export function getOutbox() {
+  if (!sharedOutbox) {
+    sharedOutbox = createOutbox()
+    if (typeof window !== 'undefined') {
+      window.__brevoOutbox = sharedOutbox
+    }
+  }
+  return sharedOutbox
+}
+
+export default getOutbox
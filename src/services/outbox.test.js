@@ -0,0 +1,242 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  createOutbox,
+  createMemoryStorage,
+  createLocalStorageStorage,
+  resolveStorage,
+  isTransientFailure,
+} from './outbox'
+import { ERROR_CODES, errorResult } from './brevo'
+
+const networkError = errorResult(ERROR_CODES.NETWORK, 'Network error')
+
+const contact = (email, message = 'Hello') => ({
+  email,
+  firstName: 'Jane',
+  attributes: { message },
+  upsert: true,
+})
+
+describe('CRM Outbox', () => {
+  let storage
+  let client
+  let time
+
+  const buildOutbox = (options = {}) => createOutbox({
+    storage,
+    createClient: () => client,
+    now: () => time,
+    ...options,
+  })
+
+  beforeEach(() => {
+    storage = createMemoryStorage()
+    client = { createContact: vi.fn().mockResolvedValue({ success: true, data: { id: 1 } }) }
+    time = Date.parse('2026-01-01T00:00:00Z')
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    localStorage.clear()
+  })
+
+  describe('isTransientFailure', () => {
+    it('keeps failures Brevo marks as retryable', () => {
+      for (const code of [ERROR_CODES.NETWORK, ERROR_CODES.TIMEOUT, ERROR_CODES.RATE_LIMITED, ERROR_CODES.SERVER_ERROR]) {
+        expect(isTransientFailure(errorResult(code, 'Failed'))).toBe(true)
+      }
+    })
+
+    it('does not keep validation, auth or successful results', () => {
+      expect(isTransientFailure(errorResult(ERROR_CODES.INVALID_EMAIL, 'Invalid email format'))).toBe(false)
+      expect(isTransientFailure(errorResult(ERROR_CODES.AUTH, 'Invalid API key', { status: 401 }))).toBe(false)
+      expect(isTransientFailure({ success: false, error: 'Network error' })).toBe(false)
+      expect(isTransientFailure({ success: true, data: {} })).toBe(false)
+    })
+  })
+
+  describe('enqueue', () => {
+    it('stores the failed submission', async () => {
+      // Arrange
+      const outbox = buildOutbox()
+
+      // Act
+      await outbox.enqueue('createContact', contact('jane@example.com'), networkError)
+
+      // Assert
+      const status = await outbox.status()
+      expect(status.size).toBe(1)
+      expect(status.entries[0]).toMatchObject({
+        email: 'jane@example.com',
+        operation: 'createContact',
+        attempts: 1,
+        lastError: 'Network error',
+        lastErrorCode: 'NETWORK',
+      })
+    })
+
+    it('deduplicates by email, keeping the latest submission', async () => {
+      // Arrange
+      const outbox = buildOutbox()
+
+      // Act
+      await outbox.enqueue('createContact', contact('jane@example.com', 'First'), networkError)
+      await outbox.enqueue('createContact', contact('  Jane@Example.com ', 'Second'), errorResult(ERROR_CODES.TIMEOUT, 'Request timeout'))
+
+      // Assert
+      const entries = await storage.getAll()
+      expect(entries).toHaveLength(1)
+      expect(entries[0].payload.attributes.message).toBe('Second')
+    })
+  })
+
+  describe('remove', () => {
+    it('drops the pending submission for an email', async () => {
+      // Arrange
+      const outbox = buildOutbox()
+      await outbox.enqueue('createContact', contact('jane@example.com'), networkError)
+      await outbox.enqueue('createContact', contact('john@example.com'), networkError)
+
+      // Act
+      await outbox.remove(' Jane@Example.com ')
+
+      // Assert
+      const entries = await storage.getAll()
+      expect(entries.map(entry => entry.key)).toEqual(['john@example.com'])
+    })
+  })
+
+  describe('replay', () => {
+    it('sends pending submissions and removes them on success', async () => {
+      // Arrange
+      const outbox = buildOutbox()
+      await outbox.enqueue('createContact', contact('jane@example.com'), networkError)
+
+      // Act
+      const summary = await outbox.replay()
+
+      // Assert
+      expect(client.createContact).toHaveBeenCalledWith(contact('jane@example.com'))
+      expect(summary).toEqual({ replayed: 1, failed: 0, expired: 0, dropped: 0 })
+      expect((await outbox.status()).size).toBe(0)
+    })
+
+    it('keeps entries that fail transiently and counts the attempt', async () => {
+      // Arrange
+      client.createContact.mockResolvedValue(errorResult(ERROR_CODES.TIMEOUT, 'Request timeout'))
+      const outbox = buildOutbox()
+      await outbox.enqueue('createContact', contact('jane@example.com'), networkError)
+
+      // Act
+      const summary = await outbox.replay()
+
+      // Assert
+      expect(summary.failed).toBe(1)
+      const [entry] = (await outbox.status()).entries
+      expect(entry.attempts).toBe(2)
+      expect(entry.lastError).toBe('Request timeout')
+      expect(entry.lastErrorCode).toBe('TIMEOUT')
+    })
+
+    it('drops entries Brevo rejects permanently', async () => {
+      // Arrange
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      client.createContact.mockResolvedValue(errorResult(ERROR_CODES.INVALID_EMAIL, 'Invalid email format'))
+      const outbox = buildOutbox()
+      await outbox.enqueue('createContact', contact('jane@example.com'), networkError)
+
+      // Act
+      const summary = await outbox.replay()
+
+      // Assert
+      expect(summary.dropped).toBe(1)
+      expect((await outbox.status()).size).toBe(0)
+    })
+
+    it('discards expired entries without sending them', async () => {
+      // Arrange
+      const outbox = buildOutbox({ maxAgeMs: 60 * 1000 })
+      await outbox.enqueue('createContact', contact('jane@example.com'), networkError)
+      time += 61 * 1000
+
+      // Act
+      const summary = await outbox.replay()
+
+      // Assert
+      expect(client.createContact).not.toHaveBeenCalled()
+      expect(summary.expired).toBe(1)
+      expect((await outbox.status()).size).toBe(0)
+    })
+
+    it('shares a single run between concurrent replays', async () => {
+      // Arrange
+      const outbox = buildOutbox()
+      await outbox.enqueue('createContact', contact('jane@example.com'), networkError)
+
+      // Act
+      await Promise.all([outbox.replay(), outbox.replay()])
+
+      // Assert
+      expect(client.createContact).toHaveBeenCalledTimes(1)
+    })
+
+    it('records the last replay in the status', async () => {
+      // Arrange
+      const outbox = buildOutbox()
+      await outbox.enqueue('createContact', contact('jane@example.com'), networkError)
+
+      // Act
+      await outbox.replay()
+
+      // Assert
+      const status = await outbox.status()
+      expect(status.storage).toBe('memory')
+      expect(status.lastReplay).toEqual({ at: time, replayed: 1, failed: 0, expired: 0, dropped: 0 })
+    })
+  })
+
+  describe('start', () => {
+    it('replays immediately and when the browser comes back online', async () => {
+      // Arrange
+      const outbox = buildOutbox()
+      const replaySpy = vi.spyOn(outbox, 'replay')
+
+      // Act
+      const stop = outbox.start()
+      window.dispatchEvent(new Event('online'))
+      stop()
+      window.dispatchEvent(new Event('online'))
+
+      // Assert
+      expect(replaySpy).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('storage', () => {
+    it('persists entries in localStorage across outbox instances', async () => {
+      // Arrange
+      const first = buildOutbox({ storage: createLocalStorageStorage() })
+      await first.enqueue('createContact', contact('jane@example.com'), networkError)
+
+      // Act - a new instance simulates the next visit
+      const second = buildOutbox({ storage: createLocalStorageStorage() })
+      const summary = await second.replay()
+
+      // Assert
+      expect(summary.replayed).toBe(1)
+      expect(localStorage.getItem('brevo_outbox')).toBe('{}')
+    })
+
+    it('falls back to localStorage when IndexedDB is unavailable', async () => {
+      // Arrange
+      vi.stubGlobal('indexedDB', undefined)
+
+      // Act
+      const resolved = await resolveStorage()
+
+      // Assert
+      expect(resolved.name).toBe('localStorage')
+      vi.unstubAllGlobals()
+    })
+  })
+})
@@ -0,0 +1,109 @@
+/**
+ * Retry Policy for Brevo API requests
+ *
+ * Exponential backoff with full jitter. Server hints (`Retry-After`,
+ * Brevo's `x-sib-ratelimit-reset`) take precedence over the computed delay.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 300,
+  maxDelayMs: 10000,
+  retryOnStatus: [429, 500, 502, 503, 504],
+}
+
+/**
+ * Normalizes a retry option into a full policy
+ * @param {Object|boolean|undefined} retry - Partial policy, `false` to disable, or undefined for defaults
+ * @param {Object} base - Policy the partial one is merged onto
+ * @returns {Object} Complete retry policy
+ */
+export function normalizeRetryPolicy(retry, base = DEFAULT_RETRY_POLICY) {
+  if (retry === false) {
+    return { ...base, maxAttempts: 1 }
+  }
+
+  if (!retry || retry === true) {
+    return { ...base }
+  }
+
+  return {
+    ...base,
+    ...retry,
+    maxAttempts: Math.max(1, Math.floor(retry.maxAttempts ?? base.maxAttempts)),
+  }
+}
+
+/**
+ * Reads the server-requested wait time from response headers
+ * @param {Object} headers - Response headers (Headers instance or undefined)
+ * @param {number} now - Current time in ms (for HTTP-date values)
+ * @returns {number|null} Wait time in ms, or null when no hint is present
+ */
+export function getServerDelayMs(headers, now = Date.now()) {
+  const retryAfter = headers?.get?.('retry-after')
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000)
+    }
+
+    const date = Date.parse(retryAfter)
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now)
+    }
+  }
+
+  // Brevo reports seconds until the rate limit window resets
+  const reset = headers?.get?.('x-sib-ratelimit-reset')
+  if (reset && Number.isFinite(Number(reset))) {
+    return Math.max(0, Number(reset) * 1000)
+  }
+
+  return null
+}
+
+/**
+ * Computes the exponential backoff delay with full jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelayMs(attempt, policy, random = Math.random) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1))
+  return Math.floor(random() * ceiling)
+}
+
+/**
+ * Decides whether a failed attempt should be retried and after how long
+ * @param {Object} outcome - `{ status, headers }` for HTTP responses, `{ retryable }` for transport errors
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number|null} Delay in ms before the next attempt, or null to stop
+ */
+export function getRetryDelay(outcome, attempt, policy) {
+  if (attempt >= policy.maxAttempts) {
+    return null
+  }
+
+  const retryable = outcome.status !== undefined
+    ? policy.retryOnStatus.includes(outcome.status)
+    : !!outcome.retryable
+
+  if (!retryable) {
+    return null
+  }
+
+  const serverDelay = getServerDelayMs(outcome.headers)
+  if (serverDelay !== null) {
+    // Waiting longer than the policy allows is treated as a final failure
+    return serverDelay <= policy.maxDelayMs ? serverDelay : null
+  }
+
+  return getBackoffDelayMs(attempt, policy)
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
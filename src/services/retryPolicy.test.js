@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  getServerDelayMs,
+  getBackoffDelayMs,
+  getRetryDelay
+} from './retryPolicy'
+
+const headers = (values) => new Headers(values)
+
+describe('retryPolicy', () => {
+  describe('normalizeRetryPolicy', () => {
+    it('returns the defaults when no policy is given', () => {
+      expect(normalizeRetryPolicy()).toEqual(DEFAULT_RETRY_POLICY)
+    })
+
+    it('disables retries with false', () => {
+      expect(normalizeRetryPolicy(false).maxAttempts).toBe(1)
+    })
+
+    it('merges a partial policy onto the base policy', () => {
+      const base = { ...DEFAULT_RETRY_POLICY, maxAttempts: 5 }
+      const policy = normalizeRetryPolicy({ baseDelayMs: 10 }, base)
+
+      expect(policy.maxAttempts).toBe(5)
+      expect(policy.baseDelayMs).toBe(10)
+      expect(policy.retryOnStatus).toEqual(DEFAULT_RETRY_POLICY.retryOnStatus)
+    })
+
+    it('never allows fewer than one attempt', () => {
+      expect(normalizeRetryPolicy({ maxAttempts: 0 }).maxAttempts).toBe(1)
+    })
+  })
+
+  describe('getServerDelayMs', () => {
+    it('reads Retry-After in seconds', () => {
+      expect(getServerDelayMs(headers({ 'Retry-After': '2' }))).toBe(2000)
+    })
+
+    it('reads Retry-After as an HTTP date', () => {
+      const now = Date.parse('2025-12-05T10:00:00Z')
+      const value = new Date(now + 3000).toUTCString()
+
+      expect(getServerDelayMs(headers({ 'Retry-After': value }), now)).toBe(3000)
+    })
+
+    it('falls back to the Brevo rate limit reset header', () => {
+      expect(getServerDelayMs(headers({ 'x-sib-ratelimit-reset': '4' }))).toBe(4000)
+    })
+
+    it('prefers Retry-After over the Brevo reset header', () => {
+      const values = { 'Retry-After': '1', 'x-sib-ratelimit-reset': '30' }
+      expect(getServerDelayMs(headers(values))).toBe(1000)
+    })
+
+    it('returns null without hints or headers', () => {
+      expect(getServerDelayMs(headers({}))).toBeNull()
+      expect(getServerDelayMs(undefined)).toBeNull()
+    })
+  })
+
+  describe('getBackoffDelayMs', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 100, maxDelayMs: 1000 }
+
+    it('grows exponentially with the attempt number', () => {
+      const max = () => 0.999999
+
+      expect(getBackoffDelayMs(1, policy, max)).toBe(99)
+      expect(getBackoffDelayMs(2, policy, max)).toBe(199)
+      expect(getBackoffDelayMs(3, policy, max)).toBe(399)
+    })
+
+    it('is capped at maxDelayMs', () => {
+      expect(getBackoffDelayMs(10, policy, () => 0.999999)).toBe(999)
+    })
+
+    it('applies full jitter', () => {
+      expect(getBackoffDelayMs(3, policy, () => 0)).toBe(0)
+      expect(getBackoffDelayMs(3, policy, () => 0.5)).toBe(200)
+    })
+  })
+
+  describe('getRetryDelay', () => {
+    const policy = normalizeRetryPolicy({ maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 5000 })
+
+    it('retries retryable statuses', () => {
+      for (const status of [429, 500, 502, 503, 504]) {
+        expect(getRetryDelay({ status }, 1, policy)).not.toBeNull()
+      }
+    })
+
+    it('does not retry client errors or conflicts', () => {
+      for (const status of [400, 401, 403, 404, 409]) {
+        expect(getRetryDelay({ status }, 1, policy)).toBeNull()
+      }
+    })
+
+    it('retries transport errors only when marked retryable', () => {
+      expect(getRetryDelay({ retryable: true }, 1, policy)).not.toBeNull()
+      expect(getRetryDelay({ retryable: false }, 1, policy)).toBeNull()
+    })
+
+    it('stops after maxAttempts', () => {
+      expect(getRetryDelay({ status: 503 }, 3, policy)).toBeNull()
+    })
+
+    it('honors the server delay', () => {
+      const outcome = { status: 429, headers: headers({ 'Retry-After': '3' }) }
+      expect(getRetryDelay(outcome, 1, policy)).toBe(3000)
+    })
+
+    it('gives up when the server delay exceeds maxDelayMs', () => {
+      const outcome = { status: 429, headers: headers({ 'x-sib-ratelimit-reset': '60' }) }
+      expect(getRetryDelay(outcome, 1, policy)).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,136 @@
+/**
+ * Contact Form Spam Guard
+ *
+ * Layered checks that keep bots out of Formspree and the Brevo CRM:
+ * - honeypot: a hidden field real visitors never fill in
+ * - time-to-submit: bots submit faster than anyone can type
+ * - rate limit: submissions per browser within a time window
+ * - links: messages stuffed with URLs
+ *
+ * Suspected spam is dropped silently by the ContactForm, so the checks only
+ * report a reason and never surface anything to the visitor.
+ */
+
+export const HONEYPOT_FIELD = '_gotcha' // Formspree also drops submissions that fill this field
+
+export const SPAM_REASONS = {
+  HONEYPOT: 'honeypot',
+  TOO_FAST: 'too_fast',
+  RATE_LIMITED: 'rate_limited',
+  LINKS: 'links',
+}
+
+const STORAGE_KEY = 'contact_form_submissions'
+const LINK_REGEX = /https?:\/\/|www\.|\[url=/gi
+
+/**
+ * Counts links in a message
+ * @param {string} text - Message text
+ * @returns {number}
+ */
+export function countLinks(text) {
+  return (String(text || '').match(LINK_REGEX) || []).length
+}
+
+function getLocalStorage() {
+  try {
+    return globalThis.localStorage || null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Creates a spam guard
+ * @param {Object} options - Guard options
+ * @param {Storage|null} options.storage - Where submission times are kept (memory only when null)
+ * @param {number} options.minSubmitMs - Minimum time between the form rendering and submitting
+ * @param {number} options.maxSubmissions - Submissions allowed per browser within `windowMs`
+ * @param {number} options.windowMs - Rate limit window
+ * @param {number} options.maxLinks - Links allowed in the message
+ * @param {Function} options.now - Clock (for tests)
+ */
+export function createSpamGuard({
+  storage = getLocalStorage(),
+  minSubmitMs = 3000,
+  maxSubmissions = 3,
+  windowMs = 60 * 60 * 1000, // 1 hour
+  maxLinks = 2,
+  now = Date.now,
+} = {}) {
+  let memory = []
+
+  const readSubmissions = () => {
+    try {
+      const stored = storage ? JSON.parse(storage.getItem(STORAGE_KEY) || '[]') : memory
+      return Array.isArray(stored) ? stored : []
+    } catch {
+      return memory
+    }
+  }
+
+  const recentSubmissions = () => {
+    const cutoff = now() - windowMs
+    return readSubmissions().filter(time => time > cutoff)
+  }
+
+  return {
+    /**
+     * Checks a submission
+     * @param {Object} submission - Submission details
+     * @param {string} submission.honeypot - Value of the honeypot field
+     * @param {number} submission.startedAt - When the form was rendered
+     * @param {string} submission.message - Message text
+     * @param {boolean} submission.retry - Resubmit after a failed delivery: time-to-submit
+     *   and the rate limit were already checked, the honeypot and message may have changed
+     * @returns {string|null} One of SPAM_REASONS, or null when the submission looks legitimate
+     */
+    check({ honeypot, startedAt, message, retry = false }) {
+      if (honeypot) {
+        return SPAM_REASONS.HONEYPOT
+      }
+
+      if (!retry && startedAt && now() - startedAt < minSubmitMs) {
+        return SPAM_REASONS.TOO_FAST
+      }
+
+      if (!retry && recentSubmissions().length >= maxSubmissions) {
+        return SPAM_REASONS.RATE_LIMITED
+      }
+
+      if (countLinks(message) > maxLinks) {
+        return SPAM_REASONS.LINKS
+      }
+
+      return null
+    },
+
+    /**
+     * Records a delivered submission for the rate limit
+     */
+    recordSubmission() {
+      const submissions = [...recentSubmissions(), now()]
+      memory = submissions
+
+      try {
+        storage?.setItem(STORAGE_KEY, JSON.stringify(submissions))
+      } catch {
+        // Storage full or unavailable: the limit applies to this page only
+      }
+    },
+  }
+}
+
+let sharedGuard = null
+
+/**
+ * Returns the app-wide spam guard
+ */
+export function getSpamGuard() {
+  if (!sharedGuard) {
+    sharedGuard = createSpamGuard()
+  }
+  return sharedGuard
+}
+
+export default getSpamGuard
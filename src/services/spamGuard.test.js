@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createSpamGuard, countLinks, SPAM_REASONS } from './spamGuard'
+
+function createFakeStorage() {
+  const items = new Map()
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  }
+}
+
+describe('Spam Guard', () => {
+  let time
+  let storage
+  let guard
+
+  const legitimate = () => ({ honeypot: '', startedAt: time - 10000, message: 'Interested in Software Factory' })
+
+  beforeEach(() => {
+    time = Date.parse('2026-01-01T00:00:00Z')
+    storage = createFakeStorage()
+    guard = createSpamGuard({ storage, now: () => time })
+  })
+
+  it('accepts a legitimate submission', () => {
+    expect(guard.check(legitimate())).toBeNull()
+  })
+
+  it('flags a filled-in honeypot', () => {
+    expect(guard.check({ ...legitimate(), honeypot: 'Acme' })).toBe(SPAM_REASONS.HONEYPOT)
+  })
+
+  it('flags submissions faster than the minimum time-to-submit', () => {
+    expect(guard.check({ ...legitimate(), startedAt: time - 1000 })).toBe(SPAM_REASONS.TOO_FAST)
+  })
+
+  it('flags link-stuffed messages', () => {
+    // Arrange
+    const message = 'Cheap pills http://a.example www.b.example [url=http://c.example]deal[/url]'
+
+    // Assert
+    expect(guard.check({ ...legitimate(), message })).toBe(SPAM_REASONS.LINKS)
+    expect(guard.check({ ...legitimate(), message: 'See https://our.example/docs' })).toBeNull()
+  })
+
+  it('only relaxes time-to-submit and the rate limit for a retry', () => {
+    // Arrange
+    guard.recordSubmission()
+    guard.recordSubmission()
+    guard.recordSubmission()
+    const retry = { ...legitimate(), startedAt: time - 1000, retry: true }
+
+    // Assert
+    expect(guard.check(retry)).toBeNull()
+    expect(guard.check({ ...retry, honeypot: 'Acme' })).toBe(SPAM_REASONS.HONEYPOT)
+    expect(guard.check({ ...retry, message: 'http://a.example http://b.example http://c.example' })).toBe(SPAM_REASONS.LINKS)
+  })
+
+  describe('rate limit', () => {
+    it('flags submissions beyond the limit within the window', () => {
+      // Arrange
+      guard.recordSubmission()
+      guard.recordSubmission()
+      guard.recordSubmission()
+
+      // Act
+      const reason = guard.check(legitimate())
+
+      // Assert
+      expect(reason).toBe(SPAM_REASONS.RATE_LIMITED)
+    })
+
+    it('allows submissions again once the window has passed', () => {
+      // Arrange
+      guard.recordSubmission()
+      guard.recordSubmission()
+      guard.recordSubmission()
+
+      // Act
+      time += 60 * 60 * 1000 + 1
+
+      // Assert
+      expect(guard.check(legitimate())).toBeNull()
+    })
+
+    it('persists submissions across page loads', () => {
+      // Arrange
+      const firstPage = createSpamGuard({ storage, now: () => time, maxSubmissions: 1 })
+      firstPage.recordSubmission()
+
+      // Act
+      const secondPage = createSpamGuard({ storage, now: () => time, maxSubmissions: 1 })
+
+      // Assert
+      expect(secondPage.check(legitimate())).toBe(SPAM_REASONS.RATE_LIMITED)
+    })
+
+    it('falls back to memory when storage is unavailable', () => {
+      // Arrange
+      guard = createSpamGuard({ storage: null, now: () => time, maxSubmissions: 1 })
+
+      // Act
+      guard.recordSubmission()
+
+      // Assert
+      expect(guard.check(legitimate())).toBe(SPAM_REASONS.RATE_LIMITED)
+    })
+  })
+
+  it('counts links', () => {
+    expect(countLinks('no links here')).toBe(0)
+    expect(countLinks('HTTPS://a.example and http://b.example')).toBe(2)
+    expect(countLinks(null)).toBe(0)
+  })
+})
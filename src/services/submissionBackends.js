@@ -0,0 +1,384 @@
+/**
+ * ContactForm Submission Backends
+ *
+ * A backend is `{ type, submit(submission) }`. `submit` resolves to a result in
+ * the BrevoClient shape (`{ success, data }` or `{ success: false, error,
+ * errorDetails }`) and should not throw. Formspree failures may also carry
+ * `fieldErrors` keyed by form field, and failures handed to the outbox for a
+ * later replay carry `queued: true`.
+ *
+ * A submission is `{ values, formData, attributes, consented, onUploadProgress }`:
+ * - values: validated form fields
+ * - formData: everything the form posts, attachments included (for form services)
+ * - attributes: extra Brevo contact attributes (qualification answers, consent,
+ *   attachment metadata)
+ * - consented: whether the visitor gave marketing consent
+ * - onUploadProgress: optional `(loaded, total)` callback for form uploads
+ *
+ * Backends are chosen by a config object keyed by backend type, where each
+ * value is a policy or `{ policy, ...options }`:
+ *   { "formspree": "required", "webhook": { "policy": "best-effort", "url": "https://…" } }
+ * - required: the submission fails when this backend fails
+ * - best-effort: a failure is logged, the submission still succeeds
+ * - disabled: the backend is not called
+ */
+
+import { BrevoClient, ERROR_CODES, errorResult, getErrorCode } from './brevo'
+import { getOutbox, isTransientFailure } from './outbox'
+
+export const POLICIES = Object.freeze({
+  REQUIRED: 'required',
+  BEST_EFFORT: 'best-effort',
+  DISABLED: 'disabled',
+})
+
+export const DEFAULT_BACKEND_CONFIG = {
+  formspree: POLICIES.REQUIRED,
+  brevo: POLICIES.BEST_EFFORT,
+}
+
+const FORMSPREE_URL = 'https://formspree.io/f'
+const DEFAULT_FORMSPREE_FORM_ID = 'xdkoorvg' // Workshop default form
+const REQUEST_TIMEOUT_MS = 10000 // 10 second timeout
+const UPLOAD_TIMEOUT_MS = 120000 // Attachments can take a while on slow connections
+
+/**
+ * Sends one HTTP request, turning timeouts and network errors into results
+ * @returns {Promise<{ response: Response, data: * } | { error: Object }>}
+ */
+async function send(fetchImpl, url, init) {
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS)
+
+  try {
+    const response = await (fetchImpl || fetch)(url, { ...init, signal: controller.signal })
+
+    // Bodies are informational only (webhooks may answer with text or nothing)
+    let data = null
+    try {
+      data = await response.json()
+    } catch {
+      data = null
+    }
+
+    return { response, data }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { error: errorResult(ERROR_CODES.TIMEOUT, 'Request timeout') }
+    }
+    return { error: errorResult(ERROR_CODES.NETWORK, 'Network error') }
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+/**
+ * Same as send, through XMLHttpRequest so upload progress can be reported
+ * (fetch has no upload progress events)
+ * @returns {Promise<{ response: { ok: boolean, status: number }, data: * } | { error: Object }>}
+ */
+function sendWithProgress(createRequest, url, { method, headers, body }, onProgress) {
+  return new Promise(resolve => {
+    const request = createRequest()
+    request.open(method, url)
+    for (const [name, value] of Object.entries(headers)) {
+      request.setRequestHeader(name, value)
+    }
+    request.timeout = UPLOAD_TIMEOUT_MS
+
+    request.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress(event.loaded, event.total)
+      }
+    }
+    request.onload = () => {
+      let data = null
+      try {
+        data = JSON.parse(request.responseText)
+      } catch {
+        data = null
+      }
+      resolve({ response: { ok: request.status >= 200 && request.status < 300, status: request.status }, data })
+    }
+    request.ontimeout = () => resolve({ error: errorResult(ERROR_CODES.TIMEOUT, 'Request timeout') })
+    request.onerror = () => resolve({ error: errorResult(ERROR_CODES.NETWORK, 'Network error') })
+
+    request.send(body)
+  })
+}
+
+/**
+ * Posts the form to Formspree as multipart form data. Submissions with an
+ * `onUploadProgress` callback are sent with XMLHttpRequest to report progress.
+ * @param {Object} options - Backend options
+ * @param {string} options.formId - Formspree form ID
+ * @param {Function} options.fetch - Fetch implementation (defaults to the global fetch at call time)
+ * @param {Function} options.createRequest - Returns an XMLHttpRequest (for uploads with progress)
+ */
+export function createFormspreeBackend({
+  formId = import.meta.env?.VITE_FORMSPREE_FORM_ID || DEFAULT_FORMSPREE_FORM_ID,
+  fetch: fetchImpl,
+  createRequest = () => new XMLHttpRequest(),
+} = {}) {
+  return {
+    type: 'formspree',
+
+    async submit({ formData, onUploadProgress }) {
+      const url = `${FORMSPREE_URL}/${formId}`
+      const init = {
+        method: 'POST',
+        headers: { Accept: 'application/json' },
+        body: formData,
+      }
+      const result = onUploadProgress
+        ? await sendWithProgress(createRequest, url, init, onUploadProgress)
+        : await send(fetchImpl, url, init)
+      if (result.error) return result.error
+
+      const { response, data } = result
+      if (response.ok) {
+        return { success: true, data }
+      }
+
+      // Formspree reports `{ errors: [{ field?, message, code }] }`
+      const errors = Array.isArray(data?.errors) ? data.errors : []
+      const fieldErrors = {}
+      for (const { field, message } of errors) {
+        if (field && !fieldErrors[field]) {
+          fieldErrors[field] = message
+        }
+      }
+      const formError = errors.find(error => !error.field)
+
+      return {
+        ...errorResult(getErrorCode(response.status), formError?.message || 'Formspree submission failed', {
+          status: response.status,
+          body: data,
+        }),
+        ...(Object.keys(fieldErrors).length > 0 && { fieldErrors }),
+      }
+    },
+  }
+}
+
+/**
+ * Creates or updates the visitor as a Brevo contact. Only visitors who gave
+ * marketing consent are sent; transient failures are queued in the outbox.
+ * @param {Object} options - Backend options
+ * @param {Function} options.createClient - Returns the BrevoClient to use
+ * @param {Function} options.getOutbox - Returns the outbox for transient failures
+ */
+export function createBrevoBackend({
+  createClient = () => new BrevoClient(),
+  getOutbox: outbox = getOutbox,
+} = {}) {
+  return {
+    type: 'brevo',
+
+    async submit({ values, attributes = {}, consented }) {
+      if (!consented) {
+        return { success: true, data: { skipped: true } }
+      }
+
+      const brevo = createClient()
+      // With double opt-in configured, the contact only joins the list after
+      // confirming by email. Otherwise upsert so a repeat submission updates
+      // the existing contact.
+      const [operation, payload] = brevo.doubleOptIn
+        ? ['createDoubleOptInContact', {
+            email: values.email,
+            attributes: { FIRSTNAME: values.name, message: values.message, ...attributes },
+          }]
+        : ['createContact', {
+            email: values.email,
+            firstName: values.name,
+            attributes: { message: values.message, ...attributes },
+            upsert: true,
+          }]
+
+      try {
+        const result = await brevo[operation](payload)
+
+        // Failures are logged by submitToBackends and tracked by the submission machine
+        if (!result.success) {
+          // Transient failures (offline, timeout, rate limit, 5xx) go to the
+          // outbox and are replayed later instead of losing the lead.
+          if (isTransientFailure(result)) {
+            await outbox().enqueue(operation, payload, result)
+            return { ...result, queued: true }
+          }
+        } else {
+          // An older submission still queued for this email would replay over this one
+          await outbox().remove(values.email).catch(error => {
+            console.error('Outbox cleanup failed:', error.message)
+          })
+        }
+        return result
+      } catch (error) {
+        console.error('Brevo integration error:', error.message)
+        return errorResult(ERROR_CODES.UNKNOWN, error.message)
+      }
+    },
+  }
+}
+
+/**
+ * Posts the submission as JSON to a webhook
+ * @param {Object} options - Backend options
+ * @param {string} options.url - Webhook URL
+ * @param {Object} options.headers - Extra request headers
+ * @param {Function} options.fetch - Fetch implementation (defaults to the global fetch at call time)
+ */
+export function createWebhookBackend({ url, headers = {}, fetch: fetchImpl } = {}) {
+  return {
+    type: 'webhook',
+
+    async submit({ values, attributes = {}, consented = false }) {
+      if (!url) {
+        return errorResult(ERROR_CODES.NOT_CONFIGURED, 'Webhook URL is not configured')
+      }
+
+      const result = await send(fetchImpl, url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify({
+          fields: values,
+          attributes,
+          consented,
+          submittedAt: new Date().toISOString(),
+        }),
+      })
+      if (result.error) return result.error
+
+      const { response, data } = result
+      if (!response.ok) {
+        return errorResult(getErrorCode(response.status), `Webhook responded with ${response.status}`, {
+          status: response.status,
+          body: data,
+        })
+      }
+      return { success: true, data }
+    },
+  }
+}
+
+/**
+ * Keeps submissions in memory (local development and tests)
+ * @param {Object} options - Backend options
+ * @param {boolean} options.fail - Fail every submission
+ * @param {number} options.delayMs - Simulated latency
+ */
+export function createMockBackend({ fail = false, delayMs = 0 } = {}) {
+  const submissions = []
+
+  return {
+    type: 'mock',
+    submissions,
+
+    async submit(submission) {
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs))
+      }
+      if (fail) {
+        return errorResult(ERROR_CODES.SERVER_ERROR, 'Mock backend failure')
+      }
+
+      submissions.push(submission)
+      return { success: true, data: { id: submissions.length } }
+    },
+  }
+}
+
+export const BACKEND_FACTORIES = {
+  formspree: createFormspreeBackend,
+  brevo: createBrevoBackend,
+  webhook: createWebhookBackend,
+  mock: createMockBackend,
+}
+
+/**
+ * Parses and normalizes a backend config
+ * @param {Object|string} config - Config object or its JSON
+ * @returns {Object[]|null} `[{ type, policy, options }]` in config order, or null when unusable
+ */
+export function parseBackendConfig(config) {
+  let parsed = config
+  if (typeof config === 'string') {
+    try {
+      parsed = JSON.parse(config)
+    } catch {
+      console.warn('Ignoring submission backend config: invalid JSON')
+      return null
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return null
+  }
+
+  const entries = []
+  for (const [type, value] of Object.entries(parsed)) {
+    const { policy, ...options } = typeof value === 'string' ? { policy: value } : value || {}
+
+    if (!BACKEND_FACTORIES[type]) {
+      console.warn(`Ignoring unknown submission backend: ${type}`)
+    } else if (!Object.values(POLICIES).includes(policy)) {
+      console.warn(`Ignoring submission backend ${type}: unknown policy ${policy}`)
+    } else {
+      entries.push({ type, policy, options })
+    }
+  }
+  return entries
+}
+
+/**
+ * Picks the backend config: the JSON flag, then VITE_SUBMISSION_BACKENDS,
+ * then DEFAULT_BACKEND_CONFIG
+ * @param {Object} sources - Config sources
+ * @param {Object|string} sources.flag - Value of the contact-form-backends flag
+ * @param {string} sources.env - Value of VITE_SUBMISSION_BACKENDS
+ * @returns {Object[]} Normalized config entries
+ */
+export function resolveBackendConfig({ flag, env = import.meta.env?.VITE_SUBMISSION_BACKENDS } = {}) {
+  return parseBackendConfig(flag) || parseBackendConfig(env) || parseBackendConfig(DEFAULT_BACKEND_CONFIG)
+}
+
+/**
+ * Instantiates the enabled backends of a config
+ * @param {Object[]} entries - Normalized config entries
+ * @param {Object} factories - Backend factories keyed by type
+ * @returns {Object[]} `[{ type, policy, backend }]`
+ */
+export function createBackends(entries, factories = BACKEND_FACTORIES) {
+  return entries
+    .filter(({ policy }) => policy !== POLICIES.DISABLED)
+    .map(({ type, policy, options }) => ({ type, policy, backend: factories[type](options) }))
+}
+
+/**
+ * Sends a submission to every backend in parallel
+ * @param {Object[]} backends - Backends from createBackends
+ * @param {Object} submission - `{ values, formData, attributes, consented }`
+ * @returns {Promise<{ success: boolean, results: Object[] }>} Fails only when a required backend failed.
+ *   `results` holds `{ type, policy, result }` per backend.
+ */
+export async function submitToBackends(backends, submission) {
+  const results = await Promise.all(backends.map(async ({ type, policy, backend }) => {
+    let result
+    try {
+      result = await backend.submit(submission)
+    } catch (error) {
+      result = errorResult(ERROR_CODES.UNKNOWN, error.message)
+    }
+
+    if (!result.success && policy === POLICIES.BEST_EFFORT) {
+      console.warn(`Best-effort submission backend ${type} failed:`, result.error)
+    }
+    return { type, policy, result }
+  }))
+
+  return {
+    success: !results.some(({ policy, result }) => policy === POLICIES.REQUIRED && !result.success),
+    results,
+  }
+}
@@ -0,0 +1,363 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  createBackends,
+  createBrevoBackend,
+  createFormspreeBackend,
+  createMockBackend,
+  createWebhookBackend,
+  parseBackendConfig,
+  resolveBackendConfig,
+  submitToBackends,
+  DEFAULT_BACKEND_CONFIG,
+  POLICIES
+} from './submissionBackends'
+import { BrevoClient } from './brevo'
+import { createMemoryStorage, createOutbox } from './outbox'
+import { createFakeBrevo } from '../../server/fakeBrevo.js'
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status })
+
+describe('Submission Backends', () => {
+  let submission
+
+  beforeEach(() => {
+    const formData = new FormData()
+    formData.set('name', 'Jane Smith')
+    formData.set('email', 'jane@example.com')
+    formData.set('message', 'Interested in Software Factory')
+
+    submission = {
+      values: Object.fromEntries(formData),
+      formData,
+      attributes: { TEAM_SIZE: '6-20' },
+      consented: true
+    }
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('Formspree', () => {
+    it('posts the form data and accepts JSON', async () => {
+      // Arrange
+      const fetch = vi.fn(async () => jsonResponse({ ok: true }))
+      const backend = createFormspreeBackend({ formId: 'abc123', fetch })
+
+      // Act
+      const result = await backend.submit(submission)
+
+      // Assert
+      expect(result).toEqual({ success: true, data: { ok: true } })
+      expect(fetch).toHaveBeenCalledWith('https://formspree.io/f/abc123', expect.objectContaining({
+        method: 'POST',
+        headers: { Accept: 'application/json' },
+        body: submission.formData
+      }))
+    })
+
+    it('returns field errors and the form-level error', async () => {
+      // Arrange
+      const fetch = vi.fn(async () => jsonResponse({
+        errors: [
+          { field: 'email', message: 'should be an email', code: 'TYPE_EMAIL' },
+          { message: 'Form is disabled', code: 'FORM_DISABLED' }
+        ]
+      }, 422))
+      const backend = createFormspreeBackend({ formId: 'abc123', fetch })
+
+      // Act
+      const result = await backend.submit(submission)
+
+      // Assert
+      expect(result).toMatchObject({
+        success: false,
+        error: 'Form is disabled',
+        errorDetails: { code: 'BAD_REQUEST', status: 422, retryable: false },
+        fieldErrors: { email: 'should be an email' }
+      })
+    })
+
+    it('reports upload progress when asked to', async () => {
+      // Arrange
+      const request = {
+        upload: {},
+        open: vi.fn(),
+        setRequestHeader: vi.fn(),
+        send: vi.fn(() => {
+          request.upload.onprogress({ lengthComputable: true, loaded: 50, total: 100 })
+          request.status = 200
+          request.responseText = JSON.stringify({ ok: true })
+          request.onload()
+        })
+      }
+      const onUploadProgress = vi.fn()
+      const backend = createFormspreeBackend({ formId: 'abc123', createRequest: () => request })
+
+      // Act
+      const result = await backend.submit({ ...submission, onUploadProgress })
+
+      // Assert
+      expect(result).toEqual({ success: true, data: { ok: true } })
+      expect(request.open).toHaveBeenCalledWith('POST', 'https://formspree.io/f/abc123')
+      expect(request.setRequestHeader).toHaveBeenCalledWith('Accept', 'application/json')
+      expect(request.send).toHaveBeenCalledWith(submission.formData)
+      expect(onUploadProgress).toHaveBeenCalledWith(50, 100)
+    })
+
+    it('reports network failures as retryable', async () => {
+      // Arrange
+      const fetch = vi.fn(async () => {
+        throw new TypeError('Failed to fetch')
+      })
+      const backend = createFormspreeBackend({ formId: 'abc123', fetch })
+
+      // Act
+      const result = await backend.submit(submission)
+
+      // Assert
+      expect(result.errorDetails).toMatchObject({ code: 'NETWORK', retryable: true })
+    })
+  })
+
+  describe('Brevo', () => {
+    let fake
+    let backend
+
+    beforeEach(() => {
+      fake = createFakeBrevo()
+      backend = createBrevoBackend({
+        createClient: () => new BrevoClient('test-api-key', { fetch: fake.fetch, retry: false }),
+        getOutbox: () => ({ enqueue: vi.fn(), remove: vi.fn(async () => {}) })
+      })
+    })
+
+    it('upserts the contact with the submission attributes', async () => {
+      // Act
+      const result = await backend.submit(submission)
+
+      // Assert
+      expect(result.success).toBe(true)
+      expect(fake.state.contacts.get('jane@example.com').attributes).toEqual({
+        FIRSTNAME: 'Jane Smith',
+        MESSAGE: 'Interested in Software Factory',
+        TEAM_SIZE: '6-20'
+      })
+    })
+
+    it('skips visitors without marketing consent', async () => {
+      // Act
+      const result = await backend.submit({ ...submission, consented: false })
+
+      // Assert
+      expect(result).toEqual({ success: true, data: { skipped: true } })
+      expect(fake.state.requests).toHaveLength(0)
+    })
+
+    it('queues transient failures in the outbox', async () => {
+      // Arrange
+      const outbox = { enqueue: vi.fn(), remove: vi.fn() }
+      fake.injectFault({ path: '/contacts', status: 503 })
+      backend = createBrevoBackend({
+        createClient: () => new BrevoClient('test-api-key', { fetch: fake.fetch, retry: false }),
+        getOutbox: () => outbox
+      })
+
+      // Act
+      const result = await backend.submit(submission)
+
+      // Assert
+      expect(result).toMatchObject({ success: false, queued: true })
+      expect(outbox.enqueue).toHaveBeenCalledWith(
+        'createContact',
+        expect.objectContaining({ email: 'jane@example.com', upsert: true }),
+        expect.objectContaining({ success: false, errorDetails: result.errorDetails })
+      )
+    })
+
+    it('removes an older queued submission for the email once delivered', async () => {
+      // Arrange
+      const outbox = createOutbox({
+        storage: createMemoryStorage(),
+        createClient: () => new BrevoClient('test-api-key', { fetch: fake.fetch, retry: false })
+      })
+      await outbox.enqueue('createContact', { email: 'Jane@example.com', firstName: 'Old Name', upsert: true }, {
+        success: false,
+        error: 'Network error'
+      })
+      backend = createBrevoBackend({
+        createClient: () => new BrevoClient('test-api-key', { fetch: fake.fetch, retry: false }),
+        getOutbox: () => outbox
+      })
+
+      // Act
+      const result = await backend.submit(submission)
+      const replayed = await outbox.replay()
+
+      // Assert
+      expect(result.success).toBe(true)
+      expect((await outbox.status()).size).toBe(0)
+      expect(replayed.replayed).toBe(0)
+      expect(fake.state.contacts.get('jane@example.com').attributes.FIRSTNAME).toBe('Jane Smith')
+    })
+  })
+
+  describe('Webhook', () => {
+    it('posts the submission as JSON', async () => {
+      // Arrange
+      const fetch = vi.fn(async () => new Response(null, { status: 204 }))
+      const backend = createWebhookBackend({ url: 'https://hooks.example/leads', headers: { 'x-token': 'secret' }, fetch })
+
+      // Act
+      const result = await backend.submit(submission)
+
+      // Assert
+      expect(result.success).toBe(true)
+      const [url, init] = fetch.mock.calls[0]
+      expect(url).toBe('https://hooks.example/leads')
+      expect(init.headers).toEqual({ 'content-type': 'application/json', 'x-token': 'secret' })
+      expect(JSON.parse(init.body)).toEqual({
+        fields: submission.values,
+        attributes: { TEAM_SIZE: '6-20' },
+        consented: true,
+        submittedAt: expect.any(String)
+      })
+    })
+
+    it('fails when the webhook answers with an error status', async () => {
+      // Arrange
+      const fetch = vi.fn(async () => new Response('Bad gateway', { status: 502 }))
+      const backend = createWebhookBackend({ url: 'https://hooks.example/leads', fetch })
+
+      // Act
+      const result = await backend.submit(submission)
+
+      // Assert
+      expect(result).toMatchObject({
+        success: false,
+        error: 'Webhook responded with 502',
+        errorDetails: { code: 'SERVER_ERROR', status: 502 }
+      })
+    })
+
+    it('fails without a URL', async () => {
+      // Act
+      const result = await createWebhookBackend().submit(submission)
+
+      // Assert
+      expect(result.errorDetails.code).toBe('NOT_CONFIGURED')
+    })
+  })
+
+  describe('Mock', () => {
+    it('keeps submissions in memory', async () => {
+      // Arrange
+      const backend = createMockBackend()
+
+      // Act
+      const result = await backend.submit(submission)
+
+      // Assert
+      expect(result).toEqual({ success: true, data: { id: 1 } })
+      expect(backend.submissions).toEqual([submission])
+    })
+
+    it('can be told to fail', async () => {
+      // Act
+      const result = await createMockBackend({ fail: true }).submit(submission)
+
+      // Assert
+      expect(result.success).toBe(false)
+    })
+  })
+
+  describe('config', () => {
+    it('parses policies and options in config order', () => {
+      // Act
+      const entries = parseBackendConfig('{"webhook":{"policy":"best-effort","url":"https://hooks.example"},"formspree":"required"}')
+
+      // Assert
+      expect(entries).toEqual([
+        { type: 'webhook', policy: 'best-effort', options: { url: 'https://hooks.example' } },
+        { type: 'formspree', policy: 'required', options: {} }
+      ])
+    })
+
+    it('ignores unknown backends and policies', () => {
+      // Act
+      const entries = parseBackendConfig({ fax: 'required', mock: 'sometimes', formspree: 'required' })
+
+      // Assert
+      expect(entries.map(entry => entry.type)).toEqual(['formspree'])
+    })
+
+    it('prefers the flag, then the environment, then the default', () => {
+      // Act
+      const fromFlag = resolveBackendConfig({ flag: { mock: 'required' }, env: '{"webhook":"required"}' })
+      const fromEnv = resolveBackendConfig({ flag: undefined, env: '{"webhook":"required"}' })
+      const fromDefault = resolveBackendConfig({ flag: 'not json', env: undefined })
+
+      // Assert
+      expect(fromFlag.map(entry => entry.type)).toEqual(['mock'])
+      expect(fromEnv.map(entry => entry.type)).toEqual(['webhook'])
+      expect(fromDefault).toEqual(parseBackendConfig(DEFAULT_BACKEND_CONFIG))
+    })
+
+    it('does not create disabled backends', () => {
+      // Act
+      const backends = createBackends(parseBackendConfig({ formspree: 'disabled', mock: 'required' }))
+
+      // Assert
+      expect(backends.map(({ type, policy }) => ({ type, policy }))).toEqual([{ type: 'mock', policy: 'required' }])
+    })
+  })
+
+  describe('submitToBackends', () => {
+    const backendWith = (type, policy, backend) => ({ type, policy, backend })
+
+    it('fails when a required backend fails', async () => {
+      // Act
+      const result = await submitToBackends([
+        backendWith('mock', POLICIES.REQUIRED, createMockBackend({ fail: true })),
+        backendWith('webhook', POLICIES.BEST_EFFORT, createMockBackend())
+      ], submission)
+
+      // Assert
+      expect(result.success).toBe(false)
+      expect(result.results.map(({ type, result }) => [type, result.success])).toEqual([
+        ['mock', false],
+        ['webhook', true]
+      ])
+    })
+
+    it('succeeds when only best-effort backends fail', async () => {
+      // Act
+      const result = await submitToBackends([
+        backendWith('mock', POLICIES.REQUIRED, createMockBackend()),
+        backendWith('webhook', POLICIES.BEST_EFFORT, createMockBackend({ fail: true }))
+      ], submission)
+
+      // Assert
+      expect(result.success).toBe(true)
+      expect(console.warn).toHaveBeenCalledWith(
+        'Best-effort submission backend webhook failed:',
+        'Mock backend failure'
+      )
+    })
+
+    it('turns a throwing backend into a failed result', async () => {
+      // Arrange
+      const throwing = { submit: vi.fn().mockRejectedValue(new Error('boom')) }
+
+      // Act
+      const result = await submitToBackends([backendWith('mock', POLICIES.REQUIRED, throwing)], submission)
+
+      // Assert
+      expect(result.success).toBe(false)
+      expect(result.results[0].result).toMatchObject({ success: false, error: 'boom' })
+    })
+  })
+})
@@ -0,0 +1,151 @@
+/**
+ * ContactForm Submission State Machine
+ *
+ * Tracks one submission across every backend:
+ *
+ *   idle ─submit→ validating ─valid→ submitting ─settle→ succeeded
+ *                     │                  ↑           ├──→ partially-failed
+ *                  invalid               │           └──→ failed
+ *                     ↓                  └──── retry ──────┘
+ *                   idle
+ *
+ * - succeeded: every backend succeeded
+ * - partially-failed: every required backend succeeded, a best-effort one did not
+ *   (the message was delivered)
+ * - failed: a required backend failed (the message was not delivered)
+ *
+ * Results are kept per backend type. A retry only calls the backends whose
+ * latest result failed, and its results replace theirs. Suspected spam is
+ * discarded: it goes from validating to succeeded without results.
+ */
+
+import * as Sentry from '@sentry/react'
+import { POLICIES } from './submissionBackends'
+
+export const SUBMISSION_STATES = Object.freeze({
+  IDLE: 'idle',
+  VALIDATING: 'validating',
+  SUBMITTING: 'submitting',
+  SUCCEEDED: 'succeeded',
+  PARTIALLY_FAILED: 'partially-failed',
+  FAILED: 'failed',
+})
+
+export const initialSubmissionState = Object.freeze({
+  status: SUBMISSION_STATES.IDLE,
+  results: [],
+})
+
+/**
+ * Derives the status from per-backend results
+ * @param {Array<{ type: string, policy: string, result: Object }>} results - Latest result per backend
+ * @returns {string} succeeded, partially-failed or failed
+ */
+export function getSubmissionStatus(results) {
+  const failed = results.filter(({ result }) => !result.success)
+  if (failed.some(({ policy }) => policy === POLICIES.REQUIRED)) {
+    return SUBMISSION_STATES.FAILED
+  }
+  return failed.length > 0 ? SUBMISSION_STATES.PARTIALLY_FAILED : SUBMISSION_STATES.SUCCEEDED
+}
+
+/**
+ * Whether the message reached every required backend. Stays true while
+ * best-effort backends are retried.
+ * @param {{ status: string, results: Array }} state - Machine state
+ * @returns {boolean}
+ */
+export function isDelivered({ status, results }) {
+  if (results.length === 0) {
+    // Suspected spam settles without results and is shown as delivered
+    return status === SUBMISSION_STATES.SUCCEEDED
+  }
+  return getSubmissionStatus(results) !== SUBMISSION_STATES.FAILED
+}
+
+function mergeResults(previous, next) {
+  const types = new Set(next.map(({ type }) => type))
+  return [...previous.filter(({ type }) => !types.has(type)), ...next]
+}
+
+/**
+ * Reducer for useReducer. Actions:
+ * - { type: 'validate' }: the visitor submitted the form
+ * - { type: 'invalid' }: validation failed
+ * - { type: 'submit' }: sending to backends (first attempt or retry)
+ * - { type: 'settle', results }: backends answered (`results` from submitToBackends)
+ * - { type: 'discard' }: suspected spam, shown as delivered without sending it
+ * Actions that do not apply to the current state are ignored.
+ */
+export function submissionReducer(state, action) {
+  const { status } = state
+
+  switch (action.type) {
+    case 'validate':
+      return [SUBMISSION_STATES.IDLE, SUBMISSION_STATES.FAILED].includes(status)
+        ? { ...state, status: SUBMISSION_STATES.VALIDATING }
+        : state
+    case 'invalid':
+      return status === SUBMISSION_STATES.VALIDATING
+        ? { ...state, status: state.results.length > 0 ? SUBMISSION_STATES.FAILED : SUBMISSION_STATES.IDLE }
+        : state
+    case 'submit':
+      return [SUBMISSION_STATES.VALIDATING, SUBMISSION_STATES.PARTIALLY_FAILED].includes(status)
+        ? { ...state, status: SUBMISSION_STATES.SUBMITTING }
+        : state
+    case 'settle': {
+      if (status !== SUBMISSION_STATES.SUBMITTING) {
+        return state
+      }
+      const results = mergeResults(state.results, action.results)
+      return { status: getSubmissionStatus(results), results }
+    }
+    case 'discard':
+      // Earlier failed results would show the visitor an error instead
+      return status === SUBMISSION_STATES.VALIDATING
+        ? { status: SUBMISSION_STATES.SUCCEEDED, results: [] }
+        : state
+    default:
+      return state
+  }
+}
+
+/**
+ * Picks the backends to call on a retry: those whose latest result failed.
+ * Failures already queued in the outbox are left to the outbox.
+ * @param {Array} backends - Backends from createBackends
+ * @param {Array} results - Latest result per backend
+ * @returns {Array} Backends to retry (all of them before the first attempt)
+ */
+export function getRetryBackends(backends, results) {
+  if (results.length === 0) {
+    return backends
+  }
+  const retry = new Set(
+    results.filter(({ result }) => !result.success && !result.queued).map(({ type }) => type)
+  )
+  return backends.filter(({ type }) => retry.has(type))
+}
+
+/**
+ * Reports a partially failed submission to Sentry, one warning per settle
+ * @param {Array} results - Latest result per backend
+ */
+export function reportPartialFailure(results) {
+  const failed = results
+    .filter(({ result }) => !result.success)
+    .map(({ type, policy, result }) => ({
+      type,
+      policy,
+      error: result.error,
+      code: result.errorDetails?.code,
+      status: result.errorDetails?.status,
+      queued: !!result.queued,
+    }))
+
+  Sentry.captureMessage('Contact form submission partially failed', {
+    level: 'warning',
+    tags: { feature: 'contact-form', backends: failed.map(({ type }) => type).join(',') },
+    extra: { failed },
+  })
+}
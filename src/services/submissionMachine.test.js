@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import * as Sentry from '@sentry/react'
+import {
+  getRetryBackends,
+  getSubmissionStatus,
+  initialSubmissionState,
+  isDelivered,
+  reportPartialFailure,
+  submissionReducer,
+  SUBMISSION_STATES
+} from './submissionMachine'
+import { errorResult, ERROR_CODES } from './brevo'
+
+vi.mock('@sentry/react', () => ({
+  captureMessage: vi.fn()
+}))
+
+const ok = { success: true, data: {} }
+const failure = errorResult(ERROR_CODES.SERVER_ERROR, 'Server error', { status: 500 })
+
+const formspree = (result) => ({ type: 'formspree', policy: 'required', result })
+const brevo = (result) => ({ type: 'brevo', policy: 'best-effort', result })
+
+function run(actions, state = initialSubmissionState) {
+  return actions.reduce(submissionReducer, state)
+}
+
+describe('Submission State Machine', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('getSubmissionStatus', () => {
+    it('succeeds when every backend succeeds', () => {
+      expect(getSubmissionStatus([formspree(ok), brevo(ok)])).toBe(SUBMISSION_STATES.SUCCEEDED)
+    })
+
+    it('partially fails when only a best-effort backend fails', () => {
+      expect(getSubmissionStatus([formspree(ok), brevo(failure)])).toBe(SUBMISSION_STATES.PARTIALLY_FAILED)
+    })
+
+    it('fails when a required backend fails', () => {
+      expect(getSubmissionStatus([formspree(failure), brevo(ok)])).toBe(SUBMISSION_STATES.FAILED)
+    })
+  })
+
+  describe('submissionReducer', () => {
+    it('goes from validating back to idle when the form is invalid', () => {
+      // Act
+      const validating = run([{ type: 'validate' }])
+      const invalid = run([{ type: 'invalid' }], validating)
+
+      // Assert
+      expect(validating.status).toBe(SUBMISSION_STATES.VALIDATING)
+      expect(invalid.status).toBe(SUBMISSION_STATES.IDLE)
+    })
+
+    it('settles a submission with the status of its results', () => {
+      // Act
+      const state = run([
+        { type: 'validate' },
+        { type: 'submit' },
+        { type: 'settle', results: [formspree(ok), brevo(failure)] }
+      ])
+
+      // Assert
+      expect(state).toEqual({
+        status: SUBMISSION_STATES.PARTIALLY_FAILED,
+        results: [formspree(ok), brevo(failure)]
+      })
+    })
+
+    it('replaces only the retried results', () => {
+      // Arrange
+      const partial = run([
+        { type: 'validate' },
+        { type: 'submit' },
+        { type: 'settle', results: [formspree(ok), brevo(failure)] }
+      ])
+
+      // Act
+      const retried = run([{ type: 'submit' }, { type: 'settle', results: [brevo(ok)] }], partial)
+
+      // Assert
+      expect(retried).toEqual({ status: SUBMISSION_STATES.SUCCEEDED, results: [formspree(ok), brevo(ok)] })
+    })
+
+    it('returns to failed when a resubmission is invalid', () => {
+      // Arrange
+      const failed = run([
+        { type: 'validate' },
+        { type: 'submit' },
+        { type: 'settle', results: [formspree(failure)] }
+      ])
+
+      // Act
+      const state = run([{ type: 'validate' }, { type: 'invalid' }], failed)
+
+      // Assert
+      expect(state.status).toBe(SUBMISSION_STATES.FAILED)
+    })
+
+    it('discards suspected spam as delivered, even after a failed delivery', () => {
+      // Arrange
+      const failed = run([
+        { type: 'validate' },
+        { type: 'submit' },
+        { type: 'settle', results: [formspree(failure)] }
+      ])
+
+      // Act
+      const state = run([{ type: 'validate' }, { type: 'discard' }], failed)
+
+      // Assert
+      expect(state).toEqual({ status: SUBMISSION_STATES.SUCCEEDED, results: [] })
+      expect(isDelivered(state)).toBe(true)
+    })
+
+    it('ignores actions that do not apply to the current state', () => {
+      // Act
+      const state = run([{ type: 'settle', results: [formspree(ok)] }, { type: 'submit' }])
+
+      // Assert
+      expect(state).toBe(initialSubmissionState)
+    })
+  })
+
+  describe('isDelivered', () => {
+    it('stays delivered while best-effort backends are retried', () => {
+      // Arrange
+      const retrying = { status: SUBMISSION_STATES.SUBMITTING, results: [formspree(ok), brevo(failure)] }
+
+      // Assert
+      expect(isDelivered(retrying)).toBe(true)
+      expect(isDelivered({ status: SUBMISSION_STATES.SUBMITTING, results: [] })).toBe(false)
+      expect(isDelivered({ status: SUBMISSION_STATES.FAILED, results: [formspree(failure)] })).toBe(false)
+    })
+  })
+
+  describe('getRetryBackends', () => {
+    const backends = [{ type: 'formspree' }, { type: 'brevo' }, { type: 'webhook' }]
+
+    it('calls every backend on the first attempt', () => {
+      expect(getRetryBackends(backends, [])).toBe(backends)
+    })
+
+    it('retries failed backends, leaving queued ones to the outbox', () => {
+      // Act
+      const retry = getRetryBackends(backends, [
+        formspree(ok),
+        brevo({ ...failure, queued: true }),
+        { type: 'webhook', policy: 'best-effort', result: failure }
+      ])
+
+      // Assert
+      expect(retry).toEqual([{ type: 'webhook' }])
+    })
+  })
+
+  describe('reportPartialFailure', () => {
+    it('sends a warning with the failed backends to Sentry', () => {
+      // Act
+      reportPartialFailure([formspree(ok), brevo({ ...failure, queued: true })])
+
+      // Assert
+      expect(Sentry.captureMessage).toHaveBeenCalledWith('Contact form submission partially failed', {
+        level: 'warning',
+        tags: { feature: 'contact-form', backends: 'brevo' },
+        extra: {
+          failed: [{
+            type: 'brevo',
+            policy: 'best-effort',
+            error: 'Server error',
+            code: 'SERVER_ERROR',
+            status: 500,
+            queued: true
+          }]
+        }
+      })
+    })
+  })
+})
@@ -0,0 +1,107 @@
+/**
+ * ContactForm validation schemas (field order matches the form)
+ */
+export const CONTACT_FORM_SCHEMA = {
+  name: {
+    label: 'Name',
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+  },
+  email: {
+    label: 'Email',
+    required: true,
+    maxLength: 254,
+    format: 'email',
+  },
+  message: {
+    label: 'Message',
+    required: true,
+    minLength: 10,
+    maxLength: 5000,
+  },
+}
+
+/**
+ * Lead qualification questions (flag: lead-qualification-wizard).
+ * `attribute` is the Brevo contact attribute the answer is stored in.
+ */
+export const QUALIFICATION_SCHEMA = {
+  teamSize: {
+    label: 'Team size',
+    required: true,
+    attribute: 'TEAM_SIZE',
+    options: [
+      { value: '1-5', label: '1–5 engineers' },
+      { value: '6-20', label: '6–20 engineers' },
+      { value: '21-100', label: '21–100 engineers' },
+      { value: '100+', label: 'More than 100 engineers' },
+    ],
+  },
+  role: {
+    label: 'Role',
+    required: true,
+    attribute: 'JOB_ROLE',
+    options: [
+      { value: 'engineer', label: 'Engineer' },
+      { value: 'engineering-manager', label: 'Engineering manager' },
+      { value: 'cto', label: 'CTO / VP Engineering' },
+      { value: 'product', label: 'Product' },
+      { value: 'other', label: 'Other' },
+    ],
+  },
+  cicdMaturity: {
+    label: 'CI/CD maturity',
+    required: true,
+    attribute: 'CICD_MATURITY',
+    options: [
+      { value: 'none', label: 'No CI/CD yet' },
+      { value: 'ci', label: 'Automated builds and tests' },
+      { value: 'cd', label: 'Continuous delivery' },
+      { value: 'continuous-deployment', label: 'Continuous deployment with feature flags' },
+    ],
+  },
+  timeline: {
+    label: 'Timeline',
+    required: true,
+    attribute: 'TIMELINE',
+    options: [
+      { value: 'now', label: 'Ready to start now' },
+      { value: '1-3-months', label: 'Within 1–3 months' },
+      { value: '3-6-months', label: 'Within 3–6 months' },
+      { value: 'exploring', label: 'Just exploring' },
+    ],
+  },
+}
+
+export const WIZARD_SCHEMA = {
+  name: CONTACT_FORM_SCHEMA.name,
+  email: CONTACT_FORM_SCHEMA.email,
+  ...QUALIFICATION_SCHEMA,
+  message: CONTACT_FORM_SCHEMA.message,
+}
+
+export const WIZARD_STEPS = [
+  { id: 'contact', title: 'Contact details', fields: ['name', 'email'] },
+  { id: 'qualification', title: 'About your team', fields: Object.keys(QUALIFICATION_SCHEMA) },
+  { id: 'message', title: 'Your message', fields: ['message'] },
+]
+
+/**
+ * Maps qualification answers to Brevo contact attributes
+ * @param {Object} values - Form values keyed by field name
+ * @returns {Object} Attributes for answered questions
+ */
+export function getQualificationAttributes(values) {
+  const attributes = {}
+
+  for (const [name, rules] of Object.entries(QUALIFICATION_SCHEMA)) {
+    if (values[name]) {
+      attributes[rules.attribute] = values[name]
+    }
+  }
+
+  return attributes
+}
+
+export default CONTACT_FORM_SCHEMA
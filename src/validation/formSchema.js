@@ -0,0 +1,73 @@
+/**
+ * Declarative Form Validation
+ *
+ * A schema maps field names to rules:
+ *   { label, required, minLength, maxLength, format, options }
+ * `options` is a list of `{ value, label }` the value must be one of.
+ * Fields are validated in schema order, so the first error is the first
+ * invalid field on screen.
+ */
+
+// Same rule BrevoClient applies before creating a contact
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const FORMATS = {
+  email: {
+    test: value => EMAIL_REGEX.test(value),
+    message: label => `${label} must be a valid email address`,
+  },
+}
+
+/**
+ * Validates one field value
+ * @param {Object} rules - Field rules from the schema
+ * @param {*} value - Field value
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateField(rules, value) {
+  const text = typeof value === 'string' ? value.trim() : ''
+  const label = rules.label
+
+  if (!text) {
+    return rules.required ? `${label} is required` : null
+  }
+
+  if (rules.minLength && text.length < rules.minLength) {
+    return `${label} must be at least ${rules.minLength} characters`
+  }
+
+  if (rules.maxLength && text.length > rules.maxLength) {
+    return `${label} must be at most ${rules.maxLength} characters`
+  }
+
+  const format = rules.format && FORMATS[rules.format]
+  if (format && !format.test(text)) {
+    return format.message(label)
+  }
+
+  if (rules.options && !rules.options.some(option => option.value === text)) {
+    return `${label} must be one of the listed options`
+  }
+
+  return null
+}
+
+/**
+ * Validates schema fields
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} values - Field values keyed by field name
+ * @param {string[]} fields - Fields to validate (all schema fields by default)
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ */
+export function validateForm(schema, values, fields = Object.keys(schema)) {
+  const errors = {}
+
+  for (const name of fields) {
+    const error = validateField(schema[name], values[name])
+    if (error) {
+      errors[name] = error
+    }
+  }
+
+  return errors
+}
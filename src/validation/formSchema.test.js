@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest'
+import { validateField, validateForm, EMAIL_REGEX } from './formSchema'
+import { CONTACT_FORM_SCHEMA, WIZARD_SCHEMA, getQualificationAttributes } from './contactFormSchema'
+import { EMAIL_REGEX as BREVO_EMAIL_REGEX } from '../services/brevo'
+
+describe('Form Schema Validation', () => {
+  describe('validateField', () => {
+    const rules = { label: 'Name', required: true, minLength: 2, maxLength: 5 }
+
+    it('requires a non-blank value for required fields', () => {
+      expect(validateField(rules, '')).toBe('Name is required')
+      expect(validateField(rules, '   ')).toBe('Name is required')
+      expect(validateField(rules, null)).toBe('Name is required')
+    })
+
+    it('skips other rules for empty optional fields', () => {
+      expect(validateField({ ...rules, required: false }, '')).toBeNull()
+    })
+
+    it('enforces length limits on the trimmed value', () => {
+      expect(validateField(rules, ' a ')).toBe('Name must be at least 2 characters')
+      expect(validateField(rules, 'abcdef')).toBe('Name must be at most 5 characters')
+      expect(validateField(rules, ' abc ')).toBeNull()
+    })
+
+    it('checks the email format', () => {
+      const emailRules = { label: 'Email', required: true, format: 'email' }
+
+      expect(validateField(emailRules, 'not-an-email')).toBe('Email must be a valid email address')
+      expect(validateField(emailRules, 'jane@example.com')).toBeNull()
+    })
+
+    it('only accepts listed options', () => {
+      const optionRules = { label: 'Team size', required: true, options: [{ value: '1-5', label: '1–5' }] }
+
+      expect(validateField(optionRules, '1000')).toBe('Team size must be one of the listed options')
+      expect(validateField(optionRules, '1-5')).toBeNull()
+    })
+  })
+
+  describe('validateForm', () => {
+    it('returns errors in schema order', () => {
+      // Act
+      const errors = validateForm(CONTACT_FORM_SCHEMA, { name: '', email: 'bad', message: 'short' })
+
+      // Assert
+      expect(Object.keys(errors)).toEqual(['name', 'email', 'message'])
+      expect(errors.message).toBe('Message must be at least 10 characters')
+    })
+
+    it('returns no errors for a valid contact form', () => {
+      // Act
+      const errors = validateForm(CONTACT_FORM_SCHEMA, {
+        name: 'Jane Smith',
+        email: 'jane@example.com',
+        message: 'Interested in Software Factory'
+      })
+
+      // Assert
+      expect(errors).toEqual({})
+    })
+
+    it('only validates the requested fields', () => {
+      // Act
+      const errors = validateForm(WIZARD_SCHEMA, { name: 'Jane Smith', email: '' }, ['name', 'email'])
+
+      // Assert
+      expect(errors).toEqual({ email: 'Email is required' })
+    })
+  })
+
+  describe('getQualificationAttributes', () => {
+    it('maps answered questions to Brevo attributes', () => {
+      // Act
+      const attributes = getQualificationAttributes({
+        name: 'Jane Smith',
+        teamSize: '21-100',
+        role: 'cto',
+        cicdMaturity: '',
+        timeline: 'now'
+      })
+
+      // Assert
+      expect(attributes).toEqual({ TEAM_SIZE: '21-100', JOB_ROLE: 'cto', TIMELINE: 'now' })
+    })
+  })
+
+  it('uses the same email rule as BrevoClient', () => {
+    expect(BREVO_EMAIL_REGEX).toBe(EMAIL_REGEX)
+  })
+})
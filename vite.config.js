@@ -1,11 +1,39 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import { sentryVitePlugin } from '@sentry/vite-plugin'
+import { createBrevoProxyHandler, getProxyConfigFromEnv } from './server/brevoProxy.js'
+import { createFakeBrevo, createFakeBrevoMiddleware } from './server/fakeBrevo.js'
+
+// Serves the Brevo contacts proxy (api/contacts.js) from the dev server, reading
+// the server-side BREVO_* variables from .env. Use with VITE_BREVO_PROXY_URL=/api.
+function brevoProxyPlugin() {
+  return {
+    name: 'brevo-proxy',
+    configureServer(server) {
+      const env = loadEnv(server.config.mode, server.config.envDir || process.cwd(), 'BREVO_')
+      server.middlewares.use('/api/contacts', createBrevoProxyHandler(getProxyConfigFromEnv(env)))
+    },
+  }
+}
+
+// Serves the in-memory fake Brevo API (dev server only, never in builds).
+// Use with VITE_BREVO_BASE_URL=/__fake-brevo/v3 and any VITE_BREVO_API_KEY.
+function fakeBrevoPlugin() {
+  return {
+    name: 'fake-brevo',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/__fake-brevo/v3', createFakeBrevoMiddleware(createFakeBrevo()))
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     react(),
+    brevoProxyPlugin(),
+    fakeBrevoPlugin(),
     // Only upload source maps in CI/CD (production builds)
     process.env.GITHUB_ACTIONS && process.env.SENTRY_AUTH_TOKEN
       ? sentryVitePlugin({